@@ -13,6 +13,7 @@ const Logger = require('./utils/logger');
 // Route imports
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/task');
+const taskCommentRoutes = require('./routes/taskComments');
 const kpiRoutes = require('./routes/kpi');
 const dashboardRoutes = require('./routes/dashboard');
 const chatRoutes = require('./routes/chat');
@@ -22,6 +23,7 @@ const teamRoutes = require('./routes/team');
 const projectRoutes = require('./routes/project');
 const aiRoutes = require('./routes/ai');
 const gamificationRoutes = require('./routes/gamification');
+const rewardRoutes = require('./routes/rewards');
 const timerRoutes = require('./routes/timer');
 const goalRoutes = require('./routes/goals');
 const fileRoutes = require('./routes/files');
@@ -31,6 +33,11 @@ const reportsRoutes = require('./routes/reports');
 const settingsRoutes = require('./routes/settings');
 const searchRoutes = require('./routes/search');
 const exportRoutes = require('./routes/export');
+const templateRoutes = require('./routes/templates');
+const boardRoutes = require('./routes/boards');
+const costRateRoutes = require('./routes/costRates');
+const projectRiskRoutes = require('./routes/projectRisks');
+const projectMemberRoutes = require('./routes/projectMembers');
 
 dotenv.config();
 
@@ -114,15 +121,19 @@ logger.info('Registering API routes');
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/tasks', taskCommentRoutes);
 app.use('/api/kpis', kpiRoutes);
 app.use('/api/goals', goalRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/team', teamRoutes);
+app.use('/api/projects', projectMemberRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/projects', projectRiskRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/gamification', gamificationRoutes);
+app.use('/api/rewards', rewardRoutes);
 app.use('/api/timer', timerRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/organization', organizationRoutes);
@@ -131,6 +142,9 @@ app.use('/api/reports', reportsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/export', exportRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/boards', boardRoutes);
+app.use('/api/cost-rates', costRateRoutes);
 
 logger.info('All routes registered successfully');
 
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { getProjectRole, roleAllows } = require('../utils/projectAccess');
+
+const ACCESS_FIELDS = 'manager members stakeholders isArchived';
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+const denied = (res, role, level) => res.status(403).json({
+  message: role
+    ? `Your project role (${role}) does not allow ${level} access`
+    : 'You are not a member of this project'
+});
+
+const refuseArchived = res => res.status(409).json({ message: 'Project is archived and read-only' });
+
+/**
+ * The user's role on a project and whether the project is archived, or
+ * undefined when the project does not exist (or the id is not valid)
+ */
+async function loadProjectAccess(projectId, user) {
+  if (!mongoose.Types.ObjectId.isValid(projectId)) return undefined;
+  const project = await Project.findById(projectId).select(ACCESS_FIELDS);
+  return project ? { role: getProjectRole(project, user), archived: !!project.isArchived } : undefined;
+}
+
+/**
+ * The user's role on a project, or undefined when the project does not exist
+ */
+async function loadProjectRole(projectId, user) {
+  const access = await loadProjectAccess(projectId, user);
+  return access && access.role;
+}
+
+/**
+ * Require a permission level on the project in the :id param. Anything
+ * above view access, or `write: true`, is refused on archived projects
+ * unless `allowArchived`. Sets req.projectRole for the route handler.
+ */
+const requireProjectAccess = (level, { write = false, allowArchived = false } = {}) => async (req, res, next) => {
+  try {
+    const access = await loadProjectAccess(req.params.id, req.user);
+    if (access === undefined) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (!roleAllows(access.role, level)) {
+      return denied(res, access.role, level);
+    }
+    if (access.archived && (level !== 'view' || write) && !allowArchived) {
+      return refuseArchived(res);
+    }
+    req.projectRole = access.role;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to check project access', error: err.message });
+  }
+};
+
+// Reads need view access, notes and comments need comment access and
+// everything else changes the task
+const taskAccessLevel = (req) => {
+  if (req.method === 'GET') return 'view';
+  return /\/(notes|comments)(\/|$)/.test(req.path) ? 'comment' : 'contribute';
+};
+
+/**
+ * Enforce project membership on tasks that belong to a project. The
+ * assignee keeps access to their own task. Tasks of archived
+ * projects are read-only. Tasks outside a project, and missing tasks, are
+ * left to the route handler.
+ */
+async function requireTaskProjectAccess(req, res, next) {
+  try {
+    const task = await Task.findById(req.params.id).select('project assignedTo');
+    if (!task || !task.project) return next();
+
+    const { role, archived } = await loadProjectAccess(task.project, req.user) || {};
+    const level = taskAccessLevel(req);
+    req.projectRole = role || null;
+    if (!roleAllows(role, level) && !isSameUser(task.assignedTo, req.user)) {
+      return denied(res, role, level);
+    }
+    if (archived && level !== 'view') {
+      return refuseArchived(res);
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to check project access', error: err.message });
+  }
+}
+
+module.exports = { loadProjectAccess, loadProjectRole, requireProjectAccess, requireTaskProjectAccess };
@@ -19,13 +19,16 @@ const validateTask = [
   body('status').optional().isIn(['pending', 'in_progress', 'completed', 'overdue', 'blocked', 'cancelled']).withMessage('Invalid status.'),
   body('deadline').optional().isISO8601().toDate(),
   body('estimatedHours').optional().isNumeric().withMessage('Estimated hours must be a number.'),
+  body('storyPoints').optional().isFloat({ min: 0 }).withMessage('Story points must be a non-negative number.'),
   body('progress').optional().isInt({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100.'),
 ];
 
 const validateKPI = [
   body('name').trim().notEmpty().withMessage('KPI name is required.'),
   body('targetValue').isNumeric().withMessage('Target value must be a number.'),
-  body('assignedTo').isMongoId().withMessage('assignedTo must be a valid user ID.'),
+  body('assignedTo').optional({ values: 'null' }).isMongoId().withMessage('assignedTo must be a valid user ID.'),
+  body('parent').optional({ values: 'null' }).isMongoId().withMessage('parent must be a valid KPI ID.'),
+  body('weight').optional().isFloat({ min: 0 }).withMessage('weight must be a number of at least 0.'),
 ];
 
 const handleValidation = (req, res, next) => {
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const BoardColumnSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'overdue', 'blocked', 'cancelled'],
+    required: true
+  },
+  wipLimit: { type: Number, min: 1 }, // unset means no limit
+  wipMode: { type: String, enum: ['warn', 'block'], default: 'warn' }
+}, { _id: false });
+
+// Kanban settings of a project or team board; the tasks themselves are
+// grouped by status and ordered by Task.boardRank
+const BoardSchema = new mongoose.Schema({
+  scopeType: { type: String, enum: ['project', 'team'], required: true },
+  scope: { type: mongoose.Schema.Types.ObjectId, required: true }, // Project or Team id
+  columns: [BoardColumnSchema],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+BoardSchema.index({ scopeType: 1, scope: 1 }, { unique: true });
+
+module.exports = mongoose.model('Board', BoardSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Hourly cost of a user, or of everyone with a role. A user rate takes
+// precedence over the rate of their role.
+const CostRateSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  role: { type: String, enum: ['admin', 'manager', 'employee', 'viewer'] },
+  hourlyRate: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'USD' },
+  effectiveFrom: { type: Date, required: true },
+  effectiveTo: Date, // exclusive; unset means open-ended
+  note: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+CostRateSchema.index({ user: 1, effectiveFrom: -1 });
+CostRateSchema.index({ role: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('CostRate', CostRateSchema);
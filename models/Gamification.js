@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// What a badge or achievement measures; every type but 'custom' is
+// evaluated automatically against criteria.value
+const CRITERIA_TYPES = ['tasks_completed', 'streak', 'points', 'team_contribution', 'focus_sessions', 'goals_completed', 'custom'];
+
 const BadgeSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
@@ -7,7 +11,7 @@ const BadgeSchema = new mongoose.Schema({
   color: String,
   category: { type: String, enum: ['productivity', 'teamwork', 'learning', 'milestone', 'special'], default: 'productivity' },
   criteria: {
-    type: { type: String, enum: ['tasks_completed', 'streak', 'points', 'team_contribution', 'custom'], required: true },
+    type: { type: String, enum: CRITERIA_TYPES, required: true },
     value: Number,
     description: String
   },
@@ -23,7 +27,7 @@ const AchievementSchema = new mongoose.Schema({
   points: { type: Number, default: 0 },
   category: { type: String, enum: ['daily', 'weekly', 'monthly', 'milestone', 'special'], default: 'milestone' },
   criteria: {
-    type: { type: String, enum: ['tasks_completed', 'streak', 'points', 'team_contribution', 'custom'], required: true },
+    type: { type: String, enum: CRITERIA_TYPES, required: true },
     value: Number,
     description: String
   },
@@ -31,40 +35,63 @@ const AchievementSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+// One record per user and badge; revoking keeps the record and history
 const UserBadgeSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   badge: { type: mongoose.Schema.Types.ObjectId, ref: 'Badge', required: true },
   awardedAt: { type: Date, default: Date.now },
-  awardedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  context: String
+  awardedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset when awarded automatically
+  source: { type: String, enum: ['manual', 'rule'], default: 'manual' },
+  reason: String,
+  context: String,
+  revokedAt: Date,
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  history: [{
+    action: { type: String, enum: ['awarded', 'revoked'], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
+UserBadgeSchema.index({ user: 1, badge: 1 }, { unique: true });
+
 const UserAchievementSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   achievement: { type: mongoose.Schema.Types.ObjectId, ref: 'Achievement', required: true },
   unlockedAt: { type: Date, default: Date.now },
   progress: { type: Number, default: 0 },
   completed: { type: Boolean, default: false },
-  completedAt: Date
+  completedAt: Date,
+  pointsAwarded: { type: Number, default: 0 }
 }, { timestamps: true });
 
+UserAchievementSchema.index({ user: 1, achievement: 1, completed: 1 });
+
 const PointsTransactionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   amount: { type: Number, required: true },
-  type: { type: String, enum: ['earned', 'spent', 'bonus', 'penalty'], required: true },
+  type: { type: String, enum: ['earned', 'spent', 'bonus', 'penalty', 'refund'], required: true },
   reason: String,
-  source: { type: String, enum: ['task_completion', 'streak', 'achievement', 'badge', 'team_contribution', 'custom'], required: true },
+  source: { type: String, enum: ['task_completion', 'streak', 'achievement', 'badge', 'team_contribution', 'reward', 'custom'], required: true },
   relatedEntity: {
-    type: { type: String, enum: ['task', 'achievement', 'badge', 'team'] },
+    type: { type: String, enum: ['task', 'achievement', 'badge', 'team', 'reward_redemption'] },
     id: { type: mongoose.Schema.Types.ObjectId }
   },
-  balance: Number // user's balance after this transaction
+  balance: Number, // user's balance after this transaction
+  idempotencyKey: String, // e.g. 'task_completion:<taskId>'; the same key never pays twice
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // unset for automatic awards
 }, { timestamps: true });
 
+PointsTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+PointsTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// Materialized ranking for one period, type and scope; refreshed on a
+// schedule. Snapshots of past periods are kept with isActive false.
 const LeaderboardSchema = new mongoose.Schema({
-  period: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'], required: true },
-  startDate: { type: Date, required: true },
-  endDate: { type: Date, required: true },
+  period: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly', 'all_time'], required: true },
+  startDate: { type: Date, required: true }, // epoch for all_time
+  endDate: Date, // exclusive; unset for all_time
   type: { type: String, enum: ['points', 'tasks', 'streak', 'productivity'], required: true },
   scope: { type: String, enum: ['global', 'team', 'department'], default: 'global' },
   scopeId: { type: mongoose.Schema.Types.ObjectId }, // team or department ID if applicable
@@ -72,11 +99,15 @@ const LeaderboardSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     rank: Number,
     score: Number,
-    previousRank: Number
+    tieBreaker: Number,
+    previousRank: Number // rank in the previous snapshot of this leaderboard
   }],
+  snapshotAt: Date,
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+LeaderboardSchema.index({ period: 1, type: 1, scope: 1, scopeId: 1, startDate: -1 }, { unique: true });
+
 module.exports = {
   Badge: mongoose.model('Badge', BadgeSchema),
   Achievement: mongoose.model('Achievement', AchievementSchema),
@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+// A measurable outcome of an OKR objective
+const KeyResultSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  metricType: { type: String, enum: ['numeric', 'percentage', 'boolean', 'milestone'], default: 'numeric' },
+  startValue: { type: Number, default: 0 },
+  targetValue: Number,
+  currentValue: { type: Number, default: 0 },
+  unit: String,
+  weight: { type: Number, min: 0, default: 1 },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  milestones: [{
+    title: String,
+    completed: { type: Boolean, default: false },
+    completedAt: Date
+  }],
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  confidence: { type: Number, min: 0, max: 10 }, // latest check-in
+  checkIns: [{
+    value: Number,
+    confidence: { type: Number, min: 0, max: 10 },
+    note: String,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    date: { type: Date, default: Date.now }
+  }],
+  score: { type: Number, min: 0, max: 1 } // set at quarter close
+});
+
 const GoalSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: String,
@@ -14,14 +41,44 @@ const GoalSchema = new mongoose.Schema({
   startDate: { type: Date, default: Date.now },
   targetDate: { type: Date, required: true },
   progress: { type: Number, min: 0, max: 100, default: 0 },
-  status: { type: String, enum: ['active', 'completed', 'overdue', 'cancelled'], default: 'active' },
+  // closed: an OKR scored and frozen at quarter close
+  status: { type: String, enum: ['active', 'completed', 'overdue', 'cancelled', 'closed'], default: 'active' },
   priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
   milestones: [{
     title: String,
     targetDate: Date,
     completed: { type: Boolean, default: false },
-    completedAt: Date
+    completedAt: Date,
+    // Completed automatically once the date is reached, the goal's progress
+    // reaches completeAtProgress, or every task in completeWithTasks is done
+    completeWhen: { type: String, enum: ['manual', 'date', 'progress', 'tasks'], default: 'manual' },
+    completeAtProgress: { type: Number, min: 0, max: 100 },
+    completeWithTasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }]
   }],
+  // Where progress comes from: set by hand, the share of relatedTasks
+  // completed (by count or estimated hours), or a linked KPI's current value
+  tracking: {
+    source: { type: String, enum: ['manual', 'tasks', 'kpi'], default: 'manual' },
+    weighting: { type: String, enum: ['count', 'estimate'], default: 'count' },
+    kpi: { type: mongoose.Schema.Types.ObjectId, ref: 'KPI' } // defaults to the first of relatedKPIs
+  },
+  // OKR mode: the goal is an objective whose progress comes from its key results
+  mode: { type: String, enum: ['standard', 'okr'], default: 'standard' },
+  quarter: { type: String, match: /^\d{4}-Q[1-4]$/ }, // e.g. 2026-Q3
+  keyResults: [KeyResultSchema],
+  okr: {
+    score: { type: Number, min: 0, max: 1 },
+    grade: { type: String, enum: ['achieved', 'partial', 'missed'] },
+    closedAt: Date,
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    retro: {
+      wentWell: String,
+      toImprove: String,
+      nextSteps: String,
+      author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      updatedAt: Date
+    }
+  },
   relatedTasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
   relatedKPIs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'KPI' }],
   isPublic: { type: Boolean, default: false },
@@ -29,4 +86,8 @@ const GoalSchema = new mongoose.Schema({
   notes: String
 }, { timestamps: true });
 
+GoalSchema.index({ mode: 1, quarter: 1 });
+GoalSchema.index({ relatedTasks: 1 });
+GoalSchema.index({ relatedKPIs: 1 });
+
 module.exports = mongoose.model('Goal', GoalSchema); 
\ No newline at end of file
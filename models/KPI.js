@@ -9,16 +9,31 @@ const KPISchema = new mongoose.Schema({
   assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
   department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+  // Cascade: the KPI this one contributes to, and how much it counts there
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'KPI' },
+  weight: { type: Number, min: 0, default: 1 },
+  // How a KPI with children rolls their values up, see utils/kpis rollUpValue
+  rollup: { type: String, enum: ['progress', 'sum', 'average'], default: 'progress' },
   period: { type: String, enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'], default: 'monthly' },
   category: { type: String, enum: ['productivity', 'quality', 'efficiency', 'satisfaction', 'financial', 'custom'], default: 'productivity' },
-  formula: String,
-  dataSource: String,
+  formula: String, // expression over named metrics, see utils/kpiFormula
+  dataSource: String, // a single metric name (utils/kpis KPI_METRICS), used when there is no formula
   threshold: {
     warning: Number,
-    critical: Number
+    critical: Number,
+    // 'below': alert when the value drops to a threshold, 'above': when it rises to one
+    direction: { type: String, enum: ['below', 'above'], default: 'below' },
+    hysteresis: Number // recovery margin before an alert clears, see utils/kpiAlerts
+  },
+  alert: {
+    state: { type: String, enum: ['ok', 'warning', 'critical'], default: 'ok' },
+    value: Number,
+    since: Date,
+    checkedAt: Date
   },
   isActive: { type: Boolean, default: true },
   lastCalculated: Date,
+  closedPeriodEnd: Date, // end of the last period calculated in full, see utils/kpis isKPIDue
   history: [{
     value: Number,
     date: { type: Date, default: Date.now },
@@ -26,4 +41,6 @@ const KPISchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+KPISchema.index({ parent: 1 });
+
 module.exports = mongoose.model('KPI', KPISchema);
\ No newline at end of file
@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+const RISK_RATINGS = ['very_low', 'low', 'medium', 'high', 'very_high'];
+
+const RiskSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  category: String,
+  probability: { type: String, enum: RISK_RATINGS },
+  impact: { type: String, enum: RISK_RATINGS },
+  score: Number, // probability x impact on a 1-25 scale, kept for sorting
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  mitigation: String,
+  mitigationTasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+  reviewDate: Date,
+  lastReviewedAt: Date,
+  status: { type: String, enum: ['open', 'mitigated', 'closed'], default: 'open' },
+  statusHistory: [{
+    from: String,
+    to: String,
+    comment: String,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  comments: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    text: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
 const ProjectSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
@@ -16,10 +46,23 @@ const ProjectSchema = new mongoose.Schema({
   progress: { type: Number, min: 0, max: 100, default: 0 },
   budget: Number,
   actualCost: { type: Number, default: 0 },
+  costCalculatedAt: Date,
+  budgetThresholds: { type: [Number], default: [50, 75, 90, 100] }, // percent of budget spent that raise an alert
+  budgetAlerts: [{
+    threshold: Number,
+    actualCost: Number,
+    raisedAt: { type: Date, default: Date.now }
+  }],
   tags: [String],
   category: String,
   client: String,
   stakeholders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  members: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['owner', 'contributor', 'viewer', 'client'], default: 'contributor' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
   tasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
   milestones: [{
     title: String,
@@ -28,20 +71,32 @@ const ProjectSchema = new mongoose.Schema({
     completed: { type: Boolean, default: false },
     completedAt: Date
   }],
-  risks: [{
-    description: String,
-    probability: { type: String, enum: ['low', 'medium', 'high'] },
-    impact: { type: String, enum: ['low', 'medium', 'high'] },
-    mitigation: String,
-    status: { type: String, enum: ['open', 'mitigated', 'closed'] }
-  }],
+  risks: [RiskSchema],
   documents: [{
     name: String,
     url: String,
     uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     uploadedAt: { type: Date, default: Date.now }
   }],
-  isActive: { type: Boolean, default: true }
+  isActive: { type: Boolean, default: true },
+  isArchived: { type: Boolean, default: false }, // archived projects are read-only and hidden from default lists
+  archivedAt: Date,
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  clonedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  automation: {
+    autoComplete: { type: Boolean, default: true }, // complete once all milestones and tasks are done
+    staleAfterDays: { type: Number, min: 0, default: 30 } // put active projects on hold after this many idle days; 0 = off
+  },
+  statusHistory: [{
+    from: String,
+    to: String,
+    reason: String,
+    automatic: { type: Boolean, default: false },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
+ProjectSchema.index({ 'members.user': 1 });
+
 module.exports = mongoose.model('Project', ProjectSchema); 
\ No newline at end of file
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Invitation to join a project with a project role. The invitee accepts or
+// declines; project owners may revoke it while it is pending.
+const ProjectInvitationSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['owner', 'contributor', 'viewer', 'client'], default: 'contributor' },
+  message: String,
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: ['pending', 'accepted', 'declined', 'revoked'], default: 'pending' },
+  respondedAt: Date,
+  expiresAt: Date
+}, { timestamps: true });
+
+ProjectInvitationSchema.index({ user: 1, status: 1 });
+ProjectInvitationSchema.index({ project: 1, status: 1 });
+
+module.exports = mongoose.model('ProjectInvitation', ProjectInvitationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Catalogue item that users can buy with their points balance
+const RewardSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  image: String,
+  category: { type: String, enum: ['merchandise', 'time_off', 'experience', 'gift_card', 'donation', 'other'], default: 'other' },
+  cost: { type: Number, required: true, min: 1 },
+  stock: { type: Number, min: 0, default: null }, // null means unlimited
+  perUserLimit: { type: Number, min: 1 }, // unset means unlimited
+  requiresApproval: { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+RewardSchema.index({ isActive: 1, category: 1 });
+
+// A user's request for a reward. Points are taken when the request is made
+// and refunded if it is rejected or cancelled.
+const RewardRedemptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reward: { type: mongoose.Schema.Types.ObjectId, ref: 'Reward', required: true },
+  cost: { type: Number, required: true }, // points paid, as priced at the time
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled', 'fulfilled'], default: 'pending' },
+  note: String,
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  decisionNote: String,
+  fulfilledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  fulfilledAt: Date,
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PointsTransaction' },
+  refundTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PointsTransaction' }
+}, { timestamps: true });
+
+RewardRedemptionSchema.index({ user: 1, createdAt: -1 });
+RewardRedemptionSchema.index({ reward: 1, user: 1, status: 1 });
+RewardRedemptionSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = {
+  Reward: mongoose.model('Reward', RewardSchema),
+  RewardRedemption: mongoose.model('RewardRedemption', RewardRedemptionSchema)
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A task's membership in a sprint; removed entries are kept for the scope line
+const SprintTaskSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  addedAt: { type: Date, default: Date.now },
+  removedAt: Date,
+  carriedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint' }
+}, { _id: false });
+
+const SprintCapacitySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  hoursPerDay: { type: Number, min: 0, max: 24, default: 8 },
+  daysOff: { type: Number, min: 0, default: 0 } // working days unavailable during the sprint
+}, { _id: false });
+
+const SprintSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  name: { type: String, required: true },
+  goal: String,
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  status: { type: String, enum: ['planned', 'active', 'closed'], default: 'planned' },
+  tasks: [SprintTaskSchema],
+  capacity: [SprintCapacitySchema],
+  // Snapshots taken when the sprint starts and closes
+  committedPoints: Number,
+  completedPoints: Number,
+  carriedOverPoints: Number,
+  carriedOverTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint' },
+  startedAt: Date,
+  closedAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+SprintSchema.index({ project: 1, startDate: -1 });
+SprintSchema.index({ project: 1, status: 1 });
+
+module.exports = mongoose.model('Sprint', SprintSchema);
@@ -24,6 +24,18 @@ const BlockerSchema = new mongoose.Schema({
   resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 });
 
+// Array order is the display order
+const ChecklistItemSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dueDate: Date,
+  done: { type: Boolean, default: false },
+  doneAt: Date,
+  doneBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
 const TimeLogSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   startTime: Date,
@@ -32,6 +44,37 @@ const TimeLogSchema = new mongoose.Schema({
   description: String
 });
 
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+  interval: { type: Number, min: 1, default: 1 },
+  byWeekday: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+  monthlyMode: { type: String, enum: ['day_of_month', 'nth_weekday'], default: 'day_of_month' },
+  byMonthDay: { type: Number, min: 1, max: 31 },
+  bySetPos: { type: Number, enum: [1, 2, 3, 4, -1] }, // nth weekday of the month, -1 = last
+  startDate: { type: Date, required: true },
+  until: Date,
+  count: { type: Number, min: 1 },
+  exceptions: [Date], // skipped occurrence dates
+  leadTimeDays: { type: Number, min: 0, default: 1 } // create the next occurrence this many days ahead
+}, { _id: false });
+
+const EscalationSchema = new mongoose.Schema({
+  level: Number,
+  role: { type: String, enum: ['assignee', 'assigner', 'team_manager', 'department_head'] },
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notifiedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const OverdueSchema = new mongoose.Schema({
+  markedAt: Date,
+  deadline: Date, // deadline that was missed; a new deadline restarts escalation
+  previousStatus: String,
+  escalationLevel: Number, // 0 = assignee notified, then assigner, team manager, department head
+  lastEscalatedAt: Date,
+  escalations: [EscalationSchema],
+  aiReassignedAt: Date
+}, { _id: false });
+
 const TaskSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: String,
@@ -48,9 +91,10 @@ const TaskSchema = new mongoose.Schema({
   project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
   team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
   department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
-  comments: [CommentSchema],
+  comments: [CommentSchema], // legacy; comments are TaskComment documents (see scripts/migrate-task-comments.js)
   attachments: [AttachmentSchema],
   blockers: [BlockerSchema],
+  checklist: [ChecklistItemSchema],
   timeLogs: [TimeLogSchema],
   dependencies: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
   subtasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
@@ -61,7 +105,25 @@ const TaskSchema = new mongoose.Schema({
   complexity: { type: String, enum: ['simple', 'moderate', 'complex'], default: 'moderate' },
   risk: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
   completedAt: Date,
-  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recurrence: RecurrenceSchema,
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' }, // first task of a recurring series
+  occurrenceDate: Date,
+  occurrenceIndex: Number,
+  isRecurrenceException: { type: Boolean, default: false }, // edited individually, no longer follows series edits
+  workflowState: String, // state key in the project's workflow; status holds its category
+  boardRank: Number, // position within its status column on kanban boards, ascending
+  storyPoints: { type: Number, min: 0 },
+  sprint: { type: mongoose.Schema.Types.ObjectId, ref: 'Sprint' }, // current planned or active sprint
+  overdue: OverdueSchema
 }, { timestamps: true });
 
+TaskSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
+
+TaskSchema.index({ project: 1, status: 1, boardRank: 1 });
+TaskSchema.index({ team: 1, status: 1, boardRank: 1 });
+
 module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const ReactionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  emoji: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const EditSchema = new mongoose.Schema({
+  text: String, // text before the edit
+  editedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const TaskCommentSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, required: true },
+  type: { type: String, enum: ['comment', 'note', 'status_change', 'assignment'], default: 'comment' },
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'TaskComment' }, // direct parent
+  thread: { type: mongoose.Schema.Types.ObjectId, ref: 'TaskComment' }, // top-level comment of the thread
+  replyCount: { type: Number, default: 0 }, // replies in the thread, kept on the top-level comment
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  reactions: [ReactionSchema],
+  isEdited: { type: Boolean, default: false },
+  editedAt: Date,
+  editHistory: [EditSchema],
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date,
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+TaskCommentSchema.index({ task: 1, thread: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TaskComment', TaskCommentSchema);
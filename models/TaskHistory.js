@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const FieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const TaskHistorySchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  action: {
+    type: String,
+    enum: [
+      'created', 'updated', 'status_changed', 'assigned', 'reassigned', 'priority_changed',
+      'deadline_changed', 'progress_updated', 'blocker_added', 'blocker_resolved', 'blocker_reopened', 'completed',
+      'checklist_updated'
+    ],
+    required: true
+  },
+  source: { type: String, enum: ['rest', 'socket', 'ai_assignment', 'bulk_assign', 'system'], default: 'rest' },
+  changes: [FieldChangeSchema],
+  note: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+TaskHistorySchema.index({ task: 1, createdAt: -1 });
+TaskHistorySchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TaskHistory', TaskHistorySchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const PlaceholderSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // used as {{name}} in titles and descriptions
+  label: String,
+  required: { type: Boolean, default: false },
+  defaultValue: String
+}, { _id: false });
+
+const ChecklistItemSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: String,
+  estimatedHours: Number,
+  offsetDays: Number, // deadline relative to the instantiation start date
+  dependsOn: [Number] // indexes of earlier checklist items
+}, { _id: false });
+
+// No defaults here: in a project template the definition may only override
+// some fields of the task template it points to
+const TaskDefinitionSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  priority: { type: String, enum: ['low', 'medium', 'high', 'urgent'] },
+  complexity: { type: String, enum: ['simple', 'moderate', 'complex'] },
+  estimatedHours: Number,
+  tags: [String],
+  category: String,
+  deadlineOffsetDays: Number, // deadline relative to the instantiation start date
+  checklist: [ChecklistItemSchema] // created as subtasks
+}, { _id: false });
+
+const TaskTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // shared by all versions of a template
+  version: { type: Number, required: true, min: 1 },
+  isLatest: { type: Boolean, default: true },
+  name: { type: String, required: true },
+  description: String,
+  industry: String,
+  placeholders: [PlaceholderSchema],
+  task: { type: TaskDefinitionSchema, required: true },
+  isSystem: { type: Boolean, default: false }, // part of the seeded library
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changeNote: String
+}, { timestamps: true });
+
+TaskTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+TaskTemplateSchema.index({ industry: 1, isLatest: 1 });
+
+const ProjectTemplateTaskSchema = new mongoose.Schema({
+  ref: { type: String, required: true }, // local id used by dependsOn
+  templateKey: String, // task template to use; `task` overrides or replaces it
+  task: TaskDefinitionSchema,
+  deadlineOffsetDays: Number,
+  dependsOn: [String]
+}, { _id: false });
+
+const MilestoneOffsetSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  description: String,
+  offsetDays: { type: Number, required: true }
+}, { _id: false });
+
+const ProjectTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  version: { type: Number, required: true, min: 1 },
+  isLatest: { type: Boolean, default: true },
+  name: { type: String, required: true },
+  description: String,
+  industry: String,
+  placeholders: [PlaceholderSchema],
+  project: {
+    name: String,
+    description: String,
+    category: String,
+    priority: { type: String, enum: ['low', 'medium', 'high', 'urgent'], default: 'medium' },
+    tags: [String],
+    durationDays: Number
+  },
+  tasks: [ProjectTemplateTaskSchema],
+  milestones: [MilestoneOffsetSchema],
+  isSystem: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changeNote: String
+}, { timestamps: true });
+
+ProjectTemplateSchema.index({ key: 1, version: -1 }, { unique: true });
+ProjectTemplateSchema.index({ industry: 1, isLatest: 1 });
+
+module.exports = {
+  TaskTemplate: mongoose.model('TaskTemplate', TaskTemplateSchema),
+  ProjectTemplate: mongoose.model('ProjectTemplate', ProjectTemplateSchema)
+};
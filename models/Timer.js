@@ -9,6 +9,8 @@ const TimerSessionSchema = new mongoose.Schema({
   duration: Number, // in minutes
   actualDuration: Number, // actual time spent in minutes
   status: { type: String, enum: ['active', 'paused', 'completed', 'interrupted'], default: 'active' },
+  pausedAt: Date, // start of the current pause
+  pausedDuration: { type: Number, default: 0 }, // finished pauses, in minutes
   interruptions: [{
     reason: String,
     timestamp: { type: Date, default: Date.now }
@@ -46,9 +46,11 @@ const UserSchema = new mongoose.Schema({
   stats: {
     totalTasks: { type: Number, default: 0 },
     completedTasks: { type: Number, default: 0 },
-    totalPoints: { type: Number, default: 0 },
+    totalPoints: { type: Number, default: 0 }, // lifetime points earned, less penalties
+    pointsBalance: { type: Number, default: 0 }, // spendable points
     currentStreak: { type: Number, default: 0 },
-    longestStreak: { type: Number, default: 0 }
+    longestStreak: { type: Number, default: 0 },
+    lastActivityDate: Date // last day counted towards the streak
   },
   isActive: { type: Boolean, default: true },
   lastLogin: Date,
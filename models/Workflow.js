@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const WorkflowStateSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // e.g. 'in_review'
+  name: { type: String, required: true },
+  // Built-in task status the state maps to, used by reports and analytics
+  category: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'overdue', 'blocked', 'cancelled'],
+    required: true
+  },
+  color: String,
+  isInitial: { type: Boolean, default: false },
+  requiredFields: [String] // task fields that must be set when entering the state
+}, { _id: false });
+
+const WorkflowTransitionSchema = new mongoose.Schema({
+  from: { type: String, required: true }, // state key, or '*' for any state
+  to: { type: String, required: true },
+  name: String,
+  roles: [String], // user roles plus 'assignee' and 'project_manager'; empty = anyone with task access
+  requiredFields: [String]
+}, { _id: false });
+
+const WorkflowSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  name: { type: String, required: true },
+  description: String,
+  version: { type: Number, required: true, min: 1 },
+  isActive: { type: Boolean, default: false },
+  states: [WorkflowStateSchema],
+  transitions: [WorkflowTransitionSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changeNote: String
+}, { timestamps: true });
+
+WorkflowSchema.index({ project: 1, version: -1 }, { unique: true });
+WorkflowSchema.index({ project: 1, isActive: 1 });
+
+module.exports = mongoose.model('Workflow', WorkflowSchema);
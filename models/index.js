@@ -1,6 +1,11 @@
 // Core Models
 const User = require('./User');
 const Task = require('./Task');
+const TaskHistory = require('./TaskHistory');
+const TaskComment = require('./TaskComment');
+const Board = require('./Board');
+const Sprint = require('./Sprint');
+const CostRate = require('./CostRate');
 const KPI = require('./KPI');
 const Notification = require('./Notification');
 
@@ -13,6 +18,9 @@ const Team = require('./Team');
 const Department = require('./Department');
 const Role = require('./Role');
 const Project = require('./Project');
+const ProjectInvitation = require('./ProjectInvitation');
+const Workflow = require('./Workflow');
+const { TaskTemplate, ProjectTemplate } = require('./Template');
 
 // Goals & Performance
 const Goal = require('./Goal');
@@ -22,6 +30,7 @@ const Timer = require('./Timer');
 
 // Gamification
 const Gamification = require('./Gamification');
+const { Reward, RewardRedemption } = require('./Reward');
 
 // File Management
 const File = require('./File');
@@ -41,6 +50,11 @@ module.exports = {
   // Core Models
   User,
   Task,
+  TaskHistory,
+  TaskComment,
+  Board,
+  Sprint,
+  CostRate,
   KPI,
   Notification,
   
@@ -53,6 +67,10 @@ module.exports = {
   Department,
   Role,
   Project,
+  ProjectInvitation,
+  Workflow,
+  TaskTemplate,
+  ProjectTemplate,
   
   // Goals & Performance
   Goal,
@@ -62,6 +80,8 @@ module.exports = {
   
   // Gamification
   Gamification,
+  Reward,
+  RewardRedemption,
   
   // File Management
   File,
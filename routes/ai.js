@@ -3,6 +3,7 @@ const router = express.Router();
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
 const Task = require('../models/Task');
 const aiClient = require('../utils/aiClient');
+const { snapshotTask, recordTaskDiff } = require('../utils/taskHistory');
 const { emitToUser, emitNotification } = require('../socket');
 const Logger = require('../utils/logger');
 const { aiLimiter, strictLimiter } = require('../middleware/rateLimiter');
@@ -23,7 +24,7 @@ router.post('/assign-tasks', aiLimiter, authenticateJWT, authorizeRoles('admin',
     const enrichedMembers = await Promise.all(teamMembers.map(async (member) => {
       const activeTasks = await Task.countDocuments({
         assignedTo: member.id || member._id,
-        status: { $in: ['pending', 'in-progress'] }
+        status: { $in: ['pending', 'in_progress'] }
       });
       
       const completedTasks = await Task.countDocuments({
@@ -49,11 +50,19 @@ router.post('/assign-tasks', aiLimiter, authenticateJWT, authorizeRoles('admin',
     const updatePromises = aiResult.assignments.map(async (assignment) => {
       const task = await Task.findById(assignment.task_id);
       if (task) {
+        const before = snapshotTask(task);
         task.assignedTo = assignment.assigned_to;
         task.assignedBy = req.user._id;
         task.aiAssigned = true;
         task.aiReason = assignment.reason;
         await task.save();
+
+        await recordTaskDiff(before, task, {
+          actor: req.user._id,
+          source: 'ai_assignment',
+          note: assignment.reason,
+          metadata: { confidence: assignment.confidence }
+        });
         
         // Emit real-time notification
         emitToUser(assignment.assigned_to, 'ai-task-assigned', {
@@ -142,7 +151,7 @@ router.get('/suggestions', authenticateJWT, async (req, res) => {
     // Get basic task data
     const userTasks = await Task.find({
       assignedTo: targetUserId,
-      status: { $in: ['pending', 'in-progress'] }
+      status: { $in: ['pending', 'in_progress'] }
     }).sort({ deadline: 1 });
     
     const overdueTasks = userTasks.filter(task => 
@@ -4,6 +4,7 @@ const Task = require('../models/Task');
 const User = require('../models/User');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
 const aiClient = require('../utils/aiClient');
+const { overdueFilter } = require('../utils/overdueTasks');
 const Logger = require('../utils/logger');
 
 const logger = new Logger('ANALYTICS');
@@ -32,13 +33,9 @@ router.get('/overview', authenticateJWT, async (req, res) => {
     // Get statistics
     const totalTasks = await Task.countDocuments(filter);
     const completedTasks = await Task.countDocuments({ ...filter, status: 'completed' });
-    const inProgressTasks = await Task.countDocuments({ ...filter, status: 'in-progress' });
+    const inProgressTasks = await Task.countDocuments({ ...filter, status: 'in_progress' });
     const pendingTasks = await Task.countDocuments({ ...filter, status: 'pending' });
-    const overdueTasks = await Task.countDocuments({
-      ...filter,
-      deadline: { $lt: new Date() },
-      status: { $ne: 'completed' }
-    });
+    const overdueTasks = await Task.countDocuments({ ...filter, ...overdueFilter() });
 
     // Calculate completion rate
     const completionRate = totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(1) : 0;
@@ -154,7 +151,7 @@ router.get('/trends', authenticateJWT, async (req, res) => {
       }
       if (stat._id.status === 'completed') {
         trendData[date].completed = stat.count;
-      } else if (stat._id.status === 'in-progress') {
+      } else if (stat._id.status === 'in_progress') {
         trendData[date].inProgress = stat.count;
       } else if (stat._id.status === 'pending') {
         trendData[date].pending = stat.count;
@@ -220,7 +217,7 @@ router.get('/team-performance', authenticateJWT, authorizeRoles('admin', 'manage
             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
           },
           inProgressTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] }
           },
           pendingTasks: {
             $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
@@ -289,7 +286,7 @@ router.get('/user-productivity', authenticateJWT, authorizeRoles('admin', 'manag
             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
           },
           inProgressTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] }
           },
           pendingTasks: {
             $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
@@ -377,7 +374,7 @@ router.get('/priority-analysis', authenticateJWT, async (req, res) => {
             $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
           },
           inProgress: {
-            $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] }
           },
           pending: {
             $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
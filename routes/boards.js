@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const Board = require('../models/Board');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const { authenticateJWT } = require('../middleware/auth');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { emitToBoard } = require('../socket');
+const { validateColumns, getBoardConfig, loadBoard } = require('../utils/board');
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+const canManageTeam = (user, team) =>
+  user.role === 'admin' || [team.manager, team.lead].some(id => isSameUser(id, user));
+
+// Board scopes by route segment: how to load the scope and who may view the
+// board or change its settings. Project boards follow project roles.
+const SCOPES = {
+  projects: {
+    scopeType: 'project',
+    name: 'Project',
+    load: id => Project.findById(id),
+    canManage: (user, project) => !project.isArchived && hasProjectPermission(project, user, 'manage'),
+    canView: (user, project) => hasProjectPermission(project, user, 'view')
+  },
+  teams: {
+    scopeType: 'team',
+    name: 'Team',
+    load: id => Team.findById(id),
+    canManage: canManageTeam,
+    canView: (user, team) =>
+      user.role === 'manager' || canManageTeam(user, team) || (team.members || []).some(id => isSameUser(id, user))
+  }
+};
+
+/**
+ * Board view and WIP settings routes shared by project and team boards
+ */
+function registerBoardRoutes(segment) {
+  const scope = SCOPES[segment];
+
+  // GET /api/boards/:scope/:id - Tasks grouped by status in board order, with WIP state
+  router.get(`/${segment}/:id`, authenticateJWT, async (req, res) => {
+    try {
+      const doc = await scope.load(req.params.id);
+      if (!doc) {
+        return res.status(404).json({ message: `${scope.name} not found` });
+      }
+      if (!scope.canView(req.user, doc)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const filters = {};
+      if (req.query.assignedTo) filters.assignedTo = req.query.assignedTo;
+      if (req.query.priority) filters.priority = req.query.priority;
+
+      const board = await loadBoard(scope.scopeType, doc._id, filters);
+      res.json({ ...board, boardId: `${scope.scopeType}:${doc._id}` });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to fetch board', error: err.message });
+    }
+  });
+
+  // GET /api/boards/:scope/:id/columns - Column WIP settings
+  router.get(`/${segment}/:id/columns`, authenticateJWT, async (req, res) => {
+    try {
+      const doc = await scope.load(req.params.id);
+      if (!doc) {
+        return res.status(404).json({ message: `${scope.name} not found` });
+      }
+      if (!scope.canView(req.user, doc)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      res.json(await getBoardConfig(scope.scopeType, doc._id));
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to fetch board settings', error: err.message });
+    }
+  });
+
+  // PUT /api/boards/:scope/:id/columns - Set column WIP limits and whether they warn or block
+  router.put(`/${segment}/:id/columns`, authenticateJWT, async (req, res) => {
+    try {
+      const doc = await scope.load(req.params.id);
+      if (!doc) {
+        return res.status(404).json({ message: `${scope.name} not found` });
+      }
+      if (!scope.canManage(req.user, doc)) {
+        return res.status(403).json({ message: 'Only an admin or the board owner can change board settings' });
+      }
+
+      const { columns } = req.body;
+      const errors = validateColumns(columns);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid board columns', errors });
+      }
+
+      await Board.findOneAndUpdate(
+        { scopeType: scope.scopeType, scope: doc._id },
+        {
+          columns: columns.map(({ status, wipLimit, wipMode }) => ({ status, wipLimit, wipMode })),
+          updatedBy: req.user._id
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      const config = await getBoardConfig(scope.scopeType, doc._id);
+      emitToBoard(`${scope.scopeType}:${doc._id}`, 'board-settings-updated', config);
+      res.json(config);
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to update board settings', error: err.message });
+    }
+  });
+}
+
+registerBoardRoutes('projects');
+registerBoardRoutes('teams');
+
+module.exports = router;
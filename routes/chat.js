@@ -1,8 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const ChatMessage = require('../models/ChatMessage');
 const Conversation = require('../models/Conversation');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { loadProjectRole } = require('../middleware/projectAccess');
+const { getProjectRole, roleAllows, memberProjectFilter } = require('../utils/projectAccess');
 const multer = require('multer');
 const path = require('path');
 
@@ -32,14 +37,56 @@ const upload = multer({
   }
 });
 
+const refId = value => value && (value._id || value);
+
+/**
+ * Project role check for conversations scoped to a project, directly or
+ * through their task. Conversations outside projects are always allowed.
+ */
+async function hasConversationProjectAccess(conversation, user, level) {
+  const metadata = conversation.metadata || {};
+  let projectId = refId(metadata.project);
+  if (!projectId && metadata.task) {
+    const task = await Task.findById(refId(metadata.task)).select('project');
+    projectId = task && task.project;
+  }
+  if (!projectId) return true;
+  return roleAllows(await loadProjectRole(projectId, user), level);
+}
+
+/**
+ * Users without any role on the project
+ */
+async function findNonMembers(projectId, userIds) {
+  const project = await Project.findById(projectId).select('manager members stakeholders');
+  if (!project) return userIds;
+  return userIds.filter(id => !getProjectRole(project, { _id: id }));
+}
+
 // ===== CONVERSATION MANAGEMENT =====
 
 // Get all conversations for the authenticated user
 router.get('/conversations', authenticateJWT, async (req, res) => {
   try {
+    // Leave out conversations of projects the user no longer belongs to,
+    // whether set on the conversation or reached through its task
+    const projectIds = await Project.find(memberProjectFilter(req.user)).distinct('_id');
+    const conversationTaskIds = await Conversation.find({
+      participants: req.user._id,
+      'metadata.project': null,
+      'metadata.task': { $ne: null }
+    }).distinct('metadata.task');
+    const lostTaskIds = await Task.find({
+      _id: { $in: conversationTaskIds },
+      project: { $ne: null, $nin: projectIds }
+    }).distinct('_id');
     const conversations = await Conversation.find({
       participants: req.user._id,
-      isActive: true
+      isActive: true,
+      $or: [
+        { 'metadata.project': null, 'metadata.task': { $nin: lostTaskIds } },
+        { 'metadata.project': { $in: projectIds } }
+      ]
     })
     .populate('participants', 'name email role avatar')
     .populate('lastMessage')
@@ -70,8 +117,9 @@ router.get('/conversations/:id', authenticateJWT, async (req, res) => {
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    // Check if user is a participant
-    if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
+    // Check if user is a participant (and still a member of its project)
+    if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString()) ||
+        !(await hasConversationProjectAccess(conversation, req.user, 'view'))) {
       return res.status(403).json({ message: 'Access denied to this conversation' });
     }
 
@@ -135,6 +183,12 @@ router.post('/conversations/:id/participants', authenticateJWT, async (req, res)
       return res.status(400).json({ message: 'User is already a participant' });
     }
 
+    // Project conversations are limited to project members
+    if (conversation.metadata && conversation.metadata.project &&
+        (await findNonMembers(conversation.metadata.project, [userId])).length > 0) {
+      return res.status(400).json({ message: 'User is not a member of this project' });
+    }
+
     conversation.participants.push(userId);
     await conversation.save();
 
@@ -185,17 +239,40 @@ router.delete('/conversations/:id/participants/:userId', authenticateJWT, async
 // Create new conversation
 router.post('/conversations', authenticateJWT, async (req, res) => {
   try {
-    const { name, type, participants, projectId, teamId, taskId } = req.body;
+    const { name, type, participants, teamId, taskId } = req.body;
+    let { projectId } = req.body;
 
     if (!type || !participants || participants.length === 0) {
       return res.status(400).json({ message: 'Type and participants are required' });
     }
+    if ([projectId, teamId, taskId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid project, team or task id' });
+    }
+
+    // A task conversation belongs to the task's project
+    if (taskId && !projectId) {
+      const task = await Task.findById(taskId).select('project');
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      projectId = task.project;
+    }
 
     // Add creator to participants if not already included
     if (!participants.includes(req.user._id.toString())) {
       participants.push(req.user._id.toString());
     }
 
+    if (projectId) {
+      if (!roleAllows(await loadProjectRole(projectId, req.user), 'comment')) {
+        return res.status(403).json({ message: 'You cannot start conversations in this project' });
+      }
+      const nonMembers = await findNonMembers(projectId, participants);
+      if (nonMembers.length > 0) {
+        return res.status(400).json({ message: 'All participants must be members of the project', nonMembers });
+      }
+    }
+
     const conversation = new Conversation({
       name: name || `${type.charAt(0).toUpperCase() + type.slice(1)} Chat`,
       type,
@@ -264,7 +341,8 @@ router.get('/messages/:convId', authenticateJWT, async (req, res) => {
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    if (!conversation.participants.some(p => p.toString() === req.user._id.toString())) {
+    if (!conversation.participants.some(p => p.toString() === req.user._id.toString()) ||
+        !(await hasConversationProjectAccess(conversation, req.user, 'view'))) {
       return res.status(403).json({ message: 'Access denied to this conversation' });
     }
 
@@ -316,8 +394,9 @@ router.post('/conversations/:id/messages', authenticateJWT, async (req, res) =>
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    // Check if user is a participant
-    if (!conversation.participants.some(p => p.toString() === req.user._id.toString())) {
+    // Check if user is a participant who may post in the project
+    if (!conversation.participants.some(p => p.toString() === req.user._id.toString()) ||
+        !(await hasConversationProjectAccess(conversation, req.user, 'comment'))) {
       return res.status(403).json({ message: 'Access denied to this conversation' });
     }
 
@@ -632,7 +711,8 @@ router.post('/upload', authenticateJWT, upload.single('file'), async (req, res)
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    if (!conversation.participants.some(p => p.toString() === req.user._id.toString())) {
+    if (!conversation.participants.some(p => p.toString() === req.user._id.toString()) ||
+        !(await hasConversationProjectAccess(conversation, req.user, 'comment'))) {
       return res.status(403).json({ message: 'Access denied to this conversation' });
     }
 
@@ -686,7 +766,8 @@ router.get('/files/:convId', authenticateJWT, async (req, res) => {
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    if (!conversation.participants.some(p => p.toString() === req.user._id.toString())) {
+    if (!conversation.participants.some(p => p.toString() === req.user._id.toString()) ||
+        !(await hasConversationProjectAccess(conversation, req.user, 'view'))) {
       return res.status(403).json({ message: 'Access denied to this conversation' });
     }
 
@@ -791,6 +872,10 @@ router.post('/:taskId', authenticateJWT, async (req, res) => {
   try {
     const { message } = req.body;
     if (!message) return res.status(400).json({ message: 'Message is required.' });
+
+    if (!(await hasConversationProjectAccess({ metadata: { task: req.params.taskId } }, req.user, 'comment'))) {
+      return res.status(403).json({ message: 'Access denied to this task chat' });
+    }
     
     // Find or create conversation for this task
     let conversation = await Conversation.findOne({
@@ -833,6 +918,10 @@ router.post('/:taskId', authenticateJWT, async (req, res) => {
 // Get all chat messages for a task
 router.get('/:taskId', authenticateJWT, async (req, res) => {
   try {
+    if (!(await hasConversationProjectAccess({ metadata: { task: req.params.taskId } }, req.user, 'view'))) {
+      return res.status(403).json({ message: 'Access denied to this task chat' });
+    }
+
     const conversation = await Conversation.findOne({
       'metadata.task': req.params.taskId,
       type: 'task'
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const CostRate = require('../models/CostRate');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+
+const RATE_FIELDS = ['user', 'role', 'hourlyRate', 'currency', 'effectiveFrom', 'effectiveTo', 'note'];
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+/**
+ * Validate a cost rate: exactly one of user or role, a non-negative rate and
+ * an effective period. Returns an error message or null.
+ */
+function validateRate(rate) {
+  if (!!rate.user === !!rate.role) return 'Set either a user or a role';
+  if (!(Number(rate.hourlyRate) >= 0)) return 'Hourly rate must be a non-negative number';
+
+  const from = new Date(rate.effectiveFrom);
+  if (!rate.effectiveFrom || isNaN(from.getTime())) return 'A valid effectiveFrom date is required';
+  if (rate.effectiveTo) {
+    const to = new Date(rate.effectiveTo);
+    if (isNaN(to.getTime()) || to <= from) return 'effectiveTo must be after effectiveFrom';
+  }
+  return null;
+}
+
+// GET /api/cost-rates - List cost rates (?user=, ?role=, ?at= effective at a date)
+router.get('/', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { user, role, at } = req.query;
+    const filter = {};
+    if (user) filter.user = user;
+    if (role) filter.role = role;
+    if (at) {
+      const date = new Date(at);
+      filter.effectiveFrom = { $lte: date };
+      filter.$or = [{ effectiveTo: { $exists: false } }, { effectiveTo: null }, { effectiveTo: { $gt: date } }];
+    }
+
+    const rates = await CostRate.find(filter)
+      .populate('user', 'name email role')
+      .sort({ effectiveFrom: -1 });
+    res.json(rates);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch cost rates', error: err.message });
+  }
+});
+
+// POST /api/cost-rates - Add a rate for a user or role
+router.post('/', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const data = pick(req.body, RATE_FIELDS);
+    const error = validateRate(data);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rate = await CostRate.create({ ...data, createdBy: req.user._id });
+    res.status(201).json(rate);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create cost rate', error: err.message });
+  }
+});
+
+// PUT /api/cost-rates/:id - Update a rate
+router.put('/:id', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const rate = await CostRate.findById(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Cost rate not found' });
+    }
+
+    const data = { ...pick(rate.toObject(), RATE_FIELDS), ...pick(req.body, RATE_FIELDS) };
+    const error = validateRate(data);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    Object.assign(rate, pick(req.body, RATE_FIELDS));
+    await rate.save();
+    res.json(rate);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update cost rate', error: err.message });
+  }
+});
+
+// DELETE /api/cost-rates/:id - Delete a rate
+router.delete('/:id', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const rate = await CostRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Cost rate not found' });
+    }
+    res.json({ message: 'Cost rate deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to delete cost rate', error: err.message });
+  }
+});
+
+module.exports = router;
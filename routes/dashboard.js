@@ -3,6 +3,7 @@ const router = express.Router();
 const Task = require('../models/Task');
 const User = require('../models/User');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { isOverdue, overdueFilter } = require('../utils/overdueTasks');
 
 // Get user dashboard data (for all authenticated users)
 router.get('/', authenticateJWT, async (req, res) => {
@@ -26,12 +27,8 @@ router.get('/', authenticateJWT, async (req, res) => {
     const totalTasks = userTasks.length;
     const completedTasks = userTasks.filter(task => task.status === 'completed').length;
     const pendingTasks = userTasks.filter(task => task.status === 'pending').length;
-    const overdueTasks = userTasks.filter(task => {
-      if (task.deadline && task.status !== 'completed') {
-        return new Date(task.deadline) < new Date();
-      }
-      return false;
-    }).length;
+    const now = new Date();
+    const overdueTasks = userTasks.filter(task => isOverdue(task, now)).length;
 
     // Calculate productivity score (based on completed vs total tasks)
     const productivityScore = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
@@ -63,7 +60,7 @@ router.get('/stats', authenticateJWT, authorizeRoles('employer'), async (req, re
   try {
     const totalTasks = await Task.countDocuments();
     const completed = await Task.countDocuments({ status: 'completed' });
-    const overdue = await Task.countDocuments({ status: 'overdue' });
+    const overdue = await Task.countDocuments(overdueFilter());
     const byDepartment = await Task.aggregate([
       { $lookup: { from: 'users', localField: 'assignedTo', foreignField: '_id', as: 'user' } },
       { $unwind: '$user' },
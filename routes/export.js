@@ -351,7 +351,7 @@ router.post('/analytics', auth, async (req, res) => {
 
     const totalTasks = await Task.countDocuments(filter);
     const completedTasks = await Task.countDocuments({ ...filter, status: 'completed' });
-    const inProgressTasks = await Task.countDocuments({ ...filter, status: 'in-progress' });
+    const inProgressTasks = await Task.countDocuments({ ...filter, status: 'in_progress' });
     const pendingTasks = await Task.countDocuments({ ...filter, status: 'pending' });
     const completionRate = totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(1) : 0;
 
@@ -5,6 +5,9 @@ const path = require('path');
 const fs = require('fs');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
 const File = require('../models/File');
+const Project = require('../models/Project');
+const { loadProjectAccess, loadProjectRole } = require('../middleware/projectAccess');
+const { roleAllows, memberProjectFilter } = require('../utils/projectAccess');
 
 // Ensure uploads directory exists
 const uploadsDir = 'uploads/files';
@@ -38,6 +41,32 @@ const upload = multer({
   }
 });
 
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+const projectRoleFor = (file, user) => loadProjectRole(file.project._id || file.project, user);
+
+/**
+ * Read access to a file. Project files are limited to the uploader and the
+ * project's members; other files are readable when public, shared with the
+ * user, unscoped, or by admins and managers when attached to a task or team.
+ */
+async function canReadFile(user, file) {
+  if (isSameUser(file.uploadedBy, user)) return true;
+  if (file.project) return roleAllows(await projectRoleFor(file, user), 'view');
+  if (file.isPublic || file.sharedWith.some(share => isSameUser(share.user, user))) return true;
+  return (!file.task && !file.team) || user.role === 'admin' || user.role === 'manager';
+}
+
+/**
+ * The uploader may always manage a file; project owners manage the files of
+ * their project, admins and managers any other file
+ */
+async function canManageFile(user, file) {
+  if (isSameUser(file.uploadedBy, user)) return true;
+  if (file.project) return roleAllows(await projectRoleFor(file, user), 'manage');
+  return user.role === 'admin' || user.role === 'manager';
+}
+
 // Upload file
 router.post('/upload', authenticateJWT, upload.single('file'), async (req, res) => {
   try {
@@ -46,6 +75,18 @@ router.post('/upload', authenticateJWT, upload.single('file'), async (req, res)
     }
 
     const { description, tags, category, isPublic, task, project, team, department } = req.body;
+
+    if (project) {
+      const access = await loadProjectAccess(project, req.user);
+      if (!access || !roleAllows(access.role, 'contribute')) {
+        fs.unlinkSync(req.file.path);
+        return res.status(403).json({ message: 'You cannot upload files to this project' });
+      }
+      if (access.archived) {
+        fs.unlinkSync(req.file.path);
+        return res.status(409).json({ message: 'Project is archived and read-only' });
+      }
+    }
     
     // Determine file category based on mime type
     let fileCategory = category || 'other';
@@ -111,27 +152,8 @@ router.get('/:id', authenticateJWT, async (req, res) => {
     }
 
     // Check access permissions
-    if (!file.isPublic && file.uploadedBy._id.toString() !== req.user._id.toString()) {
-      // Check if user has access through shared permissions
-      const hasSharedAccess = file.sharedWith.some(share => 
-        share.user.toString() === req.user._id.toString()
-      );
-      
-      if (!hasSharedAccess) {
-        // Check if user has access through task/project/team
-        if (file.task && req.user.role !== 'admin' && req.user.role !== 'manager') {
-          // Additional task access check would go here
-          return res.status(403).json({ message: 'Access denied' });
-        }
-        if (file.project && req.user.role !== 'admin' && req.user.role !== 'manager') {
-          // Additional project access check would go here
-          return res.status(403).json({ message: 'Access denied' });
-        }
-        if (file.team && req.user.role !== 'admin' && req.user.role !== 'manager') {
-          // Additional team access check would go here
-          return res.status(403).json({ message: 'Access denied' });
-        }
-      }
+    if (!(await canReadFile(req.user, file))) {
+      return res.status(403).json({ message: 'Access denied' });
     }
     
     res.json({
@@ -153,9 +175,8 @@ router.delete('/:id', authenticateJWT, async (req, res) => {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check permissions - only owner, admin, or manager can delete
-    if (file.uploadedBy.toString() !== req.user._id.toString() && 
-        req.user.role !== 'admin' && req.user.role !== 'manager') {
+    // Check permissions - only the owner, project owners, admins or managers can delete
+    if (!(await canManageFile(req.user, file))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -190,22 +211,8 @@ router.get('/download/:id', authenticateJWT, async (req, res) => {
     }
 
     // Check access permissions (same logic as GET /:id)
-    if (!file.isPublic && file.uploadedBy.toString() !== req.user._id.toString()) {
-      const hasSharedAccess = file.sharedWith.some(share => 
-        share.user.toString() === req.user._id.toString()
-      );
-      
-      if (!hasSharedAccess) {
-        if (file.task && req.user.role !== 'admin' && req.user.role !== 'manager') {
-          return res.status(403).json({ message: 'Access denied' });
-        }
-        if (file.project && req.user.role !== 'admin' && req.user.role !== 'manager') {
-          return res.status(403).json({ message: 'Access denied' });
-        }
-        if (file.team && req.user.role !== 'admin' && req.user.role !== 'manager') {
-          return res.status(403).json({ message: 'Access denied' });
-        }
-      }
+    if (!(await canReadFile(req.user, file))) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
     const filePath = path.join(__dirname, '..', file.url);
@@ -247,9 +254,8 @@ router.post('/share', authenticateJWT, async (req, res) => {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check if user owns the file or is admin/manager
-    if (file.uploadedBy.toString() !== req.user._id.toString() && 
-        req.user.role !== 'admin' && req.user.role !== 'manager') {
+    // Check if user owns the file, owns its project or is admin/manager
+    if (!(await canManageFile(req.user, file))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -303,17 +309,27 @@ router.post('/share', authenticateJWT, async (req, res) => {
 // Get user's files with pagination and filtering
 router.get('/', authenticateJWT, async (req, res) => {
   try {
-    const { page = 1, limit = 20, category, tags, isPublic, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 20, category, tags, isPublic, project, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
     const skip = (page - 1) * limit;
 
     // Build filter object
     const filter = { isDeleted: false };
     
-    // Show user's own files and public files
-    filter.$or = [
-      { uploadedBy: req.user._id },
-      { isPublic: true }
-    ];
+    if (project) {
+      // All files of a project the user belongs to
+      if (!roleAllows(await loadProjectRole(project, req.user), 'view')) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      filter.project = project;
+    } else {
+      // Show user's own files and public files, leaving out other projects' files
+      const projectIds = await Project.find(memberProjectFilter(req.user)).distinct('_id');
+      filter.$or = [
+        { uploadedBy: req.user._id },
+        { isPublic: true, project: null },
+        { isPublic: true, project: { $in: projectIds } }
+      ];
+    }
 
     // Add additional filters
     if (category) filter.category = category;
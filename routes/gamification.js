@@ -1,17 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateJWT } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  Badge,
+  Achievement,
+  UserBadge,
+  UserAchievement,
+  PointsTransaction
+} = require('../models/Gamification');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const {
+  levelForPoints,
+  awardPoints,
+  recordActivity,
+  awardBadge,
+  revokeBadge,
+  setAchievementProgress
+} = require('../utils/gamification');
+const { evaluateUser, backfillAwards } = require('../utils/gamificationRules');
+const {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_TYPES,
+  refreshLeaderboards,
+  getLeaderboard
+} = require('../utils/leaderboards');
+
+const DEFINITION_FIELDS = ['name', 'description', 'icon', 'color', 'category', 'criteria', 'rarity', 'points', 'isRepeatable', 'isActive'];
+
+const isSelf = (req, userId) => req.user._id.toString() === String(userId);
+
+const canManage = (user) => ['admin', 'manager'].includes(user.role);
+
+const pickDefinition = (body) => DEFINITION_FIELDS.reduce((result, field) => {
+  if (body[field] !== undefined) result[field] = body[field];
+  return result;
+}, {});
+
+const leaderboardLimit = (req) => Math.min(parseInt(req.query.limit) || 10, 100);
 
 // Get all badges
 router.get('/badges', authenticateJWT, async (req, res) => {
   try {
-    // TODO: Implement badges retrieval
-    const badges = [
-      { id: '1', name: 'First Task', description: 'Complete your first task', icon: '🎯' },
-      { id: '2', name: 'Streak Master', description: 'Maintain a 7-day streak', icon: '🔥' },
-      { id: '3', name: 'Team Player', description: 'Collaborate on 10 tasks', icon: '🤝' }
-    ];
-    
+    const filter = req.query.all === 'true' && req.user.role === 'admin' ? {} : { isActive: true };
+    const badges = await Badge.find(filter).sort({ category: 1, name: 1 });
+
     res.json({
       message: 'Badges retrieved successfully',
       badges
@@ -21,17 +54,45 @@ router.get('/badges', authenticateJWT, async (req, res) => {
   }
 });
 
-// Get user badges
+// Create badge
+router.post('/badges', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const badge = await Badge.create(pickDefinition(req.body));
+    res.status(201).json({ message: 'Badge created successfully', badge });
+  } catch (err) {
+    const status = err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Failed to create badge', error: err.message });
+  }
+});
+
+// Update badge
+router.put('/badges/:badgeId', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const badge = await Badge.findByIdAndUpdate(req.params.badgeId, pickDefinition(req.body), { new: true, runValidators: true });
+    if (!badge) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    res.json({ message: 'Badge updated successfully', badge });
+  } catch (err) {
+    const status = err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Failed to update badge', error: err.message });
+  }
+});
+
+// Get user badges (?includeRevoked=true for admins and managers)
 router.get('/badges/user/:id', authenticateJWT, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // TODO: Implement user badges retrieval
-    const userBadges = [
-      { id: '1', name: 'First Task', earnedAt: '2023-12-01', icon: '🎯' },
-      { id: '2', name: 'Streak Master', earnedAt: '2023-12-15', icon: '🔥' }
-    ];
-    
+    const filter = { user: id };
+    if (req.query.includeRevoked !== 'true' || !canManage(req.user)) {
+      filter.revokedAt = { $exists: false };
+    }
+
+    const userBadges = await UserBadge.find(filter)
+      .populate('badge')
+      .populate('awardedBy', 'name')
+      .sort({ awardedAt: -1 });
+
     res.json({
       message: 'User badges retrieved successfully',
       userId: id,
@@ -43,82 +104,213 @@ router.get('/badges/user/:id', authenticateJWT, async (req, res) => {
 });
 
 // Award badge to user
-router.post('/badges/award', authenticateJWT, async (req, res) => {
+router.post('/badges/award', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
   try {
-    const { userId, badgeId, reason } = req.body;
-    
-    // TODO: Implement badge awarding
-    const awardedBadge = {
-      userId,
-      badgeId,
-      awardedBy: req.user._id,
-      reason,
-      awardedAt: new Date().toISOString()
-    };
-    
-    res.json({
+    const { userId, badgeId, reason, context } = req.body;
+    if (!userId || !badgeId) {
+      return res.status(400).json({ message: 'userId and badgeId are required' });
+    }
+
+    const [badge, user] = await Promise.all([Badge.findById(badgeId), User.exists({ _id: userId })]);
+    if (!badge || !badge.isActive) {
+      return res.status(404).json({ message: 'Badge not found' });
+    }
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { userBadge, awarded } = await awardBadge(userId, badge, { awardedBy: req.user._id, reason, context });
+    if (!awarded) {
+      return res.status(409).json({ message: 'User already holds this badge', awardedBadge: userBadge });
+    }
+
+    res.status(201).json({
       message: 'Badge awarded successfully',
-      awardedBadge
+      awardedBadge: userBadge
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to award badge', error: err.message });
   }
 });
 
-// Get all achievements
+// Revoke badge from user
+router.post('/badges/revoke', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId, badgeId, reason } = req.body;
+    const userBadge = await revokeBadge(userId, badgeId, { revokedBy: req.user._id, reason });
+    if (!userBadge) {
+      return res.status(404).json({ message: 'User does not hold this badge' });
+    }
+    res.json({ message: 'Badge revoked successfully', revokedBadge: userBadge });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to revoke badge', error: err.message });
+  }
+});
+
+// Get all achievements with the caller's progress
 router.get('/achievements', authenticateJWT, async (req, res) => {
   try {
-    // TODO: Implement achievements retrieval
-    const achievements = [
-      { id: '1', name: 'Task Master', description: 'Complete 100 tasks', icon: '🏆' },
-      { id: '2', name: 'Efficiency Expert', description: 'Maintain 90% efficiency for a month', icon: '⚡' },
-      { id: '3', name: 'Collaboration Champion', description: 'Work with 20 different team members', icon: '🌟' }
-    ];
-    
+    const achievements = await Achievement.find({ isActive: true }).sort({ category: 1, name: 1 });
+    const progress = await UserAchievement.find({ user: req.user._id }).sort({ updatedAt: -1 });
+
     res.json({
       message: 'Achievements retrieved successfully',
-      achievements
+      achievements: achievements.map(achievement => {
+        const records = progress.filter(entry => entry.achievement.toString() === achievement._id.toString());
+        const open = records.find(entry => !entry.completed);
+        return {
+          ...achievement.toObject(),
+          target: (achievement.criteria && achievement.criteria.value) || 1,
+          progress: open ? open.progress : 0,
+          timesCompleted: records.filter(entry => entry.completed).length
+        };
+      })
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch achievements', error: err.message });
   }
 });
 
+// Create achievement
+router.post('/achievements', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const achievement = await Achievement.create(pickDefinition(req.body));
+    res.status(201).json({ message: 'Achievement created successfully', achievement });
+  } catch (err) {
+    const status = err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Failed to create achievement', error: err.message });
+  }
+});
+
+// Update achievement
+router.put('/achievements/:achievementId', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const achievement = await Achievement.findByIdAndUpdate(req.params.achievementId, pickDefinition(req.body), { new: true, runValidators: true });
+    if (!achievement) {
+      return res.status(404).json({ message: 'Achievement not found' });
+    }
+    res.json({ message: 'Achievement updated successfully', achievement });
+  } catch (err) {
+    const status = err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Failed to update achievement', error: err.message });
+  }
+});
+
+// Get user achievements
+router.get('/achievements/user/:id', authenticateJWT, async (req, res) => {
+  try {
+    const filter = { user: req.params.id };
+    if (req.query.completed !== undefined) filter.completed = req.query.completed === 'true';
+
+    const achievements = await UserAchievement.find(filter)
+      .populate('achievement')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      message: 'User achievements retrieved successfully',
+      userId: req.params.id,
+      achievements
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch user achievements', error: err.message });
+  }
+});
+
+/**
+ * Load the active achievement named in the body, answering 400/404 itself.
+ * Returns null when a response has already been sent.
+ */
+async function loadAchievement(req, res) {
+  const { userId, achievementId } = req.body;
+  if (!userId || !achievementId) {
+    res.status(400).json({ message: 'userId and achievementId are required' });
+    return null;
+  }
+  const achievement = await Achievement.findById(achievementId);
+  if (!achievement || !achievement.isActive) {
+    res.status(404).json({ message: 'Achievement not found' });
+    return null;
+  }
+  if (!await User.exists({ _id: userId })) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return achievement;
+}
+
+// Record progress towards an achievement
+router.post('/achievements/progress', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const progress = Number(req.body.progress);
+    if (!Number.isFinite(progress)) {
+      return res.status(400).json({ message: 'progress must be a number' });
+    }
+    const achievement = await loadAchievement(req, res);
+    if (!achievement) return;
+
+    const { userAchievement, completedNow } = await setAchievementProgress(req.body.userId, achievement, progress);
+    res.json({
+      message: completedNow ? 'Achievement unlocked successfully' : 'Achievement progress updated',
+      achievement: userAchievement,
+      completed: completedNow
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update achievement progress', error: err.message });
+  }
+});
+
 // Unlock achievement
-router.post('/achievements/unlock', authenticateJWT, async (req, res) => {
+router.post('/achievements/unlock', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
   try {
-    const { userId, achievementId, unlockedAt } = req.body;
-    
-    // TODO: Implement achievement unlocking
-    const unlockedAchievement = {
-      userId,
-      achievementId,
-      unlockedAt: unlockedAt || new Date().toISOString(),
-      points: 100
-    };
-    
+    const achievement = await loadAchievement(req, res);
+    if (!achievement) return;
+
+    const target = (achievement.criteria && achievement.criteria.value) || 1;
+    const { userAchievement, completedNow } = await setAchievementProgress(req.body.userId, achievement, target);
+    if (!completedNow) {
+      return res.status(409).json({ message: 'Achievement already unlocked', unlockedAchievement: userAchievement });
+    }
+
     res.json({
       message: 'Achievement unlocked successfully',
-      unlockedAchievement
+      unlockedAchievement: userAchievement
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to unlock achievement', error: err.message });
   }
 });
 
-// Get leaderboard
+/**
+ * Validate the leaderboard query (?type=, ?period= when allowed) and read
+ * the snapshot, answering 400 itself. Returns null when a response has
+ * already been sent.
+ */
+async function readLeaderboard(req, res, options) {
+  const { type = 'points', period = options.period || 'all_time' } = req.query;
+  if (!LEADERBOARD_TYPES.includes(type)) {
+    res.status(400).json({ message: `type must be one of: ${LEADERBOARD_TYPES.join(', ')}` });
+    return null;
+  }
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    res.status(400).json({ message: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` });
+    return null;
+  }
+  if (options.scopeId && !mongoose.Types.ObjectId.isValid(options.scopeId)) {
+    res.status(400).json({ message: `Invalid ${options.scope} id` });
+    return null;
+  }
+  return getLeaderboard({ period, type, userId: req.user._id, limit: leaderboardLimit(req), ...options });
+}
+
+// Get leaderboard (?type=points|tasks|streak|productivity&period=weekly|monthly|all_time)
 router.get('/leaderboard', authenticateJWT, async (req, res) => {
   try {
-    // TODO: Implement global leaderboard
-    const leaderboard = [
-      { rank: 1, userId: 'user1', name: 'John Doe', points: 2500, level: 25 },
-      { rank: 2, userId: 'user2', name: 'Jane Smith', points: 2200, level: 22 },
-      { rank: 3, userId: 'user3', name: 'Bob Johnson', points: 2000, level: 20 }
-    ];
-    
+    const leaderboard = await readLeaderboard(req, res, {});
+    if (!leaderboard) return;
+
     res.json({
       message: 'Leaderboard retrieved successfully',
-      leaderboard
+      ...leaderboard
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch leaderboard', error: err.message });
@@ -129,18 +321,17 @@ router.get('/leaderboard', authenticateJWT, async (req, res) => {
 router.get('/leaderboard/team', authenticateJWT, async (req, res) => {
   try {
     const { teamId } = req.query;
-    
-    // TODO: Implement team leaderboard
-    const teamLeaderboard = [
-      { rank: 1, userId: 'user1', name: 'John Doe', points: 1200, tasksCompleted: 45 },
-      { rank: 2, userId: 'user2', name: 'Jane Smith', points: 1100, tasksCompleted: 42 },
-      { rank: 3, userId: 'user3', name: 'Bob Johnson', points: 1000, tasksCompleted: 38 }
-    ];
-    
+    if (!teamId) {
+      return res.status(400).json({ message: 'teamId is required' });
+    }
+
+    const teamLeaderboard = await readLeaderboard(req, res, { scope: 'team', scopeId: teamId });
+    if (!teamLeaderboard) return;
+
     res.json({
       message: 'Team leaderboard retrieved successfully',
       teamId,
-      leaderboard: teamLeaderboard
+      ...teamLeaderboard
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch team leaderboard', error: err.message });
@@ -151,160 +342,236 @@ router.get('/leaderboard/team', authenticateJWT, async (req, res) => {
 router.get('/leaderboard/department', authenticateJWT, async (req, res) => {
   try {
     const { departmentId } = req.query;
-    
-    // TODO: Implement department leaderboard
-    const departmentLeaderboard = [
-      { rank: 1, userId: 'user1', name: 'John Doe', points: 1800, department: 'Engineering' },
-      { rank: 2, userId: 'user2', name: 'Jane Smith', points: 1700, department: 'Engineering' },
-      { rank: 3, userId: 'user3', name: 'Bob Johnson', points: 1600, department: 'Design' }
-    ];
-    
+    if (!departmentId) {
+      return res.status(400).json({ message: 'departmentId is required' });
+    }
+
+    const departmentLeaderboard = await readLeaderboard(req, res, { scope: 'department', scopeId: departmentId });
+    if (!departmentLeaderboard) return;
+
     res.json({
       message: 'Department leaderboard retrieved successfully',
       departmentId,
-      leaderboard: departmentLeaderboard
+      ...departmentLeaderboard
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch department leaderboard', error: err.message });
   }
 });
 
-// Get weekly leaderboard
+// Get weekly leaderboard (?week= any date within the week, default this week)
 router.get('/leaderboard/weekly', authenticateJWT, async (req, res) => {
   try {
     const { week } = req.query;
-    
-    // TODO: Implement weekly leaderboard
-    const weeklyLeaderboard = [
-      { rank: 1, userId: 'user1', name: 'John Doe', points: 500, week: week || 'current' },
-      { rank: 2, userId: 'user2', name: 'Jane Smith', points: 450, week: week || 'current' },
-      { rank: 3, userId: 'user3', name: 'Bob Johnson', points: 400, week: week || 'current' }
-    ];
-    
+    const date = week ? new Date(week) : new Date();
+    if (isNaN(date)) {
+      return res.status(400).json({ message: 'week must be a date' });
+    }
+
+    const weeklyLeaderboard = await readLeaderboard(req, res, { period: 'weekly', date });
+    if (!weeklyLeaderboard) return;
+
     res.json({
       message: 'Weekly leaderboard retrieved successfully',
       week: week || 'current',
-      leaderboard: weeklyLeaderboard
+      ...weeklyLeaderboard
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch weekly leaderboard', error: err.message });
   }
 });
 
-// Get monthly leaderboard
+// Get monthly leaderboard (?month=1-12&year=)
 router.get('/leaderboard/monthly', authenticateJWT, async (req, res) => {
   try {
-    const { month, year } = req.query;
-    
-    // TODO: Implement monthly leaderboard
-    const monthlyLeaderboard = [
-      { rank: 1, userId: 'user1', name: 'John Doe', points: 2000, month: month || 'current' },
-      { rank: 2, userId: 'user2', name: 'Jane Smith', points: 1800, month: month || 'current' },
-      { rank: 3, userId: 'user3', name: 'Bob Johnson', points: 1600, month: month || 'current' }
-    ];
-    
+    const now = new Date();
+    const month = req.query.month ? parseInt(req.query.month) : now.getUTCMonth() + 1;
+    const year = req.query.year ? parseInt(req.query.year) : now.getUTCFullYear();
+    if (!(month >= 1 && month <= 12) || !year) {
+      return res.status(400).json({ message: 'month must be 1-12 and year a number' });
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, 1));
+    const monthlyLeaderboard = await readLeaderboard(req, res, { period: 'monthly', date });
+    if (!monthlyLeaderboard) return;
+
     res.json({
       message: 'Monthly leaderboard retrieved successfully',
-      month: month || 'current',
-      year: year || new Date().getFullYear(),
-      leaderboard: monthlyLeaderboard
+      month,
+      year,
+      ...monthlyLeaderboard
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch monthly leaderboard', error: err.message });
   }
 });
 
+// Rebuild all leaderboard snapshots now
+router.post('/leaderboard/refresh', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const summary = await refreshLeaderboards();
+    res.json({ message: 'Leaderboards refreshed successfully', summary });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to refresh leaderboards', error: err.message });
+  }
+});
+
 // Get user streaks
 router.get('/streaks/user/:id', authenticateJWT, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // TODO: Implement user streaks retrieval
-    const userStreaks = {
-      currentStreak: 5,
-      longestStreak: 12,
-      totalStreaks: 8,
-      lastActivity: '2023-12-20'
-    };
-    
+    const user = await User.findById(id).select('stats');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     res.json({
       message: 'User streaks retrieved successfully',
       userId: id,
-      streaks: userStreaks
+      streaks: {
+        currentStreak: user.stats.currentStreak,
+        longestStreak: user.stats.longestStreak,
+        lastActivity: user.stats.lastActivityDate || null
+      }
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch user streaks', error: err.message });
   }
 });
 
-// Add points to user
-router.post('/points/add', authenticateJWT, async (req, res) => {
+// Add points to user (a negative amount is a penalty)
+router.post('/points/add', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
   try {
-    const { userId, points, reason, source } = req.body;
-    
-    // TODO: Implement points addition
-    const pointsTransaction = {
-      userId,
-      points,
+    const { userId, reason, idempotencyKey } = req.body;
+    const points = Number(req.body.points);
+    if (!userId || !Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ message: 'userId and a non-zero whole number of points are required' });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+    if (isSelf(req, userId)) {
+      return res.status(403).json({ message: 'You cannot add points to yourself' });
+    }
+
+    const { transaction, balance, duplicate } = await awardPoints(userId, {
+      amount: points,
+      type: points > 0 ? 'bonus' : 'penalty',
+      source: 'custom',
       reason,
-      source,
-      addedBy: req.user._id,
-      addedAt: new Date().toISOString(),
-      newBalance: 2500 // TODO: Calculate actual balance
-    };
-    
-    res.json({
-      message: 'Points added successfully',
-      pointsTransaction
+      idempotencyKey,
+      createdBy: req.user._id
+    });
+
+    res.status(duplicate ? 200 : 201).json({
+      message: duplicate ? 'Points were already added for this key' : 'Points added successfully',
+      pointsTransaction: transaction,
+      newBalance: duplicate ? transaction.balance : balance
     });
   } catch (err) {
+    if (err.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Failed to add points', error: err.message });
   }
 });
 
-// Get points history
+// Get points history (?userId= for admins and managers, defaults to the caller)
 router.get('/points/history', authenticateJWT, async (req, res) => {
   try {
-    const { userId } = req.query;
-    
-    // TODO: Implement points history retrieval
-    const pointsHistory = [
-      { id: '1', points: 100, reason: 'Task completed', source: 'task', date: '2023-12-20' },
-      { id: '2', points: 50, reason: 'Streak maintained', source: 'streak', date: '2023-12-19' },
-      { id: '3', points: 200, reason: 'Achievement unlocked', source: 'achievement', date: '2023-12-18' }
-    ];
-    
+    const { userId = req.user._id.toString(), page = 1, limit = 20, source } = req.query;
+    if (!isSelf(req, userId) && !canManage(req.user)) {
+      return res.status(403).json({ message: 'You can only view your own points history' });
+    }
+
+    const user = await User.findById(userId).select('stats');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filter = { user: userId };
+    if (source) filter.source = source;
+    const [pointsHistory, total] = await Promise.all([
+      PointsTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name'),
+      PointsTransaction.countDocuments(filter)
+    ]);
+
     res.json({
       message: 'Points history retrieved successfully',
       userId,
-      history: pointsHistory
+      balance: user.stats.pointsBalance,
+      totalPoints: user.stats.totalPoints,
+      level: levelForPoints(user.stats.totalPoints),
+      history: pointsHistory,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch points history', error: err.message });
   }
 });
 
-// Update user streaks
-router.post('/streaks/update', authenticateJWT, async (req, res) => {
+// Count a day of activity for a user. Streaks follow task completions;
+// this is for admins correcting a missed day.
+router.post('/streaks/update', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
   try {
-    const { userId, action, date } = req.body;
-    
-    // TODO: Implement streak update
-    const streakUpdate = {
-      userId,
-      action,
-      date: date || new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      newStreak: 6 // TODO: Calculate actual streak
-    };
-    
+    const { userId, date } = req.body;
+    if (!userId) {
+      return res.status(400).json({ message: 'userId is required' });
+    }
+    const activityDate = date ? new Date(date) : new Date();
+    if (isNaN(activityDate) || activityDate > new Date()) {
+      return res.status(400).json({ message: 'date must be a date that is not in the future' });
+    }
+
+    const streak = await recordActivity(userId, activityDate);
+    if (!streak) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     res.json({
-      message: 'Streak updated successfully',
-      streakUpdate
+      message: streak.changed ? 'Streak updated successfully' : 'Activity already counted for this day',
+      streakUpdate: {
+        userId,
+        date: activityDate,
+        currentStreak: streak.currentStreak,
+        longestStreak: streak.longestStreak
+      }
     });
   } catch (err) {
     res.status(500).json({ message: 'Failed to update streak', error: err.message });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Evaluate badge and achievement rules for one user
+router.post('/rules/evaluate/:id', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    if (!await User.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const awards = await evaluateUser(req.params.id, { notify: req.body.notify !== false });
+    res.json({ message: 'Rules evaluated successfully', userId: req.params.id, awards });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to evaluate rules', error: err.message });
+  }
+});
+
+// Evaluate badge and achievement rules for every active user against historical data
+router.post('/rules/backfill', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const summary = await backfillAwards({ notify: req.body.notify === true });
+    res.json({ message: 'Backfill completed successfully', summary });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to backfill awards', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,152 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateJWT } = require('../middleware/auth');
+const Goal = require('../models/Goal');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const KPI = require('../models/KPI');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { valueProgress, applyGoalProgress, announceGoalCompletion } = require('../utils/goals');
+const { trackGoal } = require('../utils/goalTracking');
+const { canViewKPI } = require('../utils/kpis');
+const { memberProjectFilter } = require('../utils/projectAccess');
+const {
+  quarterOf,
+  quarterRange,
+  validateKeyResult,
+  refreshObjective,
+  recordCheckIn,
+  closeQuarter,
+  summarizeOKRs
+} = require('../utils/okrs');
 
-// Get all goals
+const GOAL_FIELDS = ['title', 'description', 'team', 'department', 'type', 'category', 'targetValue', 'currentValue', 'unit', 'startDate', 'targetDate', 'priority', 'milestones', 'relatedTasks', 'relatedKPIs', 'tracking', 'isPublic', 'notes'];
+const KEY_RESULT_FIELDS = ['title', 'metricType', 'startValue', 'targetValue', 'currentValue', 'unit', 'weight', 'owner', 'milestones'];
+
+// Errors from OKR helpers, by code
+const GOAL_ERROR_STATUS = {
+  INVALID_KEY_RESULT: 400,
+  INVALID_CHECK_IN: 400
+};
+
+const pick = (body, fields) => fields.reduce((result, field) => {
+  if (body[field] !== undefined) result[field] = body[field];
+  return result;
+}, {});
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+const isManager = (user) => ['admin', 'manager'].includes(user.role);
+const canEditGoal = (user, goal) => isManager(user) || sameId(goal.user, user._id);
+const ownsKeyResult = (user, goal) => (goal.keyResults || []).some(keyResult => sameId(keyResult.owner, user._id));
+const canViewGoal = (user, goal) => canEditGoal(user, goal) || goal.isPublic || ownsKeyResult(user, goal);
+
+// Goals a user can see besides every goal for managers: their own, public ones and OKRs they own a key result in
+const visibleGoalsFilter = (user) => (isManager(user)
+  ? {}
+  : { $or: [{ user: user._id }, { isPublic: true }, { 'keyResults.owner': user._id }] });
+
+/**
+ * Tasks and KPIs a goal update links to that the caller may not see: tasks
+ * of projects they are not a member of (or, outside projects, not assigned
+ * to them, unless they are a manager) and KPIs outside their scope. Missing
+ * ids count as not visible. Linking them would expose their progress.
+ */
+async function findHiddenLinks(user, data) {
+  const taskIds = [...(data.relatedTasks || []),
+    ...(data.milestones || []).flatMap(milestone => milestone.completeWithTasks || [])].map(String);
+  const kpiIds = [...(data.relatedKPIs || []),
+    ...(data.tracking && data.tracking.kpi ? [data.tracking.kpi] : [])].map(String);
+  const uniqueTaskIds = [...new Set(taskIds)];
+  const uniqueKPIIds = [...new Set(kpiIds)];
+
+  const [tasks, projectIds, kpis] = await Promise.all([
+    uniqueTaskIds.length > 0 ? Task.find({ _id: { $in: uniqueTaskIds } }).select('project assignedTo') : [],
+    uniqueTaskIds.length > 0 ? Project.find(memberProjectFilter(user)).distinct('_id') : [],
+    uniqueKPIIds.length > 0 ? KPI.find({ _id: { $in: uniqueKPIIds } }).select('assignedTo team department') : []
+  ]);
+  const memberOf = new Set(projectIds.map(String));
+  const canSeeTask = task => (task.project
+    ? memberOf.has(task.project.toString())
+    : isManager(user) || sameId(task.assignedTo, user._id));
+
+  const visibleTasks = new Set(tasks.filter(canSeeTask).map(task => task._id.toString()));
+  const visibleKPIs = new Set(kpis.filter(kpi => canViewKPI(user, kpi)).map(kpi => kpi._id.toString()));
+  return {
+    tasks: uniqueTaskIds.filter(id => !visibleTasks.has(id)),
+    kpis: uniqueKPIIds.filter(id => !visibleKPIs.has(id))
+  };
+}
+
+/**
+ * Answer 400 when a goal update links tasks or KPIs the caller may not see.
+ * Returns false when a response has been sent.
+ */
+async function checkGoalLinks(req, res, data) {
+  const hidden = await findHiddenLinks(req.user, data);
+  if (hidden.tasks.length === 0 && hidden.kpis.length === 0) return true;
+  res.status(400).json({ message: 'Linked tasks or KPIs not found or not accessible', ...hidden });
+  return false;
+}
+
+const sendGoalError = (res, err, message) => {
+  if (GOAL_ERROR_STATUS[err.code]) {
+    return res.status(GOAL_ERROR_STATUS[err.code]).json({ message: err.message });
+  }
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ message, error: err.message });
+  }
+  res.status(500).json({ message, error: err.message });
+};
+
+/**
+ * Load the goal in req.params.id for the caller, answering when it is
+ * missing, the caller may not see or edit it, or it is a closed OKR that
+ * can no longer change
+ */
+async function loadGoal(req, res, { edit = false, open = false } = {}) {
+  const goal = await Goal.findById(req.params.id);
+  if (!goal) {
+    res.status(404).json({ message: 'Goal not found' });
+    return null;
+  }
+  if (!(edit ? canEditGoal(req.user, goal) : canViewGoal(req.user, goal))) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+  if (open && goal.status === 'closed') {
+    res.status(409).json({ message: 'This OKR has been closed; only its retro can change' });
+    return null;
+  }
+  return goal;
+}
+
+/**
+ * Load a key result of an open OKR that the caller may update
+ */
+async function loadKeyResult(req, res, { checkIn = false } = {}) {
+  const goal = await loadGoal(req, res, { open: true });
+  if (!goal) return {};
+  const keyResult = goal.mode === 'okr' ? goal.keyResults.id(req.params.keyResultId) : null;
+  if (!keyResult) {
+    res.status(404).json({ message: 'Key result not found' });
+    return {};
+  }
+  const allowed = canEditGoal(req.user, goal) || (checkIn && sameId(keyResult.owner, req.user._id));
+  if (!allowed) {
+    res.status(403).json({ message: 'Access denied' });
+    return {};
+  }
+  return { goal, keyResult };
+}
+
+// Get all goals (own, public and those with a key result the caller owns; ?status=&mode=&quarter=&type=)
 router.get('/', authenticateJWT, async (req, res) => {
   try {
-    // TODO: Implement goals retrieval
-    const goals = [
-      {
-        id: '1',
-        title: 'Complete Project Alpha',
-        description: 'Finish the main features of Project Alpha',
-        userId: req.user._id,
-        targetDate: '2024-01-31',
-        progress: 75,
-        status: 'in_progress'
-      },
-      {
-        id: '2',
-        title: 'Learn React Native',
-        description: 'Master React Native development',
-        userId: req.user._id,
-        targetDate: '2024-03-15',
-        progress: 30,
-        status: 'in_progress'
-      }
-    ];
-    
+    const filter = { $or: [{ user: req.user._id }, { isPublic: true }, { 'keyResults.owner': req.user._id }] };
+    ['status', 'mode', 'quarter', 'type'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const goals = await Goal.find(filter).sort({ targetDate: 1 });
     res.json({
       message: 'Goals retrieved successfully',
       goals
@@ -36,122 +156,333 @@ router.get('/', authenticateJWT, async (req, res) => {
   }
 });
 
-// Get user goals
+// OKR grading and retro summary for a quarter (?quarter=2026-Q3&user=&team=&department=)
+router.get('/okrs/summary', authenticateJWT, async (req, res) => {
+  try {
+    const quarter = req.query.quarter || quarterOf();
+    if (!quarterRange(quarter)) {
+      return res.status(400).json({ message: 'quarter must look like 2026-Q3' });
+    }
+
+    const filter = { ...visibleGoalsFilter(req.user), mode: 'okr', quarter, status: { $ne: 'cancelled' } };
+    ['user', 'team', 'department'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const goals = await Goal.find(filter).sort({ createdAt: 1 });
+    res.json(summarizeOKRs(goals, quarter));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to summarize OKRs', error: err.message });
+  }
+});
+
+// Close a quarter: score and freeze its OKRs (Admins and managers; quarters still running need force)
+router.post('/okrs/close', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { quarter, force } = req.body;
+    const range = quarterRange(quarter);
+    if (!range) {
+      return res.status(400).json({ message: 'quarter must look like 2026-Q3' });
+    }
+    if (range.end > new Date() && !force) {
+      return res.status(409).json({ message: `${quarter} has not ended yet; pass force to close it early` });
+    }
+
+    const summary = await closeQuarter(quarter, req.user);
+    res.json({
+      message: `${quarter} closed`,
+      summary
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to close quarter', error: err.message });
+  }
+});
+
+// Get user goals (all for the user themselves and managers, public ones otherwise)
 router.get('/user/:id', authenticateJWT, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // TODO: Implement user goals retrieval
-    const userGoals = [
-      {
-        id: '1',
-        title: 'Complete Project Alpha',
-        description: 'Finish the main features of Project Alpha',
-        userId: id,
-        targetDate: '2024-01-31',
-        progress: 75,
-        status: 'in_progress'
-      }
-    ];
-    
+    const filter = { user: id };
+    if (!isManager(req.user) && req.user._id.toString() !== id) {
+      filter.isPublic = true;
+    }
+
+    const userGoals = await Goal.find(filter).sort({ targetDate: 1 });
     res.json({
       message: 'User goals retrieved successfully',
       userId: id,
       goals: userGoals
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to fetch user goals', error: err.message });
+    sendGoalError(res, err, 'Failed to fetch user goals');
   }
 });
 
-// Create new goal
+// Get goal by ID
+router.get('/:id', authenticateJWT, async (req, res) => {
+  try {
+    const goal = await loadGoal(req, res);
+    if (!goal) return;
+    res.json({ goal });
+  } catch (err) {
+    sendGoalError(res, err, 'Failed to fetch goal');
+  }
+});
+
+// Create new goal; mode "okr" makes it an objective with key results for a quarter
 router.post('/', authenticateJWT, async (req, res) => {
   try {
-    const { title, description, targetDate, priority, category } = req.body;
-    
-    // TODO: Implement goal creation
-    const newGoal = {
-      id: Date.now().toString(),
-      title,
-      description,
-      userId: req.user._id,
-      targetDate,
-      priority: priority || 'medium',
-      category: category || 'general',
-      progress: 0,
-      status: 'not_started',
-      createdAt: new Date().toISOString()
-    };
-    
+    const data = pick(req.body, GOAL_FIELDS);
+    data.user = req.body.user && isManager(req.user) ? req.body.user : req.user._id;
+    if (!(await checkGoalLinks(req, res, data))) return;
+
+    if (req.body.mode === 'okr') {
+      const quarter = req.body.quarter || quarterOf();
+      const range = quarterRange(quarter);
+      if (!range) {
+        return res.status(400).json({ message: 'quarter must look like 2026-Q3' });
+      }
+      const keyResults = (req.body.keyResults || []).map(keyResult => ({
+        ...pick(keyResult, KEY_RESULT_FIELDS),
+        owner: keyResult.owner || data.user
+      }));
+      keyResults.forEach(validateKeyResult);
+      Object.assign(data, {
+        mode: 'okr',
+        quarter,
+        keyResults,
+        startDate: data.startDate || range.start,
+        targetDate: data.targetDate || new Date(range.end.getTime() - 1)
+      });
+    }
+
+    const goal = new Goal(data);
+    // Tracked goals take their progress from their tasks or KPI below
+    const manual = goal.tracking.source === 'manual';
+    const progress = manual ? valueProgress(goal.currentValue, goal.targetValue) : null;
+    const completed = goal.mode === 'okr'
+      ? refreshObjective(goal)
+      : manual && applyGoalProgress(goal, progress !== null ? progress : Number(req.body.progress) || 0);
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    await trackGoal(goal);
+
     res.status(201).json({
       message: 'Goal created successfully',
-      goal: newGoal
+      goal
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to create goal', error: err.message });
+    sendGoalError(res, err, 'Failed to create goal');
   }
 });
 
-// Update goal
+// Update goal (status can only be set to active or cancelled; key results have their own routes)
 router.put('/:id', authenticateJWT, async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-    
-    // TODO: Implement goal update
-    const updatedGoal = {
-      id,
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-    
+    const goal = await loadGoal(req, res, { edit: true, open: true });
+    if (!goal) return;
+
+    const updates = pick(req.body, GOAL_FIELDS);
+    if (!(await checkGoalLinks(req, res, updates))) return;
+    Object.assign(goal, updates);
+    if (['active', 'cancelled'].includes(req.body.status)) {
+      goal.status = req.body.status;
+    }
+
+    let completed = false;
+    if (goal.status !== 'cancelled') {
+      const manual = !goal.tracking || goal.tracking.source === 'manual';
+      const progress = goal.mode === 'okr' || !manual ? null : valueProgress(goal.currentValue, goal.targetValue);
+      completed = goal.mode === 'okr'
+        ? refreshObjective(goal)
+        : progress !== null && applyGoalProgress(goal, progress);
+    }
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    if (goal.status !== 'cancelled') await trackGoal(goal);
+
     res.json({
       message: 'Goal updated successfully',
-      goal: updatedGoal
+      goal
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to update goal', error: err.message });
+    sendGoalError(res, err, 'Failed to update goal');
   }
 });
 
 // Delete goal
 router.delete('/:id', authenticateJWT, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // TODO: Implement goal deletion
-    
+    const goal = await loadGoal(req, res, { edit: true });
+    if (!goal) return;
+
+    await Goal.deleteOne({ _id: goal._id });
     res.json({
       message: 'Goal deleted successfully',
-      goalId: id
+      goalId: goal._id
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to delete goal', error: err.message });
+    sendGoalError(res, err, 'Failed to delete goal');
   }
 });
 
-// Update goal progress
+// Update goal progress (manually tracked goals; OKR progress comes from key result check-ins)
 router.patch('/:id/progress', authenticateJWT, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { progress, notes } = req.body;
-    
-    // TODO: Implement goal progress update
-    const progressUpdate = {
-      goalId: id,
-      progress,
-      notes,
-      updatedAt: new Date().toISOString(),
-      status: progress >= 100 ? 'completed' : 'in_progress'
-    };
-    
+    const goal = await loadGoal(req, res, { edit: true, open: true });
+    if (!goal) return;
+    if (goal.mode === 'okr') {
+      return res.status(400).json({ message: 'OKR progress comes from its key results; check in on them instead' });
+    }
+    if (goal.tracking && goal.tracking.source !== 'manual') {
+      return res.status(400).json({ message: `This goal tracks its progress from its ${goal.tracking.source === 'kpi' ? 'KPI' : 'tasks'}` });
+    }
+
+    const { progress, currentValue, notes } = req.body;
+    if (currentValue !== undefined) goal.currentValue = currentValue;
+    const computed = currentValue !== undefined ? valueProgress(goal.currentValue, goal.targetValue) : null;
+    if (computed === null && typeof progress !== 'number') {
+      return res.status(400).json({ message: 'Provide progress, or currentValue for goals with a target' });
+    }
+    if (notes !== undefined) goal.notes = notes;
+
+    const completed = applyGoalProgress(goal, computed !== null ? computed : progress);
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    await trackGoal(goal);
+
     res.json({
       message: 'Goal progress updated successfully',
-      progressUpdate
+      goal
+    });
+  } catch (err) {
+    sendGoalError(res, err, 'Failed to update goal progress');
+  }
+});
+
+// Add a key result to an OKR
+router.post('/:id/key-results', authenticateJWT, async (req, res) => {
+  try {
+    const goal = await loadGoal(req, res, { edit: true, open: true });
+    if (!goal) return;
+    if (goal.mode !== 'okr') {
+      return res.status(400).json({ message: 'Only OKR goals have key results' });
+    }
+
+    const keyResult = { ...pick(req.body, KEY_RESULT_FIELDS), owner: req.body.owner || goal.user };
+    validateKeyResult(keyResult);
+    goal.keyResults.push(keyResult);
+
+    const completed = refreshObjective(goal);
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    await trackGoal(goal);
+
+    res.status(201).json({
+      message: 'Key result added',
+      goal
+    });
+  } catch (err) {
+    sendGoalError(res, err, 'Failed to add key result');
+  }
+});
+
+// Update a key result's definition
+router.put('/:id/key-results/:keyResultId', authenticateJWT, async (req, res) => {
+  try {
+    const { goal, keyResult } = await loadKeyResult(req, res);
+    if (!goal) return;
+
+    keyResult.set(pick(req.body, KEY_RESULT_FIELDS));
+    validateKeyResult(keyResult);
+
+    const completed = refreshObjective(goal);
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    await trackGoal(goal);
+
+    res.json({
+      message: 'Key result updated',
+      goal
+    });
+  } catch (err) {
+    sendGoalError(res, err, 'Failed to update key result');
+  }
+});
+
+// Remove a key result
+router.delete('/:id/key-results/:keyResultId', authenticateJWT, async (req, res) => {
+  try {
+    const { goal, keyResult } = await loadKeyResult(req, res);
+    if (!goal) return;
+
+    keyResult.deleteOne();
+    const completed = refreshObjective(goal);
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    await trackGoal(goal);
+
+    res.json({
+      message: 'Key result removed',
+      goal
+    });
+  } catch (err) {
+    sendGoalError(res, err, 'Failed to remove key result');
+  }
+});
+
+// Check in on a key result: new value or completed milestones, confidence (0-10) and a note
+router.post('/:id/key-results/:keyResultId/check-ins', authenticateJWT, async (req, res) => {
+  try {
+    const { goal, keyResult } = await loadKeyResult(req, res, { checkIn: true });
+    if (!goal) return;
+
+    const { value, completedMilestones, confidence, note } = req.body;
+    recordCheckIn(keyResult, { value, completedMilestones, confidence, note, user: req.user._id });
+
+    const completed = refreshObjective(goal);
+    await goal.save();
+    if (completed) announceGoalCompletion(goal);
+    await trackGoal(goal);
+
+    res.status(201).json({
+      message: 'Check-in recorded',
+      keyResult,
+      progress: goal.progress,
+      status: goal.status
+    });
+  } catch (err) {
+    sendGoalError(res, err, 'Failed to record check-in');
+  }
+});
+
+// Write the retro of a closed OKR
+router.put('/:id/retro', authenticateJWT, async (req, res) => {
+  try {
+    const goal = await loadGoal(req, res, { edit: true });
+    if (!goal) return;
+    if (goal.status !== 'closed') {
+      return res.status(409).json({ message: 'Retros are written once the OKR has been closed' });
+    }
+
+    const { wentWell, toImprove, nextSteps } = req.body;
+    goal.set({
+      'okr.retro.wentWell': wentWell,
+      'okr.retro.toImprove': toImprove,
+      'okr.retro.nextSteps': nextSteps,
+      'okr.retro.author': req.user._id,
+      'okr.retro.updatedAt': new Date()
+    });
+    await goal.save();
+
+    res.json({
+      message: 'Retro saved',
+      goalId: goal._id,
+      okr: goal.okr
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to update goal progress', error: err.message });
+    sendGoalError(res, err, 'Failed to save retro');
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,29 +1,102 @@
 const express = require('express');
 const router = express.Router();
 const KPI = require('../models/KPI');
+const Goal = require('../models/Goal');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
 const { validateKPI, handleValidation } = require('../middleware/validate');
+const { KPI_METRICS, kpiLevel, canViewKPI, validateKPIDefinition, calculateKPI, rollUpFromKPI } = require('../utils/kpis');
+const { validateKPICascade, loadKPITree } = require('../utils/kpiTree');
+const { trackGoalsForKPI } = require('../utils/goalTracking');
+const { FORMULA_FUNCTIONS, validateFormula } = require('../utils/kpiFormula');
+const { applyKPIAlert, notifyKPIAlert } = require('../utils/kpiAlerts');
 
-// Create KPI (Employer only)
-router.post('/', authenticateJWT, authorizeRoles('employer'), validateKPI, handleValidation, async (req, res) => {
+const KPI_FIELDS = ['name', 'description', 'targetValue', 'unit', 'assignedTo', 'team', 'department', 'parent', 'weight', 'rollup', 'period', 'category', 'dataSource', 'threshold', 'isActive'];
+
+// Errors from validating or calculating a KPI, by code
+const KPI_ERROR_STATUS = {
+  INVALID_FORMULA: 400,
+  INVALID_DATA_SOURCE: 400,
+  INVALID_PARENT: 400,
+  NOT_CALCULABLE: 409
+};
+
+const canManageKPIs = (user) => ['admin', 'manager'].includes(user.role);
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * KPI fields from the request body. Only admins may set formulas.
+ */
+function pickKPIFields(req) {
+  const data = KPI_FIELDS.reduce((result, field) => {
+    if (req.body[field] !== undefined) result[field] = req.body[field];
+    return result;
+  }, {});
+  if (req.body.formula !== undefined) {
+    if (req.user.role !== 'admin') {
+      const error = new Error('Only admins can write KPI formulas');
+      error.code = 'FORMULA_FORBIDDEN';
+      throw error;
+    }
+    data.formula = req.body.formula || undefined;
+  }
+  return data;
+}
+
+const sendKPIError = (res, err, message) => {
+  if (err.code === 'FORMULA_FORBIDDEN') {
+    return res.status(403).json({ message: err.message });
+  }
+  if (KPI_ERROR_STATUS[err.code]) {
+    return res.status(KPI_ERROR_STATUS[err.code]).json({ message: err.message });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ message, error: err.message });
+  }
+  res.status(500).json({ message, error: err.message });
+};
+
+// Alignment tree visibility: company KPIs for everyone, department and team
+// KPIs for their members, individual ones for their owner; managers see all
+const canSeeInTree = (user) => (kpi) => {
+  if (canManageKPIs(user)) return true;
+  switch (kpiLevel(kpi)) {
+    case 'company': return true;
+    case 'department': return sameId(kpi.department, user.department);
+    case 'team': return sameId(kpi.team, user.team);
+    default: return sameId(kpi.assignedTo, user._id);
+  }
+};
+
+const canSeeGoal = (user) => (goal) => canManageKPIs(user) || goal.isPublic || sameId(goal.user, user._id);
+
+// Create KPI (Admins and managers; formulas by admins)
+router.post('/', authenticateJWT, authorizeRoles('admin', 'manager'), validateKPI, handleValidation, async (req, res) => {
   try {
-    const { name, description, targetValue, assignedTo, period } = req.body;
-    const kpi = new KPI({ name, description, targetValue, assignedTo, period });
+    const data = pickKPIFields(req);
+    validateKPIDefinition(data);
+    const kpi = new KPI(data);
+    await validateKPICascade(kpi, kpi.parent);
     await kpi.save();
+    if (kpi.parent) await rollUpFromKPI(kpi);
     res.status(201).json(kpi);
   } catch (err) {
-    res.status(500).json({ message: 'KPI creation failed', error: err.message });
+    sendKPIError(res, err, 'KPI creation failed');
   }
 });
 
-// Get all KPIs (Employer: all, Employee: own)
+// Get all KPIs with their alert state (Admins and managers: all, others: own, team and department; ?alert=warning|critical)
 router.get('/', authenticateJWT, async (req, res) => {
   try {
+    const filter = req.query.alert ? { 'alert.state': req.query.alert } : {};
     let kpis;
-    if (req.user.role === 'employer') {
-      kpis = await KPI.find().populate('assignedTo');
+    if (canManageKPIs(req.user)) {
+      kpis = await KPI.find(filter).populate('assignedTo');
     } else {
-      kpis = await KPI.find({ assignedTo: req.user._id });
+      const shared = [{ assignedTo: req.user._id }];
+      if (req.user.team) shared.push({ assignedTo: null, team: req.user.team });
+      if (req.user.department) shared.push({ assignedTo: null, team: null, department: req.user.department });
+      kpis = await KPI.find({ ...filter, $or: shared });
     }
     res.json(kpis);
   } catch (err) {
@@ -31,6 +104,41 @@ router.get('/', authenticateJWT, async (req, res) => {
   }
 });
 
+// Get the metrics and functions available to KPI formulas
+router.get('/metrics', authenticateJWT, async (req, res) => {
+  res.json({ metrics: KPI_METRICS, functions: FORMULA_FUNCTIONS });
+});
+
+// Get the KPI alignment tree, company → department → team → individual (?root=<kpiId> for one branch)
+router.get('/tree', authenticateJWT, async (req, res) => {
+  try {
+    const tree = await loadKPITree({
+      rootId: req.query.root || null,
+      canSee: canSeeInTree(req.user),
+      canSeeGoal: canSeeGoal(req.user)
+    });
+    if (req.query.root && tree.length === 0) {
+      return res.status(404).json({ message: 'KPI not found' });
+    }
+    res.json({ tree });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to build KPI tree', error: err.message });
+  }
+});
+
+// Check a formula without saving it (Admin only)
+router.post('/formula/validate', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const metrics = validateFormula(req.body.formula, Object.keys(KPI_METRICS));
+    res.json({ valid: true, metrics });
+  } catch (err) {
+    if (err.code === 'INVALID_FORMULA') {
+      return res.status(400).json({ valid: false, message: err.message });
+    }
+    res.status(500).json({ message: 'Failed to validate formula', error: err.message });
+  }
+});
+
 // Get KPI by ID
 router.get('/:id', authenticateJWT, async (req, res) => {
   try {
@@ -40,7 +148,7 @@ router.get('/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check if user has access to this KPI
-    if (req.user.role !== 'employer' && kpi.assignedTo.toString() !== req.user._id.toString()) {
+    if (!canViewKPI(req.user, kpi)) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
@@ -50,13 +158,13 @@ router.get('/:id', authenticateJWT, async (req, res) => {
   }
 });
 
-// Get KPIs for specific user
+// Get KPIs for specific user, with their alert state
 router.get('/user/:id', authenticateJWT, async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Only employers can view other users' KPIs
-    if (req.user.role !== 'employer' && req.user._id.toString() !== id) {
+    // Only admins and managers can view other users' KPIs
+    if (!canManageKPIs(req.user) && req.user._id.toString() !== id) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
@@ -71,34 +179,53 @@ router.get('/user/:id', authenticateJWT, async (req, res) => {
   }
 });
 
-// Update KPI (Employer only)
-router.put('/:id', authenticateJWT, authorizeRoles('employer'), async (req, res) => {
+// Update KPI (Admins and managers; formulas by admins)
+router.put('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
   try {
-    const { name, description, targetValue, assignedTo, period } = req.body;
     const kpi = await KPI.findById(req.params.id);
     
     if (!kpi) {
       return res.status(404).json({ message: 'KPI not found' });
     }
     
-    kpi.name = name || kpi.name;
-    kpi.description = description || kpi.description;
-    kpi.targetValue = targetValue || kpi.targetValue;
-    kpi.assignedTo = assignedTo || kpi.assignedTo;
-    kpi.period = period || kpi.period;
+    const updates = pickKPIFields(req);
+    validateKPIDefinition({
+      formula: 'formula' in updates ? updates.formula : kpi.formula,
+      dataSource: 'dataSource' in updates ? updates.dataSource : kpi.dataSource
+    });
+    const previousParent = kpi.parent;
+    const previousWeight = kpi.weight;
+    Object.assign(kpi, updates);
+    await validateKPICascade(kpi, kpi.parent);
     
+    // New thresholds apply straight away to the value of the last closed
+    // period, which alerts are based on
+    const closedValue = kpi.closedPeriodEnd && kpi.alert ? kpi.alert.value : null;
+    const alert = updates.threshold && closedValue !== undefined && closedValue !== null
+      ? applyKPIAlert(kpi, closedValue)
+      : null;
     await kpi.save();
+    if (alert && alert.changed) await notifyKPIAlert(kpi, alert);
+    if ('targetValue' in updates) await trackGoalsForKPI(kpi);
+
+    // Moving a KPI or changing its weight changes what its parents roll up
+    if (!sameId(previousParent, kpi.parent)) {
+      if (previousParent) await rollUpFromKPI({ _id: kpi._id, parent: previousParent });
+      if (kpi.parent) await rollUpFromKPI(kpi);
+    } else if (kpi.parent && (previousWeight !== kpi.weight || 'isActive' in updates)) {
+      await rollUpFromKPI(kpi);
+    }
     res.json({
       message: 'KPI updated successfully',
       kpi
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to update KPI', error: err.message });
+    sendKPIError(res, err, 'Failed to update KPI');
   }
 });
 
-// Delete KPI (Employer only)
-router.delete('/:id', authenticateJWT, authorizeRoles('employer'), async (req, res) => {
+// Delete KPI (Admins and managers)
+router.delete('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
   try {
     const kpi = await KPI.findById(req.params.id);
     
@@ -107,6 +234,10 @@ router.delete('/:id', authenticateJWT, authorizeRoles('employer'), async (req, r
     }
     
     await KPI.findByIdAndDelete(req.params.id);
+    // Children become top-level KPIs and goals drop the link
+    await KPI.updateMany({ parent: kpi._id }, { $unset: { parent: 1 } });
+    await Goal.updateMany({ relatedKPIs: kpi._id }, { $pull: { relatedKPIs: kpi._id } });
+    if (kpi.parent) await rollUpFromKPI(kpi);
     res.json({
       message: 'KPI deleted successfully',
       kpiId: req.params.id
@@ -116,50 +247,110 @@ router.delete('/:id', authenticateJWT, authorizeRoles('employer'), async (req, r
   }
 });
 
-// Calculate KPI metrics
+// Calculate KPI from live data for its scope and current period to date;
+// alerts wait for the period to close
 router.post('/calculate', authenticateJWT, async (req, res) => {
   try {
-    const { kpiId, userId, timeframe } = req.body;
-    
-    // Only employers can calculate KPIs for any user, employees can only calculate their own
-    if (req.user.role !== 'employer' && req.user._id.toString() !== userId) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const { kpiId, notes } = req.body;
     
     const kpi = await KPI.findById(kpiId);
     if (!kpi) {
       return res.status(404).json({ message: 'KPI not found' });
     }
     
-    // Calculate KPI metrics based on timeframe
-    const calculation = {
-      kpiId,
-      userId,
-      timeframe: timeframe || 'current',
-      targetValue: kpi.targetValue,
-      currentValue: kpi.currentValue || 0,
-      progress: ((kpi.currentValue || 0) / kpi.targetValue) * 100,
-      status: (kpi.currentValue || 0) >= kpi.targetValue ? 'achieved' : 'in_progress',
-      calculatedAt: new Date()
-    };
+    // Admins and managers can calculate any KPI, others only the ones they can see
+    if (!canViewKPI(req.user, kpi)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const calculation = await calculateKPI(kpi, { notes });
     
     res.json({
       message: 'KPI calculation completed successfully',
       calculation
     });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to calculate KPI', error: err.message });
+    sendKPIError(res, err, 'Failed to calculate KPI');
+  }
+});
+
+/**
+ * Load the KPI and goal of a goal link request, answering for missing
+ * documents and for callers who do not own the goal
+ */
+async function loadGoalLink(req, res, goalId) {
+  const [kpi, goal] = await Promise.all([KPI.findById(req.params.id), Goal.findById(goalId)]);
+  if (!kpi) {
+    res.status(404).json({ message: 'KPI not found' });
+    return null;
+  }
+  if (!goal) {
+    res.status(404).json({ message: 'Goal not found' });
+    return null;
+  }
+  if (!canManageKPIs(req.user) && !sameId(goal.user, req.user._id)) {
+    res.status(403).json({ message: 'You can only link your own goals' });
+    return null;
+  }
+  return { kpi, goal };
+}
+
+// Link a goal to a KPI at any level of the cascade
+router.post('/:id/goals', authenticateJWT, async (req, res) => {
+  try {
+    const link = await loadGoalLink(req, res, req.body.goalId);
+    if (!link) return;
+    // A linked goal shows the KPI's progress
+    if (!canViewKPI(req.user, link.kpi)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const goal = await Goal.findByIdAndUpdate(link.goal._id, { $addToSet: { relatedKPIs: link.kpi._id } }, { new: true });
+    res.json({
+      message: 'Goal linked to KPI',
+      goalId: goal._id,
+      relatedKPIs: goal.relatedKPIs
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to link goal', error: err.message });
+  }
+});
+
+// Unlink a goal from a KPI
+router.delete('/:id/goals/:goalId', authenticateJWT, async (req, res) => {
+  try {
+    const link = await loadGoalLink(req, res, req.params.goalId);
+    if (!link) return;
+    
+    const goal = await Goal.findByIdAndUpdate(link.goal._id, { $pull: { relatedKPIs: link.kpi._id } }, { new: true });
+    res.json({
+      message: 'Goal unlinked from KPI',
+      goalId: goal._id,
+      relatedKPIs: goal.relatedKPIs
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to unlink goal', error: err.message });
   }
 });
 
-// Update KPI progress (Employee only)
+// Update KPI progress (Employee only, on their own KPIs tracked by hand;
+// calculated and rolled-up values cannot be overwritten)
 router.patch('/:id/progress', authenticateJWT, authorizeRoles('employee'), async (req, res) => {
   try {
-    const { currentValue } = req.body;
+    const currentValue = Number(req.body.currentValue);
+    if (req.body.currentValue === undefined || req.body.currentValue === null || !Number.isFinite(currentValue)) {
+      return res.status(400).json({ message: 'currentValue must be a number' });
+    }
     const kpi = await KPI.findOne({ _id: req.params.id, assignedTo: req.user._id });
     if (!kpi) return res.status(404).json({ message: 'KPI not found' });
+    if (kpi.formula || kpi.dataSource || await KPI.exists({ parent: kpi._id, isActive: true })) {
+      return res.status(409).json({ message: 'This KPI is calculated and cannot be updated by hand' });
+    }
     kpi.currentValue = currentValue;
+    kpi.history.push({ value: currentValue, date: new Date(), notes: 'Updated by hand' });
     await kpi.save();
+    await trackGoalsForKPI(kpi);
+    if (kpi.parent) await rollUpFromKPI(kpi);
     res.json({ message: 'KPI progress updated', kpi });
   } catch (err) {
     res.status(500).json({ message: 'Failed to update KPI', error: err.message });
@@ -1,15 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const Project = require('../models/Project');
+const Task = require('../models/Task');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const { memberProjectFilter } = require('../utils/projectAccess');
+const { cloneProject, runLifecycleRules } = require('../utils/projectLifecycle');
+const Workflow = require('../models/Workflow');
+const { computeCriticalPath } = require('../utils/taskDependencies');
+const Sprint = require('../models/Sprint');
+const { DAY_MS } = require('../utils/recurrence');
+const {
+  COST_FIELDS,
+  canViewCosts,
+  redactCosts,
+  computeBudgetMetrics,
+  recalculateProjectCost
+} = require('../utils/projectCost');
+const {
+  DEFAULT_HOURS_PER_DAY,
+  TIMELINE_TASK_FIELDS,
+  computeTimeline,
+  planReschedule,
+  applyReschedule
+} = require('../utils/timeline');
+const { DEFAULT_WORKFLOW, validateWorkflowDefinition, migrateTaskStates } = require('../utils/workflow');
+const {
+  DEFAULT_VELOCITY_SPRINTS,
+  validateSprint,
+  summarizeCapacity,
+  buildBurnSeries,
+  computeVelocity,
+  loadSprintTasks,
+  findSprintTasks,
+  addTasksToSprint,
+  removeTaskFromSprint,
+  startSprint,
+  closeSprint
+} = require('../utils/sprints');
+
+// Fields PUT /:id leaves alone; they change through their own endpoints
+// (costs through /:id/budget, which checks canViewCosts)
+const PROTECTED_FIELDS = [
+  'members', 'isArchived', 'archivedAt', 'archivedBy', 'statusHistory', 'clonedFrom',
+  ...COST_FIELDS
+];
 
 // Get all projects
 router.get('/', authenticateJWT, async (req, res) => {
   try {
-    const { status, priority, manager, search } = req.query;
+    const { status, priority, manager, search, archived } = req.query;
     
     let query = { isActive: true };
     
+    // Archived projects are hidden unless asked for (?archived=true only them, ?archived=all both)
+    if (archived === 'true') {
+      query.isArchived = true;
+    } else if (archived !== 'all') {
+      query.isArchived = { $ne: true };
+    }
+    
     // Filter by status
     if (status) {
       query.status = status;
@@ -33,6 +83,11 @@ router.get('/', authenticateJWT, async (req, res) => {
       ];
     }
     
+    // Only list projects the caller belongs to
+    if (req.user.role !== 'admin') {
+      query.$and = [memberProjectFilter(req.user)];
+    }
+    
     const projects = await Project.find(query)
       .populate('manager', 'name email')
       .populate('team', 'name')
@@ -40,7 +95,7 @@ router.get('/', authenticateJWT, async (req, res) => {
       .populate('stakeholders', 'name email')
       .sort({ createdAt: -1 });
     
-    res.json(projects);
+    res.json(projects.map(project => redactCosts(project, req.user)));
   } catch (error) {
     console.error('Error fetching projects:', error);
     res.status(500).json({ message: 'Failed to fetch projects', error: error.message });
@@ -48,20 +103,21 @@ router.get('/', authenticateJWT, async (req, res) => {
 });
 
 // Get project by ID
-router.get('/:id', authenticateJWT, async (req, res) => {
+router.get('/:id', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
       .populate('manager', 'name email role')
       .populate('team', 'name members')
       .populate('department', 'name')
       .populate('stakeholders', 'name email role')
+      .populate('members.user', 'name email role avatar')
       .populate('tasks');
     
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
     
-    res.json(project);
+    res.json(redactCosts(project, req.user));
   } catch (error) {
     console.error('Error fetching project:', error);
     res.status(500).json({ message: 'Failed to fetch project', error: error.message });
@@ -73,7 +129,9 @@ router.post('/', authenticateJWT, authorizeRoles('admin', 'manager'), async (req
   try {
     const projectData = {
       ...req.body,
-      manager: req.body.manager || req.user._id
+      manager: req.body.manager || req.user._id,
+      // The creator owns the project; others join through invitations
+      members: [{ user: req.user._id, role: 'owner', addedBy: req.user._id }]
     };
     
     const project = new Project(projectData);
@@ -92,11 +150,21 @@ router.post('/', authenticateJWT, authorizeRoles('admin', 'manager'), async (req
 });
 
 // Update project
-router.put('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.put('/:id', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
   try {
+    // Membership, archiving, status history and costs have their own endpoints
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+    
+    const change = { $set: updates };
+    const current = await Project.findById(req.params.id).select('status');
+    if (current && updates.status && updates.status !== current.status) {
+      change.$push = { statusHistory: { from: current.status, to: updates.status, changedBy: req.user._id } };
+    }
+    
     const project = await Project.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body },
+      change,
       { new: true, runValidators: true }
     )
       .populate('manager', 'name email')
@@ -108,7 +176,7 @@ router.put('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (r
       return res.status(404).json({ message: 'Project not found' });
     }
     
-    res.json(project);
+    res.json(redactCosts(project, req.user));
   } catch (error) {
     console.error('Error updating project:', error);
     res.status(500).json({ message: 'Failed to update project', error: error.message });
@@ -116,7 +184,7 @@ router.put('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (r
 });
 
 // Delete project (soft delete)
-router.delete('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.delete('/:id', authenticateJWT, requireProjectAccess('manage', { allowArchived: true }), async (req, res) => {
   try {
     const project = await Project.findByIdAndUpdate(
       req.params.id,
@@ -135,8 +203,93 @@ router.delete('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async
   }
 });
 
+// Archive project: read-only and hidden from default lists
+router.post('/:id/archive', authenticateJWT, requireProjectAccess('manage', { allowArchived: true }), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (project.isArchived) {
+      return res.status(409).json({ message: 'Project is already archived' });
+    }
+    
+    project.isArchived = true;
+    project.archivedAt = new Date();
+    project.archivedBy = req.user._id;
+    await project.save();
+    
+    res.json({ message: 'Project archived', project: redactCosts(project, req.user) });
+  } catch (error) {
+    console.error('Error archiving project:', error);
+    res.status(500).json({ message: 'Failed to archive project', error: error.message });
+  }
+});
+
+// Unarchive project
+router.post('/:id/unarchive', authenticateJWT, requireProjectAccess('manage', { allowArchived: true }), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project.isArchived) {
+      return res.status(409).json({ message: 'Project is not archived' });
+    }
+    
+    project.isArchived = false;
+    project.archivedAt = undefined;
+    project.archivedBy = undefined;
+    await project.save();
+    
+    res.json({ message: 'Project unarchived', project: redactCosts(project, req.user) });
+  } catch (error) {
+    console.error('Error unarchiving project:', error);
+    res.status(500).json({ message: 'Failed to unarchive project', error: error.message });
+  }
+});
+
+// Clone project structure (tasks, milestones, dependencies) with dates shifted to a new start
+router.post('/:id/clone', authenticateJWT, authorizeRoles('admin', 'manager'), requireProjectAccess('view'), async (req, res) => {
+  try {
+    const { name, code, startDate } = req.body;
+    
+    if (startDate && isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ message: 'Invalid start date' });
+    }
+    
+    const source = await Project.findById(req.params.id);
+    const result = await cloneProject(source, { name, code, startDate, actor: req.user._id });
+    
+    const project = await Project.findById(result.project._id)
+      .populate('manager', 'name email')
+      .populate('team', 'name')
+      .populate('department', 'name');
+    
+    res.status(201).json({ project, taskCount: result.taskCount, offsetDays: result.offsetDays });
+  } catch (error) {
+    console.error('Error cloning project:', error);
+    res.status(500).json({ message: 'Failed to clone project', error: error.message });
+  }
+});
+
+// Run the status automation rules now (dryRun only reports the change)
+router.post('/:id/lifecycle/evaluate', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const change = await runLifecycleRules(project, { dryRun: !!req.body.dryRun });
+    
+    res.json({
+      dryRun: !!req.body.dryRun,
+      changed: !!change && !req.body.dryRun,
+      change,
+      status: project.status,
+      automation: project.automation
+    });
+  } catch (error) {
+    console.error('Error evaluating project lifecycle:', error);
+    res.status(500).json({ message: 'Failed to evaluate project lifecycle', error: error.message });
+  }
+});
+
 // Add milestone to project
-router.post('/:id/milestones', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.post('/:id/milestones', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     
@@ -155,7 +308,7 @@ router.post('/:id/milestones', authenticateJWT, authorizeRoles('admin', 'manager
 });
 
 // Update milestone
-router.put('/:id/milestones/:milestoneId', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.put('/:id/milestones/:milestoneId', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     
@@ -179,7 +332,7 @@ router.put('/:id/milestones/:milestoneId', authenticateJWT, authorizeRoles('admi
 });
 
 // Get project statistics
-router.get('/:id/stats', authenticateJWT, async (req, res) => {
+router.get('/:id/stats', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id).populate('tasks');
     
@@ -199,6 +352,11 @@ router.get('/:id/stats', authenticateJWT, async (req, res) => {
       milestonesCompleted: project.milestones.filter(m => m.completed).length
     };
     
+    if (!canViewCosts(req.user, project)) {
+      delete stats.budget;
+      delete stats.actualCost;
+    }
+    
     res.json(stats);
   } catch (error) {
     console.error('Error fetching project stats:', error);
@@ -206,4 +364,622 @@ router.get('/:id/stats', authenticateJWT, async (req, res) => {
   }
 });
 
+// Get budget, cost and forecast figures
+router.get('/:id/budget', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (!canViewCosts(req.user, project)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    res.json({
+      projectId: project._id,
+      ...computeBudgetMetrics(project),
+      costCalculatedAt: project.costCalculatedAt || null,
+      budgetThresholds: project.budgetThresholds,
+      budgetAlerts: project.budgetAlerts
+    });
+  } catch (error) {
+    console.error('Error fetching project budget:', error);
+    res.status(500).json({ message: 'Failed to fetch project budget', error: error.message });
+  }
+});
+
+// Set the budget and its alert thresholds
+router.put('/:id/budget', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { budget, thresholds } = req.body;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (!canViewCosts(req.user, project)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (budget !== undefined && budget !== null && !(Number(budget) >= 0)) {
+      return res.status(400).json({ message: 'Budget must be a non-negative number' });
+    }
+    if (thresholds !== undefined &&
+        (!Array.isArray(thresholds) || thresholds.some(value => !(Number(value) > 0)))) {
+      return res.status(400).json({ message: 'Thresholds must be an array of positive percentages' });
+    }
+    
+    if (budget !== undefined) project.budget = budget;
+    if (thresholds !== undefined) project.budgetThresholds = [...new Set(thresholds.map(Number))].sort((a, b) => a - b);
+    
+    // Keep the new settings even when the cost cannot be recalculated
+    await project.save();
+    
+    // Re-evaluate alerts against the new budget and thresholds
+    const result = await recalculateProjectCost(project);
+    
+    res.json({ projectId: project._id, ...result.metrics, budgetThresholds: project.budgetThresholds, alertsRaised: result.alertsRaised });
+  } catch (error) {
+    if (error.code === 'MIXED_CURRENCIES') {
+      return res.status(409).json({ message: error.message, currencies: error.currencies });
+    }
+    console.error('Error updating project budget:', error);
+    res.status(500).json({ message: 'Failed to update project budget', error: error.message });
+  }
+});
+
+// Recalculate actual cost from logged time
+router.post('/:id/budget/recalculate', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (!canViewCosts(req.user, project)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const result = await recalculateProjectCost(project);
+    
+    res.json({ projectId: project._id, ...result });
+  } catch (error) {
+    if (error.code === 'MIXED_CURRENCIES') {
+      return res.status(409).json({ message: error.message, currencies: error.currencies });
+    }
+    console.error('Error recalculating project cost:', error);
+    res.status(500).json({ message: 'Failed to recalculate project cost', error: error.message });
+  }
+});
+
+// Get burndown and burnup series of a sprint
+router.get('/:id/sprints/:sprintId/burndown', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    
+    const tasks = await loadSprintTasks(sprint);
+    const series = buildBurnSeries(sprint, tasks);
+    
+    res.json({
+      sprintId: sprint._id,
+      status: sprint.status,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate,
+      committedPoints: sprint.committedPoints,
+      burndown: series.map(({ date, remaining, ideal }) => ({ date, remaining, ideal })),
+      burnup: series.map(({ date, scope, completed }) => ({ date, scope, completed }))
+    });
+  } catch (error) {
+    console.error('Error fetching sprint burndown:', error);
+    res.status(500).json({ message: 'Failed to fetch sprint burndown', error: error.message });
+  }
+});
+
+// Get velocity from completed points of past sprints
+router.get('/:id/velocity', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const count = parseInt(req.query.sprints) || DEFAULT_VELOCITY_SPRINTS;
+    const sprints = await Sprint.find({ project: req.params.id, status: 'closed' })
+      .select('name status startDate endDate committedPoints completedPoints');
+    
+    res.json({ projectId: req.params.id, ...computeVelocity(sprints, count) });
+  } catch (error) {
+    console.error('Error computing velocity:', error);
+    res.status(500).json({ message: 'Failed to compute velocity', error: error.message });
+  }
+});
+
+// Get critical path and slack for project tasks
+router.get('/:id/critical-path', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const hoursPerDay = parseFloat(req.query.hoursPerDay) || DEFAULT_HOURS_PER_DAY;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const tasks = await Task.find({ project: project._id, status: { $ne: 'cancelled' } })
+      .select('title status estimatedHours deadline dependencies');
+    
+    const analysis = computeCriticalPath(tasks, {
+      startDate: project.startDate || project.createdAt,
+      hoursPerDay
+    });
+    
+    res.json({
+      projectId: project._id,
+      projectEndDate: project.endDate || null,
+      ...analysis
+    });
+  } catch (error) {
+    if (error.code === 'DEPENDENCY_CYCLE') {
+      return res.status(409).json({ message: error.message, taskIds: error.taskIds });
+    }
+    console.error('Error computing critical path:', error);
+    res.status(500).json({ message: 'Failed to compute critical path', error: error.message });
+  }
+});
+
+// Get the project timeline: computed task dates, milestones and critical path
+router.get('/:id/timeline', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const hoursPerDay = parseFloat(req.query.hoursPerDay) || DEFAULT_HOURS_PER_DAY;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const tasks = await Task.find({ project: project._id, status: { $ne: 'cancelled' } })
+      .select(TIMELINE_TASK_FIELDS)
+      .populate('assignedTo', 'name email avatar');
+    
+    const timeline = computeTimeline(tasks, {
+      startDate: project.startDate || project.createdAt,
+      hoursPerDay
+    });
+    
+    res.json({
+      projectId: project._id,
+      projectStartDate: project.startDate || null,
+      projectEndDate: project.endDate || null,
+      ...timeline,
+      milestones: project.milestones.map(milestone => ({
+        _id: milestone._id,
+        title: milestone.title,
+        description: milestone.description,
+        targetDate: milestone.targetDate || null,
+        completed: milestone.completed,
+        completedAt: milestone.completedAt || null
+      }))
+    });
+  } catch (error) {
+    if (error.code === 'DEPENDENCY_CYCLE') {
+      return res.status(409).json({ message: error.message, taskIds: error.taskIds });
+    }
+    console.error('Error building project timeline:', error);
+    res.status(500).json({ message: 'Failed to build project timeline', error: error.message });
+  }
+});
+
+// Move a task's deadline and push back dependent tasks that would finish late.
+// With dryRun the impact is returned without saving anything.
+router.post('/:id/timeline/reschedule', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { taskId, deadline, shiftDays, dryRun = false, note } = req.body;
+    const hoursPerDay = parseFloat(req.body.hoursPerDay) || DEFAULT_HOURS_PER_DAY;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const tasks = await Task.find({ project: project._id, status: { $ne: 'cancelled' } })
+      .select(TIMELINE_TASK_FIELDS);
+    const task = tasks.find(item => item._id.toString() === String(taskId));
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in this project' });
+    }
+    
+    let newDeadline;
+    if (deadline) {
+      newDeadline = new Date(deadline);
+    } else if (shiftDays !== undefined && task.deadline) {
+      newDeadline = new Date(task.deadline.getTime() + parseFloat(shiftDays) * DAY_MS);
+    }
+    if (!newDeadline || isNaN(newDeadline.getTime())) {
+      return res.status(400).json({ message: 'Provide a valid deadline, or shiftDays for a task that has a deadline' });
+    }
+    
+    const plan = planReschedule(tasks, task._id, newDeadline, {
+      startDate: project.startDate || project.createdAt,
+      hoursPerDay
+    });
+    
+    if (dryRun) {
+      return res.json({ dryRun: true, ...plan });
+    }
+    
+    const updated = await applyReschedule(plan.changes, req.user._id, note);
+    
+    res.json({ dryRun: false, updated, ...plan });
+  } catch (error) {
+    if (error.code === 'DEPENDENCY_CYCLE') {
+      return res.status(409).json({ message: error.message, taskIds: error.taskIds });
+    }
+    console.error('Error rescheduling task:', error);
+    res.status(500).json({ message: 'Failed to reschedule task', error: error.message });
+  }
+});
+
+// Get the active task workflow of a project
+router.get('/:id/workflow', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const workflow = await Workflow.findOne({ project: project._id, isActive: true })
+      .populate('createdBy', 'name email');
+    
+    res.json(workflow || { ...DEFAULT_WORKFLOW, project: project._id });
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({ message: 'Failed to fetch workflow', error: error.message });
+  }
+});
+
+// List all workflow versions of a project
+router.get('/:id/workflow/versions', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const versions = await Workflow.find({ project: req.params.id })
+      .select('name version isActive changeNote createdBy createdAt')
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+    
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching workflow versions:', error);
+    res.status(500).json({ message: 'Failed to fetch workflow versions', error: error.message });
+  }
+});
+
+// Define a new workflow version and make it active
+router.put('/:id/workflow', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { name, description, states, transitions = [], changeNote, stateMapping } = req.body;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const errors = validateWorkflowDefinition({ states, transitions });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid workflow', errors });
+    }
+    
+    const latest = await Workflow.findOne({ project: project._id }).sort({ version: -1 });
+    const workflow = new Workflow({
+      project: project._id,
+      name: name || (latest ? latest.name : `${project.name} workflow`),
+      description,
+      version: latest ? latest.version + 1 : 1,
+      states,
+      transitions,
+      changeNote,
+      createdBy: req.user._id
+    });
+    
+    try {
+      await workflow.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'Workflow was changed concurrently, please retry' });
+      }
+      throw error;
+    }
+    
+    await Workflow.updateMany({ project: project._id, _id: { $ne: workflow._id } }, { isActive: false });
+    workflow.isActive = true;
+    await workflow.save();
+    
+    const migration = await migrateTaskStates(project._id, workflow, stateMapping);
+    
+    res.status(201).json({ workflow, migration });
+  } catch (error) {
+    console.error('Error saving workflow:', error);
+    res.status(500).json({ message: 'Failed to save workflow', error: error.message });
+  }
+});
+
+// Re-activate an earlier workflow version
+router.post('/:id/workflow/versions/:version/activate', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { stateMapping } = req.body;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const workflow = await Workflow.findOne({ project: project._id, version: parseInt(req.params.version) });
+    if (!workflow) {
+      return res.status(404).json({ message: 'Workflow version not found' });
+    }
+    
+    await Workflow.updateMany({ project: project._id, _id: { $ne: workflow._id } }, { isActive: false });
+    workflow.isActive = true;
+    await workflow.save();
+    
+    const migration = await migrateTaskStates(project._id, workflow, stateMapping);
+    
+    res.json({ workflow, migration });
+  } catch (error) {
+    console.error('Error activating workflow version:', error);
+    res.status(500).json({ message: 'Failed to activate workflow version', error: error.message });
+  }
+});
+
+// List sprints of a project
+router.get('/:id/sprints', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const filter = { project: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    
+    const sprints = await Sprint.find(filter)
+      .select('-tasks')
+      .sort({ startDate: -1 });
+    
+    res.json(sprints);
+  } catch (error) {
+    console.error('Error fetching sprints:', error);
+    res.status(500).json({ message: 'Failed to fetch sprints', error: error.message });
+  }
+});
+
+// Create a sprint
+router.post('/:id/sprints', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate, capacity = [], taskIds = [] } = req.body;
+    const project = await Project.findById(req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const errors = validateSprint({ name, startDate, endDate, capacity });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid sprint', errors });
+    }
+    
+    // Check the tasks first so a refused task list leaves no empty sprint behind
+    if (taskIds.length > 0) {
+      await findSprintTasks(project._id, taskIds);
+    }
+    
+    const sprint = await Sprint.create({
+      project: project._id,
+      name,
+      goal,
+      startDate,
+      endDate,
+      capacity,
+      createdBy: req.user._id
+    });
+    
+    if (taskIds.length > 0) {
+      await addTasksToSprint(sprint, taskIds);
+    }
+    
+    res.status(201).json(sprint);
+  } catch (error) {
+    if (error.code === 'UNKNOWN_TASKS' || error.code === 'TASKS_IN_OTHER_SPRINT') {
+      return res.status(400).json({ message: error.message, taskIds: error.taskIds });
+    }
+    console.error('Error creating sprint:', error);
+    res.status(500).json({ message: 'Failed to create sprint', error: error.message });
+  }
+});
+
+// Get a sprint with its tasks and member capacity
+router.get('/:id/sprints/:sprintId', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id })
+      .populate('capacity.user', 'name email avatar');
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    
+    const tasks = await loadSprintTasks(sprint).populate('assignedTo', 'name email avatar');
+    const active = new Set(sprint.tasks.filter(item => !item.removedAt).map(item => item.task.toString()));
+    
+    res.json({
+      ...sprint.toObject(),
+      tasks: tasks.filter(task => active.has(task._id.toString())),
+      capacitySummary: summarizeCapacity(sprint, tasks)
+    });
+  } catch (error) {
+    console.error('Error fetching sprint:', error);
+    res.status(500).json({ message: 'Failed to fetch sprint', error: error.message });
+  }
+});
+
+// Update sprint details and capacity
+router.put('/:id/sprints/:sprintId', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    if (sprint.status === 'closed') {
+      return res.status(409).json({ message: 'Closed sprints cannot be changed' });
+    }
+    
+    const { name, goal, startDate, endDate, capacity } = req.body;
+    if (sprint.status === 'active' && startDate && new Date(startDate).getTime() !== sprint.startDate.getTime()) {
+      return res.status(409).json({ message: 'The start date of an active sprint cannot be changed' });
+    }
+    
+    const errors = validateSprint({
+      startDate: startDate || sprint.startDate,
+      endDate: endDate || sprint.endDate,
+      capacity
+    }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid sprint', errors });
+    }
+    
+    if (name !== undefined) sprint.name = name;
+    if (goal !== undefined) sprint.goal = goal;
+    if (startDate) sprint.startDate = startDate;
+    if (endDate) sprint.endDate = endDate;
+    if (capacity !== undefined) sprint.capacity = capacity;
+    await sprint.save();
+    
+    res.json(sprint);
+  } catch (error) {
+    console.error('Error updating sprint:', error);
+    res.status(500).json({ message: 'Failed to update sprint', error: error.message });
+  }
+});
+
+// Add tasks to a sprint
+router.post('/:id/sprints/:sprintId/tasks', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { taskIds } = req.body;
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ message: 'taskIds must be a non-empty array' });
+    }
+    
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    if (sprint.status === 'closed') {
+      return res.status(409).json({ message: 'Closed sprints cannot be changed' });
+    }
+    
+    const added = await addTasksToSprint(sprint, taskIds);
+    
+    res.json({ message: 'Tasks added to sprint', added });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_TASKS' || error.code === 'TASKS_IN_OTHER_SPRINT') {
+      return res.status(400).json({ message: error.message, taskIds: error.taskIds });
+    }
+    console.error('Error adding sprint tasks:', error);
+    res.status(500).json({ message: 'Failed to add tasks to sprint', error: error.message });
+  }
+});
+
+// Remove a task from a sprint
+router.delete('/:id/sprints/:sprintId/tasks/:taskId', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    if (sprint.status === 'closed') {
+      return res.status(409).json({ message: 'Closed sprints cannot be changed' });
+    }
+    
+    const removed = await removeTaskFromSprint(sprint, req.params.taskId);
+    if (!removed) {
+      return res.status(404).json({ message: 'Task is not in this sprint' });
+    }
+    
+    res.json({ message: 'Task removed from sprint' });
+  } catch (error) {
+    console.error('Error removing sprint task:', error);
+    res.status(500).json({ message: 'Failed to remove task from sprint', error: error.message });
+  }
+});
+
+// Start a planned sprint
+router.post('/:id/sprints/:sprintId/start', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    if (sprint.status !== 'planned') {
+      return res.status(409).json({ message: `Sprint is already ${sprint.status}` });
+    }
+    
+    await startSprint(sprint);
+    
+    res.json(sprint);
+  } catch (error) {
+    if (error.code === 'SPRINT_ACTIVE') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Error starting sprint:', error);
+    res.status(500).json({ message: 'Failed to start sprint', error: error.message });
+  }
+});
+
+// Close an active sprint, carrying unfinished tasks over to a planned sprint
+// (carryOverTo) or back to the backlog
+router.post('/:id/sprints/:sprintId/close', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { carryOverTo } = req.body;
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    if (sprint.status !== 'active') {
+      return res.status(409).json({ message: 'Only active sprints can be closed' });
+    }
+    
+    let target = null;
+    if (carryOverTo) {
+      target = await Sprint.findOne({ _id: carryOverTo, project: sprint.project, status: 'planned' });
+      if (!target) {
+        return res.status(400).json({ message: 'Carry-over sprint must be a planned sprint of this project' });
+      }
+    }
+    
+    const result = await closeSprint(sprint, target);
+    
+    res.json({ sprint, ...result, carriedOverTo: target ? target._id : null });
+  } catch (error) {
+    console.error('Error closing sprint:', error);
+    res.status(500).json({ message: 'Failed to close sprint', error: error.message });
+  }
+});
+
+// Delete a planned sprint, returning its tasks to the backlog
+router.delete('/:id/sprints/:sprintId', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const sprint = await Sprint.findOne({ _id: req.params.sprintId, project: req.params.id });
+    
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+    if (sprint.status !== 'planned') {
+      return res.status(409).json({ message: 'Only planned sprints can be deleted' });
+    }
+    
+    await Task.updateMany({ sprint: sprint._id }, { $unset: { sprint: 1 } });
+    await sprint.deleteOne();
+    
+    res.json({ message: 'Sprint deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting sprint:', error);
+    res.status(500).json({ message: 'Failed to delete sprint', error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const User = require('../models/User');
+const { authenticateJWT } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const { PROJECT_ROLES, getProjectRole, roleAllows } = require('../utils/projectAccess');
+const { notifyUser } = require('../utils/notifications');
+const { DAY_MS } = require('../utils/recurrence');
+
+const DEFAULT_INVITATION_DAYS = 14;
+const MEMBER_FIELDS = 'name email role avatar';
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+const validateRole = (role) =>
+  PROJECT_ROLES.includes(role) ? null : `Role must be one of: ${PROJECT_ROLES.join(', ')}`;
+
+const isExpired = (invitation, now = new Date()) => !!invitation.expiresAt && invitation.expiresAt <= now;
+
+const notExpired = (now = new Date()) => ({
+  $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+/**
+ * Everyone with access to the project: the manager and explicit members,
+ * plus stakeholders who have not been given a membership (viewers)
+ */
+function listMembers(project) {
+  const members = [];
+  const seen = new Set();
+  const add = (user, role, extra = {}) => {
+    if (!user || seen.has(toId(user))) return;
+    seen.add(toId(user));
+    members.push({ user, role, ...extra });
+  };
+
+  add(project.manager, 'owner', { isManager: true });
+  project.members.forEach(entry => add(entry.user, entry.role, { addedBy: entry.addedBy, addedAt: entry.addedAt }));
+  (project.stakeholders || []).forEach(user => add(user, 'viewer', { isStakeholder: true }));
+  return members;
+}
+
+/**
+ * Load one of the caller's own pending invitations, answering 404/409
+ * itself. Returns null when a response has already been sent.
+ */
+async function loadOwnInvitation(req, res) {
+  const invitation = await ProjectInvitation.findOne({ _id: req.params.invitationId, user: req.user._id });
+  if (!invitation) {
+    res.status(404).json({ message: 'Invitation not found' });
+    return null;
+  }
+  if (invitation.status !== 'pending') {
+    res.status(409).json({ message: `Invitation has already been ${invitation.status}` });
+    return null;
+  }
+  if (isExpired(invitation)) {
+    res.status(410).json({ message: 'Invitation has expired' });
+    return null;
+  }
+  return invitation;
+}
+
+// GET /api/projects/invitations - The caller's pending project invitations
+router.get('/invitations', authenticateJWT, async (req, res) => {
+  try {
+    const invitations = await ProjectInvitation.find({
+      user: req.user._id,
+      status: 'pending',
+      ...notExpired()
+    })
+      .populate('project', 'name code description')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch invitations', error: err.message });
+  }
+});
+
+// POST /api/projects/invitations/:invitationId/accept - Join the project with the invited role
+router.post('/invitations/:invitationId/accept', authenticateJWT, async (req, res) => {
+  try {
+    const invitation = await loadOwnInvitation(req, res);
+    if (!invitation) return;
+
+    const project = await Project.findById(invitation.project);
+    if (!project || !project.isActive) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const member = project.members.find(entry => toId(entry.user) === req.user._id.toString());
+    if (member) {
+      member.role = invitation.role;
+    } else {
+      project.members.push({ user: req.user._id, role: invitation.role, addedBy: invitation.invitedBy });
+    }
+    await project.save();
+
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    await notifyUser(invitation.invitedBy, {
+      type: 'system',
+      title: 'Project invitation accepted',
+      message: `${req.user.name} joined project "${project.name}" as ${invitation.role}.`,
+      category: 'project',
+      actionUrl: `/projects/${project._id}/members`
+    });
+
+    res.json({ message: 'Invitation accepted', invitation, project: { _id: project._id, name: project.name }, role: invitation.role });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to accept invitation', error: err.message });
+  }
+});
+
+// POST /api/projects/invitations/:invitationId/decline - Decline an invitation
+router.post('/invitations/:invitationId/decline', authenticateJWT, async (req, res) => {
+  try {
+    const invitation = await loadOwnInvitation(req, res);
+    if (!invitation) return;
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const project = await Project.findById(invitation.project).select('name');
+    await notifyUser(invitation.invitedBy, {
+      type: 'system',
+      title: 'Project invitation declined',
+      message: `${req.user.name} declined the invitation to project "${project ? project.name : 'a project'}".`,
+      category: 'project',
+      actionUrl: `/projects/${invitation.project}/members`
+    });
+
+    res.json({ message: 'Invitation declined', invitation });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to decline invitation', error: err.message });
+  }
+});
+
+// GET /api/projects/:id/members - Project members with their project roles
+router.get('/:id/members', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select('name manager members stakeholders')
+      .populate('manager', MEMBER_FIELDS)
+      .populate('members.user', MEMBER_FIELDS)
+      .populate('members.addedBy', 'name')
+      .populate('stakeholders', MEMBER_FIELDS);
+
+    res.json({ members: listMembers(project), myRole: req.projectRole, roles: PROJECT_ROLES });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch project members', error: err.message });
+  }
+});
+
+// PUT /api/projects/:id/members/:userId - Change a member's project role
+router.put('/:id/members/:userId', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const error = validateRole(role);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const project = await Project.findById(req.params.id);
+    if (toId(project.manager) === req.params.userId) {
+      return res.status(400).json({ message: 'The project manager is always an owner; reassign the manager first' });
+    }
+    if (!getProjectRole(project, { _id: req.params.userId })) {
+      return res.status(404).json({ message: 'User is not a member of this project' });
+    }
+
+    const member = project.members.find(entry => toId(entry.user) === req.params.userId);
+    if (member) {
+      member.role = role;
+    } else {
+      // Stakeholder without a membership yet
+      project.members.push({ user: req.params.userId, role, addedBy: req.user._id });
+    }
+    await project.save();
+
+    res.json({ message: 'Member role updated', user: req.params.userId, role });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update member', error: err.message });
+  }
+});
+
+// DELETE /api/projects/:id/members/:userId - Remove a member (owners) or leave the project (self)
+router.delete('/:id/members/:userId', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !roleAllows(req.projectRole, 'manage')) {
+      return res.status(403).json({ message: 'Only project owners can remove members' });
+    }
+
+    const project = await Project.findById(req.params.id);
+    if (toId(project.manager) === req.params.userId) {
+      return res.status(400).json({ message: 'The project manager cannot be removed; reassign the manager first' });
+    }
+    if (!getProjectRole(project, { _id: req.params.userId })) {
+      return res.status(404).json({ message: 'User is not a member of this project' });
+    }
+
+    project.members = project.members.filter(entry => toId(entry.user) !== req.params.userId);
+    project.stakeholders = (project.stakeholders || []).filter(id => toId(id) !== req.params.userId);
+    await project.save();
+
+    res.json({ message: isSelf ? 'You left the project' : 'Member removed', user: req.params.userId });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to remove member', error: err.message });
+  }
+});
+
+// GET /api/projects/:id/invitations - Invitations sent for the project (?status=)
+router.get('/:id/invitations', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const filter = { project: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invitations = await ProjectInvitation.find(filter)
+      .populate('user', MEMBER_FIELDS)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch invitations', error: err.message });
+  }
+});
+
+// POST /api/projects/:id/invitations - Invite a user with a project role
+router.post('/:id/invitations', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const { userId, role = 'contributor', message, expiresInDays = DEFAULT_INVITATION_DAYS } = req.body;
+    const error = validateRole(role);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (!userId) {
+      return res.status(400).json({ message: 'userId is required' });
+    }
+
+    const [project, invitee] = await Promise.all([
+      Project.findById(req.params.id),
+      User.findById(userId).select('name email role')
+    ]);
+    if (!invitee) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (project.members.some(entry => toId(entry.user) === userId) || toId(project.manager) === userId) {
+      return res.status(409).json({ message: 'User is already a member of this project' });
+    }
+
+    const pending = await ProjectInvitation.findOne({
+      project: project._id,
+      user: userId,
+      status: 'pending',
+      ...notExpired()
+    });
+    if (pending) {
+      return res.status(409).json({ message: 'User already has a pending invitation', invitation: pending });
+    }
+
+    const days = Number(expiresInDays);
+    const invitation = await ProjectInvitation.create({
+      project: project._id,
+      user: userId,
+      role,
+      message,
+      invitedBy: req.user._id,
+      expiresAt: days > 0 ? new Date(Date.now() + days * DAY_MS) : undefined
+    });
+
+    await notifyUser(userId, {
+      type: 'system',
+      title: 'Project invitation',
+      message: `${req.user.name} invited you to join project "${project.name}" as ${role}.`,
+      category: 'project',
+      actionUrl: '/projects/invitations'
+    });
+
+    res.status(201).json(invitation);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to send invitation', error: err.message });
+  }
+});
+
+// DELETE /api/projects/:id/invitations/:invitationId - Revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', authenticateJWT, requireProjectAccess('manage'), async (req, res) => {
+  try {
+    const invitation = await ProjectInvitation.findOne({ _id: req.params.invitationId, project: req.params.id });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+    res.json({ message: 'Invitation revoked', invitation });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to revoke invitation', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { authenticateJWT } = require('../middleware/auth');
+const { requireProjectAccess } = require('../middleware/projectAccess');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { notifyUser } = require('../utils/notifications');
+const { getProjectWorkflow, getInitialState } = require('../utils/workflow');
+const {
+  RISK_TRANSITIONS,
+  RISK_FIELDS,
+  riskScore,
+  riskLevel,
+  validateRisk,
+  canTransitionRisk,
+  findMissingTasks,
+  headedDepartmentIds,
+  buildHeatMap
+} = require('../utils/risks');
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+// Project owners run the register
+const canManageRisks = (user, project) => hasProjectPermission(project, user, 'manage');
+
+// A risk's owner may also update it and move it through its statuses
+const canUpdateRisk = (user, project, risk) => canManageRisks(user, project) || isSameUser(risk.owner, user);
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+const serializeRisk = (risk) => {
+  const data = risk.toObject ? risk.toObject() : { ...risk };
+  return { ...data, level: riskLevel(data.score) };
+};
+
+async function notifyOwner(risk, project, actor) {
+  if (!risk.owner || isSameUser(risk.owner, actor)) return;
+  await notifyUser(risk.owner, {
+    type: 'system',
+    title: 'Risk assigned to you',
+    message: `You own the risk "${risk.title}" on project "${project.name}".`,
+    category: 'risk',
+    actionUrl: `/projects/${project._id}/risks/${risk._id}`
+  });
+}
+
+/**
+ * Load the project and risk from the route, answering 404 itself.
+ * Returns null when a response has already been sent.
+ */
+async function loadRisk(req, res) {
+  const project = await Project.findById(req.params.id);
+  if (!project) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+  const risk = project.risks.id(req.params.riskId);
+  if (!risk) {
+    res.status(404).json({ message: 'Risk not found' });
+    return null;
+  }
+  return { project, risk };
+}
+
+// GET /api/projects/risks/heatmap - Open risks across the caller's projects
+// (all projects for admins, headed departments for department heads)
+router.get('/risks/heatmap', authenticateJWT, async (req, res) => {
+  try {
+    const { department, limit = 20 } = req.query;
+    const filter = { isActive: true, 'risks.status': 'open' };
+
+    if (req.user.role === 'admin') {
+      if (department) filter.department = department;
+    } else {
+      const departments = await headedDepartmentIds(req.user._id);
+      if (departments.length === 0) {
+        return res.status(403).json({ message: 'Only admins and department heads can view the risk heat map' });
+      }
+      if (department && !departments.includes(department)) {
+        return res.status(403).json({ message: 'Access denied to this department' });
+      }
+      filter.department = department || { $in: departments };
+    }
+
+    const projects = await Project.find(filter)
+      .select('name department risks')
+      .populate('risks.owner', 'name email');
+
+    res.json(buildHeatMap(projects, { limit: parseInt(limit) || 20 }));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to build risk heat map', error: err.message });
+  }
+});
+
+// GET /api/projects/:id/risks - List risks, highest score first
+router.get('/:id/risks', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select('name manager risks')
+      .populate('risks.owner', 'name email avatar')
+      .populate('risks.mitigationTasks', 'title status progress deadline assignedTo');
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { status, owner, dueForReview } = req.query;
+    let risks = project.risks;
+    if (status) risks = risks.filter(risk => risk.status === status);
+    if (owner) risks = risks.filter(risk => risk.owner && risk.owner._id.toString() === owner);
+    if (dueForReview === 'true') {
+      const now = new Date();
+      risks = risks.filter(risk => risk.status !== 'closed' && risk.reviewDate && risk.reviewDate <= now);
+    }
+
+    res.json(risks
+      .map(serializeRisk)
+      .sort((a, b) => (b.score || 0) - (a.score || 0)));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch risks', error: err.message });
+  }
+});
+
+// GET /api/projects/:id/risks/:riskId - Get a risk with its history and comments
+router.get('/:id/risks/:riskId', authenticateJWT, requireProjectAccess('view'), async (req, res) => {
+  try {
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+
+    await loaded.project.populate([
+      { path: 'risks.owner', select: 'name email avatar' },
+      { path: 'risks.mitigationTasks', select: 'title status progress deadline assignedTo' },
+      { path: 'risks.comments.user', select: 'name email avatar' },
+      { path: 'risks.statusHistory.changedBy', select: 'name email' }
+    ]);
+    res.json(serializeRisk(loaded.project.risks.id(req.params.riskId)));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch risk', error: err.message });
+  }
+});
+
+// POST /api/projects/:id/risks - Add a risk to the register
+router.post('/:id/risks', authenticateJWT, requireProjectAccess('view', { write: true }), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (!canManageRisks(req.user, project)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const data = pick(req.body, RISK_FIELDS);
+    const errors = validateRisk(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid risk', errors });
+    }
+    const missing = await findMissingTasks(data.mitigationTasks, project._id);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Mitigation tasks not found in this project', missing });
+    }
+
+    project.risks.push({
+      ...data,
+      score: riskScore(data.probability, data.impact),
+      status: 'open',
+      createdBy: req.user._id
+    });
+    await project.save();
+
+    const risk = project.risks[project.risks.length - 1];
+    await notifyOwner(risk, project, req.user);
+    res.status(201).json(serializeRisk(risk));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create risk', error: err.message });
+  }
+});
+
+// PUT /api/projects/:id/risks/:riskId - Update a risk; `reviewed: true` records a review
+router.put('/:id/risks/:riskId', authenticateJWT, requireProjectAccess('view', { write: true }), async (req, res) => {
+  try {
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+    const { project, risk } = loaded;
+
+    if (!canUpdateRisk(req.user, project, risk)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const data = pick(req.body, RISK_FIELDS);
+    if (data.owner !== undefined && !canManageRisks(req.user, project)) {
+      return res.status(403).json({ message: 'Only risk managers can reassign a risk' });
+    }
+    const errors = validateRisk(data, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid risk', errors });
+    }
+    const missing = await findMissingTasks(data.mitigationTasks, project._id);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'Mitigation tasks not found in this project', missing });
+    }
+
+    const ownerChanged = data.owner !== undefined && !isSameUser(risk.owner, { _id: data.owner });
+    Object.assign(risk, data);
+    risk.score = riskScore(risk.probability, risk.impact);
+    if (req.body.reviewed) risk.lastReviewedAt = new Date();
+    await project.save();
+
+    if (ownerChanged) await notifyOwner(risk, project, req.user);
+    res.json(serializeRisk(risk));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update risk', error: err.message });
+  }
+});
+
+// DELETE /api/projects/:id/risks/:riskId - Remove a risk from the register
+router.delete('/:id/risks/:riskId', authenticateJWT, requireProjectAccess('view', { write: true }), async (req, res) => {
+  try {
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+    const { project, risk } = loaded;
+
+    if (!canManageRisks(req.user, project)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    risk.deleteOne();
+    await project.save();
+    res.json({ message: 'Risk deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to delete risk', error: err.message });
+  }
+});
+
+// POST /api/projects/:id/risks/:riskId/status - Move a risk to another status (comment required)
+router.post('/:id/risks/:riskId/status', authenticateJWT, requireProjectAccess('view', { write: true }), async (req, res) => {
+  try {
+    const { status, comment } = req.body;
+    if (!comment || !comment.trim()) {
+      return res.status(400).json({ message: 'A comment is required to change the risk status' });
+    }
+
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+    const { project, risk } = loaded;
+
+    if (!canUpdateRisk(req.user, project, risk)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (!canTransitionRisk(risk.status, status)) {
+      return res.status(409).json({
+        message: `Cannot move a risk from ${risk.status} to ${status}`,
+        allowed: RISK_TRANSITIONS[risk.status]
+      });
+    }
+
+    risk.statusHistory.push({ from: risk.status, to: status, comment, changedBy: req.user._id });
+    risk.comments.push({ user: req.user._id, text: comment });
+    risk.status = status;
+    await project.save();
+
+    res.json(serializeRisk(risk));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to change risk status', error: err.message });
+  }
+});
+
+// POST /api/projects/:id/risks/:riskId/comments - Comment on a risk (anyone with comment access)
+router.post('/:id/risks/:riskId/comments', authenticateJWT, requireProjectAccess('comment'), async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+    const { project, risk } = loaded;
+
+    risk.comments.push({ user: req.user._id, text });
+    await project.save();
+    res.status(201).json(risk.comments[risk.comments.length - 1]);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add comment', error: err.message });
+  }
+});
+
+// POST /api/projects/:id/risks/:riskId/mitigation-tasks - Link an existing task
+// (taskId) or create a mitigation task in the project (task)
+router.post('/:id/risks/:riskId/mitigation-tasks', authenticateJWT, requireProjectAccess('view', { write: true }), async (req, res) => {
+  try {
+    const { taskId, task: taskData } = req.body;
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+    const { project, risk } = loaded;
+
+    if (!canUpdateRisk(req.user, project, risk)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    let task;
+    if (taskId) {
+      if (!mongoose.Types.ObjectId.isValid(taskId)) {
+        return res.status(400).json({ message: 'Invalid task id' });
+      }
+      task = await Task.findOne({ _id: taskId, project: project._id });
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found in this project' });
+      }
+    } else if (taskData && taskData.title) {
+      const initialState = getInitialState(await getProjectWorkflow(project._id));
+      task = await Task.create({
+        ...pick(taskData, ['title', 'description', 'priority', 'deadline', 'estimatedHours']),
+        assignedTo: taskData.assignedTo || risk.owner,
+        assignedBy: req.user._id,
+        project: project._id,
+        team: project.team,
+        tags: ['risk-mitigation'],
+        category: 'risk',
+        status: initialState.category,
+        workflowState: initialState.key
+      });
+      project.tasks.push(task._id);
+    } else {
+      return res.status(400).json({ message: 'Provide taskId or a task with a title' });
+    }
+
+    if (!risk.mitigationTasks.some(id => id.toString() === task._id.toString())) {
+      risk.mitigationTasks.push(task._id);
+    }
+    await project.save();
+
+    res.status(201).json({ risk: serializeRisk(risk), task });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to link mitigation task', error: err.message });
+  }
+});
+
+// DELETE /api/projects/:id/risks/:riskId/mitigation-tasks/:taskId - Unlink a mitigation task
+router.delete('/:id/risks/:riskId/mitigation-tasks/:taskId', authenticateJWT, requireProjectAccess('view', { write: true }), async (req, res) => {
+  try {
+    const loaded = await loadRisk(req, res);
+    if (!loaded) return;
+    const { project, risk } = loaded;
+
+    if (!canUpdateRisk(req.user, project, risk)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    risk.mitigationTasks = risk.mitigationTasks.filter(id => id.toString() !== req.params.taskId);
+    await project.save();
+    res.json(serializeRisk(risk));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to unlink mitigation task', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Team = require('../models/Team');
+const { isOverdue } = require('../utils/overdueTasks');
 
 // Get task reports
 router.get('/tasks', authenticateJWT, async (req, res) => {
@@ -53,11 +54,9 @@ router.get('/tasks', authenticateJWT, async (req, res) => {
     // Calculate summary
     const totalTasks = tasks.length;
     const completed = tasks.filter(task => task.status === 'completed').length;
-    const inProgress = tasks.filter(task => task.status === 'inProgress').length;
+    const inProgress = tasks.filter(task => task.status === 'in_progress').length;
     const pending = tasks.filter(task => task.status === 'pending').length;
-    const overdue = tasks.filter(task => 
-      task.deadline && new Date(task.deadline) < now && task.status !== 'completed'
-    ).length;
+    const overdue = tasks.filter(task => isOverdue(task, now)).length;
     
     // Calculate breakdown by priority
     const byPriority = {
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { Reward, RewardRedemption } = require('../models/Reward');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const {
+  ACTIVE_REDEMPTION_STATUSES,
+  canDecideRedemption,
+  redeemReward,
+  updateRedemption
+} = require('../utils/rewards');
+
+const REWARD_FIELDS = ['name', 'description', 'image', 'category', 'cost', 'stock', 'perUserLimit', 'requiresApproval', 'isActive'];
+
+// Errors from redeeming, by code
+const REDEEM_ERROR_STATUS = {
+  REWARD_NOT_FOUND: 404,
+  OUT_OF_STOCK: 409,
+  REDEMPTION_LIMIT: 409,
+  INSUFFICIENT_POINTS: 409
+};
+
+const pickReward = (body) => REWARD_FIELDS.reduce((result, field) => {
+  if (body[field] !== undefined) result[field] = body[field];
+  return result;
+}, {});
+
+const paginate = (req) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const populateRedemption = (query) => query
+  .populate('reward', 'name image category cost')
+  .populate('user', 'name email avatar')
+  .populate('decidedBy', 'name')
+  .populate('fulfilledBy', 'name');
+
+// GET /api/rewards - Reward catalogue with the caller's balance and remaining redemptions
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' && req.user.role === 'admin' ? {} : { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const [rewards, user, counts] = await Promise.all([
+      Reward.find(filter).sort({ cost: 1, name: 1 }),
+      User.findById(req.user._id).select('stats.pointsBalance'),
+      RewardRedemption.aggregate([
+        { $match: { user: req.user._id, status: { $in: ACTIVE_REDEMPTION_STATUSES } } },
+        { $group: { _id: '$reward', count: { $sum: 1 } } }
+      ])
+    ]);
+    const redeemed = new Map(counts.map(row => [row._id.toString(), row.count]));
+    const balance = user.stats.pointsBalance;
+
+    res.json({
+      balance,
+      rewards: rewards.map(reward => {
+        const count = redeemed.get(reward._id.toString()) || 0;
+        const remaining = reward.perUserLimit ? Math.max(reward.perUserLimit - count, 0) : null;
+        return {
+          ...reward.toObject(),
+          redeemedByMe: count,
+          remainingForMe: remaining,
+          canRedeem: reward.isActive && balance >= reward.cost && reward.stock !== 0 && remaining !== 0
+        };
+      })
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch rewards', error: err.message });
+  }
+});
+
+// POST /api/rewards - Add a reward to the catalogue
+router.post('/', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const reward = await Reward.create({ ...pickReward(req.body), createdBy: req.user._id });
+    res.status(201).json(reward);
+  } catch (err) {
+    const status = err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Failed to create reward', error: err.message });
+  }
+});
+
+// GET /api/rewards/redemptions - The caller's redemption history (?status=)
+router.get('/redemptions', authenticateJWT, async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req);
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [redemptions, total] = await Promise.all([
+      populateRedemption(RewardRedemption.find(filter)).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      RewardRedemption.countDocuments(filter)
+    ]);
+    res.json({ redemptions, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch redemptions', error: err.message });
+  }
+});
+
+// GET /api/rewards/redemptions/pending - Pending redemptions the caller can decide
+router.get('/redemptions/pending', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const pending = (await populateRedemption(RewardRedemption.find({ status: 'pending' })).sort({ createdAt: 1 }))
+      .filter(redemption => redemption.user);
+    const requesters = await User.find({ _id: { $in: pending.map(redemption => redemption.user._id) } }).select('manager');
+    const byId = new Map(requesters.map(user => [user._id.toString(), user]));
+
+    res.json(pending.filter(redemption => {
+      const requester = byId.get(redemption.user._id.toString());
+      return requester && canDecideRedemption(req.user, requester);
+    }));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch pending redemptions', error: err.message });
+  }
+});
+
+// GET /api/rewards/redemptions/all - Every redemption (?status=&user=&reward=)
+router.get('/redemptions/all', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.reward) filter.reward = req.query.reward;
+
+    const [redemptions, total, totals] = await Promise.all([
+      populateRedemption(RewardRedemption.find(filter)).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      RewardRedemption.countDocuments(filter),
+      RewardRedemption.aggregate([
+        { $match: { status: { $in: ACTIVE_REDEMPTION_STATUSES } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, points: { $sum: '$cost' } } }
+      ])
+    ]);
+    res.json({ redemptions, totals, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch redemptions', error: err.message });
+  }
+});
+
+/**
+ * Apply a redemption action for the caller, answering with the right
+ * status when the caller may not or the redemption is already decided
+ */
+const redemptionAction = (action) => async (req, res) => {
+  try {
+    const redemption = await RewardRedemption.findById(req.params.redemptionId);
+    if (!redemption) {
+      return res.status(404).json({ message: 'Redemption not found' });
+    }
+
+    const isOwner = redemption.user.toString() === req.user._id.toString();
+    if (action === 'cancel' && !isOwner) {
+      return res.status(403).json({ message: 'You can only cancel your own redemptions' });
+    }
+    if (action === 'fulfil' && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can mark redemptions as fulfilled' });
+    }
+    if (['approve', 'reject'].includes(action)) {
+      const requester = await User.findById(redemption.user).select('manager');
+      if (!requester || !canDecideRedemption(req.user, requester)) {
+        return res.status(403).json({ message: 'You cannot decide on this redemption' });
+      }
+    }
+
+    const updated = await updateRedemption(redemption, action, req.user, req.body.note);
+    if (!updated) {
+      return res.status(409).json({ message: `Cannot ${action} a redemption that is ${redemption.status}` });
+    }
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ message: `Failed to ${action} redemption`, error: err.message });
+  }
+};
+
+// POST /api/rewards/redemptions/:redemptionId/approve - Approve a pending redemption
+router.post('/redemptions/:redemptionId/approve', authenticateJWT, authorizeRoles('admin', 'manager'), redemptionAction('approve'));
+
+// POST /api/rewards/redemptions/:redemptionId/reject - Reject a pending redemption and refund it
+router.post('/redemptions/:redemptionId/reject', authenticateJWT, authorizeRoles('admin', 'manager'), redemptionAction('reject'));
+
+// POST /api/rewards/redemptions/:redemptionId/cancel - Cancel one's own pending redemption and get a refund
+router.post('/redemptions/:redemptionId/cancel', authenticateJWT, redemptionAction('cancel'));
+
+// POST /api/rewards/redemptions/:redemptionId/fulfil - Mark an approved redemption as handed out
+router.post('/redemptions/:redemptionId/fulfil', authenticateJWT, authorizeRoles('admin'), redemptionAction('fulfil'));
+
+// PUT /api/rewards/:id - Update a reward
+router.put('/:id', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const reward = await Reward.findByIdAndUpdate(req.params.id, pickReward(req.body), { new: true, runValidators: true });
+    if (!reward) {
+      return res.status(404).json({ message: 'Reward not found' });
+    }
+    res.json(reward);
+  } catch (err) {
+    const status = err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: 'Failed to update reward', error: err.message });
+  }
+});
+
+// DELETE /api/rewards/:id - Withdraw a reward from the catalogue; its history is kept
+router.delete('/:id', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const reward = await Reward.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!reward) {
+      return res.status(404).json({ message: 'Reward not found' });
+    }
+    res.json({ message: 'Reward withdrawn', reward });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to withdraw reward', error: err.message });
+  }
+});
+
+// POST /api/rewards/:id/redeem - Redeem a reward with the caller's points
+router.post('/:id/redeem', authenticateJWT, async (req, res) => {
+  try {
+    const { redemption, reward } = await redeemReward(req.user, req.params.id, { note: req.body.note });
+    res.status(201).json({
+      message: reward.requiresApproval ? 'Redemption requested and awaiting approval' : 'Reward redeemed',
+      redemption
+    });
+  } catch (err) {
+    if (REDEEM_ERROR_STATUS[err.code]) {
+      return res.status(REDEEM_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Failed to redeem reward', error: err.message });
+  }
+});
+
+module.exports = router;
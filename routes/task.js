@@ -1,11 +1,100 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Project = require('../models/Project');
+const TaskHistory = require('../models/TaskHistory');
+const TaskComment = require('../models/TaskComment');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { loadProjectAccess, requireTaskProjectAccess } = require('../middleware/projectAccess');
 const { validateTask, handleValidation } = require('../middleware/validate');
-const { emitTaskUpdate, emitNotification, emitToUser, emitToTeam } = require('../socket');
+const { emitTaskUpdate, emitNotification, emitToUser, emitToTeam, emitToBoard } = require('../socket');
+const { snapshotTask, recordTaskChange, recordTaskDiff } = require('../utils/taskHistory');
+const { validateRecurrenceRule, upcomingOccurrences } = require('../utils/recurrence');
+const { awardTaskCompletion } = require('../utils/gamification');
+const {
+  TEMPLATE_FIELDS,
+  startSeries,
+  handleOccurrenceClosed,
+  updateFutureOccurrences,
+  rescheduleFromOccurrence,
+  skipOccurrence
+} = require('../utils/recurringTasks');
+const {
+  DONE_STATUSES,
+  validateDependencies,
+  checkDependencyGate,
+  applyDependencyBlock,
+  syncDependents
+} = require('../utils/taskDependencies');
+const {
+  rollupFromTask,
+  isAncestor,
+  setParentTask,
+  removeTaskReferences
+} = require('../utils/taskRollup');
+const {
+  getProjectWorkflow,
+  getInitialState,
+  getActorRoles,
+  getAvailableTransitions,
+  resolveCurrentState,
+  evaluateTaskTransition,
+  transitionError
+} = require('../utils/workflow');
+const {
+  validateChecklistOrder,
+  validateChecklistPosition,
+  moveChecklistItem,
+  syncChecklistProgress
+} = require('../utils/taskChecklist');
+const { serializeComment, createTaskComment } = require('../utils/taskComments');
+const { BOARD_SCOPES, computeMoveRank, checkWipLimits, boardIdsForTask } = require('../utils/board');
+const { roleAllows, memberProjectFilter } = require('../utils/projectAccess');
+
+// Fields whose changes are rolled up to parent tasks and the project
+const ROLLUP_FIELDS = ['status', 'progress', 'actualHours', 'estimatedHours', 'parentTask', 'project'];
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+// Admins, managers, project contributors and the assignee may edit a task
+const canEditTask = (user, task, projectRole) =>
+  user.role === 'admin' || user.role === 'manager' || roleAllows(projectRole, 'contribute') ||
+  isSameUser(task.assignedTo, user);
+
+/**
+ * Completion fields of an update moving a task from one status to another:
+ * set when it becomes completed, removed when it is reopened
+ */
+function completionUpdate(fromStatus, toStatus, user) {
+  if (toStatus === 'completed' && fromStatus !== 'completed') {
+    return { completedAt: new Date(), completedBy: user._id };
+  }
+  if (toStatus !== 'completed' && fromStatus === 'completed') {
+    return { $unset: { completedAt: 1, completedBy: 1 } };
+  }
+  return {};
+}
+
+/**
+ * Save a checklist change: derive progress, record history, emit the update
+ * and roll the new progress up to the parent task and project
+ */
+async function saveChecklistChange(task, actor, change) {
+  const progressBefore = task.progress;
+  const progressChanged = await syncChecklistProgress(task);
+  await task.save();
+
+  const changes = [change];
+  if (progressChanged) changes.push({ field: 'progress', from: progressBefore, to: task.progress });
+  await recordTaskChange(task._id, { actor, action: 'checklist_updated', changes });
+
+  emitTaskUpdate(task);
+  if (progressChanged) {
+    await rollupFromTask(task, actor);
+  }
+}
 
 // GET /api/tasks - Get all tasks with filtering and pagination
 router.get('/', authenticateJWT, async (req, res) => {
@@ -38,13 +127,16 @@ router.get('/', authenticateJWT, async (req, res) => {
       ];
     }
 
-    // Role-based filtering
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      filter.$or = [
+    // Role-based filtering: tasks of projects the caller does not belong to
+    // are hidden unless they are assigned to them
+    if (req.user.role !== 'admin') {
+      const projectIds = await Project.find(memberProjectFilter(req.user)).distinct('_id');
+      const visible = [
         { assignedTo: req.user._id },
-        { createdBy: req.user._id },
-        { isPublic: true }
+        { project: { $in: projectIds } }
       ];
+      visible.push(req.user.role === 'manager' ? { project: null } : { project: null, isPublic: true });
+      filter.$and = [{ $or: visible }];
     }
 
     const sort = {};
@@ -76,7 +168,7 @@ router.get('/', authenticateJWT, async (req, res) => {
 });
 
 // GET /api/tasks/:id - Get specific task by ID
-router.get('/:id', authenticateJWT, async (req, res) => {
+router.get('/:id', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('assignedTo', 'name email avatar')
@@ -84,20 +176,16 @@ router.get('/:id', authenticateJWT, async (req, res) => {
       .populate('project', 'name code description')
       .populate('team', 'name')
       .populate('dependencies')
-      .populate('subtasks')
-      .populate('comments.user', 'name avatar');
+      .populate('subtasks');
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user has access to this task
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString() && 
-          !task.isPublic) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    // Check if user has access to this task (project members may read it)
+    if (req.user.role !== 'admin' && req.user.role !== 'manager' && !req.projectRole &&
+        !isSameUser(task.assignedTo, req.user) && !task.isPublic) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
     res.json(task);
@@ -118,11 +206,45 @@ router.post('/', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'
       priority = 'medium',
       deadline,
       estimatedHours,
+      storyPoints,
       tags,
       dependencies,
-      subtasks
+      subtasks,
+      parentTask,
+      recurrence
     } = req.body;
 
+    if (recurrence) {
+      const errors = validateRecurrenceRule({ ...recurrence, startDate: recurrence.startDate || deadline });
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid recurrence rule', errors });
+      }
+    }
+
+    if (dependencies && dependencies.length > 0) {
+      const { missing } = await validateDependencies(null, dependencies);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: 'Dependencies not found', missing });
+      }
+    }
+
+    if (parentTask && !(await Task.exists({ _id: parentTask }))) {
+      return res.status(400).json({ message: 'Parent task not found' });
+    }
+
+    if (project) {
+      const access = await loadProjectAccess(project, req.user);
+      if (!access) {
+        return res.status(400).json({ message: 'Project not found' });
+      }
+      if (!roleAllows(access.role, 'contribute')) {
+        return res.status(403).json({ message: 'You cannot add tasks to this project' });
+      }
+      if (access.archived) {
+        return res.status(409).json({ message: 'Project is archived and read-only' });
+      }
+    }
+
     const task = new Task({
       title,
       description,
@@ -133,14 +255,39 @@ router.post('/', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'
       priority,
       deadline,
       estimatedHours,
+      storyPoints,
       tags,
       dependencies,
       subtasks,
+      parentTask,
       status: 'pending'
     });
 
+    // New tasks start in the initial state of the project's workflow
+    const initialState = getInitialState(await getProjectWorkflow(project));
+    task.workflowState = initialState.key;
+    task.status = initialState.category;
+
+    if (recurrence) {
+      startSeries(task, recurrence);
+    }
+    if (dependencies && dependencies.length > 0) {
+      await applyDependencyBlock(task);
+    }
+
     await task.save();
 
+    await recordTaskChange(task._id, {
+      actor: req.user._id,
+      action: 'created',
+      changes: [{ field: 'title', from: null, to: title }]
+    });
+
+    if (parentTask) {
+      await setParentTask({ _id: task._id }, parentTask);
+    }
+    await rollupFromTask(task, req.user._id);
+
     // Populate references for response
     await task.populate('assignedTo', 'name email avatar');
     await task.populate('project', 'name code');
@@ -167,7 +314,7 @@ router.post('/', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'
 });
 
 // PUT /api/tasks/:id - Update task
-router.put('/:id', authenticateJWT, async (req, res) => {
+router.put('/:id', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
     if (!task) {
@@ -175,23 +322,130 @@ router.put('/:id', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Recurrence rules change through PUT /:id/recurrence; scope applies edits
+    // to this occurrence only ('this') or to later occurrences too ('future')
+    const { scope: bodyScope, recurrence, overrideDependencies, ...updates } = req.body;
+    const scope = req.query.scope || bodyScope || 'this';
+    if (!['this', 'future'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be "this" or "future"' });
+    }
+
+    if (updates.project && String(updates.project) !== String(task.project || '')) {
+      const access = await loadProjectAccess(updates.project, req.user);
+      if (!access) {
+        return res.status(400).json({ message: 'Project not found' });
+      }
+      if (!roleAllows(access.role, 'contribute')) {
+        return res.status(403).json({ message: 'You cannot move tasks into this project' });
+      }
+      if (access.archived) {
+        return res.status(409).json({ message: 'Project is archived and read-only' });
+      }
+    }
+
+    if (updates.dependencies) {
+      const { missing, cycle } = await validateDependencies(task._id, updates.dependencies);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: 'Dependencies not found', missing });
+      }
+      if (cycle) {
+        return res.status(409).json({ message: 'Dependency would create a cycle', cycle });
+      }
+    }
+
+    const parentChanged = updates.parentTask !== undefined &&
+      String(updates.parentTask || '') !== String(task.parentTask || '');
+    if (parentChanged && updates.parentTask) {
+      if (!(await Task.exists({ _id: updates.parentTask }))) {
+        return res.status(400).json({ message: 'Parent task not found' });
+      }
+      if (await isAncestor(task._id, updates.parentTask)) {
+        return res.status(409).json({ message: 'A task cannot be moved under itself or one of its subtasks' });
+      }
+    }
+
+    if (updates.status || updates.workflowState) {
+      const transition = await evaluateTaskTransition(
+        task,
+        updates.workflowState || updates.status,
+        req.user,
+        updates
+      );
+      if (!transition.allowed) {
+        const { httpStatus, body } = transitionError(transition);
+        return res.status(httpStatus).json(body);
       }
+      updates.status = transition.status;
+      updates.workflowState = transition.workflowState;
+    }
+
+    let gate = { overridden: false };
+    let wipWarnings = [];
+    if (updates.status) {
+      // Check against the dependency list being saved, not the current one
+      const check = await checkStatusChange(task, updates.status, req.user, {
+        overrideDependencies,
+        dependencies: updates.dependencies
+      });
+      if (check.error) {
+        return res.status(check.error.httpStatus).json(check.error.body);
+      }
+      ({ gate, wipWarnings } = check);
+    } else if (updates.dependencies) {
+      // A new dependency list can block a task that has not started, or release it
+      const candidate = { status: task.status, dependencies: updates.dependencies, blockers: task.blockers };
+      await applyDependencyBlock(candidate);
+      if (candidate.status !== task.status) updates.status = candidate.status;
+    }
+    if (task.seriesId && scope === 'this' && Object.keys(updates).some(field => TEMPLATE_FIELDS.includes(field))) {
+      updates.isRecurrenceException = true;
+    }
+    const completion = updates.status ? completionUpdate(task.status, updates.status, req.user) : {};
+    if (updates.status) {
+      delete updates.completedAt;
+      delete updates.completedBy;
     }
 
     const updatedTask = await Task.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: Date.now() },
+      { ...updates, ...completion, updatedAt: Date.now() },
       { new: true, runValidators: true }
     ).populate('assignedTo', 'name email avatar')
      .populate('project', 'name code')
      .populate('team', 'name');
 
+    await recordTaskDiff(task, updatedTask, {
+      actor: req.user._id,
+      metadata: gate.overridden ? { dependenciesOverridden: true } : undefined
+    });
+
+    if (task.seriesId && scope === 'future') {
+      await updateFutureOccurrences(updatedTask, updates, req.user._id);
+    }
+    if (updatedTask.status !== task.status) {
+      await afterStatusChange(updatedTask, req.user);
+    }
+
+    if (parentChanged) {
+      const previousParentId = await setParentTask(task, updates.parentTask || null);
+      if (previousParentId) {
+        // Roll up the former parent; the task no longer counts towards it
+        await rollupFromTask({ _id: task._id, parentTask: previousParentId, project: task.project }, req.user._id);
+      }
+    }
+    if (Object.keys(updates).some(field => ROLLUP_FIELDS.includes(field))) {
+      await rollupFromTask(updatedTask, req.user._id);
+    }
+
     // Emit real-time updates
     emitTaskUpdate(updatedTask);
+    if (updatedTask.status !== task.status) {
+      emitBoardMove(updatedTask, task.status, req.user);
+    }
     if (updatedTask.assignedTo) {
       emitNotification(updatedTask.assignedTo._id, {
         title: 'Task Updated',
@@ -201,6 +455,9 @@ router.put('/:id', authenticateJWT, async (req, res) => {
       });
     }
 
+    if (wipWarnings.length > 0) {
+      return res.json({ ...updatedTask.toObject(), wipWarnings });
+    }
     res.json(updatedTask);
   } catch (err) {
     res.status(500).json({ message: 'Task update failed', error: err.message });
@@ -208,31 +465,148 @@ router.put('/:id', authenticateJWT, async (req, res) => {
 });
 
 // DELETE /api/tasks/:id - Delete task
-router.delete('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.delete('/:id', authenticateJWT, authorizeRoles('admin', 'manager'), requireTaskProjectAccess, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    // Subtasks are deleted along with the task when ?cascade=true, otherwise
+    // they become top-level tasks
+    const cascade = req.query.cascade === 'true';
+    const deletedIds = await removeTaskReferences(task, { cascade });
     await Task.findByIdAndDelete(req.params.id);
 
+    // Recalculate the former parent (or the project for top-level tasks)
+    await rollupFromTask(task, req.user._id);
+
     // Emit real-time update
     if (req.io) {
       req.io.to(`user-${task.assignedTo}`).emit('task-deleted', { taskId: req.params.id });
       if (task.team) req.io.to(`team-${task.team}`).emit('task-deleted', { taskId: req.params.id });
     }
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task deleted successfully', deletedTasks: deletedIds });
   } catch (err) {
     res.status(500).json({ message: 'Task deletion failed', error: err.message });
   }
 });
 
+// Only admins, managers, project contributors and the assignee may change a task's status
+const canChangeStatus = (user, task, projectRole) =>
+  user.role === 'admin' || user.role === 'manager' || roleAllows(projectRole, 'contribute') ||
+  isSameUser(task.assignedTo, user);
+
+/**
+ * Dependency gate and WIP limits for moving a task into `status`, on top of
+ * the workflow transition the caller has checked. `dependencies` stands in
+ * for the task's own when a new list is saved along with the move. Returns
+ * { error } with an HTTP status and body when the move is refused.
+ */
+async function checkStatusChange(task, status, user, { overrideDependencies, dependencies } = {}) {
+  const candidate = dependencies ? { status: task.status, dependencies } : task;
+  const gate = await checkDependencyGate(candidate, status, { override: overrideDependencies, role: user.role });
+  if (!gate.allowed) {
+    return { error: { httpStatus: 409, body: { message: 'Task is blocked by unfinished dependencies', blockingTasks: gate.blocking } } };
+  }
+
+  const wip = await checkWipLimits(task, status);
+  if (wip.blocked.length > 0) {
+    return { error: { httpStatus: 409, body: { message: 'Column WIP limit reached', wipLimits: wip.blocked } } };
+  }
+  return { gate, wipWarnings: wip.warnings };
+}
+
+/**
+ * Follow-ups of a saved status change: recurring series, dependent tasks
+ * and completion awards
+ */
+async function afterStatusChange(task, user) {
+  await handleOccurrenceClosed(task);
+  await syncDependents(task, user._id);
+  if (task.status === 'completed') await awardTaskCompletion(task);
+}
+
+/**
+ * Tell everyone viewing the task's boards that it moved
+ */
+function emitBoardMove(task, fromStatus, user) {
+  const payload = {
+    taskId: task._id,
+    fromStatus,
+    toStatus: task.status,
+    workflowState: task.workflowState,
+    boardRank: task.boardRank,
+    movedBy: user._id
+  };
+  boardIdsForTask(task).forEach(boardId => emitToBoard(boardId, 'board-task-moved', payload));
+}
+
+/**
+ * Move a task to a workflow state or status on behalf of a user: checks the
+ * workflow transition, dependency gate and WIP limits, saves, records history
+ * and runs the follow-ups of a status change. Returns { error } with an HTTP
+ * status and body when the change is refused.
+ */
+async function changeTaskStatus(task, requested, user, { notes, overrideDependencies, submitted = {}, io } = {}) {
+  const transition = await evaluateTaskTransition(task, requested, user, submitted);
+  if (!transition.allowed) {
+    return { error: transitionError(transition) };
+  }
+  const status = transition.status;
+
+  const check = await checkStatusChange(task, status, user, { overrideDependencies });
+  if (check.error) return check;
+
+  const before = snapshotTask(task);
+  const oldStatus = task.status;
+  task.status = status;
+  task.workflowState = transition.workflowState;
+
+  // Completion time follows the status, and is cleared on reopen
+  if (status === 'completed' && oldStatus !== 'completed') {
+    task.completedAt = new Date();
+    task.completedBy = user._id;
+  } else if (status !== 'completed' && oldStatus === 'completed') {
+    task.completedAt = undefined;
+    task.completedBy = undefined;
+  }
+
+  await task.save();
+
+  await recordTaskDiff(before, task, {
+    actor: user._id,
+    note: notes,
+    metadata: check.gate.overridden ? { dependenciesOverridden: true } : undefined
+  });
+  if (notes) {
+    await createTaskComment(task, user, {
+      text: `Status changed from ${transition.from.name} to ${transition.to.name}: ${notes}`,
+      type: 'status_change'
+    });
+  }
+  if (oldStatus !== status) {
+    await afterStatusChange(task, user);
+    await rollupFromTask(task, user._id);
+  }
+
+  // Emit real-time update
+  if (io) {
+    const payload = { taskId: task._id, status, workflowState: task.workflowState };
+    io.to(`user-${task.assignedTo}`).emit('task-status-updated', payload);
+    if (task.team) io.to(`team-${task.team}`).emit('task-status-updated', payload);
+  }
+
+  return { oldStatus, status, wipWarnings: check.wipWarnings };
+}
+
 // PATCH /api/tasks/:id/status - Update task status
-router.patch('/:id/status', authenticateJWT, async (req, res) => {
+router.patch('/:id/status', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
-    const { status, notes } = req.body;
+    // `state` is a workflow state key; `status` may be a state key or a
+    // built-in status, which maps to the first state in that category
+    const { status: requestedStatus, state, notes, overrideDependencies } = req.body;
     const task = await Task.findById(req.params.id);
     
     if (!task) {
@@ -240,47 +614,90 @@ router.patch('/:id/status', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    if (!canChangeStatus(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    const oldStatus = task.status;
-    task.status = status;
-    
-    if (notes) {
-      task.comments.push({
-        user: req.user._id,
-        text: `Status changed from ${oldStatus} to ${status}: ${notes}`,
-        type: 'status_change'
-      });
+    const result = await changeTaskStatus(task, state || requestedStatus, req.user, {
+      notes,
+      overrideDependencies,
+      submitted: req.body,
+      io: req.io
+    });
+    if (result.error) {
+      return res.status(result.error.httpStatus).json(result.error.body);
+    }
+    if (result.oldStatus !== result.status) {
+      emitBoardMove(task, result.oldStatus, req.user);
     }
 
-    // Update completion time if completed
-    if (status === 'completed') {
-      task.completedAt = new Date();
-      task.completedBy = req.user._id;
+    if (result.wipWarnings.length > 0) {
+      return res.json({ ...task.toObject(), wipWarnings: result.wipWarnings });
     }
+    res.json(task);
+  } catch (err) {
+    res.status(500).json({ message: 'Status update failed', error: err.message });
+  }
+});
 
-    await task.save();
+// PATCH /api/tasks/:id/move - Move a task on a kanban board: change its
+// status (optional) and its position in the destination column in one call
+router.patch('/:id/move', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { status: requestedStatus, state, position, board: boardType, notes, overrideDependencies } = req.body;
+    const task = await Task.findById(req.params.id);
 
-    // Emit real-time update
-    if (req.io) {
-      req.io.to(`user-${task.assignedTo}`).emit('task-status-updated', { taskId: task._id, status });
-      if (task.team) req.io.to(`team-${task.team}`).emit('task-status-updated', { taskId: task._id, status });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
     }
 
-    res.json(task);
+    // Same permissions as PATCH /:id/status
+    if (!canChangeStatus(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const scopeType = boardType || (task.project ? 'project' : 'team');
+    if (!BOARD_SCOPES.includes(scopeType)) {
+      return res.status(400).json({ message: `Board must be one of: ${BOARD_SCOPES.join(', ')}` });
+    }
+    if (!task[scopeType]) {
+      return res.status(400).json({ message: `Task does not belong to a ${scopeType} board` });
+    }
+    if (position != null && (!Number.isInteger(Number(position)) || Number(position) < 0)) {
+      return res.status(400).json({ message: 'Position must be a non-negative integer' });
+    }
+
+    const fromStatus = task.status;
+    let wipWarnings = [];
+    const requested = state || requestedStatus;
+    if (requested && requested !== task.status && requested !== task.workflowState) {
+      const result = await changeTaskStatus(task, requested, req.user, {
+        notes,
+        overrideDependencies,
+        submitted: req.body,
+        io: req.io
+      });
+      if (result.error) {
+        return res.status(result.error.httpStatus).json(result.error.body);
+      }
+      wipWarnings = result.wipWarnings;
+    }
+
+    task.boardRank = await computeMoveRank(task, scopeType, task[scopeType], task.status, position);
+    await Task.updateOne({ _id: task._id }, { $set: { boardRank: task.boardRank } });
+
+    emitBoardMove(task, fromStatus, req.user);
+
+    res.json({ task, boardRank: task.boardRank, wipWarnings });
   } catch (err) {
-    res.status(500).json({ message: 'Status update failed', error: err.message });
+    res.status(500).json({ message: 'Task move failed', error: err.message });
   }
 });
 
 // PATCH /api/tasks/:id/complete - Update task completion
-router.patch('/:id/complete', authenticateJWT, async (req, res) => {
+router.patch('/:id/complete', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
-    const { progress, notes, blockers, files, status } = req.body;
+    const { progress, notes, blockers, files, status: requestedStatus, state, overrideDependencies } = req.body;
     
     const task = await Task.findById(req.params.id);
     if (!task) {
@@ -288,17 +705,39 @@ router.patch('/:id/complete', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    let status;
+    let workflowState;
+    if (state || requestedStatus) {
+      const transition = await evaluateTaskTransition(task, state || requestedStatus, req.user, req.body);
+      if (!transition.allowed) {
+        const { httpStatus, body } = transitionError(transition);
+        return res.status(httpStatus).json(body);
+      }
+      status = transition.status;
+      workflowState = transition.workflowState;
+    }
+
+    let gate = { overridden: false };
+    let wipWarnings = [];
+    if (status) {
+      const check = await checkStatusChange(task, status, req.user, { overrideDependencies });
+      if (check.error) {
+        return res.status(check.error.httpStatus).json(check.error.body);
       }
+      ({ gate, wipWarnings } = check);
     }
 
     // Update task fields
     const updateData = {};
     if (progress !== undefined) updateData.progress = progress;
-    if (status) updateData.status = status;
+    if (status) {
+      updateData.status = status;
+      updateData.workflowState = workflowState;
+    }
     if (notes) updateData.notes = notes;
     
     // Handle blockers
@@ -325,10 +764,11 @@ router.patch('/:id/complete', authenticateJWT, async (req, res) => {
       updateData.attachments = [...(task.attachments || []), ...newAttachments];
     }
     
-    // Update completion date if status is completed
+    // Update completion date if status is completed, clear it on reopen
+    if (status) {
+      Object.assign(updateData, completionUpdate(task.status, status, req.user));
+    }
     if (status === 'completed') {
-      updateData.completedAt = new Date();
-      updateData.completedBy = req.user._id;
       updateData.progress = 100;
     }
     
@@ -343,12 +783,33 @@ router.patch('/:id/complete', authenticateJWT, async (req, res) => {
      .populate('project', 'name code')
      .populate('team', 'name');
 
+    await recordTaskDiff(task, updatedTask, {
+      actor: req.user._id,
+      note: notes,
+      metadata: gate.overridden ? { dependenciesOverridden: true } : undefined
+    });
+    if (updatedTask.status !== task.status) {
+      await afterStatusChange(updatedTask, req.user);
+      emitBoardMove(updatedTask, task.status, req.user);
+    }
+    await rollupFromTask(updatedTask, req.user._id);
+    if (blockers && blockers.length > 0) {
+      await recordTaskChange(task._id, {
+        actor: req.user._id,
+        action: 'blocker_added',
+        changes: blockers.map(blocker => ({ field: 'blockers', from: null, to: blocker }))
+      });
+    }
+
     // Emit real-time update
     if (req.io) {
-      req.io.to(`user-${updatedTask.assignedTo._id}`).emit('task-updated', updatedTask);
+      if (updatedTask.assignedTo) req.io.to(`user-${updatedTask.assignedTo._id}`).emit('task-updated', updatedTask);
       if (updatedTask.team) req.io.to(`team-${updatedTask.team._id}`).emit('task-updated', updatedTask);
     }
 
+    if (wipWarnings.length > 0) {
+      return res.json({ ...updatedTask.toObject(), wipWarnings });
+    }
     res.json(updatedTask);
   } catch (err) {
     res.status(500).json({ message: 'Task completion update failed', error: err.message });
@@ -356,7 +817,7 @@ router.patch('/:id/complete', authenticateJWT, async (req, res) => {
 });
 
 // PATCH /api/tasks/:id/progress - Update task progress
-router.patch('/:id/progress', authenticateJWT, async (req, res) => {
+router.patch('/:id/progress', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const { progress, notes } = req.body;
     
@@ -366,11 +827,8 @@ router.patch('/:id/progress', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
     const updateData = { progress, updatedAt: new Date() };
@@ -385,9 +843,12 @@ router.patch('/:id/progress', authenticateJWT, async (req, res) => {
      .populate('project', 'name code')
      .populate('team', 'name');
 
+    await recordTaskDiff(task, updatedTask, { actor: req.user._id, note: notes });
+    await rollupFromTask(updatedTask, req.user._id);
+
     // Emit real-time update
     if (req.io) {
-      req.io.to(`user-${updatedTask.assignedTo._id}`).emit('task-progress-updated', updatedTask);
+      if (updatedTask.assignedTo) req.io.to(`user-${updatedTask.assignedTo._id}`).emit('task-progress-updated', updatedTask);
       if (updatedTask.team) req.io.to(`team-${updatedTask.team._id}`).emit('task-progress-updated', updatedTask);
     }
 
@@ -398,7 +859,7 @@ router.patch('/:id/progress', authenticateJWT, async (req, res) => {
 });
 
 // PATCH /api/tasks/:id/blockers - Add or resolve blockers
-router.patch('/:id/blockers', authenticateJWT, async (req, res) => {
+router.patch('/:id/blockers', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const { action, blockerId, description, resolved } = req.body;
     
@@ -408,14 +869,12 @@ router.patch('/:id/blockers', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
     let updateData = { updatedAt: new Date() };
+    let historyEntry = null;
 
     if (action === 'add') {
       const newBlocker = {
@@ -425,10 +884,18 @@ router.patch('/:id/blockers', authenticateJWT, async (req, res) => {
         resolved: false
       };
       updateData.blockers = [...(task.blockers || []), newBlocker];
+      historyEntry = {
+        action: 'blocker_added',
+        changes: [{ field: 'blockers', from: null, to: description }]
+      };
     } else if (action === 'resolve' && blockerId) {
       const blockers = task.blockers || [];
       const blockerIndex = blockers.findIndex(b => b._id.toString() === blockerId);
       if (blockerIndex !== -1) {
+        historyEntry = {
+          action: resolved ? 'blocker_resolved' : 'blocker_reopened',
+          changes: [{ field: `blockers.${blockerId}.resolved`, from: !!blockers[blockerIndex].resolved, to: !!resolved }]
+        };
         blockers[blockerIndex].resolved = resolved;
         blockers[blockerIndex].resolvedAt = resolved ? new Date() : null;
         blockers[blockerIndex].resolvedBy = resolved ? req.user._id : null;
@@ -445,9 +912,13 @@ router.patch('/:id/blockers', authenticateJWT, async (req, res) => {
      .populate('project', 'name code')
      .populate('team', 'name');
 
+    if (historyEntry) {
+      await recordTaskChange(task._id, { actor: req.user._id, ...historyEntry });
+    }
+
     // Emit real-time update
     if (req.io) {
-      req.io.to(`user-${updatedTask.assignedTo._id}`).emit('task-blocker-updated', updatedTask);
+      if (updatedTask.assignedTo) req.io.to(`user-${updatedTask.assignedTo._id}`).emit('task-blocker-updated', updatedTask);
       if (updatedTask.team) req.io.to(`team-${updatedTask.team._id}`).emit('task-blocker-updated', updatedTask);
     }
 
@@ -457,46 +928,53 @@ router.patch('/:id/blockers', authenticateJWT, async (req, res) => {
   }
 });
 
-// POST /api/tasks/:id/notes - Add notes/comments to task
-router.post('/:id/notes', authenticateJWT, async (req, res) => {
+// POST /api/tasks/:id/notes - Add a note or comment to the task's comment stream
+router.post('/:id/notes', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const { text, type = 'comment' } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Note text is required' });
+    }
+
     const task = await Task.findById(req.params.id);
     
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    // Check permissions (project clients may comment too)
+    if (!canEditTask(req.user, task, req.projectRole) && !roleAllows(req.projectRole, 'comment')) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    task.comments.push({
-      user: req.user._id,
+    const comment = await createTaskComment(task, req.user, {
       text,
-      type
+      type: type === 'note' ? 'note' : 'comment'
     });
 
-    await task.save();
-
     // Emit real-time update
     if (req.io) {
-      req.io.to(`user-${task.assignedTo}`).emit('task-note-added', { taskId: task._id, comment: task.comments[task.comments.length - 1] });
-      if (task.team) req.io.to(`team-${task.team}`).emit('task-note-added', { taskId: task._id, comment: task.comments[task.comments.length - 1] });
+      const payload = { taskId: task._id, comment: serializeComment(comment) };
+      if (task.assignedTo) req.io.to(`user-${task.assignedTo}`).emit('task-note-added', payload);
+      if (task.team) req.io.to(`team-${task.team}`).emit('task-note-added', payload);
     }
 
-    res.json({ message: 'Note added successfully', comments: task.comments });
+    const comments = await TaskComment.find({ task: task._id })
+      .populate('author', 'name email avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      message: 'Note added successfully',
+      comments: comments.map(serializeComment),
+      comment: serializeComment(comment)
+    });
   } catch (err) {
     res.status(500).json({ message: 'Failed to add note', error: err.message });
   }
 });
 
 // POST /api/tasks/:id/files - Add files to task
-router.post('/:id/files', authenticateJWT, async (req, res) => {
+router.post('/:id/files', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const { fileId, description } = req.body;
     const task = await Task.findById(req.params.id);
@@ -506,11 +984,8 @@ router.post('/:id/files', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
     task.attachments.push({
@@ -528,7 +1003,7 @@ router.post('/:id/files', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/tasks/:id/blockers - Add blockers to task
-router.post('/:id/blockers', authenticateJWT, async (req, res) => {
+router.post('/:id/blockers', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
   try {
     const { description, type, estimatedResolution } = req.body;
     const task = await Task.findById(req.params.id);
@@ -538,11 +1013,8 @@ router.post('/:id/blockers', authenticateJWT, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
     task.blockers.push({
@@ -555,6 +1027,12 @@ router.post('/:id/blockers', authenticateJWT, async (req, res) => {
 
     await task.save();
 
+    await recordTaskChange(task._id, {
+      actor: req.user._id,
+      action: 'blocker_added',
+      changes: [{ field: 'blockers', from: null, to: description }]
+    });
+
     // Emit real-time update
     if (req.io) {
       req.io.to(`user-${task.assignedTo}`).emit('task-blocker-added', { taskId: task._id, blocker: task.blockers[task.blockers.length - 1] });
@@ -567,57 +1045,429 @@ router.post('/:id/blockers', authenticateJWT, async (req, res) => {
   }
 });
 
-// GET /api/tasks/:id/history - Get task history
-router.get('/:id/history', authenticateJWT, async (req, res) => {
+// GET /api/tasks/:id/checklist - Get checklist items in order
+router.get('/:id/checklist', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .select('checklist progress subtasks')
+      .populate('checklist.assignedTo', 'name email avatar');
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const done = task.checklist.filter(item => item.done).length;
+    res.json({
+      checklist: task.checklist,
+      summary: { total: task.checklist.length, done, progress: task.progress }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch checklist', error: err.message });
+  }
+});
+
+// POST /api/tasks/:id/checklist - Add a checklist item (at the end, or at `position`)
+router.post('/:id/checklist', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { title, assignedTo, dueDate, position } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (!title || !title.trim()) {
+      return res.status(400).json({ message: 'Title is required' });
+    }
+    const positionError = validateChecklistPosition(position);
+    if (positionError) {
+      return res.status(400).json({ message: positionError });
+    }
+
+    task.checklist.push({ title: title.trim(), assignedTo, dueDate, createdBy: req.user._id });
+    const item = task.checklist[task.checklist.length - 1];
+    if (position != null) {
+      moveChecklistItem(task, item._id, position);
+    }
+
+    await saveChecklistChange(task, req.user._id, { field: 'checklist', from: null, to: item.title });
+
+    res.status(201).json({ item: task.checklist.id(item._id), checklist: task.checklist, progress: task.progress });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add checklist item', error: err.message });
+  }
+});
+
+// PUT /api/tasks/:id/checklist/order - Reorder the whole checklist
+router.put('/:id/checklist/order', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { order } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const error = validateChecklistOrder(task.checklist, order);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const byId = new Map(task.checklist.map(item => [item._id.toString(), item.toObject()]));
+    task.checklist = order.map(id => byId.get(String(id)));
+
+    await saveChecklistChange(task, req.user._id, { field: 'checklist', from: null, to: 'reordered' });
+
+    res.json({ checklist: task.checklist });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to reorder checklist', error: err.message });
+  }
+});
+
+// PATCH /api/tasks/:id/checklist/:itemId - Update, tick off or move a checklist item
+router.patch('/:id/checklist/:itemId', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { title, assignedTo, dueDate, done, position } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    // The item's own assignee may only tick it off
+    const editingFields = [title, assignedTo, dueDate, position].some(value => value !== undefined);
+    if (!canEditTask(req.user, task, req.projectRole) && (editingFields || !isSameUser(item.assignedTo, req.user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ message: 'Title cannot be empty' });
+    }
+    const positionError = validateChecklistPosition(position);
+    if (positionError) {
+      return res.status(400).json({ message: positionError });
+    }
+
+    const from = { title: item.title, done: item.done };
+    if (title !== undefined) item.title = String(title).trim();
+    if (assignedTo !== undefined) item.assignedTo = assignedTo || undefined;
+    if (dueDate !== undefined) item.dueDate = dueDate || undefined;
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.doneAt = item.done ? new Date() : undefined;
+      item.doneBy = item.done ? req.user._id : undefined;
+    }
+    if (position != null) {
+      moveChecklistItem(task, item._id, position);
+    }
+
+    const updated = task.checklist.id(req.params.itemId);
+    await saveChecklistChange(task, req.user._id, {
+      field: 'checklist',
+      from,
+      to: { title: updated.title, done: updated.done }
+    });
+
+    res.json({ item: updated, checklist: task.checklist, progress: task.progress });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update checklist item', error: err.message });
+  }
+});
+
+// DELETE /api/tasks/:id/checklist/:itemId - Remove a checklist item
+router.delete('/:id/checklist/:itemId', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    const title = item.title;
+    task.checklist.pull(item._id);
+
+    await saveChecklistChange(task, req.user._id, { field: 'checklist', from: title, to: null });
+
+    res.json({ message: 'Checklist item deleted successfully', checklist: task.checklist, progress: task.progress });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to delete checklist item', error: err.message });
+  }
+});
+
+// GET /api/tasks/:id/dependencies - List dependencies and which of them are blocking
+router.get('/:id/dependencies', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('dependencies', 'title status assignedTo deadline estimatedHours');
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const dependents = await Task.find({ dependencies: task._id }).select('title status assignedTo deadline');
+    const blocking = task.dependencies.filter(dependency => !DONE_STATUSES.includes(dependency.status));
+
+    res.json({
+      dependencies: task.dependencies,
+      dependents,
+      blocking,
+      isBlocked: blocking.length > 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch dependencies', error: err.message });
+  }
+});
+
+// POST /api/tasks/:id/dependencies - Add a dependency
+router.post('/:id/dependencies', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'), requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { dependencyId } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!dependencyId) {
+      return res.status(400).json({ message: 'dependencyId is required' });
+    }
+
+    const { missing, cycle } = await validateDependencies(task._id, [dependencyId]);
+    if (missing.length > 0) {
+      return res.status(404).json({ message: 'Dependency task not found' });
+    }
+    if (cycle) {
+      return res.status(409).json({ message: 'Dependency would create a cycle', cycle });
+    }
+
+    const before = snapshotTask(task);
+    if (!task.dependencies.some(id => id.toString() === dependencyId.toString())) {
+      task.dependencies.push(dependencyId);
+    }
+    const blocking = await applyDependencyBlock(task);
+    if (task.isModified()) {
+      await task.save();
+      await recordTaskDiff(before, task, { actor: req.user._id });
+    }
+
+    emitTaskUpdate(task);
+
+    res.json({ message: 'Dependency added successfully', dependencies: task.dependencies, blocking });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add dependency', error: err.message });
+  }
+});
+
+// DELETE /api/tasks/:id/dependencies/:dependencyId - Remove a dependency
+router.delete('/:id/dependencies/:dependencyId', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'), requireTaskProjectAccess, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const before = snapshotTask(task);
+    task.dependencies = task.dependencies.filter(id => id.toString() !== req.params.dependencyId);
+    await applyDependencyBlock(task);
+    await task.save();
+    await recordTaskDiff(before, task, { actor: req.user._id });
+
+    emitTaskUpdate(task);
+
+    res.json({ message: 'Dependency removed successfully', dependencies: task.dependencies });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to remove dependency', error: err.message });
+  }
+});
+
+// PUT /api/tasks/:id/recurrence - Set, change or end the recurrence rule from this occurrence onward
+router.put('/:id/recurrence', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'), requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { recurrence } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!recurrence && !task.seriesId) {
+      return res.status(400).json({ message: 'Task is not part of a recurring series' });
+    }
+
+    if (recurrence) {
+      const startDate = recurrence.startDate || task.occurrenceDate || task.deadline;
+      const errors = validateRecurrenceRule({ ...recurrence, startDate });
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid recurrence rule', errors });
+      }
+    }
+
+    const updatedTask = await rescheduleFromOccurrence(task, recurrence || null, req.user._id);
+    emitTaskUpdate(updatedTask);
+
+    res.json({
+      message: recurrence ? 'Recurrence updated successfully' : 'Recurring series ended',
+      task: updatedTask
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update recurrence', error: err.message });
+  }
+});
+
+// POST /api/tasks/:id/recurrence/skip - Skip one occurrence of the series
+router.post('/:id/recurrence/skip', authenticateJWT, authorizeRoles('admin', 'manager', 'team_lead'), requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { date } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!task.seriesId) {
+      return res.status(400).json({ message: 'Task is not part of a recurring series' });
+    }
+
+    const skipDate = new Date(date || task.occurrenceDate);
+    if (isNaN(skipDate.getTime())) {
+      return res.status(400).json({ message: 'A valid date is required' });
+    }
+
+    const cancelledTask = await skipOccurrence(task, skipDate, req.user._id);
+    if (cancelledTask) {
+      emitTaskUpdate(cancelledTask);
+    }
+
+    res.json({
+      message: 'Occurrence skipped successfully',
+      skippedDate: skipDate,
+      cancelledTask
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to skip occurrence', error: err.message });
+  }
+});
+
+// GET /api/tasks/:id/recurrence/upcoming - Preview upcoming occurrence dates
+router.get('/:id/recurrence/upcoming', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { limit = 5 } = req.query;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    if (!task.seriesId || !task.recurrence) {
+      return res.status(400).json({ message: 'Task is not part of a recurring series' });
+    }
+
+    const latest = await Task.findOne({ seriesId: task.seriesId }).sort({ occurrenceDate: -1 });
+    const occurrences = upcomingOccurrences(latest.recurrence, latest.occurrenceDate, Math.min(Math.max(parseInt(limit) || 5, 1), 50));
+
+    res.json({
+      seriesId: task.seriesId,
+      recurrence: latest.recurrence,
+      latestOccurrence: { taskId: latest._id, date: latest.occurrenceDate, status: latest.status },
+      upcoming: occurrences
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch upcoming occurrences', error: err.message });
+  }
+});
+
+// GET /api/tasks/:id/transitions - Get workflow state and the moves available to the caller
+router.get('/:id/transitions', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const workflow = await getProjectWorkflow(task.project);
+    const project = task.project ? await Project.findById(task.project).select('manager') : null;
+    const currentState = resolveCurrentState(workflow, task);
+
+    res.json({
+      workflow: { id: workflow._id || null, name: workflow.name, version: workflow.version, isDefault: !!workflow.isDefault },
+      currentState,
+      transitions: getAvailableTransitions(workflow, task, getActorRoles(req.user, task, project))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch transitions', error: err.message });
+  }
+});
+
+// GET /api/tasks/:id/history - Get paginated task change log
+router.get('/:id/history', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { action, field, actor, source, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    if (actor && !mongoose.Types.ObjectId.isValid(actor)) {
+      return res.status(400).json({ message: 'actor must be a user id' });
+    }
+    if ([from, to].some(date => date && isNaN(new Date(date)))) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    const task = await Task.findById(req.params.id);
     
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager') {
-      if (task.assignedTo.toString() !== req.user._id.toString() && 
-          task.createdBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    if (!canEditTask(req.user, task, req.projectRole)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    const history = [
-      {
-        action: 'created',
-        timestamp: task.createdAt,
-        user: task.createdBy,
-        details: 'Task created'
-      },
-      ...task.comments.map(comment => ({
-        action: 'comment',
-        timestamp: comment.timestamp,
-        user: comment.user,
-        details: comment.text
-      })),
-      ...task.attachments.map(attachment => ({
-        action: 'file_added',
-        timestamp: attachment.uploadedAt,
-        user: attachment.uploadedBy,
-        details: `File added: ${attachment.description}`
-      }))
-    ];
-
-    if (task.completedAt) {
-      history.push({
-        action: 'completed',
-        timestamp: task.completedAt,
-        user: task.completedBy,
-        details: 'Task completed'
-      });
+    const filter = { task: task._id };
+    if (action) filter.action = { $in: [].concat(action).join(',').split(',') };
+    if (source) filter.source = { $in: [].concat(source).join(',').split(',') };
+    if (actor) filter.actor = actor;
+    if (field) filter['changes.field'] = field;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
     }
 
-    // Sort by timestamp
-    history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const history = await TaskHistory.find(filter)
+      .populate('actor', 'name email avatar')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await TaskHistory.countDocuments(filter);
 
-    res.json({ history });
+    res.json({
+      history,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch task history', error: err.message });
   }
@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const TaskComment = require('../models/TaskComment');
+const { authenticateJWT } = require('../middleware/auth');
+const { requireTaskProjectAccess } = require('../middleware/projectAccess');
+const { roleAllows } = require('../utils/projectAccess');
+const { emitToTask } = require('../socket');
+const {
+  MAX_COMMENT_LENGTH,
+  serializeComment,
+  createTaskComment,
+  editTaskComment
+} = require('../utils/taskComments');
+
+const AUTHOR_FIELDS = 'name email avatar';
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+/**
+ * Admins, managers, project members, the assignee and members of the task's
+ * team may read and comment on a task. The project role's own level is
+ * enforced by requireTaskProjectAccess.
+ */
+async function canAccessTask(user, task, projectRole) {
+  if (user.role === 'admin' || user.role === 'manager' || roleAllows(projectRole, 'view')) return true;
+  if (isSameUser(task.assignedTo, user)) return true;
+  return !!task.team && !!(await Team.exists({ _id: task.team, members: user._id }));
+}
+
+const validateText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return 'Comment text is required';
+  if (text.length > MAX_COMMENT_LENGTH) return `Comment text must be at most ${MAX_COMMENT_LENGTH} characters`;
+  return null;
+};
+
+const paginate = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Load the task and the comment from the route, answering 404/403 itself.
+ * Returns null when a response has already been sent.
+ */
+async function loadComment(req, res) {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ message: 'Task not found' });
+    return null;
+  }
+  if (!(await canAccessTask(req.user, task, req.projectRole))) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  const comment = await TaskComment.findOne({ _id: req.params.commentId, task: task._id });
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return null;
+  }
+  return { task, comment };
+}
+
+// GET /api/tasks/:id/comments - List top-level comments, newest first
+router.get('/:id/comments', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canAccessTask(req.user, task, req.projectRole))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { page, limit, skip } = paginate(req.query);
+    const filter = { task: task._id, thread: null };
+    if (req.query.type) filter.type = req.query.type;
+
+    const [comments, total] = await Promise.all([
+      TaskComment.find(filter)
+        .populate('author', AUTHOR_FIELDS)
+        .populate('mentions', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      TaskComment.countDocuments(filter)
+    ]);
+
+    res.json({
+      comments: comments.map(serializeComment),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch comments', error: err.message });
+  }
+});
+
+// GET /api/tasks/:id/comments/:commentId/replies - List replies in a thread, oldest first
+router.get('/:id/comments/:commentId/replies', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+
+    const { page, limit, skip } = paginate(req.query);
+    const filter = { thread: loaded.comment.thread || loaded.comment._id };
+
+    const [replies, total] = await Promise.all([
+      TaskComment.find(filter)
+        .populate('author', AUTHOR_FIELDS)
+        .populate('mentions', 'name email')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      TaskComment.countDocuments(filter)
+    ]);
+
+    res.json({
+      replies: replies.map(serializeComment),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch replies', error: err.message });
+  }
+});
+
+// POST /api/tasks/:id/comments - Add a comment or a reply (replyTo)
+router.post('/:id/comments', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { text, replyTo, mentions } = req.body;
+    const error = validateText(text);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canAccessTask(req.user, task, req.projectRole))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const comment = await createTaskComment(task, req.user, { text, replyTo, mentions });
+    res.status(201).json(serializeComment(comment));
+  } catch (err) {
+    if (err.code === 'PARENT_NOT_FOUND') {
+      return res.status(404).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Failed to add comment', error: err.message });
+  }
+});
+
+// PUT /api/tasks/:id/comments/:commentId - Edit a comment (author only)
+router.put('/:id/comments/:commentId', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { text, mentions } = req.body;
+    const error = validateText(text);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { task, comment } = loaded;
+
+    if (comment.isDeleted) {
+      return res.status(410).json({ message: 'Comment has been deleted' });
+    }
+    if (!isSameUser(comment.author, req.user)) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    await editTaskComment(comment, task, req.user, { text, mentions });
+    await comment.populate('author', AUTHOR_FIELDS);
+    res.json(serializeComment(comment));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to edit comment', error: err.message });
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - Soft delete a comment (author, admin or manager)
+router.delete('/:id/comments/:commentId', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { task, comment } = loaded;
+
+    if (!isSameUser(comment.author, req.user) && !['admin', 'manager'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (comment.isDeleted) {
+      return res.json({ message: 'Comment already deleted' });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    emitToTask(task._id, 'task-comment-deleted', { taskId: task._id, commentId: comment._id });
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to delete comment', error: err.message });
+  }
+});
+
+// POST /api/tasks/:id/comments/:commentId/reactions - Toggle an emoji reaction
+router.post('/:id/comments/:commentId/reactions', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > 32) {
+      return res.status(400).json({ message: 'A valid emoji is required' });
+    }
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { task, comment } = loaded;
+
+    if (comment.isDeleted) {
+      return res.status(410).json({ message: 'Comment has been deleted' });
+    }
+
+    const existing = comment.reactions.find(r => isSameUser(r.user, req.user) && r.emoji === emoji);
+    if (existing) {
+      comment.reactions.pull(existing._id);
+    } else {
+      comment.reactions.push({ user: req.user._id, emoji });
+    }
+    await comment.save();
+
+    const { reactionSummary } = serializeComment(comment);
+    emitToTask(task._id, 'task-comment-reaction', {
+      taskId: task._id,
+      commentId: comment._id,
+      emoji,
+      userId: req.user._id,
+      added: !existing,
+      reactions: reactionSummary
+    });
+
+    res.json({ message: 'Reaction updated successfully', reactions: reactionSummary });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update reaction', error: err.message });
+  }
+});
+
+// GET /api/tasks/:id/comments/:commentId/history - Previous versions of an edited comment
+router.get('/:id/comments/:commentId/history', authenticateJWT, requireTaskProjectAccess, async (req, res) => {
+  try {
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { comment } = loaded;
+
+    if (comment.isDeleted && !['admin', 'manager'].includes(req.user.role)) {
+      return res.status(410).json({ message: 'Comment has been deleted' });
+    }
+
+    res.json({
+      commentId: comment._id,
+      current: { text: comment.text, editedAt: comment.editedAt },
+      history: [...comment.editHistory].reverse()
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch comment history', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const Team = require('../models/Team');
 const User = require('../models/User');
 const Task = require('../models/Task');
 const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { snapshotTask, recordTaskDiff } = require('../utils/taskHistory');
+const { createTaskComment } = require('../utils/taskComments');
+const { isOverdue } = require('../utils/overdueTasks');
 
 // ============================================
 // TEAM MEMBERS OPERATIONS (must come before /:id routes)
@@ -308,7 +311,7 @@ router.get('/performance', authenticateJWT, async (req, res) => {
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter(t => t.status === 'completed').length;
     const inProgressTasks = tasks.filter(t => t.status === 'in_progress').length;
-    const overdueTasks = tasks.filter(t => t.deadline && new Date(t.deadline) < now && t.status !== 'completed').length;
+    const overdueTasks = tasks.filter(t => isOverdue(t, now)).length;
 
     const performance = {
       overallScore: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
@@ -636,22 +639,20 @@ router.post('/manager/assign-task', authenticateJWT, authorizeRoles('admin', 'ma
     }
 
     // Update task assignment
+    const before = snapshotTask(task);
     task.assignedTo = userId;
     task.assignedBy = req.user._id;
     task.priority = priority || task.priority;
     task.deadline = deadline || task.deadline;
     task.status = 'assigned';
-    
-    if (notes) {
-      task.comments.push({
-        user: req.user._id,
-        text: `Task reassigned: ${notes}`,
-        type: 'assignment'
-      });
-    }
 
     await task.save();
 
+    await recordTaskDiff(before, task, { actor: req.user._id, note: notes });
+    if (notes) {
+      await createTaskComment(task, req.user, { text: `Task reassigned: ${notes}`, type: 'assignment' });
+    }
+
     // Emit real-time update
     if (req.io) {
       req.io.to(`user-${userId}`).emit('task-assigned', task);
@@ -700,22 +701,20 @@ router.put('/manager/reassign-task', authenticateJWT, authorizeRoles('admin', 'm
     }
 
     const previousUserId = task.assignedTo;
+    const before = snapshotTask(task);
     
     // Update task assignment
     task.assignedTo = newUserId;
     task.assignedBy = req.user._id;
     task.status = 'assigned';
-    
-    if (reason) {
-      task.comments.push({
-        user: req.user._id,
-        text: `Task reassigned: ${reason}`,
-        type: 'reassignment'
-      });
-    }
 
     await task.save();
 
+    await recordTaskDiff(before, task, { actor: req.user._id, action: 'reassigned', note: reason });
+    if (reason) {
+      await createTaskComment(task, req.user, { text: `Task reassigned: ${reason}`, type: 'assignment' });
+    }
+
     // Emit real-time updates
     if (req.io) {
       req.io.to(`user-${previousUserId}`).emit('task-removed', { taskId });
@@ -812,22 +811,20 @@ router.post('/manager/bulk-assign', authenticateJWT, authorizeRoles('admin', 'ma
         }
 
         // Update task
+        const before = snapshotTask(task);
         task.assignedTo = userId;
         task.assignedBy = req.user._id;
         task.priority = priority || task.priority;
         task.deadline = deadline || task.deadline;
         task.status = 'assigned';
-        
-        if (notes) {
-          task.comments.push({
-            user: req.user._id,
-            text: `Bulk assigned: ${notes}`,
-            type: 'assignment'
-          });
-        }
 
         await task.save();
 
+        await recordTaskDiff(before, task, { actor: req.user._id, source: 'bulk_assign', note: notes });
+        if (notes) {
+          await createTaskComment(task, req.user, { text: `Bulk assigned: ${notes}`, type: 'assignment' });
+        }
+
         // Emit real-time update
         if (req.io) {
           req.io.to(`user-${userId}`).emit('task-assigned', task);
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const { TaskTemplate, ProjectTemplate } = require('../models/Template');
+const { authenticateJWT, authorizeRoles } = require('../middleware/auth');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const {
+  KEY_PATTERN,
+  validateTaskDefinition,
+  validateProjectTemplate,
+  createTemplateVersion,
+  findTemplate,
+  instantiateTaskTemplate,
+  instantiateProjectTemplate,
+  seedTemplateLibrary
+} = require('../utils/templates');
+
+// Fields a client may set when creating a template or a new version
+const TEMPLATE_FIELDS = {
+  tasks: ['name', 'description', 'industry', 'placeholders', 'task', 'changeNote'],
+  projects: ['name', 'description', 'industry', 'placeholders', 'project', 'tasks', 'milestones', 'changeNote']
+};
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+const validateTemplate = (resource, data) => (resource === 'tasks'
+  ? validateTaskDefinition(data.task)
+  : validateProjectTemplate(data));
+
+/**
+ * List, read, create and version routes shared by task and project templates
+ */
+function registerTemplateRoutes(resource, Model) {
+  // GET /api/templates/:resource - List latest template versions
+  router.get(`/${resource}`, authenticateJWT, async (req, res) => {
+    try {
+      const { industry, search, page = 1, limit = 50 } = req.query;
+      const filter = { isLatest: true };
+      if (industry) filter.industry = industry;
+      if (search) {
+        filter.$or = [
+          { name: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const templates = await Model.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ industry: 1, name: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+      const total = await Model.countDocuments(filter);
+
+      res.json({
+        templates,
+        pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / limit) }
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to fetch templates', error: err.message });
+    }
+  });
+
+  // GET /api/templates/:resource/:key - Get the latest (or ?version=) template
+  router.get(`/${resource}/:key`, authenticateJWT, async (req, res) => {
+    try {
+      const template = await findTemplate(Model, req.params.key, req.query.version);
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      res.json(template);
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to fetch template', error: err.message });
+    }
+  });
+
+  // GET /api/templates/:resource/:key/versions - List all versions of a template
+  router.get(`/${resource}/:key/versions`, authenticateJWT, async (req, res) => {
+    try {
+      const versions = await Model.find({ key: req.params.key })
+        .select('key name version isLatest isSystem changeNote createdBy createdAt')
+        .populate('createdBy', 'name email')
+        .sort({ version: -1 });
+
+      if (versions.length === 0) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      res.json(versions);
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to fetch template versions', error: err.message });
+    }
+  });
+
+  // POST /api/templates/:resource - Create a new template
+  router.post(`/${resource}`, authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+    try {
+      const { key } = req.body;
+      const data = pick(req.body, TEMPLATE_FIELDS[resource]);
+
+      if (!key || !KEY_PATTERN.test(key)) {
+        return res.status(400).json({ message: 'Key must be lowercase letters, digits and dashes' });
+      }
+      if (!data.name) {
+        return res.status(400).json({ message: 'Name is required' });
+      }
+      const errors = validateTemplate(resource, data);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid template', errors });
+      }
+      if (await Model.exists({ key })) {
+        return res.status(409).json({ message: 'A template with this key already exists' });
+      }
+
+      const template = await createTemplateVersion(Model, key, data, req.user._id);
+      res.status(201).json(template);
+    } catch (err) {
+      res.status(500).json({ message: 'Template creation failed', error: err.message });
+    }
+  });
+
+  // POST /api/templates/:resource/:key/versions - Publish a new version built on the latest one
+  router.post(`/${resource}/:key/versions`, authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+    try {
+      const latest = await findTemplate(Model, req.params.key);
+      if (!latest) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+
+      const data = pick(req.body, TEMPLATE_FIELDS[resource]);
+      const errors = validateTemplate(resource, { ...latest.toObject(), ...data });
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid template', errors });
+      }
+
+      try {
+        const template = await createTemplateVersion(Model, req.params.key, data, req.user._id);
+        res.status(201).json(template);
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({ message: 'Template was changed concurrently, please retry' });
+        }
+        throw error;
+      }
+    } catch (err) {
+      res.status(500).json({ message: 'Template version creation failed', error: err.message });
+    }
+  });
+}
+
+// GET /api/templates/industries - List industries that have templates
+router.get('/industries', authenticateJWT, async (req, res) => {
+  try {
+    const [taskIndustries, projectIndustries] = await Promise.all([
+      TaskTemplate.distinct('industry', { isLatest: true }),
+      ProjectTemplate.distinct('industry', { isLatest: true })
+    ]);
+    res.json([...new Set([...taskIndustries, ...projectIndustries])].filter(Boolean).sort());
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch industries', error: err.message });
+  }
+});
+
+// POST /api/templates/library/seed - Insert missing templates from the built-in library
+router.post('/library/seed', authenticateJWT, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await seedTemplateLibrary();
+    res.json({ message: 'Template library seeded', ...result });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to seed template library', error: err.message });
+  }
+});
+
+registerTemplateRoutes('tasks', TaskTemplate);
+registerTemplateRoutes('projects', ProjectTemplate);
+
+// POST /api/templates/tasks/:key/instantiate - Create a task from a template in a project
+router.post('/tasks/:key/instantiate', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { projectId, startDate = new Date(), values = {}, assignedTo, version } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ message: 'projectId is required' });
+    }
+    if (isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ message: 'Invalid start date' });
+    }
+
+    const template = await findTemplate(TaskTemplate, req.params.key, version);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    const project = await Project.findById(projectId);
+    if (!project || !project.isActive) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    if (!hasProjectPermission(project, req.user, 'contribute')) {
+      return res.status(403).json({ message: 'You cannot add tasks to this project' });
+    }
+    if (project.isArchived) {
+      return res.status(409).json({ message: 'Project is archived and read-only' });
+    }
+
+    const result = await instantiateTaskTemplate(template, {
+      project,
+      startDate,
+      values,
+      assignedTo,
+      actor: req.user._id
+    });
+
+    res.status(201).json({ template: { key: template.key, version: template.version }, ...result });
+  } catch (err) {
+    if (err.code === 'MISSING_VALUES') {
+      return res.status(400).json({ message: err.message, missing: err.missing });
+    }
+    res.status(500).json({ message: 'Template instantiation failed', error: err.message });
+  }
+});
+
+// POST /api/templates/projects/:key/instantiate - Create tasks and milestones from a
+// project template, in an existing project (projectId) or a new one
+router.post('/projects/:key/instantiate', authenticateJWT, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { projectId, project: projectData = {}, startDate = new Date(), values = {}, version } = req.body;
+
+    if (isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ message: 'Invalid start date' });
+    }
+
+    const template = await findTemplate(ProjectTemplate, req.params.key, version);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    let project = null;
+    if (projectId) {
+      project = await Project.findById(projectId);
+      if (!project || !project.isActive) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+      if (!hasProjectPermission(project, req.user, 'contribute')) {
+        return res.status(403).json({ message: 'You cannot add tasks to this project' });
+      }
+      if (project.isArchived) {
+        return res.status(409).json({ message: 'Project is archived and read-only' });
+      }
+    }
+
+    const result = await instantiateProjectTemplate(template, {
+      project,
+      projectData: pick(projectData, ['name', 'description', 'code', 'team', 'department', 'manager', 'client', 'budget', 'endDate']),
+      startDate,
+      values,
+      actor: req.user._id
+    });
+
+    res.status(201).json({ template: { key: template.key, version: template.version }, ...result });
+  } catch (err) {
+    if (err.code === 'MISSING_VALUES' || err.code === 'UNKNOWN_TEMPLATES') {
+      return res.status(400).json({ message: err.message, missing: err.missing });
+    }
+    res.status(500).json({ message: 'Template instantiation failed', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,78 @@
 const express = require('express');
 const router = express.Router();
-const Timer = require('../models/Timer');
+const mongoose = require('mongoose');
+const { TimerSession } = require('../models/Timer');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
 const { authenticateJWT } = require('../middleware/auth');
+const { GAMIFICATION_EVENTS, gamificationEvents } = require('../utils/gamification');
+const { getProjectRole, roleAllows } = require('../utils/projectAccess');
+
+const MINUTE_MS = 60 * 1000;
+
+// Longest session that can be planned, and how long past its planned
+// duration a session still counts when it is stopped late
+const MAX_SESSION_MINUTES = 8 * 60;
+const OVERRUN_GRACE_MINUTES = 15;
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+/**
+ * Whether a user may log time on a task: the assignee always; on project
+ * tasks anyone who may contribute to the project; on other tasks admins,
+ * managers and members of the task's team
+ */
+async function canTrackTask(user, task) {
+  if (isSameUser(task.assignedTo, user)) return true;
+  if (task.project) {
+    const project = await Project.findById(task.project).select('manager members stakeholders');
+    return roleAllows(getProjectRole(project, user), 'contribute');
+  }
+  if (user.role === 'admin' || user.role === 'manager') return true;
+  return !!task.team && !!(await Team.exists({ _id: task.team, members: user._id }));
+}
+
+/**
+ * Minutes a session ran between its start and `end`, without its pauses
+ * (including one still open at `end`)
+ */
+const runningMinutes = (session, end) => {
+  const openPause = session.status === 'paused' && session.pausedAt ? end - session.pausedAt : 0;
+  const minutes = (end - session.startTime - openPause) / MINUTE_MS - (session.pausedDuration || 0);
+  return Math.max(0, Math.round(minutes * 100) / 100);
+};
 
 // Start timer session
 router.post('/start', authenticateJWT, async (req, res) => {
   try {
-    const { duration, type, taskId, mode } = req.body;
+    const { type, taskId, mode } = req.body;
+    const duration = Math.min(Math.max(parseInt(req.body.duration) || 25, 1), MAX_SESSION_MINUTES);
+    
+    // Time logged on a task counts towards its project's cost
+    if (taskId) {
+      if (!mongoose.Types.ObjectId.isValid(taskId)) {
+        return res.status(400).json({ message: 'Invalid task id' });
+      }
+      const task = await Task.findById(taskId).select('project team assignedTo');
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      if (!(await canTrackTask(req.user, task))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
     
     // Create new timer session
-    const timerSession = new Timer({
-      userId: req.user._id,
-      taskId,
+    const timerSession = new TimerSession({
+      user: req.user._id,
+      task: taskId,
       type: type || 'pomodoro',
       mode: mode || 'pomodoro',
-      duration: duration || 25, // minutes
+      duration, // minutes
       startTime: new Date(),
       status: 'active',
-      remainingTime: duration || 25
+      remainingTime: duration
     });
     
     await timerSession.save();
@@ -36,20 +91,20 @@ router.post('/pause', authenticateJWT, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
-    const timerSession = await Timer.findById(sessionId);
+    const timerSession = await TimerSession.findById(sessionId);
     if (!timerSession) {
       return res.status(404).json({ message: 'Timer session not found' });
     }
     
-    if (timerSession.userId.toString() !== req.user._id.toString()) {
+    if (timerSession.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    timerSession.status = 'paused';
-    timerSession.pausedAt = new Date();
-    timerSession.remainingTime = req.body.remainingTime || timerSession.remainingTime;
-    
-    await timerSession.save();
+    if (timerSession.status === 'active') {
+      timerSession.status = 'paused';
+      timerSession.pausedAt = new Date();
+      await timerSession.save();
+    }
     
     res.json({
       message: 'Timer paused successfully',
@@ -65,19 +120,24 @@ router.post('/resume', authenticateJWT, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
-    const timerSession = await Timer.findById(sessionId);
+    const timerSession = await TimerSession.findById(sessionId);
     if (!timerSession) {
       return res.status(404).json({ message: 'Timer session not found' });
     }
     
-    if (timerSession.userId.toString() !== req.user._id.toString()) {
+    if (timerSession.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    timerSession.status = 'active';
-    timerSession.resumedAt = new Date();
-    
-    await timerSession.save();
+    if (timerSession.status === 'paused') {
+      const now = new Date();
+      if (timerSession.pausedAt) {
+        timerSession.pausedDuration = (timerSession.pausedDuration || 0) + (now - timerSession.pausedAt) / MINUTE_MS;
+      }
+      timerSession.status = 'active';
+      timerSession.pausedAt = undefined;
+      await timerSession.save();
+    }
     
     res.json({
       message: 'Timer resumed successfully',
@@ -93,21 +153,30 @@ router.post('/stop', authenticateJWT, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
-    const timerSession = await Timer.findById(sessionId);
+    const timerSession = await TimerSession.findById(sessionId);
     if (!timerSession) {
       return res.status(404).json({ message: 'Timer session not found' });
     }
     
-    if (timerSession.userId.toString() !== req.user._id.toString()) {
+    if (timerSession.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    timerSession.status = 'completed';
-    timerSession.endTime = new Date();
-    timerSession.totalTime = req.body.totalTime || timerSession.duration;
-    timerSession.completed = true;
-    
-    await timerSession.save();
+    // The time spent is measured here rather than reported by the client, and
+    // a timer left running counts at most its planned duration plus a grace period
+    const finished = timerSession.status !== 'completed';
+    if (finished) {
+      const now = new Date();
+      const planned = Math.min(timerSession.duration || 25, MAX_SESSION_MINUTES);
+      timerSession.actualDuration = Math.min(runningMinutes(timerSession, now), planned + OVERRUN_GRACE_MINUTES);
+      timerSession.status = 'completed';
+      timerSession.endTime = now;
+      timerSession.pausedAt = undefined;
+      await timerSession.save();
+    }
+    if (finished && timerSession.type === 'pomodoro') {
+      gamificationEvents.emit(GAMIFICATION_EVENTS.TIMER_COMPLETED, { userId: req.user._id.toString() });
+    }
     
     res.json({
       message: 'Timer stopped successfully',
@@ -123,16 +192,16 @@ router.get('/sessions', authenticateJWT, async (req, res) => {
   try {
     const { status, limit = 50, page = 1 } = req.query;
     
-    const filter = { userId: req.user._id };
+    const filter = { user: req.user._id };
     if (status) filter.status = status;
     
-    const sessions = await Timer.find(filter)
-      .populate('taskId', 'title description')
+    const sessions = await TimerSession.find(filter)
+      .populate('task', 'title description')
       .sort({ startTime: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit));
     
-    const total = await Timer.countDocuments(filter);
+    const total = await TimerSession.countDocuments(filter);
     
     res.json({
       sessions,
@@ -151,8 +220,8 @@ router.get('/stats', authenticateJWT, async (req, res) => {
     const userId = req.user._id;
     
     // Get completed sessions
-    const completedSessions = await Timer.find({
-      userId,
+    const completedSessions = await TimerSession.find({
+      user: userId,
       status: 'completed'
     });
     
@@ -160,7 +229,7 @@ router.get('/stats', authenticateJWT, async (req, res) => {
     const totalPomodoros = completedSessions.filter(s => s.type === 'pomodoro').length;
     const totalBreaks = completedSessions.filter(s => s.type === 'break').length;
     const totalFocusTime = completedSessions.reduce((total, session) => {
-      return total + (session.totalTime || session.duration);
+      return total + (session.actualDuration || session.duration);
     }, 0);
     
     // Get today's sessions
@@ -172,7 +241,7 @@ router.get('/stats', authenticateJWT, async (req, res) => {
     
     const todayPomodoros = todaySessions.filter(s => s.type === 'pomodoro').length;
     const todayFocusTime = todaySessions.reduce((total, session) => {
-      return total + (session.totalTime || session.duration);
+      return total + (session.actualDuration || session.duration);
     }, 0);
     
     // Get weekly stats
@@ -184,7 +253,7 @@ router.get('/stats', authenticateJWT, async (req, res) => {
     
     const weeklyPomodoros = weeklySessions.filter(s => s.type === 'pomodoro').length;
     const weeklyFocusTime = weeklySessions.reduce((total, session) => {
-      return total + (session.totalTime || session.duration);
+      return total + (session.actualDuration || session.duration);
     }, 0);
     
     const stats = {
@@ -212,10 +281,10 @@ router.get('/stats', authenticateJWT, async (req, res) => {
 // Get current active timer session
 router.get('/current', authenticateJWT, async (req, res) => {
   try {
-    const activeSession = await Timer.findOne({
-      userId: req.user._id,
+    const activeSession = await TimerSession.findOne({
+      user: req.user._id,
       status: 'active'
-    }).populate('taskId', 'title description');
+    }).populate('task', 'title description');
     
     if (!activeSession) {
       return res.json({ message: 'No active timer session' });
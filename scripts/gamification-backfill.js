@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { backfillAwards } = require('../utils/gamificationRules');
+
+// Evaluate badge and achievement rules against historical data for every
+// active user. Pass --notify to notify users of what they earned.
+async function runBackfill() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-task-manager');
+    console.log('🏅 Evaluating badge and achievement rules...');
+
+    const summary = await backfillAwards({ notify: process.argv.includes('--notify') });
+
+    console.log(`✅ Evaluated ${summary.users} users`);
+    console.log(`   - ${summary.badges} badges awarded`);
+    console.log(`   - ${summary.achievements} achievements unlocked`);
+    if (summary.failed > 0) {
+      console.log(`⚠️  ${summary.failed} users failed, see the logs`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error running gamification backfill:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+runBackfill();
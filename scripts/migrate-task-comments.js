@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { migrateEmbeddedComments } = require('../utils/taskComments');
+
+// Move comments embedded in tasks into the threaded TaskComment collection
+async function runMigration() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-task-manager');
+    console.log('💬 Moving embedded task comments...');
+
+    const summary = await migrateEmbeddedComments();
+
+    console.log(`✅ Moved ${summary.comments} comments from ${summary.tasks} tasks`);
+  } catch (error) {
+    console.error('❌ Error migrating task comments:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+runMigration();
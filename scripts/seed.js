@@ -8,6 +8,7 @@ const Department = require('../models/Department');
 const Team = require('../models/Team');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
+const { seedTemplateLibrary } = require('../utils/templates');
 
 // Sample data
 const sampleDepartments = [
@@ -230,6 +231,10 @@ async function seedDatabase() {
     }
     console.log('✅ Updated user statistics');
 
+    // Add the built-in task and project template library
+    const templateLibrary = await seedTemplateLibrary();
+    console.log(`✅ Created ${templateLibrary.created} templates`);
+
     console.log('\n🎉 Database seeding completed successfully!');
     console.log('\n📊 Sample data created:');
     console.log(`   - ${departments.length} departments`);
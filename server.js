@@ -1,5 +1,14 @@
 const { app, server } = require('./app');
 const { initializeSocket } = require('./socket');
+const scheduler = require('./utils/scheduler');
+const { generateDueOccurrences } = require('./utils/recurringTasks');
+const { processOverdueTasks } = require('./utils/overdueTasks');
+const { recalculateAllProjectCosts } = require('./utils/projectCost');
+const { applyLifecycleRules } = require('./utils/projectLifecycle');
+const { refreshLeaderboards } = require('./utils/leaderboards');
+const { recalculateDueKPIs } = require('./utils/kpis');
+const { trackAllGoals } = require('./utils/goalTracking');
+const { registerRuleListeners } = require('./utils/gamificationRules');
 
 const PORT = process.env.PORT || 5000;
 
@@ -12,6 +21,19 @@ app.use((req, res, next) => {
   next();
 });
 
+// Badge and achievement rules follow gamification events
+registerRuleListeners();
+
+// Background jobs
+scheduler.register('recurring-tasks', process.env.RECURRING_TASKS_CRON || '0 * * * *', generateDueOccurrences);
+scheduler.register('overdue-tasks', process.env.OVERDUE_TASKS_CRON || '*/15 * * * *', processOverdueTasks);
+scheduler.register('project-costs', process.env.PROJECT_COSTS_CRON || '30 * * * *', recalculateAllProjectCosts);
+scheduler.register('project-lifecycle', process.env.PROJECT_LIFECYCLE_CRON || '0 2 * * *', applyLifecycleRules);
+scheduler.register('leaderboards', process.env.LEADERBOARDS_CRON || '10 * * * *', refreshLeaderboards);
+scheduler.register('kpis', process.env.KPIS_CRON || '20 * * * *', recalculateDueKPIs);
+scheduler.register('goals', process.env.GOALS_CRON || '40 * * * *', trackAllGoals);
+scheduler.start();
+
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API Documentation available at http://localhost:${PORT}/api/docs`);
@@ -1,5 +1,6 @@
 const socketIO = require('socket.io');
 const jwt = require('jsonwebtoken');
+const { canJoinTask, canJoinBoard } = require('./utils/socketAccess');
 
 let io;
 
@@ -68,6 +69,34 @@ function initializeSocket(server) {
       console.log(`👥 User ${socket.userId} joined team room: ${teamId}`);
     });
 
+    // Handle joining a single task's room (comments and activity); only
+    // users who may read the task get in
+    socket.on('join-task', async (taskId) => {
+      if (await canJoinTask({ _id: socket.userId, role: socket.userRole }, taskId)) {
+        socket.join(`task:${taskId}`);
+      } else {
+        socket.emit('join-denied', { room: `task:${taskId}` });
+      }
+    });
+
+    socket.on('leave-task', (taskId) => {
+      socket.leave(`task:${taskId}`);
+    });
+
+    // Handle joining a kanban board room, e.g. 'project:<id>' or 'team:<id>';
+    // only users who may view the board get in
+    socket.on('join-board', async (boardId) => {
+      if (await canJoinBoard({ _id: socket.userId, role: socket.userRole }, boardId)) {
+        socket.join(`board:${boardId}`);
+      } else {
+        socket.emit('join-denied', { room: `board:${boardId}` });
+      }
+    });
+
+    socket.on('leave-board', (boardId) => {
+      socket.leave(`board:${boardId}`);
+    });
+
     // Handle joining chat room
     socket.on('join-chat', (conversationId) => {
       socket.join(`chat:${conversationId}`);
@@ -193,6 +222,18 @@ function emitToTeam(teamId, event, data) {
   }
 }
 
+function emitToTask(taskId, event, data) {
+  if (io) {
+    io.to(`task:${taskId}`).emit(event, data);
+  }
+}
+
+function emitToBoard(boardId, event, data) {
+  if (io) {
+    io.to(`board:${boardId}`).emit(event, data);
+  }
+}
+
 function emitNotification(userId, notification) {
   if (io) {
     io.to(`notifications:${userId}`).emit('notification', notification);
@@ -224,6 +265,8 @@ module.exports = {
   initializeSocket,
   emitToUser,
   emitToTeam,
+  emitToTask,
+  emitToBoard,
   emitNotification,
   emitTaskUpdate,
   getOnlineUsers,
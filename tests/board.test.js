@@ -0,0 +1,61 @@
+const {
+  RANK_STEP,
+  rankBetween,
+  hasRankRoom,
+  compareBoardTasks,
+  appendRanks,
+  checkWipLimit,
+  validateColumns
+} = require('../utils/board');
+
+describe('Kanban Board', () => {
+  test('should place ranks between neighbours and at column ends', () => {
+    expect(rankBetween(null, null)).toBe(RANK_STEP);
+    expect(rankBetween(null, 1024)).toBe(0);
+    expect(rankBetween(2048, null)).toBe(2048 + RANK_STEP);
+    expect(rankBetween(1024, 2048)).toBe(1536);
+    expect(hasRankRoom(1, 1 + 1e-9)).toBe(false);
+    expect(hasRankRoom(null, 5)).toBe(true);
+  });
+
+  test('should order ranked tasks first, then unranked tasks oldest first', () => {
+    const tasks = [
+      { id: 'new', createdAt: '2024-03-02' },
+      { id: 'b', boardRank: 2048, createdAt: '2024-01-01' },
+      { id: 'old', createdAt: '2024-03-01' },
+      { id: 'a', boardRank: 1024, createdAt: '2024-02-01' }
+    ];
+    expect(tasks.sort(compareBoardTasks).map(task => task.id)).toEqual(['a', 'b', 'old', 'new']);
+  });
+
+  test('should append unranked tasks after the highest rank of their whole column', () => {
+    const unranked = [
+      { _id: 'new', status: 'pending', createdAt: '2024-03-02' },
+      { _id: 'old', status: 'pending', createdAt: '2024-03-01' },
+      { _id: 'first', status: 'completed', createdAt: '2024-03-03' }
+    ];
+    const ranks = appendRanks(unranked, [['pending', 4096]]);
+
+    expect(ranks.get('old')).toBe(4096 + RANK_STEP);
+    expect(ranks.get('new')).toBe(4096 + 2 * RANK_STEP);
+    expect(ranks.get('first')).toBe(RANK_STEP);
+  });
+
+  test('should report WIP limit violations with their mode', () => {
+    expect(checkWipLimit({ status: 'in_progress' }, 10)).toBeNull();
+    expect(checkWipLimit({ status: 'in_progress', wipLimit: 3 }, 3)).toBeNull();
+    expect(checkWipLimit({ status: 'in_progress', wipLimit: 3, wipMode: 'block' }, 4))
+      .toEqual({ status: 'in_progress', limit: 3, count: 4, mode: 'block' });
+    expect(checkWipLimit({ status: 'blocked', wipLimit: 1 }, 2).mode).toBe('warn');
+  });
+
+  test('should validate column settings', () => {
+    expect(validateColumns([{ status: 'in_progress', wipLimit: 5, wipMode: 'block' }])).toEqual([]);
+    expect(validateColumns('x')).toEqual(['Columns must be an array']);
+    expect(validateColumns([
+      { status: 'doing' },
+      { status: 'pending', wipLimit: 0 },
+      { status: 'pending', wipMode: 'stop' }
+    ])).toHaveLength(4);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  taskCompletionPoints,
+  levelForPoints,
+  dayKey,
+  nextStreak,
+  periodRange
+} = require('../utils/gamification');
+
+describe('Gamification', () => {
+  test('should pay task points by priority with an on-time bonus', () => {
+    expect(taskCompletionPoints({ priority: 'low' })).toBe(5);
+    expect(taskCompletionPoints({ priority: 'urgent' })).toBe(30);
+    expect(taskCompletionPoints({})).toBe(10);
+    expect(taskCompletionPoints({
+      priority: 'high',
+      deadline: new Date('2026-03-10'),
+      completedAt: new Date('2026-03-09')
+    })).toBe(25);
+    expect(taskCompletionPoints({
+      priority: 'high',
+      deadline: new Date('2026-03-10'),
+      completedAt: new Date('2026-03-11')
+    })).toBe(20);
+  });
+
+  test('should start at level 1 and level up every 100 points', () => {
+    expect(levelForPoints(0)).toBe(1);
+    expect(levelForPoints(99)).toBe(1);
+    expect(levelForPoints(250)).toBe(3);
+    expect(levelForPoints(-40)).toBe(1);
+  });
+
+  test('should key days in UTC', () => {
+    expect(dayKey('2026-03-10T23:30:00Z')).toBe('2026-03-10');
+  });
+
+  describe('nextStreak', () => {
+    const stats = { currentStreak: 3, longestStreak: 5, lastActivityDate: new Date('2026-03-10T09:00:00Z') };
+
+    test('should start a streak on first activity', () => {
+      expect(nextStreak({}, new Date('2026-03-10'))).toMatchObject({ currentStreak: 1, longestStreak: 1, changed: true });
+    });
+
+    test('should not count the same day twice', () => {
+      expect(nextStreak(stats, new Date('2026-03-10T22:00:00Z'))).toMatchObject({ currentStreak: 3, changed: false });
+    });
+
+    test('should extend the streak on the next day', () => {
+      expect(nextStreak(stats, new Date('2026-03-11T01:00:00Z'))).toMatchObject({ currentStreak: 4, longestStreak: 5, changed: true });
+      expect(nextStreak({ ...stats, currentStreak: 5 }, new Date('2026-03-11'))).toMatchObject({ currentStreak: 6, longestStreak: 6 });
+    });
+
+    test('should restart after a gap and ignore backdated activity', () => {
+      expect(nextStreak(stats, new Date('2026-03-13'))).toMatchObject({ currentStreak: 1, longestStreak: 5, changed: true });
+      expect(nextStreak(stats, new Date('2026-03-08'))).toMatchObject({ currentStreak: 3, changed: false });
+    });
+  });
+
+  test('should compute weekly ranges from Monday and monthly ranges from the 1st', () => {
+    expect(periodRange('weekly', new Date('2026-03-12T15:00:00Z'))).toEqual({
+      startDate: new Date('2026-03-09T00:00:00Z'),
+      endDate: new Date('2026-03-16T00:00:00Z')
+    });
+    expect(periodRange('weekly', new Date('2026-03-15T15:00:00Z')).startDate).toEqual(new Date('2026-03-09T00:00:00Z'));
+    expect(periodRange('monthly', new Date('2026-12-20T00:00:00Z'))).toEqual({
+      startDate: new Date('2026-12-01T00:00:00Z'),
+      endDate: new Date('2027-01-01T00:00:00Z')
+    });
+    expect(periodRange('all')).toEqual({ startDate: null, endDate: null });
+  });
+});
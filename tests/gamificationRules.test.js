@@ -0,0 +1,39 @@
+const {
+  AUTOMATIC_CRITERIA,
+  EVENT_CRITERIA,
+  criteriaTarget,
+  achievementCompletions
+} = require('../utils/gamificationRules');
+
+describe('Gamification Rules', () => {
+  test('should default the criteria target to 1', () => {
+    expect(criteriaTarget({ type: 'tasks_completed', value: 10 })).toBe(10);
+    expect(criteriaTarget({ type: 'tasks_completed' })).toBe(1);
+    expect(criteriaTarget(undefined)).toBe(1);
+  });
+
+  test('should only evaluate automatic criteria on events', () => {
+    Object.values(EVENT_CRITERIA).forEach(types => {
+      types.forEach(type => expect(AUTOMATIC_CRITERIA).toContain(type));
+    });
+    expect(AUTOMATIC_CRITERIA).not.toContain('custom');
+  });
+
+  describe('achievementCompletions', () => {
+    test('should unlock a one-off achievement once', () => {
+      expect(achievementCompletions(4, 10, 0, false)).toEqual({ unlocks: 0, progress: 4 });
+      expect(achievementCompletions(12, 10, 0, false)).toEqual({ unlocks: 1, progress: null });
+      expect(achievementCompletions(30, 10, 1, false)).toEqual({ unlocks: 0, progress: null });
+    });
+
+    test('should unlock a repeatable achievement for every full target', () => {
+      expect(achievementCompletions(25, 10, 0, true)).toEqual({ unlocks: 2, progress: 5 });
+      expect(achievementCompletions(25, 10, 2, true)).toEqual({ unlocks: 0, progress: 5 });
+      expect(achievementCompletions(30, 10, 2, true)).toEqual({ unlocks: 1, progress: 0 });
+    });
+
+    test('should not unlock again when more were unlocked than the value covers', () => {
+      expect(achievementCompletions(15, 10, 3, true)).toEqual({ unlocks: 0, progress: 5 });
+    });
+  });
+});
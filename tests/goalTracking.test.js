@@ -0,0 +1,79 @@
+const {
+  taskShareProgress,
+  kpiGoalProgress,
+  milestoneMet,
+  applyMilestones
+} = require('../utils/goalTracking');
+
+describe('Goal tracking', () => {
+  const now = new Date('2026-05-14T12:00:00Z');
+
+  describe('taskShareProgress', () => {
+    const tasks = [
+      { status: 'completed', estimatedHours: 6 },
+      { status: 'in_progress', estimatedHours: 2 },
+      { status: 'pending' },
+      { status: 'cancelled', estimatedHours: 40 }
+    ];
+
+    test('should count completed tasks, leaving out cancelled ones', () => {
+      expect(taskShareProgress(tasks)).toBe(33);
+    });
+
+    test('should weight by estimate, with unestimated tasks at the average', () => {
+      // 6 of 6 + 2 + 4 hours
+      expect(taskShareProgress(tasks, 'estimate')).toBe(50);
+      expect(taskShareProgress([{ status: 'completed' }, { status: 'pending' }], 'estimate')).toBe(50);
+    });
+
+    test('should have no progress without tasks', () => {
+      expect(taskShareProgress([])).toBeNull();
+      expect(taskShareProgress([{ status: 'cancelled' }])).toBeNull();
+    });
+  });
+
+  test('should measure a KPI against the goal target, else its own', () => {
+    expect(kpiGoalProgress({ targetValue: 200 }, { currentValue: 50, targetValue: 100 })).toBe(25);
+    expect(kpiGoalProgress({}, { currentValue: 50, targetValue: 100 })).toBe(50);
+    expect(kpiGoalProgress({ targetValue: 10 }, { targetValue: 100 })).toBeNull();
+    expect(kpiGoalProgress({ targetValue: 10 }, null)).toBeNull();
+  });
+
+  describe('milestones', () => {
+    const tasksById = new Map([
+      ['t1', { status: 'completed' }],
+      ['t2', { status: 'in_progress' }]
+    ]);
+
+    test('should check each kind of condition', () => {
+      const context = { progress: 60, tasksById, now };
+      expect(milestoneMet({ completeWhen: 'date', targetDate: '2026-05-14T00:00:00Z' }, context)).toBe(true);
+      expect(milestoneMet({ completeWhen: 'date', targetDate: '2026-06-01' }, context)).toBe(false);
+      expect(milestoneMet({ completeWhen: 'progress', completeAtProgress: 50 }, context)).toBe(true);
+      expect(milestoneMet({ completeWhen: 'progress', completeAtProgress: 75 }, context)).toBe(false);
+      expect(milestoneMet({ completeWhen: 'tasks', completeWithTasks: ['t1'] }, context)).toBe(true);
+      expect(milestoneMet({ completeWhen: 'tasks', completeWithTasks: ['t1', 't2'] }, context)).toBe(false);
+      expect(milestoneMet({ completeWhen: 'tasks', completeWithTasks: ['gone'] }, context)).toBe(false);
+      expect(milestoneMet({ completeWhen: 'manual', targetDate: '2026-01-01' }, context)).toBe(false);
+    });
+
+    test('should complete met milestones once and never reopen them', () => {
+      const earlier = new Date('2026-05-01T00:00:00Z');
+      const goal = {
+        progress: 60,
+        milestones: [
+          { title: 'Half way', completeWhen: 'progress', completeAtProgress: 50, completed: false },
+          { title: 'Kick-off', completeWhen: 'tasks', completeWithTasks: ['t2'], completed: true, completedAt: earlier },
+          { title: 'Review', completeWhen: 'manual', completed: false }
+        ]
+      };
+
+      const completed = applyMilestones(goal, { tasksById, now });
+      expect(completed.map(milestone => milestone.title)).toEqual(['Half way']);
+      expect(goal.milestones[0]).toMatchObject({ completed: true, completedAt: now });
+      expect(goal.milestones[1]).toMatchObject({ completed: true, completedAt: earlier });
+      expect(goal.milestones[2].completed).toBe(false);
+      expect(applyMilestones(goal, { tasksById, now })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { valueProgress, applyDueStatus, applyGoalProgress } = require('../utils/goals');
+
+describe('Goals', () => {
+  const now = new Date('2026-05-14T12:00:00Z');
+
+  test('should measure progress against the target', () => {
+    expect(valueProgress(30, 40)).toBe(75);
+    expect(valueProgress(50, 40)).toBe(100);
+    expect(valueProgress(undefined, 40)).toBe(0);
+    expect(valueProgress(5, 0)).toBeNull();
+  });
+
+  test('should complete goals that reach 100%', () => {
+    const goal = { status: 'active', progress: 80, targetDate: '2026-06-30' };
+    expect(applyGoalProgress(goal, 104, now)).toBe(true);
+    expect(goal).toMatchObject({ status: 'completed', progress: 100, completedAt: now });
+    expect(applyGoalProgress(goal, 100, now)).toBe(false);
+  });
+
+  test('should reopen completed goals that fall back, as overdue past their date', () => {
+    const goal = { status: 'completed', progress: 100, completedAt: now, targetDate: '2026-06-30' };
+    expect(applyGoalProgress(goal, 90, now)).toBe(false);
+    expect(goal).toMatchObject({ status: 'active', progress: 90, completedAt: undefined });
+
+    const late = { status: 'completed', progress: 100, completedAt: now, targetDate: '2026-05-01' };
+    applyGoalProgress(late, 50, now);
+    expect(late.status).toBe('overdue');
+  });
+
+  test('should leave cancelled and closed goals alone', () => {
+    const cancelled = { status: 'cancelled', targetDate: '2026-06-30' };
+    expect(applyGoalProgress(cancelled, 100, now)).toBe(false);
+    expect(cancelled.status).toBe('cancelled');
+
+    const closed = { status: 'closed', targetDate: '2026-06-30' };
+    applyGoalProgress(closed, 20, now);
+    expect(closed.status).toBe('closed');
+  });
+
+  test('should move open goals between active and overdue with their date', () => {
+    const goal = { status: 'active', targetDate: '2026-05-01' };
+    applyDueStatus(goal, now);
+    expect(goal.status).toBe('overdue');
+
+    goal.targetDate = '2026-06-30';
+    applyDueStatus(goal, now);
+    expect(goal.status).toBe('active');
+
+    const completed = { status: 'completed', targetDate: '2026-05-01' };
+    applyDueStatus(completed, now);
+    expect(completed.status).toBe('completed');
+  });
+});
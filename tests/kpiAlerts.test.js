@@ -0,0 +1,71 @@
+const {
+  alertLevel,
+  nextAlertState,
+  applyKPIAlert
+} = require('../utils/kpiAlerts');
+
+describe('KPI alerts', () => {
+  const floor = { warning: 80, critical: 60 };
+  const ceiling = { warning: 5, critical: 10, direction: 'above' };
+
+  test('should treat thresholds as lower bounds by default', () => {
+    expect(alertLevel(90, floor)).toBe('ok');
+    expect(alertLevel(80, floor)).toBe('warning');
+    expect(alertLevel(59, floor)).toBe('critical');
+    expect(alertLevel(undefined, floor)).toBe('ok');
+  });
+
+  test('should treat thresholds as upper bounds with direction above', () => {
+    expect(alertLevel(4, ceiling)).toBe('ok');
+    expect(alertLevel(5, ceiling)).toBe('warning');
+    expect(alertLevel(12, ceiling)).toBe('critical');
+  });
+
+  test('should ignore thresholds that are not set', () => {
+    expect(alertLevel(0, {})).toBe('ok');
+    expect(alertLevel(50, { critical: 60 })).toBe('critical');
+    expect(nextAlertState('critical', 70, { critical: 60 })).toBe('ok');
+  });
+
+  test('should raise alerts as soon as a threshold is reached', () => {
+    expect(nextAlertState('ok', 79, floor)).toBe('warning');
+    expect(nextAlertState('ok', 50, floor)).toBe('critical');
+    expect(nextAlertState('warning', 60, floor)).toBe('critical');
+  });
+
+  test('should only lift alerts once the value clears the hysteresis margin', () => {
+    // 5% of 80 is 4, so the warning clears above 84
+    expect(nextAlertState('warning', 82, floor)).toBe('warning');
+    expect(nextAlertState('warning', 84, floor)).toBe('warning');
+    expect(nextAlertState('warning', 85, floor)).toBe('ok');
+    // 5% of 60 is 3: critical holds until above 63, then steps down to warning
+    expect(nextAlertState('critical', 62, floor)).toBe('critical');
+    expect(nextAlertState('critical', 70, floor)).toBe('warning');
+    expect(nextAlertState('critical', 90, floor)).toBe('ok');
+  });
+
+  test('should apply hysteresis downwards for upper bounds and honour a custom margin', () => {
+    expect(nextAlertState('warning', 4, { ...ceiling, hysteresis: 2 })).toBe('warning');
+    expect(nextAlertState('warning', 2, { ...ceiling, hysteresis: 2 })).toBe('ok');
+  });
+
+  test('should not flap while a value hovers at a threshold', () => {
+    const states = [79, 81, 79, 82, 80, 83].reduce((seen, value) => {
+      seen.push(nextAlertState(seen[seen.length - 1], value, floor));
+      return seen;
+    }, ['ok']);
+    expect(states).toEqual(['ok', 'warning', 'warning', 'warning', 'warning', 'warning', 'warning']);
+  });
+
+  test('should record the alert state on the KPI and report changes', () => {
+    const now = new Date('2026-05-14T12:00:00Z');
+    const later = new Date('2026-05-15T12:00:00Z');
+    const kpi = { threshold: floor };
+
+    expect(applyKPIAlert(kpi, 70, now)).toEqual({ previous: 'ok', state: 'warning', changed: true });
+    expect(kpi.alert).toEqual({ state: 'warning', value: 70, since: now, checkedAt: now });
+
+    expect(applyKPIAlert(kpi, 75, later)).toEqual({ previous: 'warning', state: 'warning', changed: false });
+    expect(kpi.alert).toEqual({ state: 'warning', value: 75, since: now, checkedAt: later });
+  });
+});
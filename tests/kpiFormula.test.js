@@ -0,0 +1,67 @@
+const {
+  parseFormula,
+  referencedMetrics,
+  validateFormula,
+  evaluateFormula
+} = require('../utils/kpiFormula');
+
+describe('KPI formulas', () => {
+  const metrics = { tasks_completed: 8, tasks_overdue: 2, focus_minutes: 90 };
+
+  test('should respect precedence, parentheses and unary minus', () => {
+    expect(evaluateFormula('1 + 2 * 3', {})).toBe(7);
+    expect(evaluateFormula('(1 + 2) * 3', {})).toBe(9);
+    expect(evaluateFormula('-2 * -(3 - 1)', {})).toBe(4);
+    expect(evaluateFormula('10 % 4 - .5', {})).toBe(1.5);
+  });
+
+  test('should evaluate metrics and functions', () => {
+    expect(evaluateFormula('tasks_completed / (tasks_completed + tasks_overdue) * 100', metrics)).toBe(80);
+    expect(evaluateFormula('pct(tasks_completed, tasks_completed + tasks_overdue)', metrics)).toBe(80);
+    expect(evaluateFormula('round(focus_minutes / 60, 1)', metrics)).toBe(1.5);
+    expect(evaluateFormula('max(tasks_overdue, 5, 3) - min(1, abs(-4))', metrics)).toBe(4);
+  });
+
+  test('should clamp the digits of round()', () => {
+    expect(evaluateFormula('round(1.25, 400)', {})).toBe(1.25);
+    expect(evaluateFormula('round(1234, -400)', {})).toBe(0);
+    expect(evaluateFormula('round(1234, -2)', {})).toBe(1200);
+  });
+
+  test('should give 0 when dividing by zero', () => {
+    expect(evaluateFormula('tasks_completed / 0', metrics)).toBe(0);
+    expect(evaluateFormula('pct(1, 0)', {})).toBe(0);
+    expect(evaluateFormula('5 % 0', {})).toBe(0);
+  });
+
+  test('should list the metrics a formula refers to', () => {
+    expect(referencedMetrics(parseFormula('pct(tasks_completed, tasks_completed + tasks_overdue)')))
+      .toEqual(['tasks_completed', 'tasks_overdue']);
+  });
+
+  test.each([
+    ['', 'Formula is empty'],
+    ['1 +', 'Formula ends unexpectedly'],
+    ['(1 + 2', 'Expected ")"'],
+    ['1 2', 'Unexpected "2"'],
+    ['process.exit()', 'Unexpected character "."'],
+    ['eval(1)', 'Unknown function "eval"'],
+    ['constructor(1)', 'Unknown function "constructor"'],
+    ['toString()', 'Unknown function "toString"'],
+    ['round(1, 2, 3)', 'Wrong number of arguments for round()'],
+    ['1'.repeat(501), 'longer than 500 characters']
+  ])('should reject %j', (formula, message) => {
+    expect(() => parseFormula(formula)).toThrow(message);
+    try {
+      parseFormula(formula);
+    } catch (error) {
+      expect(error.code).toBe('INVALID_FORMULA');
+    }
+  });
+
+  test('should reject unknown metrics when validating', () => {
+    expect(validateFormula('tasks_completed * 2', ['tasks_completed'])).toEqual(['tasks_completed']);
+    expect(() => validateFormula('revenue + costs', ['tasks_completed'])).toThrow('Unknown metrics: revenue, costs');
+    expect(() => evaluateFormula('revenue', metrics)).toThrow('Unknown metric: revenue');
+  });
+});
@@ -0,0 +1,55 @@
+const { buildKPITree } = require('../utils/kpiTree');
+
+describe('KPI alignment tree', () => {
+  const kpis = [
+    { _id: 'company', name: 'Revenue', targetValue: 100, currentValue: 60, alert: { state: 'warning' } },
+    { _id: 'sales', name: 'Sales revenue', department: 'd1', parent: 'company', weight: 3, targetValue: 80, currentValue: 40 },
+    { _id: 'support', name: 'Renewals', department: 'd2', parent: 'company', weight: 1, targetValue: 10, currentValue: 10 },
+    { _id: 'team', name: 'Team deals', department: 'd1', team: 't1', parent: 'sales', targetValue: 20 },
+    { _id: 'alice', name: 'Alice deals', team: 't1', assignedTo: 'u1', parent: 'team', targetValue: 5, currentValue: 3 },
+    { _id: 'loose', name: 'Unlinked', targetValue: 1, currentValue: 1 }
+  ];
+  const goals = [
+    { _id: 'g1', title: 'Close Q2 deals', progress: 40, status: 'active', relatedKPIs: ['alice', 'company'] }
+  ];
+
+  test('should nest KPIs under their parents from the roots', () => {
+    const tree = buildKPITree(kpis, { goals });
+    expect(tree.map(node => node.name)).toEqual(['Revenue', 'Unlinked']);
+    expect(tree[0].children.map(node => node.name)).toEqual(['Sales revenue', 'Renewals']);
+    expect(tree[0].children[0].children[0].children[0].name).toBe('Alice deals');
+  });
+
+  test('should report level, progress, status and alert at every level', () => {
+    const [company] = buildKPITree(kpis, { goals });
+    const team = company.children[0].children[0];
+    expect(company).toMatchObject({ level: 'company', progress: 60, status: 'in_progress', alert: 'warning', rollup: 'progress' });
+    expect(company.children[1]).toMatchObject({ level: 'department', status: 'achieved', alert: 'ok', rollup: null });
+    expect(team).toMatchObject({ level: 'team', currentValue: null, progress: null, status: 'no_data' });
+    expect(team.children[0]).toMatchObject({ level: 'individual', progress: 60 });
+  });
+
+  test('should show what each child contributes to its parent', () => {
+    const [company] = buildKPITree(kpis, { goals });
+    expect(company.share).toBeNull();
+    expect(company.children[0]).toMatchObject({ share: 75, contribution: 37.5 });
+    expect(company.children[1]).toMatchObject({ share: 25, contribution: 25 });
+    // No value yet, so it does not count
+    expect(company.children[0].children[0]).toMatchObject({ share: null, contribution: null });
+  });
+
+  test('should attach linked goals to any node', () => {
+    const [company] = buildKPITree(kpis, { goals });
+    const alice = company.children[0].children[0].children[0];
+    expect(company.goals).toEqual([{ id: 'g1', title: 'Close Q2 deals', progress: 40, status: 'active' }]);
+    expect(alice.goals.map(goal => goal.id)).toEqual(['g1']);
+    expect(company.children[0].goals).toEqual([]);
+  });
+
+  test('should start from a given root and hide KPIs the viewer cannot see', () => {
+    const tree = buildKPITree(kpis, { rootId: 'sales', canSee: kpi => !kpi.assignedTo });
+    expect(tree).toHaveLength(1);
+    expect(tree[0].name).toBe('Sales revenue');
+    expect(tree[0].children[0].children).toEqual([]);
+  });
+});
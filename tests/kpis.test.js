@@ -0,0 +1,152 @@
+const {
+  periodWindow,
+  previousPeriodWindow,
+  taskMetrics,
+  focusMetrics,
+  goalMetrics,
+  validateKPIDefinition,
+  kpiProgress,
+  kpiLevel,
+  canViewKPI,
+  childContributions,
+  rollUpValue,
+  isKPIDue
+} = require('../utils/kpis');
+
+describe('KPIs', () => {
+  const date = new Date('2026-05-14T15:30:00Z'); // a Thursday
+
+  test('should compute UTC windows for each period', () => {
+    expect(periodWindow('daily', date)).toEqual({ start: new Date('2026-05-14T00:00:00Z'), end: new Date('2026-05-15T00:00:00Z') });
+    expect(periodWindow('weekly', date)).toEqual({ start: new Date('2026-05-11T00:00:00Z'), end: new Date('2026-05-18T00:00:00Z') });
+    expect(periodWindow('monthly', date)).toEqual({ start: new Date('2026-05-01T00:00:00Z'), end: new Date('2026-06-01T00:00:00Z') });
+    expect(periodWindow('quarterly', date)).toEqual({ start: new Date('2026-04-01T00:00:00Z'), end: new Date('2026-07-01T00:00:00Z') });
+    expect(periodWindow('yearly', date)).toEqual({ start: new Date('2026-01-01T00:00:00Z'), end: new Date('2027-01-01T00:00:00Z') });
+  });
+
+  test('should compute task metrics for the window', () => {
+    const window = periodWindow('monthly', date);
+    const tasks = [
+      { status: 'completed', createdAt: '2026-05-01T00:00:00Z', completedAt: '2026-05-02T00:00:00Z', deadline: '2026-05-03T00:00:00Z' },
+      { status: 'completed', createdAt: '2026-05-01T00:00:00Z', completedAt: '2026-05-05T00:00:00Z', deadline: '2026-05-04T00:00:00Z' },
+      { status: 'completed', createdAt: '2026-04-01T00:00:00Z', completedAt: '2026-04-20T00:00:00Z' },
+      { status: 'in-progress', deadline: '2026-05-10T00:00:00Z' },
+      { status: 'todo', deadline: '2026-05-20T00:00:00Z' },
+      { status: 'cancelled', deadline: '2026-05-09T00:00:00Z' }
+    ];
+
+    expect(taskMetrics(tasks, window, date)).toEqual({
+      tasks_completed: 2,
+      tasks_completed_on_time: 1,
+      tasks_due: 4,
+      tasks_overdue: 1,
+      on_time_rate: 50,
+      avg_cycle_time_hours: 60
+    });
+  });
+
+  test('should report zeros for an empty period', () => {
+    expect(taskMetrics([], periodWindow('weekly', date), date)).toMatchObject({ on_time_rate: 0, avg_cycle_time_hours: 0 });
+    expect(goalMetrics([], periodWindow('weekly', date))).toEqual({ goal_progress: 0, goals_completed: 0 });
+  });
+
+  test('should sum focus minutes, preferring the actual duration', () => {
+    expect(focusMetrics([{ actualDuration: 20, duration: 25 }, { duration: 25 }])).toEqual({ focus_minutes: 45, focus_sessions: 2 });
+  });
+
+  test('should average the progress of running goals and count completions', () => {
+    const window = periodWindow('monthly', date);
+    const goals = [
+      { status: 'active', progress: 40, startDate: '2026-04-01', targetDate: '2026-06-30' },
+      { status: 'completed', progress: 100, startDate: '2026-05-01', targetDate: '2026-05-31', completedAt: '2026-05-10T00:00:00Z' },
+      { status: 'cancelled', progress: 10, startDate: '2026-05-01', targetDate: '2026-05-31' },
+      { status: 'active', progress: 90, startDate: '2026-01-01', targetDate: '2026-03-31' }
+    ];
+    expect(goalMetrics(goals, window)).toEqual({ goal_progress: 70, goals_completed: 1 });
+
+    // Completed after its target date: counts as a completion, not as a running goal
+    const late = { status: 'completed', progress: 100, startDate: '2026-03-01', targetDate: '2026-04-15', completedAt: '2026-05-05T00:00:00Z' };
+    expect(goalMetrics([...goals, late], window)).toEqual({ goal_progress: 70, goals_completed: 2 });
+  });
+
+  test('should validate formulas and data sources', () => {
+    expect(() => validateKPIDefinition({ formula: 'pct(tasks_completed_on_time, tasks_completed)' })).not.toThrow();
+    expect(() => validateKPIDefinition({ dataSource: 'focus_minutes' })).not.toThrow();
+    expect(() => validateKPIDefinition({ formula: 'revenue * 2' })).toThrow('Unknown metric: revenue');
+    expect(() => validateKPIDefinition({ dataSource: 'revenue' })).toThrow('dataSource must be one of');
+  });
+
+  test('should report progress towards the target', () => {
+    expect(kpiProgress(30, 40)).toEqual({ progress: 75, status: 'in_progress' });
+    expect(kpiProgress(45, 40)).toEqual({ progress: 112.5, status: 'achieved' });
+    expect(kpiProgress(5, 0)).toEqual({ progress: null, status: 'in_progress' });
+  });
+
+  test('should be due once the period before the current one has ended', () => {
+    expect(isKPIDue({ period: 'weekly' }, date)).toBe(true);
+    expect(isKPIDue({ period: 'daily', closedPeriodEnd: new Date('2026-05-13T00:00:00Z') }, date)).toBe(true);
+    expect(isKPIDue({ period: 'daily', closedPeriodEnd: new Date('2026-05-14T00:00:00Z') }, date)).toBe(false);
+    expect(isKPIDue({ period: 'weekly', closedPeriodEnd: new Date('2026-05-11T00:00:00Z') }, date)).toBe(false);
+    expect(isKPIDue({ period: 'monthly', closedPeriodEnd: new Date('2026-04-01T00:00:00Z') }, date)).toBe(true);
+    // Calculating the running period does not close the one before
+    expect(isKPIDue({ period: 'weekly', lastCalculated: new Date('2026-05-13T00:00:00Z') }, date)).toBe(true);
+  });
+
+  test('should find the period that just ended', () => {
+    expect(previousPeriodWindow('weekly', date)).toEqual({ start: new Date('2026-05-04T00:00:00Z'), end: new Date('2026-05-11T00:00:00Z') });
+    expect(previousPeriodWindow('quarterly', date)).toEqual({ start: new Date('2026-01-01T00:00:00Z'), end: new Date('2026-04-01T00:00:00Z') });
+  });
+
+  test('should show KPIs to managers and within their scope', () => {
+    const user = { _id: 'u', role: 'employee', team: 't', department: 'd' };
+    expect(canViewKPI({ _id: 'm', role: 'manager' }, { assignedTo: 'u' })).toBe(true);
+    expect(canViewKPI(user, { assignedTo: 'u' })).toBe(true);
+    expect(canViewKPI(user, { assignedTo: 'x', team: 't' })).toBe(false);
+    expect(canViewKPI(user, { team: 't' })).toBe(true);
+    expect(canViewKPI(user, { department: 'd' })).toBe(true);
+    expect(canViewKPI(user, { team: 'other', department: 'd' })).toBe(false);
+  });
+
+  test('should place KPIs in the cascade by scope', () => {
+    expect(kpiLevel({})).toBe('company');
+    expect(kpiLevel({ department: 'd' })).toBe('department');
+    expect(kpiLevel({ department: 'd', team: 't' })).toBe('team');
+    expect(kpiLevel({ team: 't', assignedTo: 'u' })).toBe('individual');
+  });
+
+  describe('roll-up', () => {
+    const children = [
+      { _id: 'a', currentValue: 50, targetValue: 100, weight: 3 },
+      { _id: 'b', currentValue: 20, targetValue: 20, weight: 1 },
+      { _id: 'c', targetValue: 10, weight: 2 },
+      { _id: 'd', currentValue: 7, targetValue: 10, weight: 0 }
+    ];
+
+    test('should weight children by their share, leaving out those without a value or weight', () => {
+      const contributions = childContributions({}, children);
+      expect([...contributions.keys()]).toEqual(['a', 'b']);
+      expect(contributions.get('a')).toEqual({ weight: 3, share: 0.75, contribution: 37.5 });
+      expect(contributions.get('b')).toEqual({ weight: 1, share: 0.25, contribution: 25 });
+    });
+
+    test('should apply the weighted progress to the parent target', () => {
+      expect(rollUpValue({ targetValue: 200 }, children)).toBe(125);
+      expect(rollUpValue({}, children)).toBe(62.5);
+    });
+
+    test('should sum or average values when asked', () => {
+      expect(rollUpValue({ rollup: 'sum' }, children)).toBe(170);
+      expect(rollUpValue({ rollup: 'average', targetValue: 200 }, children)).toBe(42.5);
+    });
+
+    test('should count children without a weight once and skip targetless ones for progress', () => {
+      expect(rollUpValue({}, [{ _id: 'a', currentValue: 5, targetValue: 10 }, { _id: 'b', currentValue: 3 }])).toBe(50);
+      expect(rollUpValue({ rollup: 'sum' }, [{ _id: 'a', currentValue: 5 }, { _id: 'b', currentValue: 3 }])).toBe(8);
+    });
+
+    test('should have nothing to roll up when no child counts', () => {
+      expect(rollUpValue({ targetValue: 10 }, [{ _id: 'c', targetValue: 10 }])).toBeNull();
+      expect(rollUpValue({ targetValue: 10 }, [])).toBeNull();
+    });
+  });
+});
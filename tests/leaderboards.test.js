@@ -0,0 +1,54 @@
+const {
+  leaderboardRange,
+  scoreUser,
+  rankEntries,
+  presentRanking
+} = require('../utils/leaderboards');
+
+describe('Leaderboards', () => {
+  test('should key all-time boards by the epoch and periods by their start', () => {
+    expect(leaderboardRange('all_time')).toEqual({ startDate: new Date(0), endDate: undefined });
+    expect(leaderboardRange('weekly', new Date('2026-03-12T10:00:00Z')).startDate).toEqual(new Date('2026-03-09T00:00:00Z'));
+  });
+
+  test('should score each type with its tie-breaker', () => {
+    const metrics = { points: 120, tasks: 7, focusMinutes: 300, streak: 4, otherStreak: 9 };
+    expect(scoreUser('points', metrics)).toEqual({ score: 120, tieBreaker: 7 });
+    expect(scoreUser('tasks', metrics)).toEqual({ score: 7, tieBreaker: 120 });
+    expect(scoreUser('streak', metrics)).toEqual({ score: 4, tieBreaker: 9 });
+    expect(scoreUser('productivity', metrics)).toEqual({ score: 300, tieBreaker: 120 });
+    expect(() => scoreUser('karma', metrics)).toThrow('Unknown leaderboard type');
+  });
+
+  describe('rankEntries', () => {
+    test('should rank by score, then tie-breaker, and leave out zero scores', () => {
+      const ranked = rankEntries([
+        { user: 'a', score: 50, tieBreaker: 1 },
+        { user: 'b', score: 80, tieBreaker: 0 },
+        { user: 'c', score: 50, tieBreaker: 3 },
+        { user: 'd', score: 0, tieBreaker: 9 }
+      ]);
+      expect(ranked.map(entry => [entry.user, entry.rank])).toEqual([['b', 1], ['c', 2], ['a', 3]]);
+    });
+
+    test('should share ranks on full ties and skip the following ranks', () => {
+      const ranked = rankEntries([
+        { user: 'b', score: 10, tieBreaker: 2 },
+        { user: 'a', score: 10, tieBreaker: 2 },
+        { user: 'c', score: 5, tieBreaker: 0 }
+      ]);
+      expect(ranked.map(entry => [entry.user, entry.rank])).toEqual([['a', 1], ['b', 1], ['c', 3]]);
+    });
+
+    test('should carry previous ranks', () => {
+      const ranked = rankEntries([{ user: 'a', score: 10, tieBreaker: 0 }], new Map([['a', 4]]));
+      expect(ranked[0].previousRank).toBe(4);
+    });
+  });
+
+  test('should report movement since the previous snapshot', () => {
+    expect(presentRanking({ rank: 2, previousRank: 5, score: 10 })).toEqual({ rank: 2, previousRank: 5, movement: 3, score: 10 });
+    expect(presentRanking({ rank: 4, previousRank: 1, score: 3 }).movement).toBe(-3);
+    expect(presentRanking({ rank: 1, score: 3 })).toEqual({ rank: 1, previousRank: null, movement: null, score: 3 });
+  });
+});
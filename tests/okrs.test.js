@@ -0,0 +1,150 @@
+const {
+  quarterOf,
+  quarterRange,
+  validateKeyResult,
+  keyResultProgress,
+  objectiveProgress,
+  gradeFor,
+  scoreObjective,
+  recordCheckIn,
+  summarizeOKRs
+} = require('../utils/okrs');
+
+describe('OKRs', () => {
+  test('should work out quarters in UTC', () => {
+    expect(quarterOf(new Date('2026-05-14T12:00:00Z'))).toBe('2026-Q2');
+    expect(quarterOf(new Date('2026-12-31T23:59:59Z'))).toBe('2026-Q4');
+    expect(quarterRange('2026-Q4')).toEqual({ start: new Date('2026-10-01T00:00:00Z'), end: new Date('2027-01-01T00:00:00Z') });
+    expect(quarterRange('2026-Q5')).toBeNull();
+    expect(quarterRange('Q1')).toBeNull();
+  });
+
+  describe('keyResultProgress', () => {
+    test('should measure numeric and percentage key results from start to target', () => {
+      expect(keyResultProgress({ metricType: 'numeric', startValue: 10, targetValue: 50, currentValue: 30 })).toBe(50);
+      expect(keyResultProgress({ metricType: 'percentage', startValue: 60, targetValue: 90, currentValue: 99 })).toBe(100);
+      expect(keyResultProgress({ metricType: 'numeric', startValue: 10, targetValue: 50, currentValue: 5 })).toBe(0);
+    });
+
+    test('should handle targets below the start', () => {
+      // Cut churn from 8% to 4%
+      expect(keyResultProgress({ metricType: 'percentage', startValue: 8, targetValue: 4, currentValue: 5 })).toBe(75);
+    });
+
+    test('should measure boolean and milestone key results', () => {
+      expect(keyResultProgress({ metricType: 'boolean', currentValue: 1 })).toBe(100);
+      expect(keyResultProgress({ metricType: 'boolean', currentValue: 0 })).toBe(0);
+      expect(keyResultProgress({ metricType: 'milestone', milestones: [{ completed: true }, { completed: false }, { completed: true }] })).toBe(67);
+      expect(keyResultProgress({ metricType: 'milestone', milestones: [] })).toBe(0);
+    });
+  });
+
+  test('should weight key results for the objective progress', () => {
+    const keyResults = [
+      { metricType: 'boolean', currentValue: 1, weight: 3 },
+      { metricType: 'numeric', targetValue: 10, currentValue: 2, weight: 1 },
+      { metricType: 'numeric', targetValue: 10, currentValue: 0, weight: 0 }
+    ];
+    expect(objectiveProgress(keyResults)).toBe(80);
+    expect(objectiveProgress([])).toBe(0);
+  });
+
+  test('should grade scores', () => {
+    expect(gradeFor(0.7)).toBe('achieved');
+    expect(gradeFor(0.55)).toBe('partial');
+    expect(gradeFor(0.1)).toBe('missed');
+  });
+
+  test('should score objectives as the weighted average of key result scores', () => {
+    const { score, grade, keyResults } = scoreObjective({
+      keyResults: [
+        { _id: 'a', metricType: 'numeric', targetValue: 10, currentValue: 7, weight: 2 },
+        { _id: 'b', metricType: 'boolean', currentValue: 0 }
+      ]
+    });
+    expect(keyResults).toEqual([{ id: 'a', weight: 2, score: 0.7 }, { id: 'b', weight: 1, score: 0 }]);
+    expect(score).toBe(0.47);
+    expect(grade).toBe('partial');
+  });
+
+  test('should validate key results', () => {
+    expect(() => validateKeyResult({ title: 'Ship it', metricType: 'boolean' })).not.toThrow();
+    expect(() => validateKeyResult({ metricType: 'boolean' })).toThrow('need a title');
+    expect(() => validateKeyResult({ title: 'Grow', metricType: 'ratio' })).toThrow('metricType must be one of');
+    expect(() => validateKeyResult({ title: 'Grow' })).toThrow('needs a targetValue');
+    expect(() => validateKeyResult({ title: 'NPS', metricType: 'percentage', targetValue: 120 })).toThrow('between 0 and 100');
+    expect(() => validateKeyResult({ title: 'Launch', metricType: 'milestone', milestones: [] })).toThrow('at least one milestone');
+  });
+
+  describe('recordCheckIn', () => {
+    const now = new Date('2026-05-14T12:00:00Z');
+
+    test('should update the value and confidence and keep the check-in', () => {
+      const keyResult = { metricType: 'numeric', currentValue: 2, checkIns: [] };
+      recordCheckIn(keyResult, { value: 5, confidence: 7, note: 'On track', user: 'u1', now });
+      expect(keyResult).toMatchObject({ currentValue: 5, confidence: 7 });
+      expect(keyResult.checkIns).toEqual([{ value: 5, confidence: 7, note: 'On track', user: 'u1', date: now }]);
+    });
+
+    test('should record confidence alone and booleans as 0 or 1', () => {
+      const keyResult = { metricType: 'boolean', currentValue: 0, checkIns: [] };
+      recordCheckIn(keyResult, { confidence: 3, now });
+      expect(keyResult).toMatchObject({ currentValue: 0, confidence: 3 });
+      recordCheckIn(keyResult, { value: true, now });
+      expect(keyResult.currentValue).toBe(1);
+    });
+
+    test('should mark milestones completed by id', () => {
+      const keyResult = {
+        metricType: 'milestone',
+        milestones: [{ _id: 'm1', completed: false }, { _id: 'm2', completed: true, completedAt: now }],
+        checkIns: []
+      };
+      recordCheckIn(keyResult, { completedMilestones: ['m1'], now });
+      expect(keyResult.milestones).toEqual([
+        { _id: 'm1', completed: true, completedAt: now },
+        { _id: 'm2', completed: false, completedAt: undefined }
+      ]);
+      expect(keyResult.checkIns[0].value).toBe(1);
+    });
+
+    test('should reject empty or invalid check-ins', () => {
+      expect(() => recordCheckIn({ metricType: 'numeric', checkIns: [] }, {})).toThrow('needs a value');
+      expect(() => recordCheckIn({ metricType: 'numeric', checkIns: [] }, { confidence: 11 })).toThrow('from 0 to 10');
+      expect(() => recordCheckIn({ metricType: 'numeric', checkIns: [] }, { value: 'lots' })).toThrow('must be a number');
+      expect(() => recordCheckIn({ metricType: 'percentage', checkIns: [] }, { value: 140 })).toThrow('between 0 and 100');
+    });
+  });
+
+  test('should summarize grades, risks and retros', () => {
+    const summary = summarizeOKRs([
+      {
+        _id: 'o1', title: 'Delight customers', user: 'u1', status: 'closed', progress: 80,
+        okr: { score: 0.8, grade: 'achieved', retro: { wentWell: 'Focus', updatedAt: new Date() } },
+        keyResults: [{ _id: 'k1', title: 'NPS 50', progress: 80, score: 0.8, confidence: 2 }]
+      },
+      {
+        _id: 'o2', title: 'Ship v2', user: 'u2', status: 'closed', progress: 30,
+        okr: { score: 0.3, grade: 'missed' }, keyResults: []
+      },
+      {
+        _id: 'o3', title: 'Hire', user: 'u1', status: 'active', progress: 40,
+        keyResults: [{ _id: 'k3', title: 'Two engineers', progress: 50, confidence: 4, weight: 2 }]
+      }
+    ], '2026-Q2');
+
+    expect(summary).toMatchObject({
+      quarter: '2026-Q2',
+      objectives: 3,
+      closed: 2,
+      averageScore: 0.55,
+      averageProgress: 50,
+      grades: { achieved: 1, partial: 0, missed: 1 },
+      atRisk: [{ goalId: 'o3', keyResultId: 'k3', title: 'Two engineers', confidence: 4 }],
+      retrosWritten: 1
+    });
+    expect(summary.results[0]).toMatchObject({ score: 0.8, grade: 'achieved', retro: { wentWell: 'Focus' } });
+    expect(summary.results[2]).toMatchObject({ score: null, grade: null, retro: null });
+    expect(summary.results[2].keyResults[0]).toMatchObject({ weight: 2, confidence: 4, score: null });
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  isOverdue,
+  parseDelays,
+  nextEscalationLevel,
+  flaggedForDeadline
+} = require('../utils/overdueTasks');
+
+describe('Overdue Tasks', () => {
+  const now = new Date('2024-03-10T12:00:00.000Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  describe('isOverdue', () => {
+    test('should flag open tasks past their deadline', () => {
+      expect(isOverdue({ status: 'in_progress', deadline: hoursAgo(1) }, now)).toBe(true);
+      expect(isOverdue({ status: 'pending', deadline: hoursAgo(-1) }, now)).toBe(false);
+      expect(isOverdue({ status: 'pending' }, now)).toBe(false);
+    });
+
+    test('should never flag completed or cancelled tasks', () => {
+      expect(isOverdue({ status: 'completed', deadline: hoursAgo(5) }, now)).toBe(false);
+      expect(isOverdue({ status: 'cancelled', deadline: hoursAgo(5) }, now)).toBe(false);
+    });
+
+    test('should trust the overdue status', () => {
+      expect(isOverdue({ status: 'overdue', deadline: hoursAgo(-5) }, now)).toBe(true);
+    });
+  });
+
+  describe('parseDelays', () => {
+    test('should accept arrays and comma separated strings', () => {
+      expect(parseDelays([12, 24, 48])).toEqual([12, 24, 48]);
+      expect(parseDelays('4, 8,16')).toEqual([4, 8, 16]);
+    });
+
+    test('should reject invalid delays', () => {
+      expect(parseDelays('4,abc')).toBeNull();
+      expect(parseDelays([-1])).toBeNull();
+      expect(parseDelays('')).toBeNull();
+    });
+  });
+
+  describe('nextEscalationLevel', () => {
+    const delays = [24, 48, 72];
+
+    test('should wait for the delay after the previous step', () => {
+      const overdue = { markedAt: hoursAgo(30), lastEscalatedAt: hoursAgo(30), escalationLevel: 0 };
+      expect(nextEscalationLevel(overdue, delays, now)).toBe(1);
+
+      const recent = { markedAt: hoursAgo(30), lastEscalatedAt: hoursAgo(10), escalationLevel: 1 };
+      expect(nextEscalationLevel(recent, delays, now)).toBeNull();
+
+      const due = { markedAt: hoursAgo(100), lastEscalatedAt: hoursAgo(49), escalationLevel: 1 };
+      expect(nextEscalationLevel(due, delays, now)).toBe(2);
+    });
+
+    test('should stop after the department head', () => {
+      const overdue = { markedAt: hoursAgo(500), lastEscalatedAt: hoursAgo(200), escalationLevel: 3 };
+
+      expect(nextEscalationLevel(overdue, delays, now)).toBeNull();
+    });
+  });
+
+  describe('flaggedForDeadline', () => {
+    test('should recognise tasks already flagged for their current deadline', () => {
+      const deadline = hoursAgo(5);
+      const task = { status: 'in_progress', deadline, overdue: { markedAt: hoursAgo(4), deadline: new Date(deadline) } };
+
+      expect(flaggedForDeadline(task)).toBe(true);
+    });
+
+    test('should flag again once the deadline changes', () => {
+      const task = { status: 'in_progress', deadline: hoursAgo(1), overdue: { markedAt: hoursAgo(30), deadline: hoursAgo(40) } };
+
+      expect(flaggedForDeadline(task)).toBe(false);
+      expect(flaggedForDeadline({ status: 'pending', deadline: hoursAgo(1) })).toBe(false);
+    });
+  });
+});
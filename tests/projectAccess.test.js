@@ -0,0 +1,51 @@
+const {
+  getProjectRole,
+  roleAllows,
+  hasProjectPermission,
+  memberProjectFilter
+} = require('../utils/projectAccess');
+
+describe('Project Access', () => {
+  const project = {
+    manager: 'u1',
+    members: [
+      { user: 'u2', role: 'contributor' },
+      { user: { _id: 'u3' }, role: 'client' },
+      { user: 'u4', role: 'viewer' }
+    ],
+    stakeholders: ['u4', 'u5']
+  };
+  const user = (id, role = 'employee') => ({ _id: id, role });
+
+  test('should resolve the project role of a user', () => {
+    expect(getProjectRole(project, user('u1'))).toBe('owner');
+    expect(getProjectRole(project, user('u2'))).toBe('contributor');
+    expect(getProjectRole(project, user('u3'))).toBe('client');
+    expect(getProjectRole(project, user('u5'))).toBe('viewer');
+    expect(getProjectRole(project, user('u6'))).toBeNull();
+    expect(getProjectRole(project, user('u6', 'admin'))).toBe('owner');
+  });
+
+  test('should not grant project access from the global manager role', () => {
+    expect(getProjectRole(project, user('u7', 'manager'))).toBeNull();
+  });
+
+  test('should rank permission levels by role', () => {
+    expect(roleAllows('owner', 'manage')).toBe(true);
+    expect(roleAllows('contributor', 'manage')).toBe(false);
+    expect(roleAllows('contributor', 'contribute')).toBe(true);
+    expect(roleAllows('client', 'comment')).toBe(true);
+    expect(roleAllows('client', 'contribute')).toBe(false);
+    expect(roleAllows('viewer', 'view')).toBe(true);
+    expect(roleAllows('viewer', 'comment')).toBe(false);
+    expect(roleAllows(null, 'view')).toBe(false);
+    expect(hasProjectPermission(project, user('u3'), 'comment')).toBe(true);
+  });
+
+  test('should filter listings to member projects except for admins', () => {
+    expect(memberProjectFilter(user('u1', 'admin'))).toEqual({});
+    expect(memberProjectFilter(user('u2'))).toEqual({
+      $or: [{ manager: 'u2' }, { 'members.user': 'u2' }, { stakeholders: 'u2' }]
+    });
+  });
+});
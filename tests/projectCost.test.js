@@ -0,0 +1,99 @@
+const {
+  canViewCosts,
+  redactCosts,
+  collectTimeEntries,
+  resolveRate,
+  computeCost,
+  computeBudgetMetrics,
+  evaluateBudgetAlerts
+} = require('../utils/projectCost');
+
+describe('Project Cost', () => {
+  const day = date => new Date(`${date}T00:00:00Z`);
+
+  const rates = [
+    { role: 'employee', hourlyRate: 50, effectiveFrom: day('2024-01-01') },
+    { role: 'employee', hourlyRate: 60, effectiveFrom: day('2024-03-01') },
+    { user: 'u2', hourlyRate: 100, effectiveFrom: day('2024-01-01'), effectiveTo: day('2024-02-01') }
+  ];
+
+  test('should collect time logs and focus sessions as hours', () => {
+    const entries = collectTimeEntries(
+      [{
+        createdAt: day('2024-01-01'),
+        timeLogs: [
+          { user: 'u1', duration: 90, startTime: day('2024-01-10') },
+          { user: 'u1', startTime: new Date('2024-01-11T09:00:00Z'), endTime: new Date('2024-01-11T11:00:00Z') },
+          { user: 'u1', duration: 0 }
+        ]
+      }],
+      [{ user: 'u2', actualDuration: 30, duration: 25, startTime: day('2024-01-12') }]
+    );
+    expect(entries.map(entry => entry.hours)).toEqual([1.5, 2, 0.5]);
+  });
+
+  test('should prefer user rates and respect effective dates', () => {
+    expect(resolveRate(rates, { user: 'u1', role: 'employee' }, day('2024-02-15')).hourlyRate).toBe(50);
+    expect(resolveRate(rates, { user: 'u1', role: 'employee' }, day('2024-03-15')).hourlyRate).toBe(60);
+    expect(resolveRate(rates, { user: 'u2', role: 'employee' }, day('2024-01-15')).hourlyRate).toBe(100);
+    expect(resolveRate(rates, { user: 'u2', role: 'employee' }, day('2024-02-15')).hourlyRate).toBe(50);
+    expect(resolveRate(rates, { user: 'u3', role: 'manager' }, day('2024-02-15'))).toBeNull();
+  });
+
+  test('should price entries and report unrated hours', () => {
+    const cost = computeCost([
+      { user: 'u1', hours: 2, at: day('2024-02-15') },
+      { user: 'u1', hours: 1, at: day('2024-03-15') },
+      { user: 'u3', hours: 4, at: day('2024-03-15') }
+    ], rates, new Map([['u1', 'employee'], ['u3', 'manager']]));
+
+    expect(cost.totalCost).toBe(160);
+    expect(cost.totalHours).toBe(7);
+    expect(cost.unratedHours).toBe(4);
+    expect(cost.byUser).toEqual([
+      { user: 'u1', hours: 3, cost: 160 },
+      { user: 'u3', hours: 4, cost: 0 }
+    ]);
+  });
+
+  test('should refuse to add up costs in different currencies', () => {
+    const euroRates = [...rates, { user: 'u4', hourlyRate: 80, currency: 'EUR', effectiveFrom: day('2024-01-01') }];
+    const entries = [
+      { user: 'u1', hours: 2, at: day('2024-02-15') },
+      { user: 'u4', hours: 1, at: day('2024-02-15') }
+    ];
+    const roles = new Map([['u1', 'employee']]);
+
+    expect(() => computeCost(entries, euroRates, roles)).toThrow(expect.objectContaining({ code: 'MIXED_CURRENCIES' }));
+    expect(computeCost(entries.slice(0, 1), euroRates, roles).currency).toBe('USD');
+  });
+
+  test('should compute burn rate, forecast and variance', () => {
+    const now = day('2024-01-11');
+    const byProgress = computeBudgetMetrics({ budget: 10000, actualCost: 3000, progress: 25, startDate: day('2024-01-01') }, now);
+    expect(byProgress.burnRatePerDay).toBe(300);
+    expect(byProgress.forecastAtCompletion).toBe(12000);
+    expect(byProgress.variance).toBe(-2000);
+    expect(byProgress.spentPercent).toBe(30);
+
+    const byBurnRate = computeBudgetMetrics({ budget: 10000, actualCost: 3000, startDate: day('2024-01-01'), endDate: day('2024-01-21') }, now);
+    expect(byBurnRate.forecastAtCompletion).toBe(6000);
+    expect(byBurnRate.variancePercent).toBe(40);
+
+    expect(computeBudgetMetrics({ actualCost: 10, startDate: day('2024-01-01') }, now).spentPercent).toBeNull();
+  });
+
+  test('should raise each threshold once and re-arm it when spend drops below', () => {
+    expect(evaluateBudgetAlerts(80, [50, 75, 90], [{ threshold: 50 }]).crossed).toEqual([75]);
+    const lowered = evaluateBudgetAlerts(40, [50, 75, 90], [{ threshold: 50 }, { threshold: 75 }]);
+    expect(lowered).toEqual({ crossed: [], kept: [] });
+    expect(evaluateBudgetAlerts(null, [50], []).crossed).toEqual([]);
+  });
+
+  test('should hide cost fields from users outside management and stakeholders', () => {
+    const project = { name: 'P', budget: 100, actualCost: 10, manager: 'm1', stakeholders: ['s1'] };
+    expect(canViewCosts({ _id: 's1', role: 'employee' }, project)).toBe(true);
+    expect(canViewCosts({ _id: 'x', role: 'manager' }, project)).toBe(true);
+    expect(redactCosts(project, { _id: 'x', role: 'employee' })).toEqual({ name: 'P', manager: 'm1', stakeholders: ['s1'] });
+  });
+});
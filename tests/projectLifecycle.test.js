@@ -0,0 +1,75 @@
+const {
+  shiftDate,
+  lastActivityAt,
+  isProjectDone,
+  evaluateLifecycle,
+  cloneTaskData
+} = require('../utils/projectLifecycle');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Project Lifecycle', () => {
+  const now = new Date('2026-03-31T00:00:00Z');
+  const project = (overrides = {}) => ({
+    status: 'active',
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    milestones: [{ completed: true }],
+    automation: { autoComplete: true, staleAfterDays: 30 },
+    ...overrides
+  });
+
+  test('should shift dates and keep missing dates missing', () => {
+    expect(shiftDate('2026-01-01T00:00:00Z', 2 * DAY)).toEqual(new Date('2026-01-03T00:00:00Z'));
+    expect(shiftDate(null, DAY)).toBeUndefined();
+  });
+
+  test('should take the latest task update or status change as last activity', () => {
+    const tasks = [{ updatedAt: new Date('2026-02-01') }, { updatedAt: new Date('2026-03-01') }];
+    expect(lastActivityAt(project(), tasks)).toEqual(new Date('2026-03-01'));
+    expect(lastActivityAt(project({ statusHistory: [{ changedAt: new Date('2026-03-10') }] }), tasks))
+      .toEqual(new Date('2026-03-10'));
+  });
+
+  test('should only consider a project done when all milestones and tasks are', () => {
+    expect(isProjectDone(project(), [{ status: 'completed' }, { status: 'cancelled' }])).toBe(true);
+    expect(isProjectDone(project(), [{ status: 'in_progress' }])).toBe(false);
+    expect(isProjectDone(project({ milestones: [{ completed: false }] }), [])).toBe(false);
+    expect(isProjectDone(project({ milestones: [] }), [])).toBe(false);
+  });
+
+  test('should complete finished projects and put idle ones on hold', () => {
+    const recent = [{ status: 'in_progress', updatedAt: new Date('2026-03-20') }];
+    const idle = [{ status: 'in_progress', updatedAt: new Date('2026-02-01') }];
+
+    expect(evaluateLifecycle(project(), [{ status: 'completed', updatedAt: now }], now).status).toBe('completed');
+    expect(evaluateLifecycle(project(), recent, now)).toBeNull();
+    expect(evaluateLifecycle(project(), idle, now)).toEqual({ status: 'on_hold', reason: 'No activity for 58 days' });
+    expect(evaluateLifecycle(project({ automation: { staleAfterDays: 0 } }), idle, now)).toBeNull();
+    expect(evaluateLifecycle(project({ status: 'planning' }), idle, now)).toBeNull();
+    expect(evaluateLifecycle(project({ isArchived: true }), [{ status: 'completed' }], now)).toBeNull();
+    expect(evaluateLifecycle(project({ status: 'completed' }), [{ status: 'completed' }], now)).toBeNull();
+  });
+
+  test('should clone a task with remapped references, shifted dates and reset state', () => {
+    const idMap = new Map([['t1', 'n1'], ['t2', 'n2']]);
+    const copy = cloneTaskData({
+      _id: 't2',
+      title: 'Build',
+      deadline: new Date('2026-01-10T00:00:00Z'),
+      status: 'completed',
+      progress: 100,
+      timeLogs: [{ duration: 60 }],
+      dependencies: ['t1', 'outside'],
+      parentTask: 't1',
+      checklist: [{ title: 'Review', done: true, dueDate: new Date('2026-01-09T00:00:00Z') }]
+    }, { offsetMs: 7 * DAY, idMap, initialState: { key: 'todo', category: 'pending' }, actor: 'u1' });
+
+    expect(copy._id).toBe('n2');
+    expect(copy.dependencies).toEqual(['n1']);
+    expect(copy.parentTask).toBe('n1');
+    expect(copy.deadline).toEqual(new Date('2026-01-17T00:00:00Z'));
+    expect(copy).toMatchObject({ status: 'pending', workflowState: 'todo', progress: 0, assignedBy: 'u1' });
+    expect(copy.timeLogs).toBeUndefined();
+    expect(copy.checklist).toEqual([{ title: 'Review', assignedTo: undefined, dueDate: new Date('2026-01-16T00:00:00Z'), createdBy: 'u1' }]);
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  nthWeekdayOfMonth,
+  nextOccurrence,
+  upcomingOccurrences,
+  validateRecurrenceRule
+} = require('../utils/recurrence');
+
+const dates = occurrences => occurrences.map(o => o.date.toISOString().slice(0, 10));
+
+describe('Recurrence', () => {
+  describe('daily', () => {
+    test('should repeat every interval days keeping the time of day', () => {
+      const rule = { frequency: 'daily', interval: 2, startDate: '2024-01-01T09:00:00.000Z' };
+
+      const occurrences = upcomingOccurrences(rule, null, 3);
+
+      expect(dates(occurrences)).toEqual(['2024-01-01', '2024-01-03', '2024-01-05']);
+      expect(occurrences[1].date.toISOString()).toBe('2024-01-03T09:00:00.000Z');
+    });
+
+    test('should stop after count occurrences', () => {
+      const rule = { frequency: 'daily', startDate: '2024-01-01', count: 2 };
+
+      expect(dates(upcomingOccurrences(rule, null, 10))).toEqual(['2024-01-01', '2024-01-02']);
+      expect(nextOccurrence(rule, '2024-01-02')).toBeNull();
+    });
+  });
+
+  describe('weekly', () => {
+    test('should repeat on the chosen weekdays', () => {
+      // 2024-01-01 is a Monday
+      const rule = { frequency: 'weekly', byWeekday: [1, 3, 5], startDate: '2024-01-01' };
+
+      expect(dates(upcomingOccurrences(rule, null, 5))).toEqual([
+        '2024-01-01', '2024-01-03', '2024-01-05', '2024-01-08', '2024-01-10'
+      ]);
+    });
+
+    test('should respect the interval and end date', () => {
+      const rule = { frequency: 'weekly', interval: 2, startDate: '2024-01-01', until: '2024-01-29' };
+
+      expect(dates(upcomingOccurrences(rule, null, 10))).toEqual(['2024-01-01', '2024-01-15', '2024-01-29']);
+    });
+  });
+
+  describe('monthly', () => {
+    test('should fall back to the last day in short months', () => {
+      const rule = { frequency: 'monthly', byMonthDay: 31, startDate: '2024-01-31' };
+
+      expect(dates(upcomingOccurrences(rule, null, 3))).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+    });
+
+    test('should repeat on the nth weekday', () => {
+      // Second Tuesday of each month
+      const rule = { frequency: 'monthly', monthlyMode: 'nth_weekday', byWeekday: [2], bySetPos: 2, startDate: '2024-01-01' };
+
+      expect(dates(upcomingOccurrences(rule, null, 3))).toEqual(['2024-01-09', '2024-02-13', '2024-03-12']);
+    });
+
+    test('should find the last weekday of the month', () => {
+      // Last Friday of March 2024 is the 29th
+      expect(nthWeekdayOfMonth(2024, 2, 5, -1)).toBe(29);
+      // Fourth Monday of February 2024
+      expect(nthWeekdayOfMonth(2024, 1, 1, 4)).toBe(26);
+    });
+  });
+
+  describe('exceptions', () => {
+    test('should skip exception dates when finding the next occurrence', () => {
+      const rule = {
+        frequency: 'weekly',
+        startDate: '2024-01-01T09:00:00.000Z',
+        exceptions: ['2024-01-08']
+      };
+
+      const next = nextOccurrence(rule, '2024-01-01T09:00:00.000Z');
+
+      expect(next.date.toISOString().slice(0, 10)).toBe('2024-01-15');
+      expect(next.index).toBe(3);
+    });
+
+    test('should count skipped occurrences toward count', () => {
+      const rule = { frequency: 'daily', startDate: '2024-01-01', count: 3, exceptions: ['2024-01-03'] };
+
+      expect(nextOccurrence(rule, '2024-01-02')).toBeNull();
+    });
+  });
+
+  describe('validateRecurrenceRule', () => {
+    test('should accept a valid rule', () => {
+      expect(validateRecurrenceRule({ frequency: 'weekly', byWeekday: [1], startDate: '2024-01-01', count: 4 })).toEqual([]);
+    });
+
+    test('should reject invalid rules', () => {
+      const errors = validateRecurrenceRule({
+        frequency: 'yearly',
+        startDate: 'not a date',
+        byWeekday: [7],
+        until: '2024-02-01',
+        count: 3
+      });
+
+      expect(errors).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const {
+  REDEMPTION_TRANSITIONS,
+  canDecideRedemption,
+  withinUserLimit
+} = require('../utils/rewards');
+
+describe('Rewards', () => {
+  const admin = { _id: 'admin', role: 'admin' };
+  const manager = { _id: 'manager', role: 'manager' };
+  const otherManager = { _id: 'other', role: 'manager' };
+  const employee = { _id: 'employee', role: 'employee' };
+
+  test('should let admins and the requester\'s manager decide', () => {
+    const requester = { _id: 'requester', manager: 'manager' };
+    expect(canDecideRedemption(admin, requester)).toBe(true);
+    expect(canDecideRedemption(manager, requester)).toBe(true);
+    expect(canDecideRedemption(otherManager, requester)).toBe(false);
+    expect(canDecideRedemption(employee, requester)).toBe(false);
+  });
+
+  test('should let any manager decide for requesters without a manager', () => {
+    expect(canDecideRedemption(otherManager, { _id: 'requester' })).toBe(true);
+  });
+
+  test('should never let users decide their own redemptions', () => {
+    expect(canDecideRedemption(admin, { _id: 'admin' })).toBe(false);
+    expect(canDecideRedemption(manager, { _id: 'manager' })).toBe(false);
+  });
+
+  test('should enforce per-user limits only when set', () => {
+    expect(withinUserLimit({}, 10)).toBe(true);
+    expect(withinUserLimit({ perUserLimit: 2 }, 1)).toBe(true);
+    expect(withinUserLimit({ perUserLimit: 2 }, 2)).toBe(false);
+  });
+
+  test('should only decide pending redemptions and fulfil approved ones', () => {
+    expect(REDEMPTION_TRANSITIONS.approve.from).toEqual(['pending']);
+    expect(REDEMPTION_TRANSITIONS.reject.from).toEqual(['pending']);
+    expect(REDEMPTION_TRANSITIONS.cancel.from).toEqual(['pending']);
+    expect(REDEMPTION_TRANSITIONS.fulfil).toEqual({ from: ['approved'], to: 'fulfilled' });
+  });
+});
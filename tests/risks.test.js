@@ -0,0 +1,56 @@
+const {
+  riskScore,
+  riskLevel,
+  validateRisk,
+  canTransitionRisk,
+  buildHeatMap
+} = require('../utils/risks');
+
+describe('Project Risks', () => {
+  test('should score probability times impact and band the score', () => {
+    expect(riskScore('very_low', 'very_low')).toBe(1);
+    expect(riskScore('high', 'medium')).toBe(12);
+    expect(riskScore('very_high', 'very_high')).toBe(25);
+    expect(riskScore('unknown', 'high')).toBeNull();
+    expect([4, 5, 10, 15].map(riskLevel)).toEqual(['low', 'medium', 'high', 'critical']);
+  });
+
+  test('should validate risk fields', () => {
+    expect(validateRisk({ title: 'Vendor delay', probability: 'high', impact: 'medium' })).toEqual([]);
+    expect(validateRisk({})).toHaveLength(3);
+    expect(validateRisk({ impact: 'huge' }, { partial: true })).toHaveLength(1);
+  });
+
+  test('should only allow open to mitigated to closed, and reopening', () => {
+    expect(canTransitionRisk('open', 'mitigated')).toBe(true);
+    expect(canTransitionRisk('mitigated', 'closed')).toBe(true);
+    expect(canTransitionRisk('closed', 'open')).toBe(true);
+    expect(canTransitionRisk('closed', 'mitigated')).toBe(false);
+    expect(canTransitionRisk('open', 'open')).toBe(false);
+  });
+
+  test('should build a heat map of open risks with the highest scores first', () => {
+    const heatMap = buildHeatMap([
+      {
+        _id: 'p1',
+        name: 'Apollo',
+        risks: [
+          { _id: 'r1', title: 'Vendor delay', probability: 'high', impact: 'high', status: 'open' },
+          { _id: 'r2', title: 'Scope creep', probability: 'medium', impact: 'low', status: 'open' },
+          { _id: 'r3', title: 'Closed', probability: 'very_high', impact: 'very_high', status: 'closed' }
+        ]
+      },
+      {
+        _id: 'p2',
+        name: 'Gemini',
+        risks: [{ _id: 'r4', title: 'Key person', probability: 'high', impact: 'high', status: 'open', reviewDate: new Date('2024-01-01') }]
+      }
+    ], { limit: 2 });
+
+    expect(heatMap.totalOpen).toBe(3);
+    expect(heatMap.matrix[3][3]).toBe(2);
+    expect(heatMap.matrix[2][1]).toBe(1);
+    expect(heatMap.topRisks.map(risk => risk.riskId)).toEqual(['r4', 'r1']);
+    expect(heatMap.topRisks[0]).toMatchObject({ score: 16, level: 'critical', project: { name: 'Gemini' } });
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const {
+  taskPoints,
+  workingDays,
+  validateSprint,
+  summarizeCapacity,
+  buildBurnSeries,
+  computeVelocity
+} = require('../utils/sprints');
+
+describe('Sprints', () => {
+  const alice = new mongoose.Types.ObjectId();
+  const bob = new mongoose.Types.ObjectId();
+  const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+  // Monday 2024-03-04 to Friday 2024-03-15: two working weeks
+  const sprint = {
+    startDate: new Date('2024-03-04T00:00:00Z'),
+    endDate: new Date('2024-03-15T00:00:00Z'),
+    capacity: [{ user: alice, hoursPerDay: 8, daysOff: 2 }, { user: bob, hoursPerDay: 4 }],
+    tasks: [
+      { task: ids[0], addedAt: new Date('2024-03-01T00:00:00Z') },
+      { task: ids[1], addedAt: new Date('2024-03-01T00:00:00Z') },
+      { task: ids[2], addedAt: new Date('2024-03-06T10:00:00Z') }
+    ]
+  };
+  const tasks = [
+    { _id: ids[0], storyPoints: 5, estimatedHours: 20, assignedTo: alice, status: 'completed', completedAt: new Date('2024-03-05T12:00:00Z') },
+    { _id: ids[1], storyPoints: 3, estimatedHours: 10, assignedTo: bob, status: 'in_progress' },
+    { _id: ids[2], estimatedHours: 2, status: 'pending' }
+  ];
+
+  test('should use story points, falling back to estimated hours', () => {
+    expect(taskPoints({ storyPoints: 0, estimatedHours: 8 })).toBe(0);
+    expect(taskPoints({ estimatedHours: 8 })).toBe(8);
+    expect(taskPoints({})).toBe(0);
+  });
+
+  test('should derive member capacity from working days and hours', () => {
+    expect(workingDays(sprint.startDate, sprint.endDate)).toBe(10);
+
+    const summary = summarizeCapacity(sprint, tasks);
+    expect(summary.members.map(member => member.capacityHours)).toEqual([64, 40]);
+    expect(summary.members.map(member => member.committedHours)).toEqual([20, 10]);
+    expect(summary.members[0].utilization).toBe(31);
+    expect(summary.unassignedHours).toBe(2);
+    expect(summary.totalCommittedHours).toBe(32);
+  });
+
+  test('should validate sprint input', () => {
+    expect(validateSprint({ name: 'S1', startDate: '2024-03-04', endDate: '2024-03-15' })).toEqual([]);
+    expect(validateSprint({ name: 'S1', startDate: '2024-03-15', endDate: '2024-03-04' }))
+      .toEqual(['End date must be on or after the start date']);
+    expect(validateSprint({}, { partial: true })).toEqual([]);
+    expect(validateSprint({ capacity: [{ user: alice }, { user: alice, hoursPerDay: 30 }] }, { partial: true }))
+      .toHaveLength(2);
+  });
+
+  test('should build burndown and burnup series with scope changes', () => {
+    const series = buildBurnSeries(sprint, tasks, new Date('2024-03-07T12:00:00Z'));
+    expect(series).toHaveLength(12);
+    expect(series.slice(0, 4).map(day => day.scope)).toEqual([8, 8, 10, 10]);
+    expect(series.slice(0, 4).map(day => day.completed)).toEqual([0, 5, 5, 5]);
+    expect(series[2].remaining).toBe(5);
+    expect(series[0].ideal).toBe(8);
+    expect(series[11].ideal).toBe(0);
+    expect(series[4].remaining).toBeNull();
+  });
+
+  test('should average completed points over recent closed sprints', () => {
+    const velocity = computeVelocity([
+      { status: 'closed', startDate: '2024-01-01', committedPoints: 20, completedPoints: 10 },
+      { status: 'closed', startDate: '2024-02-01', committedPoints: 20, completedPoints: 20 },
+      { status: 'active', startDate: '2024-03-01', committedPoints: 20 },
+      { status: 'closed', startDate: '2024-01-15', committedPoints: 20, completedPoints: 15 }
+    ], 2);
+    expect(velocity.sprints.map(sprint => sprint.completedPoints)).toEqual([10, 15, 20]);
+    expect(velocity.average).toBe(17.5);
+    expect(velocity.basedOn).toBe(2);
+  });
+});
@@ -0,0 +1,52 @@
+const Task = require('../models/Task');
+const {
+  checklistProgress,
+  validateChecklistOrder,
+  moveChecklistItem,
+  validateChecklistPosition
+} = require('../utils/taskChecklist');
+
+describe('Task Checklist', () => {
+  const buildTask = () => new Task({
+    title: 'Launch',
+    checklist: [{ title: 'A', done: true }, { title: 'B' }, { title: 'C' }]
+  });
+
+  test('should derive progress from done items', () => {
+    expect(checklistProgress(buildTask().checklist)).toBe(33);
+    expect(checklistProgress([{ done: true }, { done: true }])).toBe(100);
+    expect(checklistProgress([])).toBeNull();
+  });
+
+  test('should require every item exactly once when reordering', () => {
+    const task = buildTask();
+    const ids = task.checklist.map(item => item._id.toString());
+
+    expect(validateChecklistOrder(task.checklist, [ids[2], ids[0], ids[1]])).toBeNull();
+    expect(validateChecklistOrder(task.checklist, [ids[0], ids[0], ids[1]])).not.toBeNull();
+    expect(validateChecklistOrder(task.checklist, ids.slice(1))).not.toBeNull();
+    expect(validateChecklistOrder(task.checklist, 'abc')).not.toBeNull();
+  });
+
+  test('should move an item and clamp the position', () => {
+    const task = buildTask();
+    const last = task.checklist[2]._id;
+
+    expect(moveChecklistItem(task, last, 0)).toBe(true);
+    expect(task.checklist.map(item => item.title)).toEqual(['C', 'A', 'B']);
+    expect(task.checklist[0]._id.toString()).toBe(last.toString());
+
+    moveChecklistItem(task, last, 10);
+    expect(task.checklist.map(item => item.title)).toEqual(['A', 'B', 'C']);
+    expect(task.checklist[0].done).toBe(true);
+  });
+
+  test('should only accept non-negative integer positions', () => {
+    expect(validateChecklistPosition(undefined)).toBeNull();
+    expect(validateChecklistPosition(2)).toBeNull();
+    expect(validateChecklistPosition('0')).toBeNull();
+    ['abc', '', -1, 1.5].forEach(position => {
+      expect(validateChecklistPosition(position)).toBe('Position must be a non-negative integer');
+    });
+  });
+});
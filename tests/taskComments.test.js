@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const TaskComment = require('../models/TaskComment');
+const {
+  extractMentionIds,
+  plainText,
+  summarizeReactions,
+  serializeComment
+} = require('../utils/taskComments');
+
+describe('Task Comments', () => {
+  const alice = new mongoose.Types.ObjectId().toString();
+  const bob = new mongoose.Types.ObjectId().toString();
+
+  test('should extract mentions from markup and explicit ids without duplicates', () => {
+    const text = `Hi @[Alice](${alice}) and @[Bob](${bob}), cc @[Alice](${alice})`;
+    expect(extractMentionIds(text).sort()).toEqual([alice, bob].sort());
+    expect(extractMentionIds('no mentions', [bob, 'not-an-id'])).toEqual([bob]);
+    expect(plainText(text)).toBe('Hi @Alice and @Bob, cc @Alice');
+  });
+
+  test('should group reactions by emoji', () => {
+    const summary = summarizeReactions([
+      { user: alice, emoji: '👍' },
+      { user: bob, emoji: '👍' },
+      { user: bob, emoji: '🎉' }
+    ]);
+    expect(summary).toEqual([
+      { emoji: '👍', count: 2, users: [alice, bob] },
+      { emoji: '🎉', count: 1, users: [bob] }
+    ]);
+  });
+
+  test('should hide text, reactions and history of deleted comments', () => {
+    const comment = new TaskComment({
+      task: new mongoose.Types.ObjectId(),
+      author: alice,
+      text: 'secret',
+      reactions: [{ user: bob, emoji: '👍' }],
+      editHistory: [{ text: 'older secret' }]
+    });
+
+    const visible = serializeComment(comment);
+    expect(visible.text).toBe('secret');
+    expect(visible.editHistory).toBeUndefined();
+    expect(visible.reactionSummary).toHaveLength(1);
+
+    comment.isDeleted = true;
+    const deleted = serializeComment(comment);
+    expect(deleted.text).toBe('');
+    expect(deleted.reactions).toEqual([]);
+    expect(deleted.reactionSummary).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+const { findPath, detectCycle, computeCriticalPath, hoursUntil, dateAfterHours } = require('../utils/taskDependencies');
+
+describe('Task Dependencies', () => {
+  describe('detectCycle', () => {
+    // b depends on a, c depends on b
+    const graph = new Map([
+      ['a', []],
+      ['b', ['a']],
+      ['c', ['b']]
+    ]);
+
+    test('should find a dependency path', () => {
+      expect(findPath(graph, 'c', 'a')).toEqual(['c', 'b', 'a']);
+      expect(findPath(graph, 'a', 'c')).toBeNull();
+    });
+
+    test('should reject a dependency that closes a cycle', () => {
+      expect(detectCycle(graph, 'a', ['c'])).toEqual(['a', 'c', 'b', 'a']);
+    });
+
+    test('should reject self dependencies', () => {
+      expect(detectCycle(graph, 'b', ['b'])).toEqual(['b', 'b']);
+    });
+
+    test('should allow acyclic dependencies', () => {
+      expect(detectCycle(graph, 'c', ['a'])).toBeNull();
+      expect(detectCycle(graph, 'd', ['c', 'a'])).toBeNull();
+    });
+  });
+
+  describe('computeCriticalPath', () => {
+    const startDate = '2024-01-01T00:00:00.000Z';
+
+    //   a (8h) -> b (16h) -> d (8h)
+    //   a (8h) -> c (4h)  -> d
+    const tasks = [
+      { _id: 'a', title: 'A', estimatedHours: 8, dependencies: [] },
+      { _id: 'b', title: 'B', estimatedHours: 16, dependencies: ['a'] },
+      { _id: 'c', title: 'C', estimatedHours: 4, dependencies: ['a'] },
+      { _id: 'd', title: 'D', estimatedHours: 8, dependencies: ['b', 'c'] }
+    ];
+
+    test('should compute slack and the critical path', () => {
+      const result = computeCriticalPath(tasks, { startDate, hoursPerDay: 8 });
+      const byId = Object.fromEntries(result.tasks.map(task => [task.taskId, task]));
+
+      expect(result.projectDuration).toBe(32);
+      expect(result.criticalPath).toEqual(['a', 'b', 'd']);
+      expect(byId.c.slack).toBe(12);
+      expect(byId.c.earliestStart).toBe(8);
+      expect(byId.d.earliestFinishDate.toISOString()).toBe('2024-01-05T00:00:00.000Z');
+    });
+
+    test('should cap latest finish at task deadlines', () => {
+      const withDeadline = tasks.map(task => (
+        task._id === 'c' ? { ...task, deadline: '2024-01-02T00:00:00.000Z' } : task
+      ));
+
+      const result = computeCriticalPath(withDeadline, { startDate, hoursPerDay: 8 });
+      const c = result.tasks.find(task => task.taskId === 'c');
+
+      // Deadline is one working day (8h) in; C cannot finish before hour 12
+      expect(c.latestFinish).toBe(8);
+      expect(c.slack).toBe(-4);
+      expect(c.critical).toBe(true);
+      expect(c.latestFinishDate.toISOString()).toBe('2024-01-02T00:00:00.000Z');
+    });
+
+    test('should convert between dates and working hours the same way both ways', () => {
+      const deadline = '2024-01-03T12:00:00.000Z';
+
+      expect(hoursUntil(deadline, startDate, 8)).toBe(20);
+      expect(dateAfterHours(20, startDate, 8).toISOString()).toBe(deadline);
+    });
+
+    test('should ignore dependencies outside the task set', () => {
+      const result = computeCriticalPath([{ _id: 'x', estimatedHours: 2, dependencies: ['elsewhere'] }], { startDate });
+
+      expect(result.tasks[0].earliestStart).toBe(0);
+    });
+
+    test('should throw on cycles', () => {
+      const cyclic = [
+        { _id: 'a', dependencies: ['b'] },
+        { _id: 'b', dependencies: ['a'] }
+      ];
+
+      expect(() => computeCriticalPath(cyclic, { startDate })).toThrow('Dependency cycle detected');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { diffTask, resolveAction, snapshotTask, normalizeValue } = require('../utils/taskHistory');
+
+describe('Task History', () => {
+  const userA = new mongoose.Types.ObjectId();
+  const userB = new mongoose.Types.ObjectId();
+
+  describe('normalizeValue', () => {
+    test('should normalize ids, dates and populated documents', () => {
+      const deadline = new Date('2024-02-01T00:00:00.000Z');
+
+      expect(normalizeValue(userA)).toBe(userA.toString());
+      expect(normalizeValue(deadline)).toBe('2024-02-01T00:00:00.000Z');
+      expect(normalizeValue({ _id: userB, name: 'Jane' })).toBe(userB.toString());
+      expect(normalizeValue(undefined)).toBeNull();
+    });
+  });
+
+  describe('diffTask', () => {
+    test('should report only changed fields', () => {
+      const before = { status: 'pending', priority: 'medium', progress: 0, assignedTo: userA };
+      const after = { status: 'in_progress', priority: 'medium', progress: 0, assignedTo: userA };
+
+      expect(diffTask(before, after)).toEqual([
+        { field: 'status', from: 'pending', to: 'in_progress' }
+      ]);
+    });
+
+    test('should treat a populated assignee as the same user', () => {
+      const before = { assignedTo: userA };
+      const after = { assignedTo: { _id: userA, name: 'John' } };
+
+      expect(diffTask(before, after)).toEqual([]);
+    });
+
+    test('should compare snapshots against later states', () => {
+      const task = { status: 'pending', deadline: new Date('2024-01-01'), tags: ['a'] };
+      const before = snapshotTask(task);
+
+      task.deadline = new Date('2024-01-15');
+      task.tags = ['a', 'b'];
+
+      const fields = diffTask(before, task).map(change => change.field);
+      expect(fields).toEqual(['deadline', 'tags']);
+    });
+  });
+
+  describe('resolveAction', () => {
+    test('should map single-field changes to specific actions', () => {
+      expect(resolveAction([{ field: 'priority', from: 'low', to: 'high' }])).toBe('priority_changed');
+      expect(resolveAction([{ field: 'deadline', from: null, to: '2024-01-01' }])).toBe('deadline_changed');
+      expect(resolveAction([{ field: 'progress', from: 10, to: 50 }])).toBe('progress_updated');
+    });
+
+    test('should detect completion and reassignment', () => {
+      expect(resolveAction([
+        { field: 'status', from: 'in_progress', to: 'completed' },
+        { field: 'progress', from: 80, to: 100 }
+      ])).toBe('completed');
+
+      expect(resolveAction([{ field: 'assignedTo', from: null, to: userA.toString() }])).toBe('assigned');
+      expect(resolveAction([{ field: 'assignedTo', from: userA.toString(), to: userB.toString() }])).toBe('reassigned');
+    });
+
+    test('should treat workflow state moves as status changes', () => {
+      expect(resolveAction([
+        { field: 'status', from: 'pending', to: 'in_progress' },
+        { field: 'workflowState', from: 'pending', to: 'in_review' }
+      ])).toBe('status_changed');
+      expect(resolveAction([{ field: 'workflowState', from: 'in_review', to: 'qa' }])).toBe('status_changed');
+    });
+
+    test('should fall back to updated for mixed changes', () => {
+      expect(resolveAction([
+        { field: 'title', from: 'Old', to: 'New' },
+        { field: 'priority', from: 'low', to: 'high' }
+      ])).toBe('updated');
+    });
+  });
+});
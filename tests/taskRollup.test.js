@@ -0,0 +1,50 @@
+const { computeRollup } = require('../utils/taskRollup');
+
+describe('Task Rollup', () => {
+  test('should weight progress by estimated hours', () => {
+    const rollup = computeRollup([
+      { status: 'in_progress', progress: 50, estimatedHours: 2, actualHours: 1 },
+      { status: 'completed', progress: 100, estimatedHours: 6, actualHours: 5.5 }
+    ]);
+
+    // (2 * 50 + 6 * 100) / 8
+    expect(rollup.progress).toBe(88);
+    expect(rollup.actualHours).toBe(6.5);
+    expect(rollup.allDone).toBe(false);
+  });
+
+  test('should give unestimated children the average estimate', () => {
+    const rollup = computeRollup([
+      { status: 'pending', progress: 0, estimatedHours: 4 },
+      { status: 'in_progress', progress: 100 }
+    ]);
+
+    expect(rollup.progress).toBe(50);
+  });
+
+  test('should treat completed children as fully done', () => {
+    const rollup = computeRollup([
+      { status: 'completed', progress: 20 },
+      { status: 'completed' }
+    ]);
+
+    expect(rollup.progress).toBe(100);
+    expect(rollup.allDone).toBe(true);
+  });
+
+  test('should ignore cancelled children for progress but keep their hours', () => {
+    const rollup = computeRollup([
+      { status: 'completed', estimatedHours: 3, actualHours: 3 },
+      { status: 'cancelled', progress: 10, estimatedHours: 5, actualHours: 2 }
+    ]);
+
+    expect(rollup.progress).toBe(100);
+    expect(rollup.actualHours).toBe(5);
+    expect(rollup.allDone).toBe(true);
+  });
+
+  test('should return null when there is nothing to roll up', () => {
+    expect(computeRollup([])).toBeNull();
+    expect(computeRollup([{ status: 'cancelled' }])).toBeNull();
+  });
+});
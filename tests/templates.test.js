@@ -0,0 +1,97 @@
+const {
+  renderText,
+  resolveValues,
+  validateTaskDefinition,
+  validateProjectTemplate,
+  buildTaskPlan
+} = require('../utils/templates');
+const { TASK_TEMPLATES, PROJECT_TEMPLATES } = require('../utils/templateLibrary');
+
+describe('Templates', () => {
+  describe('renderText', () => {
+    test('should replace known placeholders and keep unknown ones', () => {
+      expect(renderText('Implement {{ feature }} for {{client}}', { feature: 'SSO' })).toBe('Implement SSO for {{client}}');
+      expect(renderText(undefined, {})).toBeUndefined();
+    });
+  });
+
+  describe('resolveValues', () => {
+    const placeholders = [
+      { name: 'feature', required: true },
+      { name: 'component', defaultValue: 'web app' }
+    ];
+
+    test('should apply defaults and built-in values', () => {
+      const { values, missing } = resolveValues(placeholders, { feature: 'SSO' }, { projectName: 'Portal' });
+
+      expect(missing).toEqual([]);
+      expect(values).toMatchObject({ feature: 'SSO', component: 'web app', projectName: 'Portal' });
+    });
+
+    test('should report missing required values', () => {
+      expect(resolveValues(placeholders, { feature: '' }).missing).toEqual(['feature']);
+    });
+  });
+
+  describe('buildTaskPlan', () => {
+    test('should compute deadlines relative to the start date', () => {
+      const plan = buildTaskPlan({
+        title: 'Onboard {{employee}}',
+        deadlineOffsetDays: 5,
+        checklist: [
+          { title: 'Prepare laptop', offsetDays: -2 },
+          { title: 'Check in', offsetDays: 5, dependsOn: [0] }
+        ]
+      }, { startDate: '2024-03-04T09:00:00.000Z', values: { employee: 'Ana' } });
+
+      expect(plan.task.title).toBe('Onboard Ana');
+      expect(plan.task.deadline.toISOString()).toBe('2024-03-09T09:00:00.000Z');
+      expect(plan.subtasks[0].deadline.toISOString()).toBe('2024-03-02T09:00:00.000Z');
+      expect(plan.subtasks[1].dependsOn).toEqual([0]);
+    });
+
+    test('should let a project template entry override the deadline offset', () => {
+      const plan = buildTaskPlan({ title: 'Release', deadlineOffsetDays: 3 }, { startDate: '2024-01-01', deadlineOffsetDays: 30 });
+
+      expect(plan.task.deadline.toISOString().slice(0, 10)).toBe('2024-01-31');
+    });
+  });
+
+  describe('validation', () => {
+    test('should only allow checklist items to depend on earlier items', () => {
+      const errors = validateTaskDefinition({
+        title: 'Task',
+        checklist: [{ title: 'A', dependsOn: [1] }, { title: 'B', dependsOn: [0] }]
+      });
+
+      expect(errors).toHaveLength(1);
+    });
+
+    test('should reject unknown refs and dependency cycles', () => {
+      const errors = validateProjectTemplate({
+        tasks: [
+          { ref: 'a', task: { title: 'A' }, dependsOn: ['c'] },
+          { ref: 'b', task: { title: 'B' }, dependsOn: ['a', 'missing'] },
+          { ref: 'c', task: { title: 'C' }, dependsOn: ['b'] }
+        ]
+      });
+
+      expect(errors.some(error => error.includes('unknown ref: missing'))).toBe(true);
+      expect(errors.some(error => error.includes('circular'))).toBe(true);
+    });
+
+    test('should accept every template in the built-in library', () => {
+      const taskKeys = TASK_TEMPLATES.map(template => template.key);
+
+      TASK_TEMPLATES.forEach(template => {
+        expect(validateTaskDefinition(template.task)).toEqual([]);
+      });
+      PROJECT_TEMPLATES.forEach(template => {
+        expect(validateProjectTemplate(template)).toEqual([]);
+        template.tasks
+          .filter(entry => entry.templateKey)
+          .forEach(entry => expect(taskKeys).toContain(entry.templateKey));
+      });
+    });
+  });
+});
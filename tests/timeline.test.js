@@ -0,0 +1,58 @@
+const { computeTimeline, findDependents, planReschedule } = require('../utils/timeline');
+
+describe('Project Timeline', () => {
+  const day = date => new Date(`${date}T00:00:00Z`);
+  const options = { startDate: day('2024-03-01'), hoursPerDay: 8 };
+
+  // design (2d) -> build (3d) -> release (1d), docs (1d) independent
+  const buildTasks = () => [
+    { _id: 'design', title: 'Design', status: 'completed', estimatedHours: 16, completedAt: day('2024-03-03'), dependencies: [] },
+    { _id: 'build', title: 'Build', status: 'in_progress', estimatedHours: 24, deadline: day('2024-03-08'), dependencies: ['design'] },
+    { _id: 'release', title: 'Release', status: 'pending', estimatedHours: 8, deadline: day('2024-03-09'), dependencies: ['build'] },
+    { _id: 'docs', title: 'Docs', status: 'pending', estimatedHours: 8, dependencies: [] }
+  ];
+
+  test('should derive start and end from deadlines, estimates and dependencies', () => {
+    const timeline = computeTimeline(buildTasks(), options);
+    const byId = Object.fromEntries(timeline.tasks.map(item => [item.taskId, item]));
+
+    expect(byId.design.end).toEqual(day('2024-03-03'));
+    expect(byId.build.start).toEqual(day('2024-03-05'));
+    expect(byId.build.end).toEqual(day('2024-03-08'));
+    expect(byId.release.start).toEqual(day('2024-03-08'));
+    expect(byId.docs.start).toEqual(day('2024-03-01'));
+    expect(byId.docs.end).toEqual(day('2024-03-02'));
+    expect(timeline.endDate).toEqual(day('2024-03-09'));
+  });
+
+  test('should flag tasks whose dependencies finish after their start', () => {
+    const tasks = buildTasks();
+    tasks[1].deadline = day('2024-03-04');
+    const build = computeTimeline(tasks, options).tasks.find(item => item.taskId === 'build');
+    expect(build.late).toBe(true);
+    expect(build.start).toEqual(day('2024-03-03'));
+    expect(build.end).toEqual(day('2024-03-06'));
+  });
+
+  test('should find transitive dependents', () => {
+    expect([...findDependents(buildTasks(), 'design')].sort()).toEqual(['build', 'release']);
+    expect(findDependents(buildTasks(), 'docs').size).toBe(0);
+  });
+
+  test('should push dependents back when a task moves later and leave them when it moves earlier', () => {
+    const later = planReschedule(buildTasks(), 'build', day('2024-03-12'), options);
+    expect(later.changes).toEqual([
+      expect.objectContaining({ taskId: 'build', shiftDays: 4, cascaded: false }),
+      expect.objectContaining({ taskId: 'release', newDeadline: day('2024-03-13'), shiftDays: 4, cascaded: true })
+    ]);
+    expect(later.conflicts).toEqual([]);
+
+    const earlier = planReschedule(buildTasks(), 'build', day('2024-03-06'), options);
+    expect(earlier.changes.map(change => change.taskId)).toEqual(['build']);
+  });
+
+  test('should report a moved task that cannot finish by its new deadline', () => {
+    const plan = planReschedule(buildTasks(), 'build', day('2024-03-04'), options);
+    expect(plan.conflicts.map(conflict => conflict.taskId)).toEqual(['build']);
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  DEFAULT_WORKFLOW,
+  validateWorkflowDefinition,
+  resolveCurrentState,
+  checkTransition,
+  getAvailableTransitions
+} = require('../utils/workflow');
+
+describe('Workflow', () => {
+  const reviewWorkflow = {
+    states: [
+      { key: 'todo', name: 'To Do', category: 'pending', isInitial: true },
+      { key: 'doing', name: 'Doing', category: 'in_progress' },
+      { key: 'in_review', name: 'In Review', category: 'in_progress' },
+      { key: 'done', name: 'Done', category: 'completed', requiredFields: ['notes'] }
+    ],
+    transitions: [
+      { from: 'todo', to: 'doing' },
+      { from: 'doing', to: 'in_review', roles: ['assignee'] },
+      { from: 'in_review', to: 'done', roles: ['manager', 'project_manager'] },
+      { from: 'in_review', to: 'doing' }
+    ]
+  };
+
+  describe('validateWorkflowDefinition', () => {
+    test('should accept a valid workflow', () => {
+      expect(validateWorkflowDefinition(reviewWorkflow)).toEqual([]);
+      expect(validateWorkflowDefinition(DEFAULT_WORKFLOW)).toEqual([]);
+    });
+
+    test('should reject bad states and transitions', () => {
+      const errors = validateWorkflowDefinition({
+        states: [
+          { key: 'todo', name: 'To Do', category: 'pending' },
+          { key: 'todo', name: 'Again', category: 'pending' },
+          { key: 'QA', name: 'QA', category: 'testing' }
+        ],
+        transitions: [{ from: 'todo', to: 'missing', roles: ['owner'] }]
+      });
+
+      expect(errors).toHaveLength(5);
+    });
+  });
+
+  describe('resolveCurrentState', () => {
+    test('should map tasks without a workflow state by status', () => {
+      expect(resolveCurrentState(reviewWorkflow, { status: 'in_progress' }).key).toBe('doing');
+      expect(resolveCurrentState(reviewWorkflow, { status: 'in_progress', workflowState: 'in_review' }).key).toBe('in_review');
+    });
+
+    test('should ignore a stale workflow state after a status change elsewhere', () => {
+      expect(resolveCurrentState(reviewWorkflow, { status: 'completed', workflowState: 'in_review' }).key).toBe('done');
+    });
+  });
+
+  describe('checkTransition', () => {
+    const task = { status: 'in_progress', workflowState: 'in_review' };
+
+    test('should reject transitions that are not defined', () => {
+      const result = checkTransition(reviewWorkflow, { status: 'pending' }, 'done', { roles: ['admin'] });
+
+      expect(result.allowed).toBe(false);
+      expect(result.code).toBe('TRANSITION_NOT_ALLOWED');
+    });
+
+    test('should enforce transition roles', () => {
+      const result = checkTransition(reviewWorkflow, task, 'done', { roles: ['employee', 'assignee'], values: { notes: 'ok' } });
+
+      expect(result.code).toBe('ROLE_NOT_ALLOWED');
+    });
+
+    test('should require fields when entering a state', () => {
+      const missing = checkTransition(reviewWorkflow, task, 'done', { roles: ['project_manager'] });
+      expect(missing.code).toBe('MISSING_FIELDS');
+      expect(missing.missingFields).toEqual(['notes']);
+
+      const allowed = checkTransition(reviewWorkflow, task, 'done', { roles: ['project_manager'], values: { notes: 'Shipped' } });
+      expect(allowed.allowed).toBe(true);
+      expect(allowed.to.category).toBe('completed');
+    });
+
+    test('should map built-in statuses onto workflow states', () => {
+      const result = checkTransition(reviewWorkflow, { status: 'pending' }, 'in_progress');
+
+      expect(result.allowed).toBe(true);
+      expect(result.to.key).toBe('doing');
+    });
+
+    test('should allow every move in the default workflow', () => {
+      expect(checkTransition(DEFAULT_WORKFLOW, { status: 'completed' }, 'pending').allowed).toBe(true);
+    });
+  });
+
+  describe('getAvailableTransitions', () => {
+    test('should list only moves the caller may take', () => {
+      const task = { status: 'in_progress', workflowState: 'in_review' };
+
+      expect(getAvailableTransitions(reviewWorkflow, task, ['employee']).map(t => t.to)).toEqual(['doing']);
+      expect(getAvailableTransitions(reviewWorkflow, task, ['manager']).map(t => t.to)).toEqual(['doing', 'done']);
+    });
+  });
+});
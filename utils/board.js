@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { STATUS_CATEGORIES } = require('./workflow');
+
+const BOARD_SCOPES = ['project', 'team'];
+
+// Gap between consecutive ranks when a column is (re)numbered, and the
+// smallest gap left before a column has to be renumbered
+const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+const BOARD_TASK_FIELDS = 'title status workflowState priority deadline assignedTo progress tags boardRank project team parentTask overdue createdAt';
+
+/**
+ * Rank between two neighbours; either may be null at the column ends
+ */
+function rankBetween(before, after) {
+  if (before == null && after == null) return RANK_STEP;
+  if (before == null) return after - RANK_STEP;
+  if (after == null) return before + RANK_STEP;
+  return (before + after) / 2;
+}
+
+const hasRankRoom = (before, after) => before == null || after == null || after - before > MIN_RANK_GAP;
+
+/**
+ * Column order: ranked tasks by rank, then unranked tasks oldest first
+ */
+function compareBoardTasks(a, b) {
+  const aRanked = a.boardRank != null;
+  const bRanked = b.boardRank != null;
+  if (aRanked && bRanked && a.boardRank !== b.boardRank) return a.boardRank - b.boardRank;
+  if (aRanked !== bRanked) return aRanked ? -1 : 1;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * Limit check for a column that would hold `count` tasks. Returns null when
+ * the column has no limit or stays within it.
+ */
+function checkWipLimit(column, count) {
+  if (!column || !column.wipLimit || count <= column.wipLimit) return null;
+  return { status: column.status, limit: column.wipLimit, count, mode: column.wipMode || 'warn' };
+}
+
+/**
+ * Validate a column settings update. Returns a list of error messages.
+ */
+function validateColumns(columns) {
+  if (!Array.isArray(columns)) return ['Columns must be an array'];
+
+  const errors = [];
+  const seen = new Set();
+  columns.forEach((column, index) => {
+    if (!STATUS_CATEGORIES.includes(column.status)) {
+      errors.push(`Column ${index}: unknown status "${column.status}"`);
+    } else if (seen.has(column.status)) {
+      errors.push(`Column ${index}: duplicate status "${column.status}"`);
+    }
+    seen.add(column.status);
+
+    if (column.wipLimit != null && (!Number.isInteger(column.wipLimit) || column.wipLimit < 1)) {
+      errors.push(`Column ${index}: WIP limit must be a positive integer`);
+    }
+    if (column.wipMode != null && !['warn', 'block'].includes(column.wipMode)) {
+      errors.push(`Column ${index}: WIP mode must be "warn" or "block"`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Board settings with one entry per status, whether or not the board has
+ * been configured
+ */
+async function getBoardConfig(scopeType, scopeId) {
+  const board = await Board.findOne({ scopeType, scope: scopeId }).lean();
+  const configured = new Map(((board && board.columns) || []).map(column => [column.status, column]));
+
+  return {
+    scopeType,
+    scope: scopeId,
+    columns: STATUS_CATEGORIES.map(status => ({
+      status,
+      wipLimit: null,
+      wipMode: 'warn',
+      ...configured.get(status)
+    })),
+    updatedAt: board ? board.updatedAt : null
+  };
+}
+
+/**
+ * Renumber a column with evenly spaced ranks
+ */
+async function rebalanceColumn(tasks) {
+  const sorted = [...tasks].sort(compareBoardTasks);
+  sorted.forEach((task, index) => { task.boardRank = (index + 1) * RANK_STEP; });
+  if (sorted.length > 0) {
+    await Task.bulkWrite(sorted.map(task => ({
+      updateOne: { filter: { _id: task._id }, update: { $set: { boardRank: task.boardRank } } }
+    })));
+  }
+  return sorted;
+}
+
+/**
+ * Ranks for unranked tasks, appended to their columns oldest first after
+ * the highest rank already in each column (`lastRanks` by status). Returns
+ * the new rank of each task by id.
+ */
+function appendRanks(unranked, lastRanks) {
+  const last = new Map(lastRanks);
+  const ranks = new Map();
+  [...unranked].sort(compareBoardTasks).forEach(task => {
+    const rank = rankBetween(last.has(task.status) ? last.get(task.status) : null, null);
+    last.set(task.status, rank);
+    ranks.set(task._id.toString(), rank);
+  });
+  return ranks;
+}
+
+/**
+ * Rank every unranked task of a board at the end of its column and persist
+ * it, so the order stays stable across refreshes. This looks at the whole
+ * board, whatever a view filters out, so ranks never collide. Returns the
+ * number of tasks in each column.
+ */
+async function rankNewTasks(scopeType, scopeId) {
+  const columns = await Task.aggregate([
+    { $match: { [scopeType]: new mongoose.Types.ObjectId(String(scopeId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 }, lastRank: { $max: '$boardRank' } } }
+  ]);
+
+  const unranked = await Task.find({ [scopeType]: scopeId, boardRank: null }).select('status createdAt').lean();
+  if (unranked.length > 0) {
+    const lastRanks = columns.filter(column => column.lastRank != null).map(column => [column._id, column.lastRank]);
+    const ranks = appendRanks(unranked, lastRanks);
+    await Task.bulkWrite([...ranks].map(([id, rank]) => ({
+      updateOne: {
+        filter: { _id: id, boardRank: null },
+        update: { $set: { boardRank: rank } }
+      }
+    })));
+  }
+
+  return new Map(columns.map(column => [column._id, column.count]));
+}
+
+/**
+ * Tasks of a board grouped by status, with WIP state per column. `count`
+ * is the number of tasks shown and `total` the number in the column, which
+ * WIP limits apply to.
+ */
+async function loadBoard(scopeType, scopeId, filters = {}) {
+  const config = await getBoardConfig(scopeType, scopeId);
+  const totals = await rankNewTasks(scopeType, scopeId);
+  const tasks = await Task.find({ ...filters, [scopeType]: scopeId })
+    .select(BOARD_TASK_FIELDS)
+    .populate('assignedTo', 'name email avatar')
+    .lean();
+
+  const columns = config.columns.map(column => {
+    const columnTasks = tasks.filter(task => task.status === column.status).sort(compareBoardTasks);
+    const total = totals.get(column.status) || 0;
+
+    return {
+      ...column,
+      count: columnTasks.length,
+      total,
+      wip: checkWipLimit(column, total),
+      tasks: columnTasks
+    };
+  });
+
+  return { scopeType, scope: scopeId, columns };
+}
+
+/**
+ * Rank that places a task at `position` (zero-based) in a board column,
+ * renumbering the column first when its neighbours are too close together
+ */
+async function computeMoveRank(task, scopeType, scopeId, status, position) {
+  const load = () => Task.find({ [scopeType]: scopeId, status, _id: { $ne: task._id } })
+    .select('boardRank createdAt')
+    .lean();
+
+  let column = (await load()).sort(compareBoardTasks);
+  if (column.some(item => item.boardRank == null)) {
+    column = await rebalanceColumn(column);
+  }
+
+  const index = position == null
+    ? column.length
+    : Math.max(0, Math.min(parseInt(position) || 0, column.length));
+  const neighbours = () => [
+    index > 0 ? column[index - 1].boardRank : null,
+    index < column.length ? column[index].boardRank : null
+  ];
+
+  let [before, after] = neighbours();
+  if (!hasRankRoom(before, after)) {
+    column = await rebalanceColumn(column);
+    [before, after] = neighbours();
+  }
+  return rankBetween(before, after);
+}
+
+/**
+ * WIP limits the task would break by moving into `status`, on the boards of
+ * its project and team. Returns the violated limits split by mode.
+ */
+async function checkWipLimits(task, status) {
+  const result = { blocked: [], warnings: [] };
+  if (task.status === status) return result;
+
+  for (const scopeType of BOARD_SCOPES) {
+    const scopeId = task[scopeType] && (task[scopeType]._id || task[scopeType]);
+    if (!scopeId) continue;
+
+    const board = await Board.findOne({ scopeType, scope: scopeId }).lean();
+    const column = board && board.columns.find(item => item.status === status);
+    if (!column || !column.wipLimit) continue;
+
+    const count = await Task.countDocuments({ [scopeType]: scopeId, status, _id: { $ne: task._id } });
+    const violation = checkWipLimit(column, count + 1);
+    if (violation) {
+      const entry = { scopeType, scope: scopeId, ...violation };
+      (violation.mode === 'block' ? result.blocked : result.warnings).push(entry);
+    }
+  }
+  return result;
+}
+
+/**
+ * Socket room ids of the boards showing a task
+ */
+function boardIdsForTask(task) {
+  return BOARD_SCOPES
+    .filter(scopeType => task[scopeType])
+    .map(scopeType => `${scopeType}:${task[scopeType]._id || task[scopeType]}`);
+}
+
+module.exports = {
+  BOARD_SCOPES,
+  RANK_STEP,
+  rankBetween,
+  hasRankRoom,
+  compareBoardTasks,
+  appendRanks,
+  checkWipLimit,
+  validateColumns,
+  getBoardConfig,
+  loadBoard,
+  computeMoveRank,
+  checkWipLimits,
+  boardIdsForTask
+};
@@ -0,0 +1,321 @@
+const { EventEmitter } = require('events');
+const User = require('../models/User');
+const {
+  Badge,
+  UserBadge,
+  UserAchievement,
+  PointsTransaction
+} = require('../models/Gamification');
+const Logger = require('./logger');
+const { DAY_MS } = require('./recurrence');
+
+const logger = new Logger('GAMIFICATION');
+
+// Domain events the award rules listen to; each carries { userId }
+const GAMIFICATION_EVENTS = {
+  TASK_COMPLETED: 'task_completed',
+  TIMER_COMPLETED: 'timer_completed',
+  GOAL_COMPLETED: 'goal_completed',
+  STREAK_UPDATED: 'streak_updated'
+};
+
+const gamificationEvents = new EventEmitter();
+
+// Points for completing a task, by priority, plus a bonus for finishing on time
+const TASK_POINTS = { low: 5, medium: 10, high: 20, urgent: 30 };
+const ON_TIME_BONUS = 5;
+
+// Every STREAK_MILESTONE consecutive days pays STREAK_BONUS points
+const STREAK_MILESTONE = 7;
+const STREAK_BONUS = 25;
+
+const POINTS_PER_LEVEL = 100;
+
+// Transaction types that move the balance without counting as points earned
+const BALANCE_ONLY_TYPES = ['spent', 'refund'];
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+const isDuplicateKey = error => error && error.code === 11000;
+
+/**
+ * Points paid for completing a task
+ */
+function taskCompletionPoints(task) {
+  const base = TASK_POINTS[task.priority] || TASK_POINTS.medium;
+  const completedAt = task.completedAt ? new Date(task.completedAt) : new Date();
+  const onTime = task.deadline && completedAt <= new Date(task.deadline);
+  return base + (onTime ? ON_TIME_BONUS : 0);
+}
+
+/**
+ * Level reached with a number of lifetime points, starting at level 1
+ */
+const levelForPoints = points => Math.floor(Math.max(0, points || 0) / POINTS_PER_LEVEL) + 1;
+
+// Calendar day (UTC) of a date as YYYY-MM-DD
+const dayKey = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Streak after activity on `date`: unchanged on the same day, extended on
+ * the next day, restarted after a gap. Activity older than the last counted
+ * day does not change the streak.
+ */
+function nextStreak(stats = {}, date = new Date()) {
+  const current = stats.currentStreak || 0;
+  const longest = stats.longestStreak || 0;
+  const unchanged = { currentStreak: current, longestStreak: longest, lastActivityDate: stats.lastActivityDate, changed: false };
+
+  if (!stats.lastActivityDate) {
+    return { currentStreak: 1, longestStreak: Math.max(longest, 1), lastActivityDate: new Date(date), changed: true };
+  }
+
+  const gapDays = Math.round((Date.parse(dayKey(date)) - Date.parse(dayKey(stats.lastActivityDate))) / DAY_MS);
+  if (gapDays <= 0) return unchanged;
+
+  const streak = gapDays === 1 ? current + 1 : 1;
+  return { currentStreak: streak, longestStreak: Math.max(longest, streak), lastActivityDate: new Date(date), changed: true };
+}
+
+/**
+ * Apply a points transaction and keep the running balance. Positive amounts
+ * add to both the balance and lifetime points; spending and refunds only
+ * move the balance, and spending is refused when the balance is too low. With an
+ * idempotencyKey the same award is only ever paid once; a repeated call
+ * returns the original transaction with `duplicate: true`.
+ */
+async function awardPoints(userId, { amount, type, reason, source, relatedEntity, idempotencyKey, createdBy }) {
+  if (idempotencyKey) {
+    const existing = await PointsTransaction.findOne({ idempotencyKey });
+    if (existing) return { transaction: existing, duplicate: true };
+  }
+
+  const filter = { _id: userId };
+  if (type === 'spent') filter['stats.pointsBalance'] = { $gte: -amount };
+  const lifetime = BALANCE_ONLY_TYPES.includes(type) ? 0 : amount;
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { 'stats.pointsBalance': amount, 'stats.totalPoints': lifetime } },
+    { new: true }
+  ).select('stats');
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    const error = new Error(exists ? 'Insufficient points balance' : 'User not found');
+    error.code = exists ? 'INSUFFICIENT_POINTS' : 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  try {
+    const transaction = await PointsTransaction.create({
+      user: userId,
+      amount,
+      type,
+      reason,
+      source,
+      relatedEntity,
+      idempotencyKey,
+      createdBy,
+      balance: user.stats.pointsBalance
+    });
+    return { transaction, balance: user.stats.pointsBalance, duplicate: false };
+  } catch (error) {
+    // Undo the balance change if the transaction could not be recorded
+    await User.updateOne({ _id: userId }, { $inc: { 'stats.pointsBalance': -amount, 'stats.totalPoints': -lifetime } });
+    if (isDuplicateKey(error)) {
+      return { transaction: await PointsTransaction.findOne({ idempotencyKey }), duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count a day of activity towards the user's streak and pay the streak
+ * bonus at every milestone. Returns the updated streak.
+ */
+async function recordActivity(userId, date = new Date()) {
+  const user = await User.findById(userId).select('stats');
+  if (!user) return null;
+
+  const streak = nextStreak(user.stats, date);
+  if (!streak.changed) return streak;
+
+  // Only apply the change if no other activity was counted in the meantime
+  const result = await User.updateOne(
+    { _id: userId, 'stats.lastActivityDate': user.stats.lastActivityDate || null },
+    {
+      $set: {
+        'stats.currentStreak': streak.currentStreak,
+        'stats.longestStreak': streak.longestStreak,
+        'stats.lastActivityDate': streak.lastActivityDate
+      }
+    }
+  );
+  if (result.modifiedCount === 0) return streak;
+
+  if (streak.currentStreak % STREAK_MILESTONE === 0) {
+    await awardPoints(userId, {
+      amount: STREAK_BONUS,
+      type: 'bonus',
+      source: 'streak',
+      reason: `${streak.currentStreak}-day streak`,
+      idempotencyKey: `streak:${toId(userId)}:${dayKey(date)}`
+    });
+  }
+  gamificationEvents.emit(GAMIFICATION_EVENTS.STREAK_UPDATED, { userId: toId(userId) });
+  return streak;
+}
+
+/**
+ * Pay the assignee (or whoever completed it) for a completed task, once per
+ * task, and count the completion towards their stats and streak. Failures
+ * are logged and never fail the task update.
+ */
+async function awardTaskCompletion(task) {
+  const userId = task.assignedTo || task.completedBy;
+  if (!userId) return null;
+
+  try {
+    const result = await awardPoints(toId(userId), {
+      amount: taskCompletionPoints(task),
+      type: 'earned',
+      source: 'task_completion',
+      reason: `Completed task "${task.title}"`,
+      relatedEntity: { type: 'task', id: task._id },
+      idempotencyKey: `task_completion:${task._id}`
+    });
+    if (!result.duplicate) {
+      await User.updateOne({ _id: toId(userId) }, { $inc: { 'stats.completedTasks': 1 } });
+      await recordActivity(toId(userId), task.completedAt || new Date());
+      gamificationEvents.emit(GAMIFICATION_EVENTS.TASK_COMPLETED, { userId: toId(userId), taskId: toId(task._id) });
+    }
+    return result;
+  } catch (error) {
+    logger.error('Failed to award task completion', { taskId: task._id.toString(), error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Award a badge. A user holds each badge once; awarding a revoked badge
+ * restores it. Every award and revocation is kept in the badge history.
+ * Returns { userBadge, awarded } where `awarded` is false if already held.
+ */
+async function awardBadge(userId, badge, { awardedBy, reason, context, source = 'manual' } = {}) {
+  const existing = await UserBadge.findOne({ user: userId, badge: badge._id });
+  if (existing && !existing.revokedAt) return { userBadge: existing, awarded: false };
+
+  const now = new Date();
+  const entry = { action: 'awarded', by: awardedBy, reason, at: now };
+  let userBadge;
+  if (existing) {
+    Object.assign(existing, { awardedAt: now, awardedBy, reason, context, source, revokedAt: undefined, revokedBy: undefined });
+    existing.history.push(entry);
+    userBadge = await existing.save();
+  } else {
+    try {
+      userBadge = await UserBadge.create({ user: userId, badge: badge._id, awardedAt: now, awardedBy, reason, context, source, history: [entry] });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        return { userBadge: await UserBadge.findOne({ user: userId, badge: badge._id }), awarded: false };
+      }
+      throw error;
+    }
+  }
+
+  await Badge.updateOne({ _id: badge._id }, { $inc: { awardedCount: 1 } });
+  return { userBadge, awarded: true };
+}
+
+/**
+ * Revoke a held badge, keeping the record and its history
+ */
+async function revokeBadge(userId, badgeId, { revokedBy, reason } = {}) {
+  const userBadge = await UserBadge.findOne({ user: userId, badge: badgeId, revokedAt: { $exists: false } });
+  if (!userBadge) return null;
+
+  userBadge.revokedAt = new Date();
+  userBadge.revokedBy = revokedBy;
+  userBadge.history.push({ action: 'revoked', by: revokedBy, reason, at: userBadge.revokedAt });
+  await userBadge.save();
+  await Badge.updateOne({ _id: badgeId, awardedCount: { $gt: 0 } }, { $inc: { awardedCount: -1 } });
+  return userBadge;
+}
+
+/**
+ * Set a user's progress towards an achievement, capped at its target
+ * (criteria.value, 1 when unset). Reaching the target completes it and pays
+ * its points once. Returns { userAchievement, completedNow }.
+ */
+async function setAchievementProgress(userId, achievement, progress) {
+  const target = (achievement.criteria && achievement.criteria.value) || 1;
+  let userAchievement = await UserAchievement.findOne({ user: userId, achievement: achievement._id, completed: false });
+  if (!userAchievement) {
+    if (!achievement.isRepeatable && await UserAchievement.exists({ user: userId, achievement: achievement._id, completed: true })) {
+      return { userAchievement: await UserAchievement.findOne({ user: userId, achievement: achievement._id }), completedNow: false };
+    }
+    userAchievement = new UserAchievement({ user: userId, achievement: achievement._id, progress: 0 });
+  }
+
+  userAchievement.progress = Math.min(Math.max(0, progress), target);
+  const completedNow = userAchievement.progress >= target;
+  if (completedNow) {
+    userAchievement.completed = true;
+    userAchievement.completedAt = new Date();
+    userAchievement.unlockedAt = userAchievement.completedAt;
+  }
+  await userAchievement.save();
+
+  if (completedNow && achievement.points > 0) {
+    await awardPoints(userId, {
+      amount: achievement.points,
+      type: 'bonus',
+      source: 'achievement',
+      reason: `Achievement unlocked: ${achievement.name}`,
+      relatedEntity: { type: 'achievement', id: achievement._id },
+      idempotencyKey: `achievement:${userAchievement._id}`
+    });
+    userAchievement.pointsAwarded = achievement.points;
+    await userAchievement.save();
+  }
+  return { userAchievement, completedNow };
+}
+
+/**
+ * Start and end of the week (Monday, UTC) or month containing `date`
+ */
+function periodRange(period, date = new Date()) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'weekly') {
+    const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    return { startDate: start, endDate: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+  if (period === 'monthly') {
+    return {
+      startDate: new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1)),
+      endDate: new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1))
+    };
+  }
+  return { startDate: null, endDate: null };
+}
+
+module.exports = {
+  GAMIFICATION_EVENTS,
+  gamificationEvents,
+  BALANCE_ONLY_TYPES,
+  TASK_POINTS,
+  STREAK_MILESTONE,
+  STREAK_BONUS,
+  taskCompletionPoints,
+  levelForPoints,
+  dayKey,
+  nextStreak,
+  awardPoints,
+  recordActivity,
+  awardTaskCompletion,
+  awardBadge,
+  revokeBadge,
+  setAchievementProgress,
+  periodRange
+};
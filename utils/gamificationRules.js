@@ -0,0 +1,261 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Goal = require('../models/Goal');
+const { TimerSession } = require('../models/Timer');
+const {
+  Badge,
+  Achievement,
+  UserBadge,
+  UserAchievement
+} = require('../models/Gamification');
+const Logger = require('./logger');
+const { notifyUser } = require('./notifications');
+const { emitToUser } = require('../socket');
+const {
+  GAMIFICATION_EVENTS,
+  gamificationEvents,
+  awardBadge,
+  setAchievementProgress
+} = require('./gamification');
+
+const logger = new Logger('GAMIFICATION_RULES');
+
+// Criteria types evaluated automatically; 'custom' is only awarded by hand
+const AUTOMATIC_CRITERIA = ['tasks_completed', 'team_contribution', 'streak', 'points', 'focus_sessions', 'goals_completed'];
+
+// Criteria each domain event can move. Points can change on every event.
+const EVENT_CRITERIA = {
+  [GAMIFICATION_EVENTS.TASK_COMPLETED]: ['tasks_completed', 'team_contribution', 'points'],
+  [GAMIFICATION_EVENTS.TIMER_COMPLETED]: ['focus_sessions', 'points'],
+  [GAMIFICATION_EVENTS.GOAL_COMPLETED]: ['goals_completed', 'points'],
+  [GAMIFICATION_EVENTS.STREAK_UPDATED]: ['streak', 'points']
+};
+
+const CRITERIA_LABELS = {
+  tasks_completed: 'completed tasks',
+  team_contribution: 'completed team tasks',
+  streak: 'days in a row',
+  points: 'points',
+  focus_sessions: 'focus sessions',
+  goals_completed: 'completed goals'
+};
+
+// Achievement points can complete points criteria; re-evaluate at most this often
+const MAX_PASSES = 3;
+
+const criteriaTarget = criteria => (criteria && criteria.value > 0 ? criteria.value : 1);
+
+/**
+ * Unlocks an achievement is owed for a metric value, and the progress left
+ * towards the next one. Repeatable achievements unlock once for every full
+ * target reached; others unlock once. `progress` is null when there is
+ * nothing left to track.
+ */
+function achievementCompletions(value, target, timesCompleted, repeatable) {
+  if (!repeatable) {
+    if (timesCompleted > 0) return { unlocks: 0, progress: null };
+    return value >= target ? { unlocks: 1, progress: null } : { unlocks: 0, progress: value };
+  }
+  const earned = Math.floor(value / target);
+  return { unlocks: Math.max(0, earned - timesCompleted), progress: value % target };
+}
+
+/**
+ * Current value of each requested criteria type for a user, from the
+ * stored records so that historical data counts as well
+ */
+async function collectMetrics(userId, types) {
+  const user = await User.findById(userId).select('stats');
+  if (!user) return null;
+
+  const completedTasks = { assignedTo: userId, status: 'completed' };
+  const counters = {
+    tasks_completed: () => Task.countDocuments(completedTasks),
+    team_contribution: () => Task.countDocuments({ ...completedTasks, team: { $ne: null } }),
+    streak: () => Math.max(user.stats.longestStreak || 0, user.stats.currentStreak || 0),
+    points: () => user.stats.totalPoints || 0,
+    focus_sessions: () => TimerSession.countDocuments({ user: userId, type: 'pomodoro', status: 'completed' }),
+    goals_completed: () => Goal.countDocuments({ user: userId, status: { $in: ['completed', 'closed'] }, completedAt: { $ne: null } })
+  };
+
+  const metrics = {};
+  for (const type of types) {
+    metrics[type] = await counters[type]();
+  }
+  return metrics;
+}
+
+/**
+ * Tell the user about an automatic award, in-app and over the socket
+ */
+async function announceAward(userId, award) {
+  const isBadge = award.kind === 'badge';
+  await notifyUser(userId, {
+    type: 'achievement',
+    title: isBadge ? 'New badge earned' : 'Achievement unlocked',
+    message: isBadge
+      ? `You earned the "${award.name}" badge: ${award.reason}.`
+      : `You unlocked "${award.name}"${award.points ? ` and earned ${award.points} points` : ''}.`,
+    priority: 'low',
+    category: 'gamification',
+    actionUrl: isBadge ? '/gamification/badges' : '/gamification/achievements'
+  });
+  emitToUser(userId, isBadge ? 'badge-awarded' : 'achievement-unlocked', award);
+}
+
+/**
+ * One evaluation pass: award every badge and unlock every achievement whose
+ * criteria the user now meets. Badges the user holds or had revoked are
+ * never awarded again by the rules.
+ */
+async function evaluatePass(userId, types) {
+  const metrics = await collectMetrics(userId, types);
+  if (!metrics) return [];
+  const awards = [];
+  const filter = { isActive: true, 'criteria.type': { $in: types } };
+
+  const [badges, heldBadges] = await Promise.all([
+    Badge.find(filter),
+    UserBadge.find({ user: userId }).distinct('badge')
+  ]);
+  const held = new Set(heldBadges.map(String));
+  for (const badge of badges) {
+    const target = criteriaTarget(badge.criteria);
+    if (held.has(badge._id.toString()) || metrics[badge.criteria.type] < target) continue;
+
+    const reason = `reached ${target} ${CRITERIA_LABELS[badge.criteria.type]}`;
+    const { userBadge, awarded } = await awardBadge(userId, badge, { source: 'rule', reason });
+    if (awarded) {
+      awards.push({ kind: 'badge', id: badge._id, userBadgeId: userBadge._id, name: badge.name, icon: badge.icon, reason });
+    }
+  }
+
+  const achievements = await Achievement.find(filter);
+  const records = await UserAchievement.find({ user: userId, achievement: { $in: achievements.map(a => a._id) } })
+    .select('achievement completed progress');
+  for (const achievement of achievements) {
+    const own = records.filter(record => record.achievement.toString() === achievement._id.toString());
+    const open = own.find(record => !record.completed);
+    const target = criteriaTarget(achievement.criteria);
+    const { unlocks, progress } = achievementCompletions(
+      metrics[achievement.criteria.type],
+      target,
+      own.filter(record => record.completed).length,
+      achievement.isRepeatable
+    );
+
+    for (let i = 0; i < unlocks; i++) {
+      const { userAchievement, completedNow } = await setAchievementProgress(userId, achievement, target);
+      if (!completedNow) break;
+      awards.push({
+        kind: 'achievement',
+        id: achievement._id,
+        userAchievementId: userAchievement._id,
+        name: achievement.name,
+        icon: achievement.icon,
+        points: userAchievement.pointsAwarded
+      });
+    }
+    // After unlocking, the open record is completed and a new one starts
+    const current = unlocks > 0 ? null : open;
+    if (progress !== null && (current ? current.progress !== progress : progress > 0)) {
+      await setAchievementProgress(userId, achievement, progress);
+    }
+  }
+  return awards;
+}
+
+/**
+ * Evaluate the rules for a user and announce new awards unless
+ * `notify: false`. Achievement points can unlock points-based awards, so
+ * those are re-evaluated until nothing changes.
+ */
+async function evaluateUser(userId, { types = AUTOMATIC_CRITERIA, notify = true } = {}) {
+  const awards = [];
+  let pending = types;
+  for (let pass = 0; pass < MAX_PASSES && pending.length > 0; pass++) {
+    const found = await evaluatePass(userId, pending);
+    awards.push(...found);
+    pending = found.some(award => award.points > 0) ? ['points'] : [];
+  }
+
+  if (notify) {
+    for (const award of awards) {
+      await announceAward(userId, award);
+    }
+  }
+  if (awards.length > 0) {
+    logger.info('Awards granted by rules', { userId: userId.toString(), awards: awards.length });
+  }
+  return awards;
+}
+
+// Evaluations of the same user run one after another so that concurrent
+// events cannot unlock an achievement twice
+const queues = new Map();
+
+/**
+ * Queue an evaluation for a user behind any evaluation already running for
+ * them. Failures are logged, never thrown.
+ */
+function queueEvaluation(userId, options) {
+  const key = userId.toString();
+  const run = (queues.get(key) || Promise.resolve())
+    .then(() => evaluateUser(userId, options))
+    .catch(error => {
+      logger.error('Failed to evaluate gamification rules', { userId: key, error: error.message });
+      return [];
+    });
+  queues.set(key, run);
+  run.then(() => {
+    if (queues.get(key) === run) queues.delete(key);
+  });
+  return run;
+}
+
+let listenersRegistered = false;
+
+/**
+ * Evaluate the matching criteria whenever a gamification event fires.
+ * Called once at startup; later calls do nothing.
+ */
+function registerRuleListeners() {
+  if (listenersRegistered) return;
+  listenersRegistered = true;
+  Object.entries(EVENT_CRITERIA).forEach(([event, types]) => {
+    gamificationEvents.on(event, ({ userId }) => queueEvaluation(userId, { types }));
+  });
+}
+
+/**
+ * Evaluate every active user against all automatic criteria, e.g. after
+ * adding badges or achievements. Users are not notified unless `notify`.
+ */
+async function backfillAwards({ notify = false } = {}) {
+  const users = await User.find({ isActive: true }).distinct('_id');
+  const summary = { users: users.length, badges: 0, achievements: 0, failed: 0 };
+
+  for (const userId of users) {
+    try {
+      const awards = await evaluateUser(userId, { notify });
+      summary.badges += awards.filter(award => award.kind === 'badge').length;
+      summary.achievements += awards.filter(award => award.kind === 'achievement').length;
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to backfill awards', { userId: userId.toString(), error: error.message });
+    }
+  }
+  logger.info('Gamification backfill finished', summary);
+  return summary;
+}
+
+module.exports = {
+  AUTOMATIC_CRITERIA,
+  EVENT_CRITERIA,
+  criteriaTarget,
+  achievementCompletions,
+  evaluateUser,
+  queueEvaluation,
+  registerRuleListeners,
+  backfillAwards
+};
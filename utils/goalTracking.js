@@ -0,0 +1,218 @@
+const Goal = require('../models/Goal');
+const Task = require('../models/Task');
+const KPI = require('../models/KPI');
+const Logger = require('./logger');
+const { notifyUser } = require('./notifications');
+const { valueProgress, applyDueStatus, applyGoalProgress, announceGoalCompletion } = require('./goals');
+const { refreshObjective } = require('./okrs');
+
+const logger = new Logger('GOAL_TRACKING');
+
+// Goals that still follow their tasks, KPIs and dates
+const OPEN_GOAL_STATUSES = ['active', 'overdue', 'completed'];
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+/**
+ * Progress (%) from the share of tasks completed, by count or weighted by
+ * estimated hours. Tasks without an estimate weigh as much as the average
+ * estimated task; cancelled tasks do not count. Null without tasks.
+ */
+function taskShareProgress(tasks, weighting = 'count') {
+  const counted = tasks.filter(task => task.status !== 'cancelled');
+  if (counted.length === 0) return null;
+
+  const estimates = counted.map(task => task.estimatedHours).filter(hours => hours > 0);
+  const defaultWeight = weighting === 'estimate' && estimates.length > 0
+    ? estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length
+    : 1;
+  const weightOf = task => (weighting === 'estimate' && task.estimatedHours > 0 ? task.estimatedHours : defaultWeight);
+
+  const total = counted.reduce((sum, task) => sum + weightOf(task), 0);
+  const done = counted.filter(task => task.status === 'completed').reduce((sum, task) => sum + weightOf(task), 0);
+  return Math.round((done / total) * 100);
+}
+
+/**
+ * Progress (%) from a KPI's current value against the goal's target, or
+ * the KPI's own target when the goal has none. Null without a value.
+ */
+function kpiGoalProgress(goal, kpi) {
+  if (!kpi || kpi.currentValue === undefined || kpi.currentValue === null) return null;
+  return valueProgress(kpi.currentValue, goal.targetValue || kpi.targetValue);
+}
+
+/**
+ * Whether a milestone's completion condition holds
+ */
+function milestoneMet(milestone, { progress, tasksById, now }) {
+  switch (milestone.completeWhen) {
+    case 'date':
+      return !!milestone.targetDate && new Date(milestone.targetDate) <= now;
+    case 'progress':
+      return typeof milestone.completeAtProgress === 'number' && progress >= milestone.completeAtProgress;
+    case 'tasks': {
+      const ids = (milestone.completeWithTasks || []).map(toId);
+      return ids.length > 0 && ids.every(id => {
+        const task = tasksById.get(id);
+        return task && task.status === 'completed';
+      });
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Complete the open milestones whose condition holds. Milestones are never
+ * reopened automatically. Returns the milestones completed.
+ */
+function applyMilestones(goal, { tasksById = new Map(), now = new Date() } = {}) {
+  const completed = [];
+  (goal.milestones || []).forEach(milestone => {
+    if (milestone.completed || !milestoneMet(milestone, { progress: goal.progress || 0, tasksById, now })) return;
+    milestone.completed = true;
+    milestone.completedAt = now;
+    completed.push(milestone);
+  });
+  return completed;
+}
+
+/**
+ * The KPI a goal tracks: tracking.kpi, else the first of relatedKPIs
+ */
+const trackedKPIId = goal => (goal.tracking && goal.tracking.kpi) || (goal.relatedKPIs || [])[0] || null;
+
+/**
+ * Bring a goal up to date: its progress from its tasks or KPI when it
+ * tracks them (OKRs from their key results), its status from progress and
+ * target date, and milestones whose conditions are met. Saves the goal when
+ * anything changed (`changed`) and tells the owner when it was completed or
+ * became overdue.
+ */
+async function trackGoal(goal, now = new Date()) {
+  const source = (goal.tracking && goal.tracking.source) || 'manual';
+  const milestoneTaskIds = (goal.milestones || []).flatMap(milestone => milestone.completeWithTasks || []);
+  const taskIds = (source === 'tasks' ? goal.relatedTasks || [] : []).concat(milestoneTaskIds);
+  const tasks = taskIds.length > 0
+    ? await Task.find({ _id: { $in: taskIds } }).select('status estimatedHours')
+    : [];
+  const tasksById = new Map(tasks.map(task => [toId(task._id), task]));
+
+  const statusBefore = goal.status;
+  let progress = null;
+  if (goal.mode !== 'okr' && source === 'tasks') {
+    const relatedIds = new Set((goal.relatedTasks || []).map(toId));
+    progress = taskShareProgress(tasks.filter(task => relatedIds.has(toId(task._id))), goal.tracking.weighting);
+  } else if (goal.mode !== 'okr' && source === 'kpi') {
+    const kpiId = trackedKPIId(goal);
+    const kpi = kpiId ? await KPI.findById(kpiId).select('currentValue targetValue') : null;
+    progress = kpiGoalProgress(goal, kpi);
+    if (progress !== null) goal.currentValue = kpi.currentValue;
+  }
+
+  let completed = false;
+  if (goal.mode === 'okr') {
+    completed = refreshObjective(goal, now);
+  } else if (progress !== null) {
+    completed = applyGoalProgress(goal, progress, now);
+  } else {
+    applyDueStatus(goal, now);
+  }
+  const milestones = applyMilestones(goal, { tasksById, now });
+
+  if (!goal.isModified()) return { goal, changed: false, completed: false, milestones };
+  await goal.save();
+
+  if (completed) {
+    announceGoalCompletion(goal);
+    await notifyUser(goal.user, {
+      type: 'system',
+      title: `Goal completed: ${goal.title}`,
+      message: `"${goal.title}" reached 100% and has been marked completed.`,
+      category: 'goals',
+      relatedEntity: { type: 'goal', id: goal._id },
+      actionUrl: `/goals/${goal._id}`
+    });
+  } else if (goal.status === 'overdue' && statusBefore !== 'overdue') {
+    await notifyUser(goal.user, {
+      type: 'reminder',
+      title: `Goal overdue: ${goal.title}`,
+      message: `"${goal.title}" passed its target date at ${goal.progress}% progress.`,
+      priority: 'high',
+      category: 'goals',
+      relatedEntity: { type: 'goal', id: goal._id },
+      actionUrl: `/goals/${goal._id}`
+    });
+  }
+  return { goal, changed: true, completed, milestones };
+}
+
+/**
+ * Track a set of goals, logging rather than throwing so that the change
+ * that triggered it never fails
+ */
+async function trackGoals(goals, now = new Date()) {
+  let updated = 0;
+  for (const goal of goals) {
+    try {
+      const { changed } = await trackGoal(goal, now);
+      if (changed) updated++;
+    } catch (error) {
+      logger.error('Goal tracking failed', { goalId: toId(goal._id), error: error.message });
+    }
+  }
+  return updated;
+}
+
+/**
+ * Update the open goals that follow any of these tasks, through
+ * relatedTasks or a milestone condition
+ */
+async function trackGoalsForTasks(taskIds) {
+  const ids = taskIds.filter(Boolean);
+  if (ids.length === 0) return 0;
+  const goals = await Goal.find({
+    status: { $in: OPEN_GOAL_STATUSES },
+    $or: [
+      { 'tracking.source': 'tasks', relatedTasks: { $in: ids } },
+      { 'milestones.completeWithTasks': { $in: ids } }
+    ]
+  });
+  return trackGoals(goals);
+}
+
+/**
+ * Update the open goals that track a KPI
+ */
+async function trackGoalsForKPI(kpi) {
+  const goals = await Goal.find({
+    status: { $in: OPEN_GOAL_STATUSES },
+    'tracking.source': 'kpi',
+    $or: [{ 'tracking.kpi': kpi._id }, { relatedKPIs: kpi._id }]
+  });
+  // Goals naming another KPI in tracking.kpi only follow that one
+  return trackGoals(goals.filter(goal => toId(trackedKPIId(goal)) === toId(kpi._id)));
+}
+
+/**
+ * Bring every open goal up to date: overdue dates, date milestones and
+ * tracked progress. Run by the scheduler.
+ */
+async function trackAllGoals(now = new Date()) {
+  const goals = await Goal.find({ status: { $in: ['active', 'overdue'] } });
+  const updated = await trackGoals(goals, now);
+  logger.info('Goals tracked', { goals: goals.length, updated });
+  return { goals: goals.length, updated };
+}
+
+module.exports = {
+  taskShareProgress,
+  kpiGoalProgress,
+  milestoneMet,
+  applyMilestones,
+  trackGoal,
+  trackGoalsForTasks,
+  trackGoalsForKPI,
+  trackAllGoals
+};
@@ -0,0 +1,58 @@
+const { GAMIFICATION_EVENTS, gamificationEvents } = require('./gamification');
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const clampProgress = value => Math.min(Math.max(Math.round(value), 0), 100);
+
+/**
+ * Progress (%) of a value towards a target, or null without a target
+ */
+function valueProgress(currentValue, targetValue) {
+  if (!targetValue) return null;
+  return clampProgress(((currentValue || 0) / targetValue) * 100);
+}
+
+/**
+ * Mark an active goal past its target date overdue, and an overdue goal
+ * whose date has moved into the future active again
+ */
+function applyDueStatus(goal, now = new Date()) {
+  const pastDue = !!goal.targetDate && new Date(goal.targetDate) < now;
+  if (goal.status === 'active' && pastDue) goal.status = 'overdue';
+  if (goal.status === 'overdue' && !pastDue) goal.status = 'active';
+}
+
+/**
+ * Set a goal's progress and keep its status in step: goals reaching 100%
+ * are completed, completed goals that fall back are reopened and open goals
+ * follow their target date. Cancelled and closed goals keep their status.
+ * Returns true when the goal has just been completed.
+ */
+function applyGoalProgress(goal, progress, now = new Date()) {
+  goal.progress = clampProgress(progress);
+
+  if (goal.progress >= 100 && ['active', 'overdue'].includes(goal.status)) {
+    goal.status = 'completed';
+    goal.completedAt = now;
+    return true;
+  }
+  if (goal.progress < 100 && goal.status === 'completed') {
+    goal.status = 'active';
+    goal.completedAt = undefined;
+  }
+  applyDueStatus(goal, now);
+  return false;
+}
+
+/**
+ * Let gamification rules know a goal was completed
+ */
+function announceGoalCompletion(goal) {
+  gamificationEvents.emit(GAMIFICATION_EVENTS.GOAL_COMPLETED, { userId: toId(goal.user), goalId: toId(goal._id) });
+}
+
+module.exports = {
+  valueProgress,
+  applyDueStatus,
+  applyGoalProgress,
+  announceGoalCompletion
+};
@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Department = require('../models/Department');
+const { notifyUser } = require('./notifications');
+
+const ALERT_STATES = ['ok', 'warning', 'critical'];
+
+// Share of a threshold a value must recover by before its alert clears,
+// unless the KPI sets threshold.hysteresis
+const DEFAULT_HYSTERESIS_RATIO = 0.05;
+
+const severity = state => ALERT_STATES.indexOf(state);
+
+const isSet = value => value !== undefined && value !== null;
+
+/**
+ * Whether a value is at or beyond a threshold. Thresholds are lower bounds
+ * by default (direction 'below': alert when the value drops to them) and
+ * upper bounds with direction 'above'.
+ */
+function beyond(value, limit, direction) {
+  return direction === 'above' ? value >= limit : value <= limit;
+}
+
+/**
+ * Alert level of a value on its own, without hysteresis
+ */
+function alertLevel(value, threshold = {}) {
+  if (!isSet(value)) return 'ok';
+  const direction = threshold.direction || 'below';
+  if (isSet(threshold.critical) && beyond(value, threshold.critical, direction)) return 'critical';
+  if (isSet(threshold.warning) && beyond(value, threshold.warning, direction)) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Margin a value must clear a threshold by before its alert is lifted
+ */
+function hysteresisMargin(limit, threshold = {}) {
+  if (isSet(threshold.hysteresis)) return Math.abs(threshold.hysteresis);
+  return Math.abs(limit) * DEFAULT_HYSTERESIS_RATIO;
+}
+
+/**
+ * Alert state after a new value. Alerts are raised as soon as a threshold
+ * is reached but only lifted once the value has recovered past it by the
+ * hysteresis margin, so values hovering at a threshold do not flap.
+ */
+function nextAlertState(current = 'ok', value, threshold = {}) {
+  const level = alertLevel(value, threshold);
+  if (severity(level) >= severity(current)) return level;
+
+  const direction = threshold.direction || 'below';
+  let state = current;
+  while (state !== 'ok') {
+    const limit = threshold[state];
+    const cleared = !isSet(limit) ||
+      (direction === 'above' ? value < limit - hysteresisMargin(limit, threshold) : value > limit + hysteresisMargin(limit, threshold));
+    if (!cleared) break;
+    state = ALERT_STATES[severity(state) - 1];
+  }
+  return state;
+}
+
+/**
+ * Update a KPI's alert state for a value; the caller saves the KPI.
+ * Returns the previous and new state and whether it changed.
+ */
+function applyKPIAlert(kpi, value, now = new Date()) {
+  const previous = (kpi.alert && kpi.alert.state) || 'ok';
+  const state = nextAlertState(previous, value, kpi.threshold || {});
+  const changed = state !== previous;
+
+  kpi.alert = {
+    state,
+    value,
+    since: changed || !kpi.alert || !kpi.alert.since ? now : kpi.alert.since,
+    checkedAt: now
+  };
+  return { previous, state, changed };
+}
+
+/**
+ * Users told about a KPI's alerts: the assignee and their manager, or for
+ * team and department KPIs the team manager or department head
+ */
+async function kpiAlertRecipients(kpi) {
+  if (kpi.assignedTo) {
+    const assignee = await User.findById(kpi.assignedTo._id || kpi.assignedTo).select('manager');
+    return [kpi.assignedTo._id || kpi.assignedTo, assignee && assignee.manager].filter(Boolean);
+  }
+  if (kpi.team) {
+    const team = await Team.findById(kpi.team).select('manager');
+    return team ? [team.manager] : [];
+  }
+  if (kpi.department) {
+    const department = await Department.findById(kpi.department).select('head');
+    return department && department.head ? [department.head] : [];
+  }
+  return [];
+}
+
+/**
+ * Tell a KPI's recipients that its alert state changed
+ */
+async function notifyKPIAlert(kpi, { previous, state }) {
+  const value = kpi.alert ? kpi.alert.value : kpi.currentValue;
+  const unit = kpi.unit ? ` ${kpi.unit}` : '';
+  const recovered = severity(state) < severity(previous);
+  const title = state === 'ok'
+    ? `KPI back on track: ${kpi.name}`
+    : `KPI ${state}${recovered ? ' (improved)' : ''}: ${kpi.name}`;
+  const limit = state === 'ok' ? null : kpi.threshold[state];
+
+  const recipients = await kpiAlertRecipients(kpi);
+  const unique = [...new Set(recipients.map(String))];
+  for (const userId of unique) {
+    await notifyUser(userId, {
+      type: 'kpi',
+      title,
+      message: limit === null
+        ? `${kpi.name} is at ${value}${unit} and no longer breaches its thresholds.`
+        : `${kpi.name} is at ${value}${unit}, beyond its ${state} threshold of ${limit}${unit}.`,
+      priority: state === 'critical' ? 'urgent' : state === 'warning' ? 'high' : 'low',
+      category: 'kpi',
+      relatedEntity: { type: 'kpi', id: kpi._id },
+      actionUrl: `/kpis/${kpi._id}`
+    });
+  }
+  return unique.length;
+}
+
+module.exports = {
+  ALERT_STATES,
+  alertLevel,
+  nextAlertState,
+  applyKPIAlert,
+  kpiAlertRecipients,
+  notifyKPIAlert
+};
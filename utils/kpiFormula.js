@@ -0,0 +1,229 @@
+// Safe expression language for KPI formulas. Formulas are parsed into a
+// small syntax tree and evaluated against named metrics; nothing is ever
+// passed to eval or Function. Supported: numbers, metric names, + - * / %,
+// parentheses, unary minus and the functions below.
+//
+//   e.g. "tasks_completed / (tasks_completed + tasks_overdue) * 100"
+
+// round() keeps at most this many decimal places (or tens, when negative)
+const MAX_ROUND_DIGITS = 10;
+
+const FUNCTIONS = {
+  min: { arity: [1, Infinity], apply: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], apply: (...args) => Math.max(...args) },
+  abs: { arity: [1, 1], apply: Math.abs },
+  round: {
+    arity: [1, 2],
+    apply: (value, digits = 0) => {
+      const places = Math.trunc(Math.min(Math.max(digits, -MAX_ROUND_DIGITS), MAX_ROUND_DIGITS));
+      return Math.round(value * 10 ** places) / 10 ** places;
+    }
+  },
+  // Percentage of part in whole, 0 when whole is 0
+  pct: { arity: [2, 2], apply: (part, whole) => (whole === 0 ? 0 : (part / whole) * 100) }
+};
+
+const MAX_FORMULA_LENGTH = 500;
+
+// Only the functions above, never names inherited from Object.prototype
+const isFunction = name => Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+
+const formulaError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_FORMULA';
+  return error;
+};
+
+/**
+ * Split a formula into number, name and operator tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/%(),]))/y;
+  let position = 0;
+
+  while (position < source.length) {
+    if (/^\s*$/.test(source.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw formulaError(`Unexpected character "${source.slice(position).trim()[0]}" at position ${position + 1}`);
+    }
+    const [, number, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else tokens.push({ type: 'operator', value: operator });
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a formula into a syntax tree. Throws with error.code
+ * INVALID_FORMULA when the formula is not well formed.
+ */
+function parseFormula(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw formulaError('Formula is empty');
+  }
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw formulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) throw formulaError(`Expected "${value}"`);
+    index++;
+  };
+
+  // expression := term (("+" | "-") term)*
+  function expression() {
+    let node = term();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: term() };
+    }
+    return node;
+  }
+
+  // term := unary (("*" | "/" | "%") unary)*
+  function term() {
+    let node = unary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: unary() };
+    }
+    return node;
+  }
+
+  // unary := "-" unary | primary
+  function unary() {
+    if (isOperator('-')) {
+      index++;
+      return { type: 'negate', operand: unary() };
+    }
+    return primary();
+  }
+
+  // primary := number | name | name "(" args ")" | "(" expression ")"
+  function primary() {
+    const token = peek();
+    if (!token) throw formulaError('Formula ends unexpectedly');
+
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      index++;
+      if (!isOperator('(')) return { type: 'metric', name: token.value };
+
+      if (!isFunction(token.value)) throw formulaError(`Unknown function "${token.value}"`);
+      const fn = FUNCTIONS[token.value];
+      index++;
+      const args = [];
+      if (!isOperator(')')) {
+        args.push(expression());
+        while (isOperator(',')) {
+          index++;
+          args.push(expression());
+        }
+      }
+      expect(')');
+      if (args.length < fn.arity[0] || args.length > fn.arity[1]) {
+        throw formulaError(`Wrong number of arguments for ${token.value}()`);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    if (isOperator('(')) {
+      index++;
+      const node = expression();
+      expect(')');
+      return node;
+    }
+    throw formulaError(`Unexpected "${token.value}"`);
+  }
+
+  const tree = expression();
+  if (index < tokens.length) {
+    throw formulaError(`Unexpected "${tokens[index].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Names of the metrics a syntax tree refers to
+ */
+function referencedMetrics(tree, names = new Set()) {
+  if (tree.type === 'metric') names.add(tree.name);
+  if (tree.type === 'binary') {
+    referencedMetrics(tree.left, names);
+    referencedMetrics(tree.right, names);
+  }
+  if (tree.type === 'negate') referencedMetrics(tree.operand, names);
+  if (tree.type === 'call') tree.args.forEach(arg => referencedMetrics(arg, names));
+  return [...names];
+}
+
+/**
+ * Parse a formula and check that it only uses known metrics. Returns the
+ * metrics it needs.
+ */
+function validateFormula(source, knownMetrics) {
+  const metrics = referencedMetrics(parseFormula(source));
+  const unknown = metrics.filter(name => !knownMetrics.includes(name));
+  if (unknown.length > 0) {
+    throw formulaError(`Unknown metric${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+  return metrics;
+}
+
+/**
+ * Evaluate a formula (source or syntax tree) with metric values. Division
+ * and remainder by zero give 0 so that empty periods do not fail.
+ */
+function evaluateFormula(formula, metrics) {
+  const tree = typeof formula === 'string' ? parseFormula(formula) : formula;
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'metric':
+        if (!Object.prototype.hasOwnProperty.call(metrics, node.name)) {
+          throw formulaError(`Unknown metric: ${node.name}`);
+        }
+        return Number(metrics[node.name]) || 0;
+      case 'negate':
+        return -evaluate(node.operand);
+      case 'call':
+        if (!isFunction(node.name)) throw formulaError(`Unknown function "${node.name}"`);
+        return FUNCTIONS[node.name].apply(...node.args.map(evaluate));
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? 0 : left / right;
+          case '%': return right === 0 ? 0 : left % right;
+        }
+      }
+    }
+    throw formulaError('Invalid formula');
+  };
+
+  return evaluate(tree);
+}
+
+module.exports = {
+  FORMULA_FUNCTIONS: Object.keys(FUNCTIONS),
+  parseFormula,
+  referencedMetrics,
+  validateFormula,
+  evaluateFormula
+};
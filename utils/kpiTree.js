@@ -0,0 +1,124 @@
+const KPI = require('../models/KPI');
+const Goal = require('../models/Goal');
+const { KPI_LEVELS, kpiLevel, kpiProgress, childContributions } = require('./kpis');
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const round = value => Math.round(value * 100) / 100;
+
+const kpiError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check where a KPI sits in the cascade before it is saved: its parent must
+ * exist and be higher up (company → department → team → individual), and it
+ * must stay above its own children. Levels only ever go down, so the cascade
+ * cannot loop. Throws with error.code INVALID_PARENT.
+ */
+async function validateKPICascade(kpi, parentId) {
+  const level = KPI_LEVELS.indexOf(kpiLevel(kpi));
+
+  if (parentId) {
+    if (kpi._id && toId(parentId) === toId(kpi._id)) {
+      throw kpiError('A KPI cannot contribute to itself', 'INVALID_PARENT');
+    }
+    const parent = await KPI.findById(parentId).select('name assignedTo team department');
+    if (!parent) throw kpiError('Parent KPI not found', 'INVALID_PARENT');
+    if (KPI_LEVELS.indexOf(kpiLevel(parent)) >= level) {
+      throw kpiError(`A ${kpiLevel(kpi)} KPI cannot contribute to the ${kpiLevel(parent)} KPI "${parent.name}"`, 'INVALID_PARENT');
+    }
+  }
+
+  if (kpi._id) {
+    const children = await KPI.find({ parent: kpi._id }).select('name assignedTo team department');
+    const blocking = children.find(child => KPI_LEVELS.indexOf(kpiLevel(child)) <= level);
+    if (blocking) {
+      throw kpiError(`The ${kpiLevel(blocking)} KPI "${blocking.name}" cannot contribute to a ${kpiLevel(kpi)} KPI`, 'INVALID_PARENT');
+    }
+  }
+}
+
+/**
+ * Build the alignment tree from a set of KPIs: every node with its level,
+ * value, progress, status, alert state, linked goals and what it contributes
+ * to its parent. Starts from `rootId`, or from every KPI without a parent in
+ * the set. KPIs that `canSee` rejects are left out, but still count towards
+ * their parent's contributions.
+ */
+function buildKPITree(kpis, { goals = [], rootId = null, canSee = () => true } = {}) {
+  const byParent = new Map();
+  const ids = new Set(kpis.map(kpi => toId(kpi._id)));
+  kpis.forEach(kpi => {
+    const key = kpi.parent && ids.has(toId(kpi.parent)) ? toId(kpi.parent) : null;
+    byParent.set(key, (byParent.get(key) || []).concat(kpi));
+  });
+
+  const goalsByKPI = new Map();
+  goals.forEach(goal => (goal.relatedKPIs || []).forEach(kpiId => {
+    const key = toId(kpiId);
+    goalsByKPI.set(key, (goalsByKPI.get(key) || []).concat({
+      id: goal._id,
+      title: goal.title,
+      progress: goal.progress,
+      status: goal.status
+    }));
+  }));
+
+  const visited = new Set();
+  const toNode = (kpi, contribution) => {
+    const id = toId(kpi._id);
+    visited.add(id);
+    const children = (byParent.get(id) || []).filter(child => !visited.has(toId(child._id)));
+    const contributions = childContributions(kpi, children);
+    const hasValue = kpi.currentValue !== undefined && kpi.currentValue !== null;
+    const { progress, status } = kpiProgress(kpi.currentValue, kpi.targetValue);
+
+    return {
+      id: kpi._id,
+      name: kpi.name,
+      level: kpiLevel(kpi),
+      assignedTo: kpi.assignedTo || null,
+      team: kpi.team || null,
+      department: kpi.department || null,
+      unit: kpi.unit,
+      period: kpi.period,
+      weight: kpi.weight,
+      rollup: children.length > 0 ? kpi.rollup || 'progress' : null,
+      currentValue: hasValue ? kpi.currentValue : null,
+      targetValue: kpi.targetValue,
+      progress: hasValue ? progress : null,
+      status: hasValue ? status : 'no_data',
+      alert: (kpi.alert && kpi.alert.state) || 'ok',
+      lastCalculated: kpi.lastCalculated || null,
+      share: contribution ? round(contribution.share * 100) : null,
+      contribution: contribution ? round(contribution.contribution) : null,
+      goals: goalsByKPI.get(id) || [],
+      children: children.filter(canSee).map(child => toNode(child, contributions.get(toId(child._id))))
+    };
+  };
+
+  const roots = rootId
+    ? kpis.filter(kpi => toId(kpi._id) === toId(rootId))
+    : byParent.get(null) || [];
+  return roots.filter(canSee).map(root => toNode(root, null));
+}
+
+/**
+ * Alignment tree of active KPIs, with the goals linked to them that
+ * `canSeeGoal` allows
+ */
+async function loadKPITree({ rootId = null, canSee, canSeeGoal = () => true } = {}) {
+  const kpis = await KPI.find({ isActive: true })
+    .select('name assignedTo team department unit period weight rollup parent currentValue targetValue alert lastCalculated');
+  const goals = await Goal.find({ relatedKPIs: { $in: kpis.map(kpi => kpi._id) }, status: { $ne: 'cancelled' } })
+    .select('title user isPublic progress status relatedKPIs');
+  return buildKPITree(kpis, { goals: goals.filter(canSeeGoal), rootId, canSee });
+}
+
+module.exports = {
+  validateKPICascade,
+  buildKPITree,
+  loadKPITree
+};
@@ -0,0 +1,426 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Goal = require('../models/Goal');
+const { TimerSession } = require('../models/Timer');
+const Logger = require('./logger');
+const { DONE_STATUSES } = require('./taskDependencies');
+const KPI = require('../models/KPI');
+const { validateFormula, evaluateFormula } = require('./kpiFormula');
+const { applyKPIAlert, notifyKPIAlert } = require('./kpiAlerts');
+const { trackGoalsForKPI } = require('./goalTracking');
+
+const logger = new Logger('KPIS');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Levels of the KPI cascade, top down
+const KPI_LEVELS = ['company', 'department', 'team', 'individual'];
+
+// Maximum number of ancestors updated by a single roll-up
+const MAX_CASCADE_DEPTH = 10;
+
+// Metrics a KPI can use as its dataSource or in its formula, computed for
+// the KPI's scope over the current period
+const KPI_METRICS = {
+  tasks_completed: 'Tasks completed in the period',
+  tasks_completed_on_time: 'Tasks completed in the period by their deadline',
+  tasks_due: 'Tasks due in the period (cancelled tasks excluded)',
+  tasks_overdue: 'Tasks due in the period that are past their deadline and still open',
+  on_time_rate: 'Percentage of completed tasks with a deadline finished by it',
+  avg_cycle_time_hours: 'Average hours from creation to completion of tasks completed in the period',
+  focus_minutes: 'Minutes of completed focus sessions',
+  focus_sessions: 'Completed focus sessions',
+  goal_progress: 'Average progress (%) of goals running in the period',
+  goals_completed: 'Goals completed in the period'
+};
+const METRIC_NAMES = Object.keys(KPI_METRICS);
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const isSet = value => value !== undefined && value !== null;
+const weightOf = kpi => (isSet(kpi.weight) ? kpi.weight : 1);
+
+const kpiError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Start and (exclusive) end, in UTC, of the KPI period containing `date`
+ */
+function periodWindow(period, date = new Date()) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  switch (period) {
+    case 'daily':
+      return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+    case 'weekly': {
+      const offset = (date.getUTCDay() + 6) % 7; // weeks start on Monday
+      return { start: new Date(Date.UTC(year, month, day - offset)), end: new Date(Date.UTC(year, month, day - offset + 7)) };
+    }
+    case 'quarterly': {
+      const first = month - (month % 3);
+      return { start: new Date(Date.UTC(year, first, 1)), end: new Date(Date.UTC(year, first + 3, 1)) };
+    }
+    case 'yearly':
+      return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+    case 'monthly':
+    default:
+      return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+}
+
+/**
+ * The last KPI period that ended before the one containing `date`
+ */
+function previousPeriodWindow(period, date = new Date()) {
+  return periodWindow(period, new Date(periodWindow(period, date).start.getTime() - 1));
+}
+
+const within = (date, { start, end }) => !!date && new Date(date) >= start && new Date(date) < end;
+
+/**
+ * Task metrics for a window from tasks completed or due in it
+ */
+function taskMetrics(tasks, window, now = new Date()) {
+  const completed = tasks.filter(task => task.status === 'completed' && within(task.completedAt, window));
+  const withDeadline = completed.filter(task => task.deadline);
+  const onTime = withDeadline.filter(task => new Date(task.completedAt) <= new Date(task.deadline));
+  const due = tasks.filter(task => task.status !== 'cancelled' && within(task.deadline, window));
+  const overdue = due.filter(task => !DONE_STATUSES.includes(task.status) && new Date(task.deadline) < now);
+  const cycleHours = completed
+    .filter(task => task.createdAt)
+    .map(task => (new Date(task.completedAt) - new Date(task.createdAt)) / HOUR_MS);
+
+  return {
+    tasks_completed: completed.length,
+    tasks_completed_on_time: onTime.length,
+    tasks_due: due.length,
+    tasks_overdue: overdue.length,
+    on_time_rate: withDeadline.length > 0 ? round((onTime.length / withDeadline.length) * 100) : 0,
+    avg_cycle_time_hours: cycleHours.length > 0 ? round(cycleHours.reduce((sum, hours) => sum + hours, 0) / cycleHours.length) : 0
+  };
+}
+
+/**
+ * Focus metrics from completed focus sessions
+ */
+function focusMetrics(sessions) {
+  return {
+    focus_minutes: sessions.reduce((sum, session) => sum + (session.actualDuration || session.duration || 0), 0),
+    focus_sessions: sessions.length
+  };
+}
+
+/**
+ * Goal metrics for a window: the average progress of goals running in it
+ * and the number completed in it. Cancelled goals are left out.
+ */
+function goalMetrics(goals, window) {
+  const running = goals.filter(goal => goal.status !== 'cancelled' &&
+    (!goal.startDate || new Date(goal.startDate) < window.end) &&
+    (!goal.targetDate || new Date(goal.targetDate) >= window.start));
+  return {
+    goal_progress: running.length > 0 ? round(running.reduce((sum, goal) => sum + (goal.progress || 0), 0) / running.length) : 0,
+    goals_completed: goals.filter(goal => ['completed', 'closed'].includes(goal.status) && within(goal.completedAt, window)).length
+  };
+}
+
+/**
+ * Users a KPI measures: its assignee, else the members of its team or
+ * department. Null means the whole organization.
+ */
+async function kpiScopeUsers(kpi) {
+  if (kpi.assignedTo) return [kpi.assignedTo._id || kpi.assignedTo];
+  if (kpi.team) return User.find({ team: kpi.team }).distinct('_id');
+  if (kpi.department) return User.find({ department: kpi.department }).distinct('_id');
+  return null;
+}
+
+/**
+ * Every metric for a set of users (null for everyone) over a window
+ */
+async function collectKPIMetrics(userIds, window, now = new Date()) {
+  const byUser = (field) => (userIds ? { [field]: { $in: userIds } } : {});
+  const inWindow = { $gte: window.start, $lt: window.end };
+
+  const [tasks, sessions, goals] = await Promise.all([
+    Task.find({ ...byUser('assignedTo'), $or: [{ completedAt: inWindow }, { deadline: inWindow }] })
+      .select('status deadline completedAt createdAt'),
+    TimerSession.find({ ...byUser('user'), type: 'pomodoro', status: 'completed', startTime: inWindow })
+      .select('duration actualDuration'),
+    // Goals running in the window, plus those completed in it after their target date
+    Goal.find({
+      ...byUser('user'),
+      $or: [
+        { startDate: { $lt: window.end }, targetDate: { $gte: window.start } },
+        { completedAt: inWindow }
+      ]
+    }).select('status progress startDate targetDate completedAt')
+  ]);
+
+  return {
+    ...taskMetrics(tasks, window, now),
+    ...focusMetrics(sessions),
+    ...goalMetrics(goals, window)
+  };
+}
+
+/**
+ * Level of a KPI in the cascade, from its scope
+ */
+function kpiLevel(kpi) {
+  if (kpi.assignedTo) return 'individual';
+  if (kpi.team) return 'team';
+  if (kpi.department) return 'department';
+  return 'company';
+}
+
+const sameId = (a, b) => !!a && !!b && toId(a) === toId(b);
+
+/**
+ * Whether a user may see a KPI: admins and managers see every KPI, others
+ * their own and their team's or department's
+ */
+function canViewKPI(user, kpi) {
+  return ['admin', 'manager'].includes(user.role) ||
+    sameId(kpi.assignedTo, user._id) ||
+    (!kpi.assignedTo && sameId(kpi.team, user.team)) ||
+    (!kpi.assignedTo && !kpi.team && sameId(kpi.department, user.department));
+}
+
+/**
+ * What each child contributes to its parent, keyed by child id. Children
+ * with no weight or no value yet are left out, and with the default
+ * 'progress' roll-up so are children without a target. `share` is the
+ * child's part of the total weight; `contribution` is in percentage points
+ * of the parent's progress for 'progress', and in value units for 'sum' and
+ * 'average'.
+ */
+function childContributions(parent, children) {
+  const mode = parent.rollup || 'progress';
+  const counted = children.filter(child => weightOf(child) > 0 && isSet(child.currentValue) &&
+    (mode !== 'progress' || child.targetValue));
+  const totalWeight = counted.reduce((sum, child) => sum + weightOf(child), 0);
+
+  return new Map(counted.map(child => {
+    const weight = weightOf(child);
+    const share = weight / totalWeight;
+    const contribution = mode === 'sum'
+      ? weight * child.currentValue
+      : mode === 'average'
+        ? share * child.currentValue
+        : share * (child.currentValue / child.targetValue) * 100;
+    return [toId(child._id), { weight, share, contribution }];
+  }));
+}
+
+/**
+ * Value of a parent KPI rolled up from its children: the weighted sum or
+ * average of their values, or by default the weighted average of their
+ * progress applied to the parent's target (the progress itself when the
+ * parent has no target). Null when no child counts yet.
+ */
+function rollUpValue(parent, children) {
+  const contributions = [...childContributions(parent, children).values()];
+  if (contributions.length === 0) return null;
+
+  const total = contributions.reduce((sum, { contribution }) => sum + contribution, 0);
+  if ((parent.rollup || 'progress') !== 'progress' || !parent.targetValue) return round(total);
+  return round((total * parent.targetValue) / 100);
+}
+
+/**
+ * Check a KPI's formula or dataSource before it is saved. Throws with
+ * error.code INVALID_FORMULA or INVALID_DATA_SOURCE.
+ */
+function validateKPIDefinition({ formula, dataSource }) {
+  if (formula) validateFormula(formula, METRIC_NAMES);
+  if (dataSource && !METRIC_NAMES.includes(dataSource)) {
+    throw kpiError(`dataSource must be one of: ${METRIC_NAMES.join(', ')}`, 'INVALID_DATA_SOURCE');
+  }
+}
+
+/**
+ * Progress towards the target as a percentage, and whether it is achieved
+ */
+function kpiProgress(value, targetValue) {
+  if (!targetValue) return { progress: null, status: 'in_progress' };
+  return {
+    progress: round((value / targetValue) * 100),
+    status: value >= targetValue ? 'achieved' : 'in_progress'
+  };
+}
+
+/**
+ * Compute a KPI for its scope and current period to date, or with `closed`
+ * for the period that just ended: rolled up from its children if it has
+ * any, else from live data through its formula or its dataSource metric.
+ * KPIs with none of these are tracked by hand and record their current
+ * value. The value is stored, appended to history and lastCalculated is set
+ * and goals tracking the KPI follow; unless `rollUp` is false the KPI's
+ * ancestors are then rolled up as well. Threshold alerts are only evaluated
+ * on closed periods, as a partial period would read low.
+ */
+async function calculateKPI(kpi, { now = new Date(), notes, rollUp = true, closed = false } = {}) {
+  const window = closed ? previousPeriodWindow(kpi.period, now) : periodWindow(kpi.period, now);
+  const children = await KPI.find({ parent: kpi._id, isActive: true })
+    .select('currentValue targetValue weight');
+  const source = children.length > 0 ? 'children' : kpi.formula ? 'formula' : kpi.dataSource ? 'dataSource' : 'manual';
+  let metrics = null;
+  let value;
+
+  if (source === 'children') {
+    value = rollUpValue(kpi, children);
+    if (value === null) {
+      throw kpiError('None of the KPI\'s children has a value to roll up yet', 'NOT_CALCULABLE');
+    }
+  } else if (source === 'manual') {
+    if (kpi.currentValue === undefined || kpi.currentValue === null) {
+      throw kpiError('KPI has no formula or dataSource and no value has been recorded', 'NOT_CALCULABLE');
+    }
+    value = kpi.currentValue;
+  } else {
+    validateKPIDefinition(kpi);
+    metrics = await collectKPIMetrics(await kpiScopeUsers(kpi), window, now);
+    value = round(source === 'formula' ? evaluateFormula(kpi.formula, metrics) : metrics[kpi.dataSource]);
+  }
+
+  kpi.currentValue = value;
+  kpi.lastCalculated = now;
+  if (closed) kpi.closedPeriodEnd = window.end;
+  kpi.history.push({ value, date: now, notes: notes || `Calculated from ${source}` });
+  const alert = closed
+    ? applyKPIAlert(kpi, value, now)
+    : { state: (kpi.alert && kpi.alert.state) || 'ok', changed: false };
+  await kpi.save();
+  if (alert.changed) await notifyKPIAlert(kpi, alert);
+  await trackGoalsForKPI(kpi);
+  if (rollUp && kpi.parent) await rollUpFromKPI(kpi, now);
+
+  logger.info('KPI calculated', { kpiId: kpi._id.toString(), source, value, alert: alert.state });
+  return {
+    kpiId: kpi._id,
+    value,
+    targetValue: kpi.targetValue,
+    ...kpiProgress(value, kpi.targetValue),
+    alert: alert.state,
+    source,
+    metrics,
+    closed,
+    periodStart: window.start,
+    periodEnd: window.end,
+    calculatedAt: now
+  };
+}
+
+/**
+ * Recalculate the ancestors of a KPI from their children, nearest first.
+ * Ancestors with nothing to roll up yet are passed over.
+ */
+async function rollUpFromKPI(kpi, now = new Date()) {
+  const visited = new Set([toId(kpi._id)]);
+  let parentId = kpi.parent ? toId(kpi.parent) : null;
+
+  for (let depth = 0; depth < MAX_CASCADE_DEPTH && parentId; depth++) {
+    if (visited.has(parentId)) {
+      logger.warn('Circular KPI cascade detected', { kpiId: toId(kpi._id), parentId });
+      break;
+    }
+    visited.add(parentId);
+
+    const parent = await KPI.findById(parentId);
+    if (!parent) break;
+    try {
+      await calculateKPI(parent, { now, notes: 'Rolled up from children', rollUp: false });
+    } catch (error) {
+      if (error.code !== 'NOT_CALCULABLE') {
+        logger.error('KPI roll-up failed', { kpiId: parentId, error: error.message });
+      }
+    }
+    parentId = parent.parent ? toId(parent.parent) : null;
+  }
+}
+
+/**
+ * Whether the scheduler should close a KPI's period: the period before the
+ * current one has not been evaluated in full yet
+ */
+function isKPIDue(kpi, now = new Date()) {
+  if (!kpi.closedPeriodEnd) return true;
+  return new Date(kpi.closedPeriodEnd) < periodWindow(kpi.period, now).start;
+}
+
+/**
+ * Recalculate every active KPI that is due over the period that just ended,
+ * raising threshold alerts. KPIs with children are rolled up once after
+ * their children, deepest level first, whenever they are due or a child
+ * changed. KPIs tracked by hand with no value yet are skipped. Run by the
+ * scheduler.
+ */
+async function recalculateDueKPIs(now = new Date()) {
+  const kpis = await KPI.find({ isActive: true });
+  const parentIds = new Set(kpis.filter(kpi => kpi.parent).map(kpi => toId(kpi.parent)));
+  const summary = { checked: kpis.length, calculated: 0, alerts: 0, skipped: 0, failed: 0 };
+  const changedParents = new Set();
+
+  const recalculate = async (kpi, notes) => {
+    try {
+      const previous = kpi.alert ? kpi.alert.state : 'ok';
+      const calculation = await calculateKPI(kpi, { now, notes, rollUp: false, closed: true });
+      summary.calculated++;
+      if (calculation.alert !== previous) summary.alerts++;
+      if (kpi.parent) changedParents.add(toId(kpi.parent));
+    } catch (error) {
+      if (error.code === 'NOT_CALCULABLE') {
+        summary.skipped++;
+      } else {
+        summary.failed++;
+        logger.error('Scheduled KPI calculation failed', { kpiId: toId(kpi._id), error: error.message });
+      }
+    }
+  };
+
+  for (const kpi of kpis.filter(candidate => !parentIds.has(toId(candidate._id)) && isKPIDue(candidate, now))) {
+    await recalculate(kpi, 'Period closed');
+  }
+
+  const parents = kpis
+    .filter(kpi => parentIds.has(toId(kpi._id)))
+    .sort((a, b) => KPI_LEVELS.indexOf(kpiLevel(b)) - KPI_LEVELS.indexOf(kpiLevel(a)));
+  for (const parent of parents) {
+    if (changedParents.has(toId(parent._id)) || isKPIDue(parent, now)) {
+      await recalculate(parent, 'Rolled up from children');
+    }
+  }
+
+  logger.info('Scheduled KPI recalculation finished', summary);
+  return summary;
+}
+
+module.exports = {
+  KPI_METRICS,
+  KPI_LEVELS,
+  METRIC_NAMES,
+  periodWindow,
+  previousPeriodWindow,
+  taskMetrics,
+  focusMetrics,
+  goalMetrics,
+  kpiScopeUsers,
+  collectKPIMetrics,
+  validateKPIDefinition,
+  kpiProgress,
+  kpiLevel,
+  canViewKPI,
+  childContributions,
+  rollUpValue,
+  calculateKPI,
+  rollUpFromKPI,
+  isKPIDue,
+  recalculateDueKPIs
+};
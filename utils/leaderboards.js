@@ -0,0 +1,245 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { TimerSession } = require('../models/Timer');
+const { UserPreferences } = require('../models/Settings');
+const { Leaderboard, PointsTransaction } = require('../models/Gamification');
+const Logger = require('./logger');
+const { BALANCE_ONLY_TYPES, periodRange } = require('./gamification');
+
+const logger = new Logger('LEADERBOARDS');
+
+const LEADERBOARD_PERIODS = ['weekly', 'monthly', 'all_time'];
+const LEADERBOARD_TYPES = ['points', 'tasks', 'streak', 'productivity'];
+
+// all_time snapshots are keyed by the epoch
+const ALL_TIME_START = new Date(0);
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+/**
+ * Start and (exclusive) end of the period containing `date`
+ */
+function leaderboardRange(period, date = new Date()) {
+  return period === 'all_time' ? { startDate: ALL_TIME_START, endDate: undefined } : periodRange(period, date);
+}
+
+/**
+ * Score and tie-breaker of a user on each leaderboard type. Ties on points
+ * are broken by completed tasks, ties on tasks and focus time by points,
+ * and ties on the streak by the other streak.
+ */
+function scoreUser(type, { points = 0, tasks = 0, focusMinutes = 0, streak = 0, otherStreak = 0 }) {
+  switch (type) {
+    case 'points': return { score: points, tieBreaker: tasks };
+    case 'tasks': return { score: tasks, tieBreaker: points };
+    case 'streak': return { score: streak, tieBreaker: otherStreak };
+    case 'productivity': return { score: focusMinutes, tieBreaker: points };
+    default: throw new Error(`Unknown leaderboard type: ${type}`);
+  }
+}
+
+/**
+ * Rank entries ({ user, score, tieBreaker }) with a positive score: highest
+ * score first, then highest tie-breaker. Users still level share a rank
+ * (1, 1, 3) and are listed by id for a stable order. `previousRanks` maps
+ * user ids to their rank in the previous snapshot.
+ */
+function rankEntries(entries, previousRanks = new Map()) {
+  const sorted = entries
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.tieBreaker - a.tieBreaker || toId(a.user).localeCompare(toId(b.user)));
+
+  const ranked = [];
+  sorted.forEach((entry, index) => {
+    const before = ranked[index - 1];
+    const tied = before && before.score === entry.score && before.tieBreaker === entry.tieBreaker;
+    ranked.push({ ...entry, rank: tied ? before.rank : index + 1, previousRank: previousRanks.get(toId(entry.user)) });
+  });
+  return ranked;
+}
+
+/**
+ * A ranking entry as returned to clients; `movement` is positive when the
+ * user climbed since the previous snapshot and null when they are new
+ */
+function presentRanking(entry) {
+  return {
+    rank: entry.rank,
+    previousRank: entry.previousRank || null,
+    movement: entry.previousRank ? entry.previousRank - entry.rank : null,
+    score: entry.score
+  };
+}
+
+/**
+ * Totals per user id in a date range, from an aggregation grouped by user
+ */
+async function totalsByUser(Model, match, userField, value) {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${userField}`, total: { $sum: value } } }
+  ]);
+  return new Map(rows.filter(row => row._id).map(row => [row._id.toString(), row.total]));
+}
+
+const inRange = ({ startDate, endDate }) => {
+  const range = { $gte: startDate };
+  if (endDate) range.$lt = endDate;
+  return range;
+};
+
+/**
+ * Raw metrics of every participant for one period
+ */
+async function collectPeriodMetrics(period, range, users) {
+  const ids = users.map(user => user._id);
+  const [points, tasks, focus] = await Promise.all([
+    totalsByUser(PointsTransaction, { user: { $in: ids }, type: { $nin: BALANCE_ONLY_TYPES }, createdAt: inRange(range) }, 'user', '$amount'),
+    totalsByUser(Task, { assignedTo: { $in: ids }, status: 'completed', completedAt: inRange(range) }, 'assignedTo', 1),
+    totalsByUser(TimerSession, { user: { $in: ids }, type: 'pomodoro', status: 'completed', startTime: inRange(range) },
+      'user', { $ifNull: ['$actualDuration', '$duration'] })
+  ]);
+
+  return new Map(users.map(user => {
+    const id = user._id.toString();
+    const stats = user.stats || {};
+    // Period boards rank the running streak; all-time ranks the best one
+    const [streak, otherStreak] = period === 'all_time'
+      ? [stats.longestStreak || 0, stats.currentStreak || 0]
+      : [stats.currentStreak || 0, stats.longestStreak || 0];
+    return [id, { points: points.get(id) || 0, tasks: tasks.get(id) || 0, focusMinutes: focus.get(id) || 0, streak, otherStreak }];
+  }));
+}
+
+/**
+ * Active users who take part in leaderboards; users whose profile is
+ * private (UserPreferences.privacy.profileVisibility) have opted out
+ */
+async function leaderboardParticipants() {
+  const [users, optedOut] = await Promise.all([
+    User.find({ isActive: true }).select('team department stats'),
+    UserPreferences.find({ 'privacy.profileVisibility': 'private' }).distinct('user')
+  ]);
+  const hidden = new Set(optedOut.map(String));
+  return users.filter(user => !hidden.has(user._id.toString()));
+}
+
+/**
+ * Store one leaderboard snapshot, taking previous ranks from the snapshot of
+ * the same board for the period before (all-time boards have none)
+ */
+async function saveSnapshot(key, range, entries, now) {
+  const previous = await Leaderboard.findOne({ ...key, startDate: { $lt: range.startDate } })
+    .sort({ startDate: -1 })
+    .select('rankings.user rankings.rank');
+  const previousRanks = new Map(previous ? previous.rankings.map(entry => [toId(entry.user), entry.rank]) : []);
+
+  await Leaderboard.updateOne(
+    { ...key, startDate: range.startDate },
+    {
+      $set: {
+        endDate: range.endDate,
+        rankings: rankEntries(entries, previousRanks),
+        snapshotAt: now,
+        isActive: true
+      }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Rebuild the current snapshot of every leaderboard: each period and type,
+ * globally and for every team and department with participants. `only`
+ * ({ scope, scopeId }) limits the rebuild to one board scope.
+ */
+async function refreshLeaderboards({ periods = LEADERBOARD_PERIODS, types = LEADERBOARD_TYPES, only = null, now = new Date() } = {}) {
+  const participants = await leaderboardParticipants();
+  let scopes = [{ scope: 'global', scopeId: null, members: participants }];
+  for (const [scope, field] of [['team', 'team'], ['department', 'department']]) {
+    const groups = new Map();
+    participants.filter(user => user[field]).forEach(user => {
+      const id = user[field].toString();
+      groups.set(id, (groups.get(id) || []).concat(user));
+    });
+    groups.forEach((members, scopeId) => scopes.push({ scope, scopeId, members }));
+  }
+  if (only) {
+    scopes = scopes.filter(item => item.scope === only.scope && String(item.scopeId) === String(only.scopeId));
+  }
+  const users = only ? scopes.flatMap(item => item.members) : participants;
+
+  let snapshots = 0;
+  for (const period of periods) {
+    const range = leaderboardRange(period, now);
+    const metrics = await collectPeriodMetrics(period, range, users);
+
+    for (const type of types) {
+      for (const { scope, scopeId, members } of scopes) {
+        const entries = members.map(user => ({ user: user._id, ...scoreUser(type, metrics.get(user._id.toString())) }));
+        await saveSnapshot({ period, type, scope, scopeId }, range, entries, now);
+        snapshots++;
+      }
+      await Leaderboard.updateMany(
+        { period, type, startDate: { $lt: range.startDate }, isActive: true },
+        { $set: { isActive: false } }
+      );
+    }
+  }
+
+  logger.info('Leaderboards refreshed', { snapshots, participants: users.length });
+  return { snapshots, participants: users.length };
+}
+
+/**
+ * Read a leaderboard snapshot: the top `limit` entries with user details and
+ * the caller's own entry, wherever they rank. A missing snapshot of the
+ * current period is built on demand, for the requested board only.
+ */
+async function getLeaderboard({ period, type, scope = 'global', scopeId = null, date = new Date(), userId, limit = 10 }) {
+  const range = leaderboardRange(period, date);
+  const query = { period, type, scope, scopeId, startDate: range.startDate };
+
+  let snapshot = await Leaderboard.findOne(query);
+  const isCurrent = period === 'all_time' || (range.startDate <= new Date() && new Date() < range.endDate);
+  if (!snapshot && isCurrent) {
+    await refreshLeaderboards({ periods: [period], types: [type], only: { scope, scopeId } });
+    snapshot = await Leaderboard.findOne(query);
+  }
+
+  const rankings = snapshot ? snapshot.rankings : [];
+  const top = rankings.slice(0, limit);
+  const own = userId ? rankings.find(entry => toId(entry.user) === userId.toString()) : null;
+
+  const users = await User.find({ _id: { $in: top.map(entry => entry.user).concat(own ? [own.user] : []) } })
+    .select('name avatar team department');
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  const withUser = entry => {
+    const user = byId.get(toId(entry.user));
+    return { ...presentRanking(entry), userId: entry.user, name: user ? user.name : null, avatar: user ? user.avatar : null };
+  };
+
+  return {
+    period,
+    type,
+    scope,
+    scopeId,
+    startDate: range.startDate,
+    endDate: range.endDate || null,
+    snapshotAt: snapshot ? snapshot.snapshotAt : null,
+    participants: rankings.length,
+    leaderboard: top.map(withUser),
+    me: own ? withUser(own) : null
+  };
+}
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_TYPES,
+  leaderboardRange,
+  scoreUser,
+  rankEntries,
+  presentRanking,
+  refreshLeaderboards,
+  getLeaderboard
+};
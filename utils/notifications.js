@@ -0,0 +1,38 @@
+const Notification = require('../models/Notification');
+const Logger = require('./logger');
+const { emitNotification } = require('../socket');
+
+const logger = new Logger('NOTIFICATIONS');
+
+/**
+ * Persist an in-app notification and push it to the user's socket room.
+ * Failures are logged rather than thrown so that notifying never breaks the
+ * operation that triggered it.
+ */
+async function notifyUser(userId, { type = 'system', title, message, priority = 'medium', category, relatedEntity, actionUrl }) {
+  if (!userId) return null;
+
+  try {
+    const notification = await Notification.create({
+      user: userId,
+      type,
+      title,
+      message,
+      priority,
+      category,
+      relatedEntity,
+      actionUrl,
+      isDelivered: true
+    });
+
+    emitNotification(userId, notification);
+    return notification;
+  } catch (error) {
+    logger.error('Failed to create notification', { userId: userId.toString(), error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  notifyUser
+};
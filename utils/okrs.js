@@ -0,0 +1,287 @@
+const Goal = require('../models/Goal');
+const Logger = require('./logger');
+const { notifyUser } = require('./notifications');
+const { applyGoalProgress, announceGoalCompletion } = require('./goals');
+
+const logger = new Logger('OKRS');
+
+const KEY_RESULT_TYPES = ['numeric', 'percentage', 'boolean', 'milestone'];
+
+// Lowest score of each grade, best first
+const OKR_GRADES = [
+  { grade: 'achieved', minScore: 0.7 },
+  { grade: 'partial', minScore: 0.4 },
+  { grade: 'missed', minScore: 0 }
+];
+
+// Check-ins below this confidence (out of 10) flag a key result as at risk
+const AT_RISK_CONFIDENCE = 5;
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const isSet = value => value !== undefined && value !== null;
+const clampProgress = value => Math.min(Math.max(Math.round(value), 0), 100);
+const round = value => Math.round(value * 100) / 100;
+const weightOf = item => (isSet(item.weight) ? item.weight : 1);
+
+const okrError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Quarter containing a date, in UTC, e.g. "2026-Q3"
+ */
+function quarterOf(date = new Date()) {
+  return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+}
+
+/**
+ * Start and (exclusive) end of a quarter, or null when it is not valid
+ */
+function quarterRange(quarter) {
+  const match = /^(\d{4})-Q([1-4])$/.exec(quarter || '');
+  if (!match) return null;
+  const year = Number(match[1]);
+  const firstMonth = (Number(match[2]) - 1) * 3;
+  return { start: new Date(Date.UTC(year, firstMonth, 1)), end: new Date(Date.UTC(year, firstMonth + 3, 1)) };
+}
+
+/**
+ * Check a key result before it is saved. Throws with error.code
+ * INVALID_KEY_RESULT.
+ */
+function validateKeyResult(keyResult) {
+  const type = keyResult.metricType || 'numeric';
+  if (!keyResult.title) throw okrError('Key results need a title', 'INVALID_KEY_RESULT');
+  if (!KEY_RESULT_TYPES.includes(type)) {
+    throw okrError(`metricType must be one of: ${KEY_RESULT_TYPES.join(', ')}`, 'INVALID_KEY_RESULT');
+  }
+  if (['numeric', 'percentage'].includes(type) && !isSet(keyResult.targetValue)) {
+    throw okrError(`The ${type} key result "${keyResult.title}" needs a targetValue`, 'INVALID_KEY_RESULT');
+  }
+  if (type === 'percentage' && [keyResult.startValue, keyResult.targetValue, keyResult.currentValue]
+    .some(value => isSet(value) && (value < 0 || value > 100))) {
+    throw okrError(`Values of the percentage key result "${keyResult.title}" must be between 0 and 100`, 'INVALID_KEY_RESULT');
+  }
+  if (type === 'milestone' && !(keyResult.milestones || []).length) {
+    throw okrError(`The milestone key result "${keyResult.title}" needs at least one milestone`, 'INVALID_KEY_RESULT');
+  }
+}
+
+/**
+ * Progress (%) of a key result: done or not for boolean key results, the
+ * share of milestones completed for milestone ones, and how far the value
+ * has moved from start to target otherwise (targets below the start work
+ * too)
+ */
+function keyResultProgress(keyResult) {
+  switch (keyResult.metricType) {
+    case 'boolean':
+      return keyResult.currentValue ? 100 : 0;
+    case 'milestone': {
+      const milestones = keyResult.milestones || [];
+      if (milestones.length === 0) return 0;
+      return clampProgress((milestones.filter(milestone => milestone.completed).length / milestones.length) * 100);
+    }
+    default: {
+      const start = keyResult.startValue || 0;
+      const current = isSet(keyResult.currentValue) ? keyResult.currentValue : start;
+      if (!isSet(keyResult.targetValue)) return 0;
+      if (keyResult.targetValue === start) return current === start ? 100 : 0;
+      return clampProgress(((current - start) / (keyResult.targetValue - start)) * 100);
+    }
+  }
+}
+
+/**
+ * Weighted average progress of key results; weightless ones do not count
+ */
+function objectiveProgress(keyResults) {
+  const counted = (keyResults || []).filter(keyResult => weightOf(keyResult) > 0);
+  const totalWeight = counted.reduce((sum, keyResult) => sum + weightOf(keyResult), 0);
+  if (totalWeight === 0) return 0;
+  return clampProgress(counted.reduce((sum, keyResult) => sum + weightOf(keyResult) * keyResultProgress(keyResult), 0) / totalWeight);
+}
+
+/**
+ * Grade of a score between 0 and 1
+ */
+function gradeFor(score) {
+  return OKR_GRADES.find(({ minScore }) => score >= minScore).grade;
+}
+
+/**
+ * Score an objective between 0 and 1: each key result scores its progress
+ * and the objective the weighted average of those scores
+ */
+function scoreObjective(goal) {
+  const keyResults = (goal.keyResults || []).map(keyResult => ({
+    id: keyResult._id,
+    weight: weightOf(keyResult),
+    score: round(keyResultProgress(keyResult) / 100)
+  }));
+  const counted = keyResults.filter(keyResult => keyResult.weight > 0);
+  const totalWeight = counted.reduce((sum, keyResult) => sum + keyResult.weight, 0);
+  const score = totalWeight > 0
+    ? round(counted.reduce((sum, keyResult) => sum + keyResult.weight * keyResult.score, 0) / totalWeight)
+    : 0;
+  return { score, grade: gradeFor(score), keyResults };
+}
+
+/**
+ * Recompute the progress of an objective and its key results; the caller
+ * saves it. Returns true when the objective has just been completed.
+ */
+function refreshObjective(goal, now = new Date()) {
+  goal.keyResults.forEach(keyResult => {
+    keyResult.progress = keyResultProgress(keyResult);
+  });
+  return applyGoalProgress(goal, objectiveProgress(goal.keyResults), now);
+}
+
+/**
+ * Record a check-in on a key result: its new value (or, for milestone key
+ * results, the ids of the completed milestones), the owner's confidence
+ * out of 10 and a note. The caller refreshes and saves the objective.
+ */
+function recordCheckIn(keyResult, { value, completedMilestones, confidence, note, user, now = new Date() }) {
+  if (!isSet(value) && !completedMilestones && !isSet(confidence)) {
+    throw okrError('A check-in needs a value, completed milestones or a confidence', 'INVALID_CHECK_IN');
+  }
+  if (isSet(confidence) && (typeof confidence !== 'number' || confidence < 0 || confidence > 10)) {
+    throw okrError('confidence must be a number from 0 to 10', 'INVALID_CHECK_IN');
+  }
+
+  if (keyResult.metricType === 'milestone' && completedMilestones) {
+    const completed = new Set(completedMilestones.map(String));
+    keyResult.milestones.forEach(milestone => {
+      const done = completed.has(toId(milestone._id));
+      if (done && !milestone.completed) milestone.completedAt = now;
+      if (!done) milestone.completedAt = undefined;
+      milestone.completed = done;
+    });
+  } else if (isSet(value)) {
+    const isBoolean = keyResult.metricType === 'boolean';
+    if (typeof value !== 'number' && !(isBoolean && typeof value === 'boolean')) {
+      throw okrError(isBoolean ? 'value must be true or false' : 'value must be a number', 'INVALID_CHECK_IN');
+    }
+    if (keyResult.metricType === 'percentage' && (value < 0 || value > 100)) {
+      throw okrError('value must be between 0 and 100', 'INVALID_CHECK_IN');
+    }
+    keyResult.currentValue = isBoolean ? Number(Boolean(value)) : value;
+  }
+
+  if (isSet(confidence)) keyResult.confidence = confidence;
+  keyResult.checkIns.push({
+    value: keyResult.metricType === 'milestone'
+      ? keyResult.milestones.filter(milestone => milestone.completed).length
+      : keyResult.currentValue,
+    confidence,
+    note,
+    user,
+    date: now
+  });
+}
+
+/**
+ * Close a quarter: score and freeze every open OKR in it and tell each
+ * owner their grade. Returns a summary of the closed objectives.
+ */
+async function closeQuarter(quarter, actor, now = new Date()) {
+  const objectives = await Goal.find({ mode: 'okr', quarter, status: { $nin: ['cancelled', 'closed'] } });
+
+  for (const goal of objectives) {
+    if (refreshObjective(goal, now)) announceGoalCompletion(goal);
+
+    const { score, grade, keyResults } = scoreObjective(goal);
+    const scores = new Map(keyResults.map(keyResult => [toId(keyResult.id), keyResult.score]));
+    goal.keyResults.forEach(keyResult => {
+      keyResult.score = scores.get(toId(keyResult._id));
+    });
+    goal.set({ 'okr.score': score, 'okr.grade': grade, 'okr.closedAt': now, 'okr.closedBy': actor._id });
+    goal.status = 'closed';
+    await goal.save();
+
+    await notifyUser(goal.user, {
+      type: 'system',
+      title: `OKR scored: ${goal.title}`,
+      message: `${quarter} closed. Your objective scored ${score} (${grade}). Add a retro to wrap it up.`,
+      category: 'okr',
+      relatedEntity: { type: 'goal', id: goal._id },
+      actionUrl: `/goals/${goal._id}`
+    });
+  }
+
+  logger.info('OKR quarter closed', { quarter, objectives: objectives.length });
+  return summarizeOKRs(objectives, quarter);
+}
+
+/**
+ * Grading and retro summary of a set of OKRs: grades and average score of
+ * the closed ones, key results whose latest confidence is low on the open
+ * ones, and each objective's scores and retro
+ */
+function summarizeOKRs(goals, quarter) {
+  const closed = goals.filter(goal => goal.okr && isSet(goal.okr.score));
+  const grades = OKR_GRADES.reduce((counts, { grade }) => ({ ...counts, [grade]: 0 }), {});
+  closed.forEach(goal => {
+    grades[goal.okr.grade] = (grades[goal.okr.grade] || 0) + 1;
+  });
+
+  const atRisk = [];
+  goals.filter(goal => goal.status !== 'closed').forEach(goal => (goal.keyResults || []).forEach(keyResult => {
+    if (isSet(keyResult.confidence) && keyResult.confidence < AT_RISK_CONFIDENCE) {
+      atRisk.push({ goalId: goal._id, keyResultId: keyResult._id, title: keyResult.title, confidence: keyResult.confidence });
+    }
+  }));
+
+  const average = values => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+  return {
+    quarter,
+    objectives: goals.length,
+    closed: closed.length,
+    averageScore: average(closed.map(goal => goal.okr.score)),
+    averageProgress: average(goals.map(goal => goal.progress || 0)),
+    grades,
+    atRisk,
+    retrosWritten: closed.filter(goal => goal.okr.retro && goal.okr.retro.updatedAt).length,
+    results: goals.map(goal => ({
+      id: goal._id,
+      title: goal.title,
+      owner: goal.user,
+      status: goal.status,
+      progress: goal.progress,
+      score: goal.okr && isSet(goal.okr.score) ? goal.okr.score : null,
+      grade: (goal.okr && goal.okr.grade) || null,
+      keyResults: (goal.keyResults || []).map(keyResult => ({
+        id: keyResult._id,
+        title: keyResult.title,
+        owner: keyResult.owner || null,
+        weight: weightOf(keyResult),
+        progress: keyResult.progress,
+        confidence: isSet(keyResult.confidence) ? keyResult.confidence : null,
+        score: isSet(keyResult.score) ? keyResult.score : null
+      })),
+      retro: (goal.okr && goal.okr.retro && goal.okr.retro.updatedAt) ? goal.okr.retro : null
+    }))
+  };
+}
+
+module.exports = {
+  KEY_RESULT_TYPES,
+  OKR_GRADES,
+  AT_RISK_CONFIDENCE,
+  quarterOf,
+  quarterRange,
+  validateKeyResult,
+  keyResultProgress,
+  objectiveProgress,
+  gradeFor,
+  scoreObjective,
+  refreshObjective,
+  recordCheckIn,
+  closeQuarter,
+  summarizeOKRs
+};
@@ -0,0 +1,369 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Department = require('../models/Department');
+const { SystemSettings } = require('../models/Settings');
+const Logger = require('./logger');
+const aiClient = require('./aiClient');
+const { snapshotTask, recordTaskDiff } = require('./taskHistory');
+const { notifyUser } = require('./notifications');
+const { STATUS_CATEGORIES } = require('./workflow');
+const { emitTaskUpdate } = require('../socket');
+
+const logger = new Logger('OVERDUE_TASKS');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses that are never overdue
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Statuses a task can become overdue from: all open work, blocked included
+const OPEN_STATUSES = STATUS_CATEGORIES.filter(status => status !== 'overdue' && !CLOSED_STATUSES.includes(status));
+
+// Who is notified at each escalation level
+const ESCALATION_ROLES = ['assignee', 'assigner', 'team_manager', 'department_head'];
+
+// Hours to wait before each escalation step, counted from the previous step
+const DEFAULT_ESCALATION_HOURS = [24, 48, 72];
+
+/**
+ * Whether a task is overdue, either flagged by the scheduler or past its
+ * deadline and not yet flagged
+ */
+function isOverdue(task, now = new Date()) {
+  if (task.status === 'overdue') return true;
+  if (!task.deadline || CLOSED_STATUSES.includes(task.status)) return false;
+  return new Date(task.deadline) < now;
+}
+
+/**
+ * Query matching the same tasks as isOverdue
+ */
+function overdueFilter(now = new Date()) {
+  return {
+    $or: [
+      { status: 'overdue' },
+      { deadline: { $lt: now }, status: { $nin: CLOSED_STATUSES } }
+    ]
+  };
+}
+
+/**
+ * Parse escalation delays given as an array or a comma separated string
+ */
+function parseDelays(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const delays = (Array.isArray(value) ? value : String(value).split(','))
+    .map(delay => parseFloat(delay));
+  if (delays.length === 0 || delays.some(delay => isNaN(delay) || delay < 0)) return null;
+
+  return delays.slice(0, ESCALATION_ROLES.length - 1);
+}
+
+/**
+ * Escalation settings: the `overdueEscalation` system setting, then
+ * environment variables, then defaults
+ */
+async function loadEscalationConfig() {
+  const setting = await SystemSettings.findOne({ key: 'overdueEscalation' });
+  const value = (setting && setting.value) || {};
+
+  const aiHours = value.aiReassignAfterHours !== undefined
+    ? value.aiReassignAfterHours
+    : process.env.OVERDUE_AI_REASSIGN_HOURS;
+
+  return {
+    delaysHours: parseDelays(value.delaysHours) ||
+      parseDelays(process.env.OVERDUE_ESCALATION_HOURS) ||
+      DEFAULT_ESCALATION_HOURS,
+    // AI reassignment is off unless a delay is configured
+    aiReassignAfterHours: aiHours === undefined || aiHours === null || aiHours === ''
+      ? null
+      : parseFloat(aiHours)
+  };
+}
+
+/**
+ * Next escalation level that is due for an overdue task, or null
+ */
+function nextEscalationLevel(overdue, delaysHours, now = new Date()) {
+  if (!overdue || !overdue.markedAt) return null;
+
+  const level = (overdue.escalationLevel || 0) + 1;
+  if (level > delaysHours.length) return null;
+
+  const since = new Date(overdue.lastEscalatedAt || overdue.markedAt).getTime();
+  return since + delaysHours[level - 1] * HOUR_MS <= now.getTime() ? level : null;
+}
+
+/**
+ * User to notify at an escalation level. Team and department fall back to
+ * the assignee's own when the task has none.
+ */
+async function resolveRecipient(task, level) {
+  const role = ESCALATION_ROLES[level];
+
+  if (role === 'assignee') return task.assignedTo;
+  if (role === 'assigner') return task.assignedBy;
+
+  const assignee = task.assignedTo
+    ? await User.findById(task.assignedTo).select('team department')
+    : null;
+
+  if (role === 'team_manager') {
+    const teamId = task.team || (assignee && assignee.team);
+    const team = teamId ? await Team.findById(teamId).select('manager') : null;
+    return team ? team.manager : null;
+  }
+
+  const departmentId = task.department || (assignee && assignee.department);
+  const department = departmentId ? await Department.findById(departmentId).select('head') : null;
+  return department ? department.head : null;
+}
+
+const daysOverdue = (task, now) => Math.max(0, Math.floor((now - new Date(task.deadline)) / (24 * HOUR_MS)));
+
+/**
+ * Send the notification for one escalation level and record it on the task
+ */
+async function escalate(task, level, now) {
+  const recipient = await resolveRecipient(task, level);
+  const role = ESCALATION_ROLES[level];
+
+  task.overdue.escalationLevel = level;
+  task.overdue.lastEscalatedAt = now;
+
+  // Levels without a recipient are skipped so the next one is not delayed
+  if (!recipient) return null;
+
+  task.overdue.escalations.push({ level, role, recipient, notifiedAt: now });
+
+  const days = daysOverdue(task, now);
+  await notifyUser(recipient, {
+    type: 'task',
+    title: level === 0 ? 'Task Overdue' : 'Overdue Task Escalation',
+    message: level === 0
+      ? `"${task.title}" is past its deadline`
+      : `"${task.title}" has been overdue for ${days} day${days === 1 ? '' : 's'}`,
+    priority: level === 0 ? 'high' : 'urgent',
+    category: 'overdue',
+    relatedEntity: { type: 'task', id: task._id },
+    actionUrl: `/tasks/${task._id}`
+  });
+
+  return recipient;
+}
+
+/**
+ * Put tasks whose deadline moved into the future back to their previous status
+ */
+async function restoreRescheduledTasks(now = new Date()) {
+  const tasks = await Task.find({
+    status: 'overdue',
+    $or: [{ deadline: { $gte: now } }, { deadline: null }]
+  });
+
+  let restored = 0;
+
+  for (const task of tasks) {
+    try {
+      const before = snapshotTask(task);
+      task.status = (task.overdue && task.overdue.previousStatus) || 'pending';
+      task.overdue = undefined;
+      await task.save();
+      await recordTaskDiff(before, task, { source: 'system', note: 'Deadline extended' });
+      emitTaskUpdate(task);
+      restored++;
+    } catch (error) {
+      logger.error('Failed to restore rescheduled task', { taskId: task._id.toString(), error: error.message });
+    }
+  }
+
+  return restored;
+}
+
+/**
+ * Whether a task has already been flagged overdue for its current deadline.
+ * Users may move such a task back to work on it; it stays out of 'overdue'
+ * until its deadline changes.
+ */
+function flaggedForDeadline(task) {
+  return !!(task.overdue && task.overdue.deadline && task.deadline) &&
+    new Date(task.overdue.deadline).getTime() === new Date(task.deadline).getTime();
+}
+
+/**
+ * Flag open tasks past their deadline as overdue and notify the assignee
+ */
+async function markOverdueTasks(now = new Date()) {
+  const tasks = await Task.find({ deadline: { $lt: now }, status: { $in: OPEN_STATUSES } });
+
+  let marked = 0;
+
+  for (const task of tasks) {
+    if (flaggedForDeadline(task)) continue;
+
+    try {
+      const before = snapshotTask(task);
+      task.overdue = {
+        markedAt: now,
+        deadline: task.deadline,
+        previousStatus: task.status,
+        escalationLevel: 0,
+        escalations: []
+      };
+      task.status = 'overdue';
+
+      await escalate(task, 0, now);
+
+      await task.save();
+      await recordTaskDiff(before, task, { source: 'system', note: 'Deadline passed' });
+      emitTaskUpdate(task);
+      marked++;
+    } catch (error) {
+      logger.error('Failed to mark overdue task', { taskId: task._id.toString(), error: error.message });
+    }
+  }
+
+  return marked;
+}
+
+/**
+ * Escalate overdue tasks whose next escalation delay has elapsed
+ */
+async function escalateOverdueTasks(config, now = new Date()) {
+  const tasks = await Task.find({
+    status: 'overdue',
+    'overdue.escalationLevel': { $lt: config.delaysHours.length }
+  });
+  let escalated = 0;
+
+  for (const task of tasks) {
+    try {
+      const level = nextEscalationLevel(task.overdue, config.delaysHours, now);
+      if (!level) continue;
+
+      await escalate(task, level, now);
+      await task.save();
+      escalated++;
+    } catch (error) {
+      logger.error('Failed to escalate overdue task', { taskId: task._id.toString(), error: error.message });
+    }
+  }
+
+  return escalated;
+}
+
+/**
+ * Hand tasks overdue for longer than the configured delay to the AI service
+ * for reassignment within their team (or department)
+ */
+async function reassignStaleTasks(config, now = new Date()) {
+  if (config.aiReassignAfterHours === null || isNaN(config.aiReassignAfterHours)) return 0;
+
+  const tasks = await Task.find({
+    status: 'overdue',
+    'overdue.markedAt': { $lte: new Date(now.getTime() - config.aiReassignAfterHours * HOUR_MS) },
+    'overdue.aiReassignedAt': { $exists: false }
+  });
+
+  // Candidates come from the task's team, or its department without one
+  const groups = new Map();
+  tasks.forEach(task => {
+    const scope = task.team ? { team: task.team } : task.department ? { department: task.department } : null;
+    if (!scope) return;
+    const key = JSON.stringify(scope);
+    if (!groups.has(key)) groups.set(key, { scope, tasks: [] });
+    groups.get(key).tasks.push(task);
+  });
+
+  let reassigned = 0;
+  for (const { scope, tasks: groupTasks } of groups.values()) {
+    try {
+      const users = await User.find({ ...scope, role: 'employee', isActive: true }).select('name stats');
+      if (users.length === 0) continue;
+
+      const employees = await Promise.all(users.map(async user => ({
+        _id: user._id,
+        name: user.name,
+        currentTasks: await Task.countDocuments({
+          assignedTo: user._id,
+          status: { $in: [...OPEN_STATUSES, 'overdue'] }
+        }),
+        completionRate: user.stats && user.stats.totalTasks > 0
+          ? user.stats.completedTasks / user.stats.totalTasks
+          : undefined
+      })));
+
+      const result = await aiClient.reassignOverdue(groupTasks, employees);
+      const reassignments = (result && (result.reassignments || result.assignments)) || [];
+
+      for (const task of groupTasks) {
+        const suggestion = reassignments.find(item => String(item.task_id) === task._id.toString());
+        const newAssignee = suggestion && suggestion.assigned_to;
+        task.overdue.aiReassignedAt = now;
+
+        if (!newAssignee || String(newAssignee) === String(task.assignedTo)) {
+          await task.save();
+          continue;
+        }
+
+        const before = snapshotTask(task);
+        task.assignedTo = newAssignee;
+        await task.save();
+        await recordTaskDiff(before, task, {
+          source: 'ai_assignment',
+          note: suggestion.reason || 'Reassigned after staying overdue',
+          metadata: { confidence: suggestion.confidence }
+        });
+
+        await notifyUser(newAssignee, {
+          type: 'task',
+          title: 'Overdue Task Reassigned to You',
+          message: `"${task.title}" was reassigned to you because it is overdue`,
+          priority: 'high',
+          relatedEntity: { type: 'task', id: task._id },
+          actionUrl: `/tasks/${task._id}`
+        });
+        emitTaskUpdate(task);
+        reassigned++;
+      }
+    } catch (error) {
+      logger.error('AI reassignment of overdue tasks failed', { scope, error: error.message });
+    }
+  }
+
+  return reassigned;
+}
+
+/**
+ * Scheduled job: restore rescheduled tasks, flag new overdue tasks, escalate
+ * and optionally reassign stale ones
+ */
+async function processOverdueTasks(now = new Date()) {
+  const config = await loadEscalationConfig();
+
+  const restored = await restoreRescheduledTasks(now);
+  const marked = await markOverdueTasks(now);
+  const escalated = await escalateOverdueTasks(config, now);
+  const reassigned = await reassignStaleTasks(config, now);
+
+  return { restored, marked, escalated, reassigned };
+}
+
+module.exports = {
+  ESCALATION_ROLES,
+  DEFAULT_ESCALATION_HOURS,
+  isOverdue,
+  overdueFilter,
+  parseDelays,
+  loadEscalationConfig,
+  nextEscalationLevel,
+  flaggedForDeadline,
+  markOverdueTasks,
+  escalateOverdueTasks,
+  reassignStaleTasks,
+  restoreRescheduledTasks,
+  processOverdueTasks
+};
@@ -0,0 +1,69 @@
+// Roles a user can hold on a single project
+const PROJECT_ROLES = ['owner', 'contributor', 'viewer', 'client'];
+
+// Permission levels, weakest first; each level includes the ones before it
+const PERMISSION_LEVELS = ['view', 'comment', 'contribute', 'manage'];
+
+// Highest level each project role grants. Client guests may read and comment
+// but never change work items.
+const ROLE_PERMISSIONS = {
+  owner: 'manage',
+  contributor: 'contribute',
+  client: 'comment',
+  viewer: 'view'
+};
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+/**
+ * The user's role on a project, or null when they do not belong to it.
+ * Admins act as owners everywhere, the project manager is always an owner
+ * and legacy stakeholders without a membership are viewers.
+ */
+function getProjectRole(project, user) {
+  if (!project || !user) return null;
+  if (user.role === 'admin') return 'owner';
+
+  const userId = user._id.toString();
+  if (project.manager && toId(project.manager) === userId) return 'owner';
+
+  const member = (project.members || []).find(entry => entry.user && toId(entry.user) === userId);
+  if (member) return member.role;
+
+  if ((project.stakeholders || []).some(id => toId(id) === userId)) return 'viewer';
+  return null;
+}
+
+/**
+ * Whether a project role grants a permission level
+ */
+function roleAllows(role, level) {
+  if (!ROLE_PERMISSIONS[role]) return false;
+  return PERMISSION_LEVELS.indexOf(ROLE_PERMISSIONS[role]) >= PERMISSION_LEVELS.indexOf(level);
+}
+
+const hasProjectPermission = (project, user, level) => roleAllows(getProjectRole(project, user), level);
+
+/**
+ * Query matching the projects a user belongs to; admins match every project
+ */
+function memberProjectFilter(user) {
+  if (user.role === 'admin') return {};
+  return {
+    $or: [
+      { manager: user._id },
+      { 'members.user': user._id },
+      { stakeholders: user._id }
+    ]
+  };
+}
+
+module.exports = {
+  PROJECT_ROLES,
+  PERMISSION_LEVELS,
+  ROLE_PERMISSIONS,
+  getProjectRole,
+  roleAllows,
+  hasProjectPermission,
+  memberProjectFilter
+};
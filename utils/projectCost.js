@@ -0,0 +1,259 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const CostRate = require('../models/CostRate');
+const { TimerSession } = require('../models/Timer');
+const Logger = require('./logger');
+const { DAY_MS } = require('./recurrence');
+const { notifyUser } = require('./notifications');
+
+const logger = new Logger('PROJECT_COST');
+
+// Project fields only shown to people allowed to see cost figures
+const COST_FIELDS = ['budget', 'actualCost', 'costCalculatedAt', 'budgetThresholds', 'budgetAlerts'];
+
+// Currency of rates stored without one, as the CostRate model defaults to
+const DEFAULT_CURRENCY = 'USD';
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Admins, managers, the project manager and stakeholders may see costs
+ */
+function canViewCosts(user, project) {
+  if (user.role === 'admin' || user.role === 'manager') return true;
+  const userId = user._id.toString();
+  return (project.manager && toId(project.manager) === userId) ||
+    (project.stakeholders || []).some(id => toId(id) === userId);
+}
+
+/**
+ * Project as plain data with cost fields removed for users who may not see them
+ */
+function redactCosts(project, user) {
+  if (canViewCosts(user, project)) return project;
+  const data = project.toObject ? project.toObject() : { ...project };
+  COST_FIELDS.forEach(field => delete data[field]);
+  return data;
+}
+
+/**
+ * Worked time on a project: task time logs plus completed focus sessions
+ * started from the project's tasks, as { user, hours, at } entries
+ */
+function collectTimeEntries(tasks, sessions = []) {
+  const entries = [];
+
+  tasks.forEach(task => {
+    (task.timeLogs || []).forEach(log => {
+      let minutes = log.duration;
+      if (minutes == null && log.startTime && log.endTime) {
+        minutes = (new Date(log.endTime) - new Date(log.startTime)) / 60000;
+      }
+      if (!log.user || !(minutes > 0)) return;
+      entries.push({ user: toId(log.user), hours: minutes / 60, at: new Date(log.startTime || log.endTime || task.createdAt) });
+    });
+  });
+
+  sessions.forEach(session => {
+    const minutes = session.actualDuration != null ? session.actualDuration : session.duration;
+    if (!(minutes > 0)) return;
+    entries.push({ user: toId(session.user), hours: minutes / 60, at: new Date(session.startTime) });
+  });
+
+  return entries;
+}
+
+const isEffective = (rate, at) =>
+  new Date(rate.effectiveFrom) <= at && (!rate.effectiveTo || new Date(rate.effectiveTo) > at);
+
+/**
+ * Hourly rate of a user at a point in time: their own rate if one is
+ * effective, otherwise their role's, latest effectiveFrom first. Null when
+ * neither is set.
+ */
+function resolveRate(rates, { user, role }, at) {
+  const latest = list => list
+    .filter(rate => isEffective(rate, at))
+    .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))[0];
+
+  return latest(rates.filter(rate => rate.user && toId(rate.user) === toId(user))) ||
+    latest(rates.filter(rate => !rate.user && rate.role === role)) ||
+    null;
+}
+
+/**
+ * Price time entries with the rates effective when the work was done.
+ * `roles` maps user ids to their role. There are no exchange rates, so
+ * entries priced in different currencies are refused rather than summed.
+ */
+function computeCost(entries, rates, roles = new Map()) {
+  const byUser = new Map();
+  const currencies = new Set();
+  let totalHours = 0;
+  let totalCost = 0;
+  let unratedHours = 0;
+
+  entries.forEach(entry => {
+    const rate = resolveRate(rates, { user: entry.user, role: roles.get(entry.user) }, entry.at);
+    const cost = rate ? entry.hours * rate.hourlyRate : 0;
+    if (rate) currencies.add(rate.currency || DEFAULT_CURRENCY);
+    else unratedHours += entry.hours;
+
+    totalHours += entry.hours;
+    totalCost += cost;
+    const current = byUser.get(entry.user) || { user: entry.user, hours: 0, cost: 0 };
+    current.hours += entry.hours;
+    current.cost += cost;
+    byUser.set(entry.user, current);
+  });
+
+  if (currencies.size > 1) {
+    const error = new Error('Cost rates in different currencies cannot be added up');
+    error.code = 'MIXED_CURRENCIES';
+    error.currencies = [...currencies].sort();
+    throw error;
+  }
+
+  return {
+    currency: currencies.size > 0 ? [...currencies][0] : null,
+    totalHours: round(totalHours),
+    totalCost: round(totalCost),
+    unratedHours: round(unratedHours),
+    byUser: [...byUser.values()].map(item => ({ ...item, hours: round(item.hours), cost: round(item.cost) }))
+  };
+}
+
+/**
+ * Burn rate (cost per day since the project started), forecast cost at
+ * completion and variance against the budget. The forecast extrapolates
+ * from progress when there is some, otherwise from the burn rate up to the
+ * end date.
+ */
+function computeBudgetMetrics({ budget, actualCost = 0, progress = 0, startDate, endDate }, now = new Date()) {
+  const start = new Date(startDate || now);
+  const elapsedDays = Math.max(1, (now - start) / DAY_MS);
+  const burnRate = actualCost / elapsedDays;
+
+  let forecastAtCompletion = null;
+  if (progress >= 100) {
+    forecastAtCompletion = actualCost;
+  } else if (progress > 0) {
+    forecastAtCompletion = actualCost / (progress / 100);
+  } else if (endDate) {
+    forecastAtCompletion = actualCost + burnRate * Math.max(0, (new Date(endDate) - now) / DAY_MS);
+  }
+
+  const hasBudget = budget > 0;
+  return {
+    budget: budget != null ? budget : null,
+    actualCost: round(actualCost),
+    remainingBudget: hasBudget ? round(budget - actualCost) : null,
+    spentPercent: hasBudget ? round((actualCost / budget) * 100) : null,
+    burnRatePerDay: round(burnRate),
+    forecastAtCompletion: forecastAtCompletion != null ? round(forecastAtCompletion) : null,
+    variance: hasBudget && forecastAtCompletion != null ? round(budget - forecastAtCompletion) : null,
+    variancePercent: hasBudget && forecastAtCompletion != null
+      ? round(((budget - forecastAtCompletion) / budget) * 100)
+      : null
+  };
+}
+
+/**
+ * Thresholds newly crossed by `spentPercent`, and the already raised alerts
+ * that still hold. Alerts whose threshold is no longer reached (budget raised
+ * or time corrected) are dropped so they can be raised again.
+ */
+function evaluateBudgetAlerts(spentPercent, thresholds = [], raised = []) {
+  if (spentPercent == null) return { crossed: [], kept: [] };
+  const kept = raised.filter(alert => spentPercent >= alert.threshold);
+  const keptThresholds = new Set(kept.map(alert => alert.threshold));
+  const crossed = [...new Set(thresholds)]
+    .filter(threshold => spentPercent >= threshold && !keptThresholds.has(threshold))
+    .sort((a, b) => a - b);
+  return { crossed, kept };
+}
+
+/**
+ * Recalculate a project's actual cost from logged time, store it and raise
+ * alerts for newly crossed budget thresholds. Returns the cost breakdown and
+ * budget metrics.
+ */
+async function recalculateProjectCost(project, now = new Date()) {
+  const tasks = await Task.find({ project: project._id }).select('timeLogs createdAt');
+  const sessions = await TimerSession.find({
+    task: { $in: tasks.map(task => task._id) },
+    type: 'pomodoro',
+    status: 'completed'
+  }).select('user startTime duration actualDuration');
+
+  const entries = collectTimeEntries(tasks, sessions);
+  const userIds = [...new Set(entries.map(entry => entry.user))];
+  const users = await User.find({ _id: { $in: userIds } }).select('role');
+  const roles = new Map(users.map(user => [user._id.toString(), user.role]));
+  const rates = await CostRate.find({
+    $or: [{ user: { $in: userIds } }, { user: { $exists: false }, role: { $in: [...new Set(roles.values())] } }]
+  }).lean();
+
+  const cost = computeCost(entries, rates, roles);
+  project.actualCost = cost.totalCost;
+  project.costCalculatedAt = now;
+
+  const metrics = computeBudgetMetrics(project, now);
+  const { crossed, kept } = evaluateBudgetAlerts(metrics.spentPercent, project.budgetThresholds, project.budgetAlerts);
+  project.budgetAlerts = [
+    ...kept,
+    ...crossed.map(threshold => ({ threshold, actualCost: cost.totalCost, raisedAt: now }))
+  ];
+  await project.save();
+
+  if (crossed.length > 0) {
+    const threshold = crossed[crossed.length - 1];
+    const recipients = new Set([project.manager, ...(project.stakeholders || [])].filter(Boolean).map(toId));
+    for (const userId of recipients) {
+      await notifyUser(userId, {
+        type: 'system',
+        title: `Budget ${threshold}% spent`,
+        message: `Project "${project.name}" has spent ${metrics.spentPercent}% of its budget (${metrics.actualCost} of ${project.budget}).`,
+        priority: threshold >= 100 ? 'urgent' : 'high',
+        category: 'budget',
+        actionUrl: `/projects/${project._id}/budget`
+      });
+    }
+    logger.info('Budget threshold crossed', { projectId: project._id.toString(), thresholds: crossed });
+  }
+
+  return { cost, metrics, alertsRaised: crossed };
+}
+
+/**
+ * Scheduled job: recalculate the cost of every active project
+ */
+async function recalculateAllProjectCosts(now = new Date()) {
+  const projects = await Project.find({ isActive: true, isArchived: { $ne: true }, status: { $in: ['planning', 'active', 'on_hold'] } });
+  let updated = 0;
+
+  for (const project of projects) {
+    try {
+      await recalculateProjectCost(project, now);
+      updated++;
+    } catch (error) {
+      logger.error('Failed to recalculate project cost', { projectId: project._id.toString(), error: error.message });
+    }
+  }
+  return { projects: projects.length, updated };
+}
+
+module.exports = {
+  COST_FIELDS,
+  canViewCosts,
+  redactCosts,
+  collectTimeEntries,
+  resolveRate,
+  computeCost,
+  computeBudgetMetrics,
+  evaluateBudgetAlerts,
+  recalculateProjectCost,
+  recalculateAllProjectCosts
+};
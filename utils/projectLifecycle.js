@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const Logger = require('./logger');
+const { DAY_MS } = require('./recurrence');
+const { DONE_STATUSES } = require('./taskDependencies');
+const { getProjectWorkflow, getInitialState } = require('./workflow');
+const { notifyUser } = require('./notifications');
+
+const logger = new Logger('PROJECT_LIFECYCLE');
+
+// Statuses the automatic rules may move a project out of
+const AUTOMATED_STATUSES = ['planning', 'active', 'on_hold'];
+
+// Project fields copied by a clone; dates, members and history are set anew
+const CLONE_PROJECT_FIELDS = [
+  'description', 'team', 'department', 'priority', 'estimatedHours', 'budget',
+  'budgetThresholds', 'tags', 'category', 'client', 'automation'
+];
+
+// Task fields copied by a clone; progress, time, comments and history are not
+const CLONE_TASK_FIELDS = [
+  'title', 'description', 'assignedTo', 'priority', 'estimatedHours', 'tags', 'category',
+  'team', 'department', 'industryTemplate', 'complexity', 'risk', 'storyPoints'
+];
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+/**
+ * Move a date by a number of milliseconds; missing dates stay missing
+ */
+function shiftDate(date, offsetMs) {
+  return date ? new Date(new Date(date).getTime() + offsetMs) : undefined;
+}
+
+/**
+ * Latest sign of work on a project: its creation, its last status change
+ * or the last update of one of its tasks
+ */
+function lastActivityAt(project, tasks = []) {
+  const times = [project.createdAt, ...(project.statusHistory || []).map(entry => entry.changedAt)]
+    .concat(tasks.map(task => task.updatedAt))
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Whether every milestone and task of a project is done. A project without
+ * any milestones or tasks is never considered done.
+ */
+function isProjectDone(project, tasks = []) {
+  const milestones = project.milestones || [];
+  if (milestones.length === 0 && tasks.length === 0) return false;
+  return milestones.every(milestone => milestone.completed) &&
+    tasks.every(task => DONE_STATUSES.includes(task.status));
+}
+
+/**
+ * Status change the automation rules call for, as { status, reason }, or
+ * null. Completion wins over inactivity; only active projects are put on hold.
+ */
+function evaluateLifecycle(project, tasks = [], now = new Date()) {
+  if (project.isArchived || !AUTOMATED_STATUSES.includes(project.status)) return null;
+  const rules = project.automation || {};
+
+  if (rules.autoComplete !== false && isProjectDone(project, tasks)) {
+    return { status: 'completed', reason: 'All milestones and tasks are done' };
+  }
+
+  const staleAfterDays = rules.staleAfterDays;
+  if (project.status === 'active' && staleAfterDays > 0) {
+    const lastActivity = lastActivityAt(project, tasks);
+    const idleDays = lastActivity ? Math.floor((now - lastActivity) / DAY_MS) : 0;
+    if (idleDays >= staleAfterDays) {
+      return { status: 'on_hold', reason: `No activity for ${idleDays} days` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Data of a cloned task: dates shifted by `offsetMs`, references to other
+ * tasks of the project remapped through `idMap` (references outside the
+ * project are dropped) and the work state reset to `initialState`
+ */
+function cloneTaskData(task, { offsetMs, idMap, initialState, actor }) {
+  const remap = id => idMap.get(toId(id));
+  const data = {
+    ...pick(task, CLONE_TASK_FIELDS),
+    _id: remap(task._id),
+    assignedBy: actor,
+    deadline: shiftDate(task.deadline, offsetMs),
+    status: initialState.category,
+    workflowState: initialState.key,
+    progress: 0,
+    dependencies: (task.dependencies || []).map(remap).filter(Boolean),
+    subtasks: (task.subtasks || []).map(remap).filter(Boolean),
+    parentTask: task.parentTask ? remap(task.parentTask) : undefined,
+    checklist: (task.checklist || []).map(item => ({
+      title: item.title,
+      assignedTo: item.assignedTo,
+      dueDate: shiftDate(item.dueDate, offsetMs),
+      createdBy: actor
+    }))
+  };
+
+  if (task.recurrence) {
+    const recurrence = task.recurrence.toObject ? task.recurrence.toObject() : { ...task.recurrence };
+    data.recurrence = {
+      ...recurrence,
+      startDate: shiftDate(recurrence.startDate, offsetMs),
+      until: shiftDate(recurrence.until, offsetMs),
+      exceptions: []
+    };
+  }
+  return data;
+}
+
+/**
+ * Copy a project's structure (milestones, tasks, dependencies and workflow)
+ * into a new project starting at `startDate`, owned by `actor`. Time logs,
+ * comments and history are not copied.
+ */
+async function cloneProject(source, { name, code, startDate, actor }) {
+  const sourceStart = source.startDate || source.createdAt;
+  const start = startDate ? new Date(startDate) : new Date();
+  const offsetMs = start.getTime() - new Date(sourceStart).getTime();
+
+  const project = await Project.create({
+    ...pick(source.toObject ? source.toObject() : source, CLONE_PROJECT_FIELDS),
+    name: name || `${source.name} (copy)`,
+    code,
+    manager: actor,
+    members: [{ user: actor, role: 'owner', addedBy: actor }],
+    status: 'planning',
+    startDate: start,
+    endDate: shiftDate(source.endDate, offsetMs),
+    milestones: (source.milestones || []).map(milestone => ({
+      title: milestone.title,
+      description: milestone.description,
+      targetDate: shiftDate(milestone.targetDate, offsetMs)
+    })),
+    clonedFrom: source._id
+  });
+
+  const workflow = await Workflow.findOne({ project: source._id, isActive: true });
+  if (workflow) {
+    await Workflow.create({
+      project: project._id,
+      name: workflow.name,
+      description: workflow.description,
+      version: 1,
+      isActive: true,
+      states: workflow.states,
+      transitions: workflow.transitions,
+      createdBy: actor,
+      changeNote: `Copied from project ${source.name}`
+    });
+  }
+  const initialState = getInitialState(await getProjectWorkflow(project._id));
+
+  // Recurring series are copied once, from the task that holds the rule
+  const tasks = (await Task.find({ project: source._id }))
+    .filter(task => !task.seriesId || toId(task.seriesId) === toId(task._id));
+  const idMap = new Map(tasks.map(task => [toId(task._id), new mongoose.Types.ObjectId()]));
+
+  const copies = tasks.map(task => ({
+    ...cloneTaskData(task, { offsetMs, idMap, initialState, actor }),
+    project: project._id
+  }));
+  copies.forEach(copy => {
+    if (copy.recurrence) copy.seriesId = copy._id;
+  });
+  if (copies.length > 0) {
+    await Task.insertMany(copies);
+  }
+
+  project.tasks = copies.map(copy => copy._id);
+  await project.save();
+
+  logger.info('Project cloned', { sourceId: source._id.toString(), projectId: project._id.toString(), tasks: copies.length });
+  return { project, taskCount: copies.length, offsetDays: Math.round(offsetMs / DAY_MS) };
+}
+
+/**
+ * Evaluate the automation rules of one project and apply the resulting
+ * status change unless `dryRun`. Owners are notified of automatic changes.
+ */
+async function runLifecycleRules(project, { now = new Date(), dryRun = false } = {}) {
+  const tasks = await Task.find({ project: project._id }).select('status updatedAt');
+  const change = evaluateLifecycle(project, tasks, now);
+  if (!change || dryRun) return change;
+
+  const from = project.status;
+  project.status = change.status;
+  project.statusHistory.push({ from, to: change.status, reason: change.reason, automatic: true, changedAt: now });
+  await project.save();
+
+  const recipients = new Set([project.manager, ...project.members
+    .filter(member => member.role === 'owner')
+    .map(member => member.user)].filter(Boolean).map(toId));
+  for (const userId of recipients) {
+    await notifyUser(userId, {
+      type: 'system',
+      title: change.status === 'completed' ? 'Project completed' : 'Project put on hold',
+      message: `Project "${project.name}" moved from ${from} to ${change.status}: ${change.reason}.`,
+      category: 'project',
+      actionUrl: `/projects/${project._id}`
+    });
+  }
+
+  logger.info('Project status changed automatically', { projectId: project._id.toString(), from, to: change.status });
+  return { from, ...change };
+}
+
+/**
+ * Scheduled job: apply the automation rules to every open project
+ */
+async function applyLifecycleRules(now = new Date()) {
+  const projects = await Project.find({
+    isActive: true,
+    isArchived: { $ne: true },
+    status: { $in: AUTOMATED_STATUSES }
+  });
+  let changed = 0;
+
+  for (const project of projects) {
+    try {
+      if (await runLifecycleRules(project, { now })) changed++;
+    } catch (error) {
+      logger.error('Failed to apply lifecycle rules', { projectId: project._id.toString(), error: error.message });
+    }
+  }
+  return { projects: projects.length, changed };
+}
+
+module.exports = {
+  AUTOMATED_STATUSES,
+  shiftDate,
+  lastActivityAt,
+  isProjectDone,
+  evaluateLifecycle,
+  cloneTaskData,
+  cloneProject,
+  runLifecycleRules,
+  applyLifecycleRules
+};
@@ -0,0 +1,203 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on the number of periods scanned while expanding a rule
+const MAX_PERIODS = 5000;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MONTHLY_MODES = ['day_of_month', 'nth_weekday'];
+const SET_POSITIONS = [1, 2, 3, 4, -1];
+
+/**
+ * Calendar day key (UTC) used to compare occurrences and exceptions
+ */
+function dateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Build a UTC date on the given day, keeping the time of day of the series start
+ */
+function atTimeOf(year, month, day, start) {
+  return new Date(Date.UTC(
+    year,
+    month,
+    day,
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds()
+  ));
+}
+
+/**
+ * Day of month of the nth weekday (n = -1 for the last one), or null if the month has none
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  const totalDays = daysInMonth(year, month);
+
+  if (n === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month, totalDays)).getUTCDay();
+    return totalDays - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  return day <= totalDays ? day : null;
+}
+
+/**
+ * Candidate dates for one period (day, week or month) of the rule
+ */
+function candidatesForPeriod(rule, start, offset) {
+  if (rule.frequency === 'daily') {
+    return [new Date(start.getTime() + offset * DAY_MS)];
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+      ? [...new Set(rule.byWeekday)].sort((a, b) => a - b)
+      : [start.getUTCDay()];
+    const weekStart = new Date(start.getTime() - start.getUTCDay() * DAY_MS + offset * 7 * DAY_MS);
+    return weekdays.map(weekday => new Date(weekStart.getTime() + weekday * DAY_MS));
+  }
+
+  const monthIndex = start.getUTCMonth() + offset;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+
+  if (rule.monthlyMode === 'nth_weekday') {
+    const weekday = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday[0] : start.getUTCDay();
+    const position = rule.bySetPos || Math.ceil(start.getUTCDate() / 7);
+    const day = nthWeekdayOfMonth(year, month, weekday, position > 4 ? -1 : position);
+    return day ? [atTimeOf(year, month, day, start)] : [];
+  }
+
+  // Days past the end of a short month fall on its last day (e.g. the 31st in April is the 30th)
+  const day = Math.min(rule.byMonthDay || start.getUTCDate(), daysInMonth(year, month));
+  return [atTimeOf(year, month, day, start)];
+}
+
+/**
+ * Whether an occurrence date was skipped via the rule's exceptions
+ */
+function isSkipped(rule, date) {
+  const key = dateKey(date);
+  return (rule.exceptions || []).some(exception => dateKey(exception) === key);
+}
+
+/**
+ * Expand a rule into its occurrences in order. Skipped occurrences are still
+ * yielded (flagged) because, as in RFC 5545, they count toward `count`.
+ */
+function* iterateOccurrences(rule) {
+  const start = new Date(rule.startDate);
+  const interval = Math.max(1, rule.interval || 1);
+  const untilKey = rule.until ? dateKey(rule.until) : null;
+  let index = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const candidates = candidatesForPeriod(rule, start, period * interval);
+
+    for (const date of candidates) {
+      if (date < start) continue;
+      if (untilKey && dateKey(date) > untilKey) return;
+
+      index++;
+      if (rule.count && index > rule.count) return;
+
+      yield { date, index, skipped: isSkipped(rule, date) };
+    }
+  }
+}
+
+/**
+ * First non-skipped occurrence strictly after the given date, or null when the series has ended
+ */
+function nextOccurrence(rule, after) {
+  const afterTime = after ? new Date(after).getTime() : -Infinity;
+
+  for (const occurrence of iterateOccurrences(rule)) {
+    if (occurrence.date.getTime() > afterTime && !occurrence.skipped) {
+      return occurrence;
+    }
+  }
+  return null;
+}
+
+/**
+ * Upcoming occurrences after the given date, including skipped ones
+ */
+function upcomingOccurrences(rule, after, limit = 5) {
+  const afterTime = after ? new Date(after).getTime() : -Infinity;
+  const occurrences = [];
+
+  for (const occurrence of iterateOccurrences(rule)) {
+    if (occurrence.date.getTime() <= afterTime) continue;
+    occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+  return occurrences;
+}
+
+/**
+ * Validate a recurrence rule, returning a list of error messages
+ */
+function validateRecurrenceRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Recurrence rule must be an object'];
+  }
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) {
+    errors.push('Interval must be a positive integer');
+  }
+  if (!rule.startDate || isNaN(new Date(rule.startDate).getTime())) {
+    errors.push('A valid start date is required');
+  }
+  if (rule.byWeekday !== undefined) {
+    const weekdays = Array.isArray(rule.byWeekday) ? rule.byWeekday : [rule.byWeekday];
+    if (!weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      errors.push('Weekdays must be integers from 0 (Sunday) to 6 (Saturday)');
+    }
+  }
+  if (rule.monthlyMode !== undefined && !MONTHLY_MODES.includes(rule.monthlyMode)) {
+    errors.push(`Monthly mode must be one of: ${MONTHLY_MODES.join(', ')}`);
+  }
+  if (rule.byMonthDay !== undefined && !(Number.isInteger(rule.byMonthDay) && rule.byMonthDay >= 1 && rule.byMonthDay <= 31)) {
+    errors.push('Day of month must be between 1 and 31');
+  }
+  if (rule.bySetPos !== undefined && !SET_POSITIONS.includes(rule.bySetPos)) {
+    errors.push('Weekday position must be 1, 2, 3, 4 or -1 (last)');
+  }
+  if (rule.until !== undefined && rule.until !== null && isNaN(new Date(rule.until).getTime())) {
+    errors.push('End date must be a valid date');
+  }
+  if (rule.count !== undefined && rule.count !== null && !(Number.isInteger(rule.count) && rule.count >= 1)) {
+    errors.push('Count must be a positive integer');
+  }
+  if (rule.until && rule.count) {
+    errors.push('Use either an end date or a count, not both');
+  }
+  if (rule.leadTimeDays !== undefined && !(typeof rule.leadTimeDays === 'number' && rule.leadTimeDays >= 0)) {
+    errors.push('Lead time must be zero or more days');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DAY_MS,
+  dateKey,
+  nthWeekdayOfMonth,
+  isSkipped,
+  iterateOccurrences,
+  nextOccurrence,
+  upcomingOccurrences,
+  validateRecurrenceRule
+};
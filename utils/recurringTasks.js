@@ -0,0 +1,270 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Logger = require('./logger');
+const { DAY_MS, dateKey, nextOccurrence } = require('./recurrence');
+const { snapshotTask, recordTaskChange, recordTaskDiff } = require('./taskHistory');
+const { getProjectWorkflow, getInitialState } = require('./workflow');
+const { emitToUser, emitToTeam, emitNotification } = require('../socket');
+
+const logger = new Logger('RECURRING_TASKS');
+
+// Fields copied from the series template onto each new occurrence
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'assignedTo',
+  'assignedBy',
+  'priority',
+  'estimatedHours',
+  'tags',
+  'category',
+  'project',
+  'team',
+  'department',
+  'complexity',
+  'risk',
+  'industryTemplate'
+];
+
+// Statuses after which the next occurrence is created immediately
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Maximum occurrences created for one series in a single catch-up run
+const MAX_CATCH_UP = 31;
+
+/**
+ * Turn a task into the first occurrence of a new series
+ */
+function startSeries(task, rule) {
+  const startDate = rule.startDate || task.deadline || new Date();
+
+  task.recurrence = { ...rule, startDate };
+  task.seriesId = task._id;
+  task.occurrenceDate = new Date(startDate);
+  task.occurrenceIndex = 1;
+  task.isRecurrenceException = false;
+  if (!task.deadline) task.deadline = new Date(startDate);
+
+  return task;
+}
+
+/**
+ * Create one occurrence of a series from its template task, in the initial
+ * state of its project's workflow
+ */
+async function createOccurrence(template, occurrence) {
+  const data = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (template[field] !== undefined) data[field] = template[field];
+  });
+
+  // Keep the template's distance between occurrence date and deadline
+  const deadlineOffset = template.deadline && template.occurrenceDate
+    ? new Date(template.deadline) - new Date(template.occurrenceDate)
+    : 0;
+  const initialState = getInitialState(await getProjectWorkflow(template.project));
+
+  const task = new Task({
+    ...data,
+    recurrence: template.recurrence,
+    seriesId: template.seriesId,
+    occurrenceDate: occurrence.date,
+    occurrenceIndex: occurrence.index,
+    deadline: new Date(occurrence.date.getTime() + deadlineOffset),
+    status: initialState.category,
+    workflowState: initialState.key,
+    progress: 0
+  });
+
+  try {
+    await task.save();
+  } catch (error) {
+    // Another run already created this occurrence
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await recordTaskChange(task._id, {
+    action: 'created',
+    source: 'system',
+    changes: [{ field: 'occurrenceDate', from: null, to: occurrence.date.toISOString() }],
+    metadata: { seriesId: template.seriesId, occurrenceIndex: occurrence.index }
+  });
+
+  if (task.assignedTo) {
+    emitToUser(task.assignedTo, 'task-created', task);
+    emitNotification(task.assignedTo, {
+      title: 'Recurring Task Created',
+      message: `New occurrence of "${task.title}" is due ${dateKey(task.deadline)}`,
+      type: 'info',
+      actionUrl: `/tasks/${task._id}`
+    });
+  }
+  if (task.team) {
+    emitToTeam(task.team, 'task-created', task);
+  }
+
+  logger.info('Occurrence created', { seriesId: template.seriesId.toString(), occurrenceIndex: occurrence.index });
+  return task;
+}
+
+/**
+ * Create the next occurrence of a series if it is due: either the latest
+ * occurrence is closed, or the next occurrence's lead-time window has opened.
+ */
+async function generateNextOccurrence(seriesId, now = new Date()) {
+  const latest = await Task.findOne({ seriesId }).sort({ occurrenceDate: -1 });
+  if (!latest || !latest.recurrence) return null;
+
+  const next = nextOccurrence(latest.recurrence, latest.occurrenceDate);
+  if (!next) return null;
+
+  const leadTime = (latest.recurrence.leadTimeDays || 0) * DAY_MS;
+  const windowOpen = next.date.getTime() - leadTime <= now.getTime();
+  if (!windowOpen && !CLOSED_STATUSES.includes(latest.status)) return null;
+
+  const template = await Task.findOne({ seriesId, isRecurrenceException: { $ne: true } })
+    .sort({ occurrenceDate: -1 });
+  return createOccurrence(template || latest, next);
+}
+
+/**
+ * Scheduled job: create every occurrence whose window has opened. Series in
+ * archived or deleted projects are left alone.
+ */
+async function generateDueOccurrences(now = new Date()) {
+  const closedProjectIds = await Project.find({ $or: [{ isArchived: true }, { isActive: false }] }).distinct('_id');
+  const seriesIds = await Task.distinct('seriesId', {
+    recurrence: { $exists: true },
+    project: { $nin: closedProjectIds }
+  });
+  let created = 0;
+
+  for (const seriesId of seriesIds) {
+    try {
+      for (let i = 0; i < MAX_CATCH_UP; i++) {
+        const task = await generateNextOccurrence(seriesId, now);
+        if (!task) break;
+        created++;
+      }
+    } catch (error) {
+      logger.error('Failed to generate occurrence', { seriesId: seriesId.toString(), error: error.message });
+    }
+  }
+
+  return { series: seriesIds.length, created };
+}
+
+/**
+ * Called when an occurrence is completed or cancelled
+ */
+async function handleOccurrenceClosed(task) {
+  if (!task.seriesId || !CLOSED_STATUSES.includes(task.status)) return null;
+
+  try {
+    return await generateNextOccurrence(task.seriesId);
+  } catch (error) {
+    logger.error('Failed to generate next occurrence', { taskId: task._id.toString(), error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Apply template field updates to later occurrences that still follow the series
+ */
+async function updateFutureOccurrences(task, updates, actor) {
+  const fields = Object.keys(updates).filter(field => TEMPLATE_FIELDS.includes(field));
+  if (!task.seriesId || fields.length === 0) return [];
+
+  const future = await Task.find({
+    seriesId: task.seriesId,
+    occurrenceDate: { $gt: task.occurrenceDate },
+    status: { $nin: CLOSED_STATUSES },
+    isRecurrenceException: { $ne: true }
+  });
+
+  for (const occurrence of future) {
+    const before = snapshotTask(occurrence);
+    fields.forEach(field => {
+      occurrence[field] = updates[field];
+    });
+    await occurrence.save();
+    await recordTaskDiff(before, occurrence, { actor, note: 'Series update', metadata: { fromTask: task._id } });
+  }
+
+  return future;
+}
+
+/**
+ * Change the schedule from this occurrence onward. Earlier occurrences keep
+ * the old rule (ended the day before), untouched later occurrences are removed
+ * and regenerated under the new rule. Passing a null rule ends the series here.
+ */
+async function rescheduleFromOccurrence(task, rule, actor) {
+  const previousRule = task.recurrence ? task.recurrence.toObject() : null;
+
+  if (task.seriesId) {
+    const dayBefore = new Date(task.occurrenceDate.getTime() - DAY_MS);
+    await Task.updateMany(
+      { seriesId: task.seriesId, _id: { $ne: task._id } },
+      { $set: { 'recurrence.until': dayBefore }, $unset: { 'recurrence.count': '' } }
+    );
+
+    const laterFilter = { seriesId: task.seriesId, occurrenceDate: { $gt: task.occurrenceDate } };
+    await Task.deleteMany({ ...laterFilter, status: 'pending', progress: 0, isRecurrenceException: { $ne: true } });
+    await Task.updateMany(laterFilter, { $set: { isRecurrenceException: true } });
+  }
+
+  if (rule) {
+    startSeries(task, { ...rule, startDate: rule.startDate || task.occurrenceDate || task.deadline });
+  } else if (task.recurrence) {
+    task.recurrence.until = task.occurrenceDate;
+    task.recurrence.count = undefined;
+  }
+
+  await task.save();
+
+  await recordTaskChange(task._id, {
+    actor,
+    action: 'updated',
+    changes: [{ field: 'recurrence', from: previousRule, to: task.recurrence ? task.recurrence.toObject() : null }]
+  });
+
+  if (rule) {
+    await generateNextOccurrence(task.seriesId);
+  }
+  return task;
+}
+
+/**
+ * Skip one occurrence date of a series, cancelling it if it was already created
+ */
+async function skipOccurrence(task, date, actor) {
+  const skipDate = new Date(date);
+
+  await Task.updateMany({ seriesId: task.seriesId }, { $addToSet: { 'recurrence.exceptions': skipDate } });
+
+  const existing = await Task.find({ seriesId: task.seriesId, status: { $nin: CLOSED_STATUSES } });
+  const cancelled = existing.find(occurrence => occurrence.occurrenceDate && dateKey(occurrence.occurrenceDate) === dateKey(skipDate));
+
+  if (cancelled) {
+    const before = snapshotTask(cancelled);
+    cancelled.status = 'cancelled';
+    await cancelled.save();
+    await recordTaskDiff(before, cancelled, { actor, note: 'Occurrence skipped' });
+    await handleOccurrenceClosed(cancelled);
+  }
+
+  return cancelled || null;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  startSeries,
+  generateNextOccurrence,
+  generateDueOccurrences,
+  handleOccurrenceClosed,
+  updateFutureOccurrences,
+  rescheduleFromOccurrence,
+  skipOccurrence
+};
@@ -0,0 +1,186 @@
+const User = require('../models/User');
+const { Reward, RewardRedemption } = require('../models/Reward');
+const Logger = require('./logger');
+const { notifyUser } = require('./notifications');
+const { awardPoints } = require('./gamification');
+
+const logger = new Logger('REWARDS');
+
+// Redemptions that count towards a reward's per-user limit
+const ACTIVE_REDEMPTION_STATUSES = ['pending', 'approved', 'fulfilled'];
+
+// Status changes allowed on a redemption, by action
+const REDEMPTION_TRANSITIONS = {
+  approve: { from: ['pending'], to: 'approved' },
+  reject: { from: ['pending'], to: 'rejected' },
+  cancel: { from: ['pending'], to: 'cancelled' },
+  fulfil: { from: ['approved'], to: 'fulfilled' }
+};
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+const redemptionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Whether a user may approve or reject a redemption requested by
+ * `requester`: admins always, managers for their direct reports, and any
+ * manager when the requester has no manager. Nobody decides their own.
+ */
+function canDecideRedemption(user, requester) {
+  if (toId(user) === toId(requester)) return false;
+  if (user.role === 'admin') return true;
+  if (user.role !== 'manager') return false;
+  return !requester.manager || toId(requester.manager) === toId(user);
+}
+
+/**
+ * Whether a user may still redeem a reward, given how many of their
+ * redemptions of it are active
+ */
+function withinUserLimit(reward, activeCount) {
+  return !reward.perUserLimit || activeCount < reward.perUserLimit;
+}
+
+// Give back a unit of stock taken for a redemption
+const releaseStock = (reward) => (reward.stock === null || reward.stock === undefined
+  ? Promise.resolve()
+  : Reward.updateOne({ _id: reward._id }, { $inc: { stock: 1 } }));
+
+/**
+ * Users who should be asked to approve a redemption: the requester's
+ * manager, or every active admin when they have none
+ */
+async function approversFor(requester) {
+  if (requester.manager) return [requester.manager];
+  return User.find({ role: 'admin', isActive: true }).distinct('_id');
+}
+
+/**
+ * Redeem a reward for a user. Stock and points are taken atomically, so
+ * concurrent requests can neither oversell the reward nor overspend the
+ * balance; the per-user limit is checked after the request is stored so
+ * that concurrent requests see each other. Throws with error.code
+ * REWARD_NOT_FOUND, OUT_OF_STOCK, REDEMPTION_LIMIT or INSUFFICIENT_POINTS.
+ */
+async function redeemReward(user, rewardId, { note } = {}) {
+  const reward = await Reward.findOne({ _id: rewardId, isActive: true });
+  if (!reward) throw redemptionError('Reward not found', 'REWARD_NOT_FOUND');
+
+  if (reward.stock !== null && reward.stock !== undefined) {
+    const reserved = await Reward.updateOne({ _id: reward._id, stock: { $gt: 0 } }, { $inc: { stock: -1 } });
+    if (reserved.modifiedCount === 0) throw redemptionError('Reward is out of stock', 'OUT_OF_STOCK');
+  }
+
+  const redemption = await RewardRedemption.create({ user: user._id, reward: reward._id, cost: reward.cost, note });
+  try {
+    const activeCount = await RewardRedemption.countDocuments({
+      user: user._id,
+      reward: reward._id,
+      status: { $in: ACTIVE_REDEMPTION_STATUSES },
+      _id: { $ne: redemption._id }
+    });
+    if (!withinUserLimit(reward, activeCount)) {
+      throw redemptionError(`You can redeem this reward at most ${reward.perUserLimit} times`, 'REDEMPTION_LIMIT');
+    }
+
+    const { transaction } = await awardPoints(user._id, {
+      amount: -reward.cost,
+      type: 'spent',
+      source: 'reward',
+      reason: `Redeemed "${reward.name}"`,
+      relatedEntity: { type: 'reward_redemption', id: redemption._id },
+      idempotencyKey: `redemption:${redemption._id}`
+    });
+    redemption.transaction = transaction._id;
+  } catch (error) {
+    await RewardRedemption.deleteOne({ _id: redemption._id });
+    await releaseStock(reward);
+    throw error;
+  }
+
+  if (!reward.requiresApproval) {
+    redemption.status = 'approved';
+    redemption.decidedAt = new Date();
+  }
+  await redemption.save();
+
+  if (reward.requiresApproval) {
+    const requester = await User.findById(user._id).select('manager');
+    for (const approverId of await approversFor(requester)) {
+      await notifyUser(approverId, {
+        type: 'system',
+        title: 'Reward redemption awaiting approval',
+        message: `${user.name} wants to redeem "${reward.name}" for ${reward.cost} points.`,
+        category: 'rewards',
+        actionUrl: '/rewards/redemptions/pending'
+      });
+    }
+  }
+
+  logger.info('Reward redeemed', { userId: toId(user), rewardId: toId(reward), redemptionId: toId(redemption) });
+  return { redemption, reward };
+}
+
+/**
+ * Move a redemption through approve, reject, cancel or fulfil. The status
+ * change is conditional on the current status, so a redemption is only
+ * ever decided once; rejected and cancelled redemptions are refunded and
+ * their stock released. Returns null when the redemption was not in a
+ * status the action applies to.
+ */
+async function updateRedemption(redemption, action, actor, note) {
+  const transition = REDEMPTION_TRANSITIONS[action];
+  const now = new Date();
+  const changes = { status: transition.to };
+  if (action === 'fulfil') {
+    Object.assign(changes, { fulfilledBy: actor._id, fulfilledAt: now });
+  } else {
+    Object.assign(changes, { decidedBy: actor._id, decidedAt: now, decisionNote: note });
+  }
+
+  const updated = await RewardRedemption.findOneAndUpdate(
+    { _id: redemption._id, status: { $in: transition.from } },
+    { $set: changes },
+    { new: true }
+  ).populate('reward', 'name cost stock');
+  if (!updated) return null;
+
+  if (['rejected', 'cancelled'].includes(updated.status)) {
+    const { transaction } = await awardPoints(updated.user, {
+      amount: updated.cost,
+      type: 'refund',
+      source: 'reward',
+      reason: `Refund for "${updated.reward ? updated.reward.name : 'reward'}" (${updated.status})`,
+      relatedEntity: { type: 'reward_redemption', id: updated._id },
+      idempotencyKey: `redemption-refund:${updated._id}`
+    });
+    updated.refundTransaction = transaction._id;
+    await updated.save();
+    if (updated.reward) await releaseStock(updated.reward);
+  }
+
+  if (toId(updated.user) !== toId(actor)) {
+    const rewardName = updated.reward ? updated.reward.name : 'a reward';
+    await notifyUser(updated.user, {
+      type: 'system',
+      title: `Reward redemption ${updated.status}`,
+      message: `Your redemption of "${rewardName}" was ${updated.status}${note ? `: ${note}` : '.'}`,
+      category: 'rewards',
+      actionUrl: '/rewards/redemptions'
+    });
+  }
+  return updated;
+}
+
+module.exports = {
+  ACTIVE_REDEMPTION_STATUSES,
+  REDEMPTION_TRANSITIONS,
+  canDecideRedemption,
+  withinUserLimit,
+  redeemReward,
+  updateRedemption
+};
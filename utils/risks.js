@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const Task = require('../models/Task');
+
+// Rating scale shared by probability and impact, lowest first
+const RISK_RATINGS = ['very_low', 'low', 'medium', 'high', 'very_high'];
+
+// Allowed status changes; reopening needs a comment like any other change
+const RISK_TRANSITIONS = {
+  open: ['mitigated', 'closed'],
+  mitigated: ['closed', 'open'],
+  closed: ['open']
+};
+
+const RISK_FIELDS = ['title', 'description', 'category', 'probability', 'impact', 'owner', 'mitigation', 'mitigationTasks', 'reviewDate'];
+
+/**
+ * Probability x impact on a 1-25 scale, or null when either is unrated
+ */
+function riskScore(probability, impact) {
+  const p = RISK_RATINGS.indexOf(probability) + 1;
+  const i = RISK_RATINGS.indexOf(impact) + 1;
+  return p > 0 && i > 0 ? p * i : null;
+}
+
+/**
+ * Severity band of a score
+ */
+function riskLevel(score) {
+  if (score == null) return null;
+  if (score >= 15) return 'critical';
+  if (score >= 10) return 'high';
+  if (score >= 5) return 'medium';
+  return 'low';
+}
+
+/**
+ * Validate risk fields; `partial` skips required checks for updates.
+ * Returns a list of error messages.
+ */
+function validateRisk(data, { partial = false } = {}) {
+  const errors = [];
+  if (!partial && !data.title) errors.push('Title is required');
+  ['probability', 'impact'].forEach(field => {
+    if (!partial && !data[field]) errors.push(`${field} is required`);
+    if (data[field] && !RISK_RATINGS.includes(data[field])) {
+      errors.push(`${field} must be one of: ${RISK_RATINGS.join(', ')}`);
+    }
+  });
+  if (data.reviewDate && isNaN(new Date(data.reviewDate).getTime())) errors.push('Invalid review date');
+  if (data.mitigationTasks !== undefined && !Array.isArray(data.mitigationTasks)) {
+    errors.push('mitigationTasks must be an array of task ids');
+  }
+  return errors;
+}
+
+/**
+ * Whether a risk may move from one status to another
+ */
+function canTransitionRisk(from, to) {
+  return (RISK_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Mitigation task ids that are not tasks of the project, malformed ids included
+ */
+async function findMissingTasks(taskIds = [], projectId) {
+  if (taskIds.length === 0) return [];
+  const valid = taskIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const found = await Task.find({ _id: { $in: valid }, project: projectId }).distinct('_id');
+  const existing = new Set(found.map(String));
+  return taskIds.filter(id => !existing.has(id.toString()));
+}
+
+/**
+ * Departments headed by the user, including their sub-departments
+ */
+async function headedDepartmentIds(userId) {
+  const ids = new Set((await Department.find({ head: userId }).distinct('_id')).map(String));
+  let frontier = [...ids];
+  while (frontier.length > 0) {
+    const children = await Department.find({ parentDepartment: { $in: frontier } }).distinct('_id');
+    frontier = children.map(String).filter(id => !ids.has(id));
+    frontier.forEach(id => ids.add(id));
+  }
+  return [...ids];
+}
+
+/**
+ * Probability x impact grid of open risks across projects, with the highest
+ * scoring risks listed first
+ */
+function buildHeatMap(projects, { limit = 20 } = {}) {
+  const matrix = RISK_RATINGS.map(() => RISK_RATINGS.map(() => 0));
+  const risks = [];
+
+  projects.forEach(project => {
+    (project.risks || []).filter(risk => risk.status === 'open').forEach(risk => {
+      const p = RISK_RATINGS.indexOf(risk.probability);
+      const i = RISK_RATINGS.indexOf(risk.impact);
+      if (p === -1 || i === -1) return;
+
+      matrix[p][i]++;
+      const score = riskScore(risk.probability, risk.impact);
+      risks.push({
+        riskId: risk._id,
+        title: risk.title || risk.description,
+        project: { _id: project._id, name: project.name, department: project.department || null },
+        probability: risk.probability,
+        impact: risk.impact,
+        score,
+        level: riskLevel(score),
+        owner: risk.owner || null,
+        reviewDate: risk.reviewDate || null
+      });
+    });
+  });
+
+  risks.sort((a, b) => b.score - a.score ||
+    (a.reviewDate ? new Date(a.reviewDate).getTime() : Infinity) - (b.reviewDate ? new Date(b.reviewDate).getTime() : Infinity));
+
+  return {
+    ratings: RISK_RATINGS,
+    matrix, // matrix[probability][impact]
+    totalOpen: risks.length,
+    topRisks: risks.slice(0, limit)
+  };
+}
+
+module.exports = {
+  RISK_RATINGS,
+  RISK_TRANSITIONS,
+  RISK_FIELDS,
+  riskScore,
+  riskLevel,
+  validateRisk,
+  canTransitionRisk,
+  findMissingTasks,
+  headedDepartmentIds,
+  buildHeatMap
+};
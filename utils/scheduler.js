@@ -0,0 +1,107 @@
+const { CronJob } = require('cron');
+const Logger = require('./logger');
+
+const logger = new Logger('SCHEDULER');
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a background job on a cron schedule (evaluated in UTC)
+   */
+  register(name, cronTime, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    const entry = {
+      name,
+      cronTime,
+      handler,
+      running: false,
+      lastRunAt: null,
+      lastDuration: null,
+      lastError: null,
+      cronJob: new CronJob(cronTime, () => this.run(name), null, false, 'UTC')
+    };
+
+    this.jobs.set(name, entry);
+    if (this.started) entry.cronJob.start();
+
+    logger.info('Job registered', { name, cronTime });
+    return entry;
+  }
+
+  /**
+   * Run a job immediately. Overlapping runs of the same job are skipped.
+   */
+  async run(name) {
+    const entry = this.jobs.get(name);
+    if (!entry) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (entry.running) {
+      logger.warn('Job still running, skipping this tick', { name });
+      return null;
+    }
+
+    entry.running = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await entry.handler();
+      entry.lastError = null;
+      logger.info('Job completed', { name, duration: `${Date.now() - startTime}ms` });
+      return result;
+    } catch (error) {
+      entry.lastError = error.message;
+      logger.error('Job failed', { name, error: error.message, stack: error.stack });
+      return null;
+    } finally {
+      entry.running = false;
+      entry.lastRunAt = new Date(startTime);
+      entry.lastDuration = Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    this.jobs.forEach(entry => entry.cronJob.start());
+    this.started = true;
+    logger.info('Scheduler started', { jobs: Array.from(this.jobs.keys()) });
+  }
+
+  /**
+   * Stop all registered jobs
+   */
+  stop() {
+    this.jobs.forEach(entry => entry.cronJob.stop());
+    this.started = false;
+    logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Get the status of every registered job
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(entry => ({
+      name: entry.name,
+      cronTime: entry.cronTime,
+      running: entry.running,
+      lastRunAt: entry.lastRunAt,
+      lastDuration: entry.lastDuration,
+      lastError: entry.lastError
+    }));
+  }
+}
+
+// Create singleton instance
+const scheduler = new Scheduler();
+
+module.exports = scheduler;
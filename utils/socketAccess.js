@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const Logger = require('./logger');
+const { getProjectRole, roleAllows } = require('./projectAccess');
+
+const logger = new Logger('SOCKET_ACCESS');
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+/**
+ * Whether a socket user may follow a task's room, by the same rules as
+ * reading its comments: project tasks need view access to the project (or
+ * being the assignee); other tasks are open to admins, managers, the
+ * assignee and members of the task's team
+ */
+async function canJoinTask(user, taskId) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(taskId)) return false;
+    const task = await Task.findById(taskId).select('project team assignedTo');
+    if (!task) return false;
+    if (isSameUser(task.assignedTo, user)) return true;
+
+    if (task.project) {
+      const project = await Project.findById(task.project).select('manager members stakeholders');
+      return roleAllows(getProjectRole(project, user), 'view');
+    }
+    if (user.role === 'admin' || user.role === 'manager') return true;
+    return !!task.team && !!(await Team.exists({ _id: task.team, members: user._id }));
+  } catch (error) {
+    logger.error('Task room access check failed', { taskId: String(taskId), error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Whether a socket user may follow a board room ('project:<id>' or
+ * 'team:<id>'), by the same rules as viewing the board: project boards
+ * need view access to the project, team boards are open to admins,
+ * managers, the team's manager and lead, and its members
+ */
+async function canJoinBoard(user, boardId) {
+  try {
+    const [scopeType, scopeId] = String(boardId).split(':');
+    if (!mongoose.Types.ObjectId.isValid(scopeId)) return false;
+
+    if (scopeType === 'project') {
+      const project = await Project.findById(scopeId).select('manager members stakeholders');
+      return !!project && roleAllows(getProjectRole(project, user), 'view');
+    }
+    if (scopeType === 'team') {
+      const team = await Team.findById(scopeId).select('manager lead members');
+      if (!team) return false;
+      if (user.role === 'admin' || user.role === 'manager') return true;
+      return [team.manager, team.lead, ...(team.members || [])].some(id => isSameUser(id, user));
+    }
+    return false;
+  } catch (error) {
+    logger.error('Board room access check failed', { boardId: String(boardId), error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  canJoinTask,
+  canJoinBoard
+};
@@ -0,0 +1,335 @@
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const { DAY_MS } = require('./recurrence');
+const { DONE_STATUSES } = require('./taskDependencies');
+
+const DEFAULT_VELOCITY_SPRINTS = 3;
+
+const SPRINT_TASK_FIELDS = 'title status storyPoints estimatedHours assignedTo completedAt sprint';
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const round = value => Math.round(value * 100) / 100;
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Estimate points of a task: its story points, or its estimated hours when
+ * it has not been pointed
+ */
+function taskPoints(task) {
+  if (task.storyPoints != null) return task.storyPoints;
+  return task.estimatedHours || 0;
+}
+
+/**
+ * Monday to Friday days between two dates, both included
+ */
+function workingDays(start, end) {
+  let count = 0;
+  const last = new Date(end);
+  for (let day = startOfDay(start); day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) count++;
+  }
+  return count;
+}
+
+/**
+ * Validate sprint fields; `partial` skips required checks for updates.
+ * Returns a list of error messages.
+ */
+function validateSprint({ name, startDate, endDate, capacity } = {}, { partial = false } = {}) {
+  const errors = [];
+  if (!partial && !name) errors.push('Name is required');
+  if (!partial && (!startDate || !endDate)) errors.push('Start and end dates are required');
+
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+    errors.push('Invalid sprint dates');
+  } else if (start && end && end < start) {
+    errors.push('End date must be on or after the start date');
+  }
+
+  if (capacity !== undefined) {
+    if (!Array.isArray(capacity)) {
+      errors.push('Capacity must be an array');
+    } else {
+      const users = new Set();
+      capacity.forEach((entry, index) => {
+        if (!entry || !entry.user) errors.push(`Capacity ${index}: user is required`);
+        else if (users.has(entry.user.toString())) errors.push(`Capacity ${index}: duplicate user`);
+        else users.add(entry.user.toString());
+        if (entry && entry.hoursPerDay != null && !(entry.hoursPerDay >= 0 && entry.hoursPerDay <= 24)) {
+          errors.push(`Capacity ${index}: hours per day must be between 0 and 24`);
+        }
+        if (entry && entry.daysOff != null && !(entry.daysOff >= 0)) {
+          errors.push(`Capacity ${index}: days off cannot be negative`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Hours each member can work in the sprint next to the estimated hours of
+ * the tasks assigned to them
+ */
+function summarizeCapacity(sprint, tasks) {
+  const days = workingDays(sprint.startDate, sprint.endDate);
+  const active = activeTaskIds(sprint);
+  const committed = new Map();
+  let unassignedHours = 0;
+
+  tasks.filter(task => active.has(toId(task))).forEach(task => {
+    const hours = task.estimatedHours || 0;
+    if (!task.assignedTo) {
+      unassignedHours += hours;
+      return;
+    }
+    const userId = toId(task.assignedTo);
+    committed.set(userId, (committed.get(userId) || 0) + hours);
+  });
+
+  const members = sprint.capacity.map(entry => {
+    const capacityHours = round(entry.hoursPerDay * Math.max(0, days - (entry.daysOff || 0)));
+    const committedHours = round(committed.get(toId(entry.user)) || 0);
+    return {
+      user: entry.user,
+      hoursPerDay: entry.hoursPerDay,
+      daysOff: entry.daysOff || 0,
+      capacityHours,
+      committedHours,
+      utilization: capacityHours > 0 ? Math.round((committedHours / capacityHours) * 100) : null
+    };
+  });
+
+  const totalCapacity = members.reduce((sum, member) => sum + member.capacityHours, 0);
+  const totalCommitted = [...committed.values()].reduce((sum, hours) => sum + hours, 0) + unassignedHours;
+  return {
+    workingDays: days,
+    members,
+    totalCapacityHours: round(totalCapacity),
+    totalCommittedHours: round(totalCommitted),
+    unassignedHours: round(unassignedHours)
+  };
+}
+
+/**
+ * Ids of the tasks currently in the sprint (not removed)
+ */
+function activeTaskIds(sprint) {
+  return new Set(sprint.tasks.filter(item => !item.removedAt).map(item => toId(item.task)));
+}
+
+/**
+ * Daily burndown and burnup series. For each day: scope (points in the
+ * sprint by the end of the day), completed points, remaining points and the
+ * ideal remaining line from the scope at the start down to zero. Days after
+ * `now` (or after the sprint closed) have no actual values.
+ */
+function buildBurnSeries(sprint, tasks, now = new Date()) {
+  const byId = new Map(tasks.map(task => [toId(task), task]));
+  const cutoff = sprint.closedAt && sprint.closedAt < now ? sprint.closedAt : now;
+  const first = startOfDay(sprint.startDate);
+  const last = startOfDay(sprint.endDate);
+  const totalDays = Math.round((last - first) / DAY_MS);
+
+  const pointsAt = (dayEnd) => {
+    let scope = 0;
+    let completed = 0;
+    sprint.tasks.forEach(item => {
+      const task = byId.get(toId(item.task));
+      if (!task) return;
+      const inScope = new Date(item.addedAt) <= dayEnd && (!item.removedAt || new Date(item.removedAt) > dayEnd);
+      if (!inScope) return;
+
+      const points = taskPoints(task);
+      scope += points;
+      if (task.status === 'completed' && task.completedAt && new Date(task.completedAt) <= dayEnd) {
+        completed += points;
+      }
+    });
+    return { scope, completed };
+  };
+
+  const startScope = pointsAt(new Date(first.getTime() + DAY_MS - 1)).scope;
+  const series = [];
+  for (let index = 0; index <= totalDays; index++) {
+    const date = new Date(first.getTime() + index * DAY_MS);
+    const ideal = round(totalDays > 0 ? startScope * (1 - index / totalDays) : 0);
+
+    if (date > cutoff) {
+      series.push({ date, scope: null, completed: null, remaining: null, ideal });
+      continue;
+    }
+    const { scope, completed } = pointsAt(new Date(date.getTime() + DAY_MS - 1));
+    series.push({ date, scope: round(scope), completed: round(completed), remaining: round(scope - completed), ideal });
+  }
+  return series;
+}
+
+/**
+ * Committed and completed points of closed sprints, oldest first, and the
+ * average completed points over the last `count` of them
+ */
+function computeVelocity(sprints, count = DEFAULT_VELOCITY_SPRINTS) {
+  const closed = sprints
+    .filter(sprint => sprint.status === 'closed')
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+    .map(sprint => ({
+      sprint: sprint._id,
+      name: sprint.name,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate,
+      committedPoints: sprint.committedPoints || 0,
+      completedPoints: sprint.completedPoints || 0
+    }));
+
+  const recent = closed.slice(-count);
+  const average = recent.length > 0
+    ? round(recent.reduce((sum, sprint) => sum + sprint.completedPoints, 0) / recent.length)
+    : null;
+  return { sprints: closed, average, basedOn: recent.length };
+}
+
+const loadSprintTasks = (sprint) =>
+  Task.find({ _id: { $in: sprint.tasks.map(item => item.task) } }).select(SPRINT_TASK_FIELDS);
+
+/**
+ * Load the project tasks to put in a sprint (`sprintId` is null for a sprint
+ * not created yet). Throws when some are not in the project or belong to
+ * another sprint.
+ */
+async function findSprintTasks(projectId, taskIds, sprintId = null) {
+  const tasks = await Task.find({ _id: { $in: taskIds }, project: projectId });
+  const foreign = taskIds.filter(id => !tasks.some(task => toId(task) === id.toString()));
+  if (foreign.length > 0) {
+    const error = new Error('Tasks not found in this project');
+    error.code = 'UNKNOWN_TASKS';
+    error.taskIds = foreign;
+    throw error;
+  }
+
+  const busy = tasks.filter(task => task.sprint && (!sprintId || toId(task.sprint) !== toId(sprintId)));
+  if (busy.length > 0) {
+    const error = new Error('Tasks already belong to another sprint');
+    error.code = 'TASKS_IN_OTHER_SPRINT';
+    error.taskIds = busy.map(task => task._id);
+    throw error;
+  }
+  return tasks;
+}
+
+/**
+ * Add project tasks to a planned or active sprint. Tasks in another open
+ * sprint are refused. Returns the ids that were added.
+ */
+async function addTasksToSprint(sprint, taskIds) {
+  const tasks = await findSprintTasks(sprint.project, taskIds, sprint._id);
+
+  const active = activeTaskIds(sprint);
+  const added = tasks.filter(task => !active.has(toId(task)));
+  added.forEach(task => sprint.tasks.push({ task: task._id, addedAt: new Date() }));
+  await sprint.save();
+  await Task.updateMany({ _id: { $in: added.map(task => task._id) } }, { $set: { sprint: sprint._id } });
+  return added.map(task => task._id);
+}
+
+/**
+ * Take a task out of a sprint, back to the project backlog
+ */
+async function removeTaskFromSprint(sprint, taskId) {
+  const item = sprint.tasks.find(entry => !entry.removedAt && toId(entry.task) === taskId.toString());
+  if (!item) return false;
+
+  if (sprint.status === 'planned') {
+    sprint.tasks = sprint.tasks.filter(entry => entry !== item);
+  } else {
+    item.removedAt = new Date();
+  }
+  await sprint.save();
+  await Task.updateOne({ _id: taskId, sprint: sprint._id }, { $unset: { sprint: 1 } });
+  return true;
+}
+
+/**
+ * Start a planned sprint and snapshot its committed points. A project has
+ * at most one active sprint.
+ */
+async function startSprint(sprint) {
+  if (await Sprint.exists({ project: sprint.project, status: 'active', _id: { $ne: sprint._id } })) {
+    const error = new Error('Another sprint is already active in this project');
+    error.code = 'SPRINT_ACTIVE';
+    throw error;
+  }
+
+  const active = activeTaskIds(sprint);
+  const tasks = await loadSprintTasks(sprint);
+  sprint.committedPoints = round(tasks
+    .filter(task => active.has(toId(task)))
+    .reduce((sum, task) => sum + taskPoints(task), 0));
+  sprint.status = 'active';
+  sprint.startedAt = new Date();
+  await sprint.save();
+  return sprint;
+}
+
+/**
+ * Close an active sprint: record completed points and carry unfinished tasks
+ * over to `target` (a planned sprint of the same project) or back to the
+ * backlog when there is none.
+ */
+async function closeSprint(sprint, target = null) {
+  const active = activeTaskIds(sprint);
+  const tasks = (await loadSprintTasks(sprint)).filter(task => active.has(toId(task)));
+  const completed = tasks.filter(task => task.status === 'completed');
+  const unfinished = tasks.filter(task => !DONE_STATUSES.includes(task.status));
+
+  sprint.completedPoints = round(completed.reduce((sum, task) => sum + taskPoints(task), 0));
+  sprint.carriedOverPoints = round(unfinished.reduce((sum, task) => sum + taskPoints(task), 0));
+  sprint.status = 'closed';
+  sprint.closedAt = new Date();
+  if (target) sprint.carriedOverTo = target._id;
+  await sprint.save();
+
+  const unfinishedIds = unfinished.map(task => task._id);
+  if (target) {
+    const already = activeTaskIds(target);
+    unfinished
+      .filter(task => !already.has(toId(task)))
+      .forEach(task => target.tasks.push({ task: task._id, addedAt: new Date(), carriedFrom: sprint._id }));
+    await target.save();
+    await Task.updateMany({ _id: { $in: unfinishedIds } }, { $set: { sprint: target._id } });
+  } else {
+    await Task.updateMany({ _id: { $in: unfinishedIds }, sprint: sprint._id }, { $unset: { sprint: 1 } });
+  }
+  // Finished tasks no longer count as being in a sprint
+  await Task.updateMany(
+    { _id: { $in: tasks.filter(task => DONE_STATUSES.includes(task.status)).map(task => task._id) }, sprint: sprint._id },
+    { $unset: { sprint: 1 } }
+  );
+
+  return { completedPoints: sprint.completedPoints, carriedOver: unfinishedIds };
+}
+
+module.exports = {
+  DEFAULT_VELOCITY_SPRINTS,
+  taskPoints,
+  workingDays,
+  validateSprint,
+  activeTaskIds,
+  summarizeCapacity,
+  buildBurnSeries,
+  computeVelocity,
+  loadSprintTasks,
+  findSprintTasks,
+  addTasksToSprint,
+  removeTaskFromSprint,
+  startSprint,
+  closeSprint
+};
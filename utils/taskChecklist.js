@@ -0,0 +1,75 @@
+const Task = require('../models/Task');
+
+/**
+ * Percentage of checklist items that are done, or null for an empty checklist
+ */
+function checklistProgress(items = []) {
+  if (items.length === 0) return null;
+  const done = items.filter(item => item.done).length;
+  return Math.round((done / items.length) * 100);
+}
+
+/**
+ * Validate a full reorder request: `order` must list every item id exactly once.
+ * Returns an error message or null.
+ */
+function validateChecklistOrder(items, order) {
+  if (!Array.isArray(order)) return 'Order must be an array of checklist item ids';
+
+  const ids = items.map(item => item._id.toString());
+  const requested = order.map(String);
+  if (requested.length !== ids.length || new Set(requested).size !== ids.length ||
+      requested.some(id => !ids.includes(id))) {
+    return 'Order must contain every checklist item exactly once';
+  }
+  return null;
+}
+
+/**
+ * Validate an optional target position: a zero-based index (positions past
+ * the end are clamped). Returns an error message or null.
+ */
+function validateChecklistPosition(position) {
+  if (position === undefined || position === null) return null;
+  const index = Number(position);
+  return position !== '' && Number.isInteger(index) && index >= 0 ? null : 'Position must be a non-negative integer';
+}
+
+/**
+ * Move one checklist item to a zero-based position, clamped to the list
+ */
+function moveChecklistItem(task, itemId, position) {
+  const index = task.checklist.findIndex(item => item._id.toString() === itemId.toString());
+  if (index === -1) return false;
+
+  const target = Math.max(0, Math.min(Number(position), task.checklist.length - 1));
+  const items = task.checklist.map(item => item.toObject());
+  const [item] = items.splice(index, 1);
+  items.splice(target, 0, item);
+  task.checklist = items;
+  return true;
+}
+
+/**
+ * Derive task progress from the checklist unless the task has subtasks,
+ * whose rollup drives progress instead. Returns whether progress changed.
+ */
+async function syncChecklistProgress(task) {
+  const progress = checklistProgress(task.checklist);
+  if (progress === null || progress === task.progress) return false;
+
+  const hasSubtasks = (task.subtasks && task.subtasks.length > 0) ||
+    await Task.exists({ parentTask: task._id });
+  if (hasSubtasks) return false;
+
+  task.progress = progress;
+  return true;
+}
+
+module.exports = {
+  checklistProgress,
+  validateChecklistOrder,
+  validateChecklistPosition,
+  moveChecklistItem,
+  syncChecklistProgress
+};
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskComment = require('../models/TaskComment');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { UserPreferences } = require('../models/Settings');
+const { notifyUser } = require('./notifications');
+const { getProjectRole, roleAllows } = require('./projectAccess');
+const { emitToUser, emitToTask } = require('../socket');
+
+// Mention markup inserted by the comment editor: @[Display Name](userId)
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([a-f0-9]{24})\)/g;
+
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_MENTIONS = 20;
+
+/**
+ * User ids mentioned in comment text plus any passed explicitly, de-duplicated
+ */
+function extractMentionIds(text = '', explicit = []) {
+  const ids = new Set((Array.isArray(explicit) ? explicit : []).map(String));
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    ids.add(match[2]);
+  }
+  return [...ids].filter(id => mongoose.Types.ObjectId.isValid(id));
+}
+
+/**
+ * Replace mention markup with the plain display name
+ */
+function plainText(text = '') {
+  return text.replace(MENTION_PATTERN, (match, name) => `@${name}`);
+}
+
+/**
+ * Group reactions by emoji
+ */
+function summarizeReactions(reactions = []) {
+  const groups = new Map();
+  reactions.forEach(reaction => {
+    if (!groups.has(reaction.emoji)) groups.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+    const group = groups.get(reaction.emoji);
+    group.count++;
+    group.users.push(reaction.user && reaction.user._id ? reaction.user : String(reaction.user));
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Public shape of a comment: deleted comments keep their place in the thread
+ * without their text, and edit history is only served on request
+ */
+function serializeComment(comment) {
+  const data = comment.toObject ? comment.toObject() : { ...comment };
+  delete data.editHistory;
+  data.reactionSummary = summarizeReactions(data.reactions);
+
+  if (data.isDeleted) {
+    data.text = '';
+    data.mentions = [];
+    data.reactions = [];
+    data.reactionSummary = [];
+  }
+  return data;
+}
+
+const isSameUser = (id, user) => !!id && (id._id || id).toString() === user._id.toString();
+
+/**
+ * Users who may read a task's comments: on project tasks those with view
+ * access to the project and the assignee; on other tasks admins, managers,
+ * the assignee and members of the task's team
+ */
+async function filterTaskReaders(task, users) {
+  if (task.project) {
+    const project = await Project.findById(task.project).select('manager members stakeholders');
+    return users.filter(user => isSameUser(task.assignedTo, user) || roleAllows(getProjectRole(project, user), 'view'));
+  }
+
+  const team = task.team ? await Team.findById(task.team).select('members') : null;
+  const members = new Set(((team && team.members) || []).map(String));
+  return users.filter(user =>
+    user.role === 'admin' || user.role === 'manager' ||
+    isSameUser(task.assignedTo, user) || members.has(user._id.toString()));
+}
+
+/**
+ * Mentioned users who exist, are active, accept mentions
+ * (UserPreferences.privacy.allowMentions) and may read the task. The author
+ * is never included.
+ */
+async function resolveMentions(task, ids, authorId) {
+  const candidates = ids
+    .filter(id => id !== authorId.toString())
+    .slice(0, MAX_MENTIONS);
+  if (candidates.length === 0) return [];
+
+  const [users, optedOut] = await Promise.all([
+    User.find({ _id: { $in: candidates }, isActive: true }).select('name email role'),
+    UserPreferences.find({ user: { $in: candidates }, 'privacy.allowMentions': false }).distinct('user')
+  ]);
+
+  const blocked = new Set(optedOut.map(String));
+  return filterTaskReaders(task, users.filter(user => !blocked.has(user._id.toString())));
+}
+
+/**
+ * Notify mentioned users through a Notification document and a socket event
+ */
+async function notifyMentions(comment, task, users, author) {
+  for (const user of users) {
+    await notifyUser(user._id, {
+      type: 'task',
+      title: 'You were mentioned',
+      message: `${author.name} mentioned you on "${task.title}": ${plainText(comment.text).slice(0, 140)}`,
+      category: 'mention',
+      relatedEntity: { type: 'task', id: task._id },
+      actionUrl: `/tasks/${task._id}?comment=${comment._id}`
+    });
+
+    emitToUser(user._id, 'task-mention', {
+      taskId: task._id,
+      commentId: comment._id,
+      mentionedBy: { _id: author._id, name: author.name }
+    });
+  }
+}
+
+/**
+ * Create a comment or reply on a task
+ */
+async function createTaskComment(task, author, { text, replyTo, mentions, type = 'comment' }) {
+  let parent = null;
+  if (replyTo) {
+    parent = await TaskComment.findOne({ _id: replyTo, task: task._id });
+    if (!parent) {
+      const error = new Error('Parent comment not found');
+      error.code = 'PARENT_NOT_FOUND';
+      throw error;
+    }
+  }
+
+  const mentionedUsers = await resolveMentions(task, extractMentionIds(text, mentions), author._id);
+
+  const comment = await TaskComment.create({
+    task: task._id,
+    author: author._id,
+    text,
+    type,
+    replyTo: parent ? parent._id : undefined,
+    thread: parent ? (parent.thread || parent._id) : undefined,
+    mentions: mentionedUsers.map(user => user._id)
+  });
+
+  if (parent) {
+    await TaskComment.updateOne({ _id: comment.thread }, { $inc: { replyCount: 1 } });
+  }
+
+  await comment.populate('author', 'name email avatar');
+  await notifyMentions(comment, task, mentionedUsers, author);
+
+  emitToTask(task._id, 'task-comment-added', serializeComment(comment));
+  return comment;
+}
+
+/**
+ * Edit a comment's text, keeping the previous text in its history. Only
+ * people mentioned for the first time are notified.
+ */
+async function editTaskComment(comment, task, author, { text, mentions }) {
+  const previous = new Set(comment.mentions.map(String));
+  const mentionedUsers = await resolveMentions(task, extractMentionIds(text, mentions), author._id);
+
+  comment.editHistory.push({ text: comment.text, editedAt: new Date() });
+  comment.text = text;
+  comment.mentions = mentionedUsers.map(user => user._id);
+  comment.isEdited = true;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  await notifyMentions(comment, task, mentionedUsers.filter(user => !previous.has(user._id.toString())), author);
+
+  emitToTask(task._id, 'task-comment-updated', serializeComment(comment));
+  return comment;
+}
+
+/**
+ * Move comments still embedded in tasks, where the original notes endpoint
+ * kept them, into TaskComment documents with their author and date.
+ * Returns how many tasks and comments were moved.
+ */
+async function migrateEmbeddedComments() {
+  const tasks = await Task.find({ 'comments.0': { $exists: true } }).select('comments');
+  let comments = 0;
+
+  for (const task of tasks) {
+    const documents = task.comments
+      .filter(comment => comment.user && comment.text)
+      .map(comment => ({
+        task: task._id,
+        author: comment.user,
+        text: comment.text,
+        createdAt: comment.createdAt,
+        updatedAt: comment.createdAt
+      }));
+    if (documents.length > 0) await TaskComment.insertMany(documents);
+    await Task.updateOne({ _id: task._id }, { $set: { comments: [] } });
+    comments += documents.length;
+  }
+
+  return { tasks: tasks.length, comments };
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  extractMentionIds,
+  plainText,
+  summarizeReactions,
+  serializeComment,
+  resolveMentions,
+  createTaskComment,
+  editTaskComment,
+  migrateEmbeddedComments
+};
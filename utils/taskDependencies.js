@@ -0,0 +1,326 @@
+const Task = require('../models/Task');
+const Logger = require('./logger');
+const { snapshotTask, recordTaskDiff } = require('./taskHistory');
+const { emitTaskUpdate } = require('../socket');
+
+const logger = new Logger('TASK_DEPENDENCIES');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HOURS_PER_DAY = 8;
+
+// Statuses that satisfy a dependency
+const DONE_STATUSES = ['completed', 'cancelled'];
+
+// Statuses a task cannot enter while its dependencies are unfinished
+const GUARDED_STATUSES = ['in_progress', 'completed'];
+
+// Roles allowed to override unfinished dependencies
+const OVERRIDE_ROLES = ['admin', 'manager'];
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+/**
+ * Find a path of dependency edges from `start` to `target`, or null.
+ * `graph` maps a task id to the ids of the tasks it depends on.
+ */
+function findPath(graph, start, target) {
+  const parents = new Map([[start, null]]);
+  const stack = [start];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === target) {
+      const path = [];
+      for (let node = current; node !== null; node = parents.get(node)) {
+        path.unshift(node);
+      }
+      return path;
+    }
+
+    (graph.get(current) || []).forEach(next => {
+      if (!parents.has(next)) {
+        parents.set(next, current);
+        stack.push(next);
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Return the cycle that making `taskId` depend on `dependencyIds` would
+ * create, as a list of ids starting and ending with `taskId`, or null
+ */
+function detectCycle(graph, taskId, dependencyIds) {
+  const id = toId(taskId);
+
+  for (const dependencyId of dependencyIds.map(toId)) {
+    if (dependencyId === id) return [id, id];
+
+    const path = findPath(graph, dependencyId, id);
+    if (path) return [id, ...path];
+  }
+  return null;
+}
+
+/**
+ * Load the dependency graph reachable from the given tasks
+ */
+async function loadDependencyGraph(startIds) {
+  const graph = new Map();
+  let frontier = [...new Set(startIds.map(toId))];
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('dependencies');
+    const next = new Set();
+
+    tasks.forEach(task => {
+      const dependencies = (task.dependencies || []).map(toId);
+      graph.set(toId(task._id), dependencies);
+      dependencies.forEach(dependencyId => {
+        if (!graph.has(dependencyId)) next.add(dependencyId);
+      });
+    });
+
+    // Ids that were requested but not found are recorded with no edges
+    frontier.forEach(id => {
+      if (!graph.has(id)) graph.set(id, null);
+    });
+    frontier = [...next].filter(id => !graph.has(id));
+  }
+
+  return graph;
+}
+
+/**
+ * Check a proposed dependency list for a task (taskId is null for new tasks)
+ */
+async function validateDependencies(taskId, dependencyIds = []) {
+  const ids = [...new Set(dependencyIds.map(toId))];
+  if (ids.length === 0) return { missing: [], cycle: null };
+
+  const graph = await loadDependencyGraph(ids);
+  const missing = ids.filter(id => graph.get(id) === null);
+  const cycle = taskId ? detectCycle(graph, taskId, ids) : null;
+
+  return { missing, cycle };
+}
+
+/**
+ * Dependencies of a task that are not finished yet
+ */
+async function getBlockingDependencies(task) {
+  if (!task.dependencies || task.dependencies.length === 0) return [];
+
+  return Task.find({
+    _id: { $in: task.dependencies.map(toId) },
+    status: { $nin: DONE_STATUSES }
+  }).select('title status assignedTo deadline');
+}
+
+/**
+ * Check whether a task may move into `nextStatus`. Admins and managers can
+ * pass `override` to proceed despite unfinished dependencies.
+ */
+async function checkDependencyGate(task, nextStatus, { override = false, role } = {}) {
+  if (!GUARDED_STATUSES.includes(nextStatus) || task.status === nextStatus) {
+    return { allowed: true, blocking: [], overridden: false };
+  }
+
+  const blocking = await getBlockingDependencies(task);
+  if (blocking.length === 0) {
+    return { allowed: true, blocking, overridden: false };
+  }
+
+  const overridden = override && OVERRIDE_ROLES.includes(role);
+  return { allowed: overridden, blocking, overridden };
+}
+
+/**
+ * Keep a task's 'blocked' status in step with its dependencies: a task that
+ * has not started is blocked while any dependency is unfinished, and a
+ * blocked task with no unfinished dependencies or open blockers goes back to
+ * pending. The caller saves it. Returns the unfinished dependencies.
+ */
+async function applyDependencyBlock(task) {
+  const blocking = await getBlockingDependencies(task);
+  const openBlockers = (task.blockers || []).some(blocker => !blocker.resolved);
+
+  if (task.status === 'pending' && blocking.length > 0) {
+    task.status = 'blocked';
+  } else if (task.status === 'blocked' && blocking.length === 0 && !openBlockers) {
+    task.status = 'pending';
+  }
+  return blocking;
+}
+
+/**
+ * Update the dependents of a task whose status changed: once it is finished,
+ * blocked dependents with nothing else to wait for are released; when it is
+ * reopened, dependents that have not started are blocked again
+ */
+async function syncDependents(task, actor) {
+  const finished = DONE_STATUSES.includes(task.status);
+  const dependents = await Task.find({ dependencies: task._id, status: finished ? 'blocked' : 'pending' });
+  const changed = [];
+
+  for (const dependent of dependents) {
+    try {
+      const before = snapshotTask(dependent);
+      await applyDependencyBlock(dependent);
+      if (dependent.status === before.status) continue;
+
+      await dependent.save();
+      await recordTaskDiff(before, dependent, {
+        actor,
+        source: 'system',
+        note: finished ? 'All dependencies completed' : `Dependency "${task.title}" was reopened`,
+        metadata: { [finished ? 'completedDependency' : 'reopenedDependency']: task._id }
+      });
+
+      emitTaskUpdate(dependent);
+      changed.push(dependent);
+    } catch (error) {
+      logger.error('Failed to update dependent task', { taskId: dependent._id.toString(), error: error.message });
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Schedules are measured in working hours from a start date, with each
+ * calendar day holding `hoursPerDay` of them. Every conversion between
+ * schedule hours and dates goes through these two.
+ */
+const hoursUntil = (date, start, hoursPerDay) => ((new Date(date).getTime() - new Date(start).getTime()) / DAY_MS) * hoursPerDay;
+const dateAfterHours = (hours, start, hoursPerDay) => new Date(new Date(start).getTime() + (hours / hoursPerDay) * DAY_MS);
+
+/**
+ * Critical path analysis over a set of tasks.
+ *
+ * Everything is in working hours from `startDate` (see hoursUntil): durations
+ * are estimatedHours, and deadlines, converted the same way, cap each task's
+ * latest finish. Slack is latest start minus earliest start; tasks with no
+ * (or negative) slack are critical. Dependencies outside the set are ignored.
+ */
+function computeCriticalPath(tasks, { startDate = new Date(), hoursPerDay = DEFAULT_HOURS_PER_DAY } = {}) {
+  const start = new Date(startDate).getTime();
+  const nodes = new Map();
+
+  tasks.forEach(task => {
+    nodes.set(toId(task._id), {
+      task,
+      duration: Math.max(0, task.estimatedHours || 0),
+      dependencies: [],
+      successors: []
+    });
+  });
+
+  nodes.forEach((node, id) => {
+    node.dependencies = [...new Set((node.task.dependencies || []).map(toId))].filter(dep => nodes.has(dep));
+    node.dependencies.forEach(dep => nodes.get(dep).successors.push(id));
+  });
+
+  // Topological order (Kahn)
+  const inDegree = new Map();
+  nodes.forEach((node, id) => inDegree.set(id, node.dependencies.length));
+  const queue = [...nodes.keys()].filter(id => inDegree.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    nodes.get(id).successors.forEach(successor => {
+      inDegree.set(successor, inDegree.get(successor) - 1);
+      if (inDegree.get(successor) === 0) queue.push(successor);
+    });
+  }
+
+  if (order.length < nodes.size) {
+    const error = new Error('Dependency cycle detected');
+    error.code = 'DEPENDENCY_CYCLE';
+    error.taskIds = [...nodes.keys()].filter(id => !order.includes(id));
+    throw error;
+  }
+
+  // Forward pass
+  order.forEach(id => {
+    const node = nodes.get(id);
+    node.earliestStart = Math.max(0, ...node.dependencies.map(dep => nodes.get(dep).earliestFinish));
+    node.earliestFinish = node.earliestStart + node.duration;
+  });
+
+  const projectDuration = Math.max(0, ...order.map(id => nodes.get(id).earliestFinish));
+
+  // Backward pass
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    let latestFinish = Math.min(projectDuration, ...node.successors.map(successor => nodes.get(successor).latestStart));
+
+    if (node.task.deadline) {
+      latestFinish = Math.min(latestFinish, hoursUntil(node.task.deadline, start, hoursPerDay));
+    }
+
+    node.latestFinish = latestFinish;
+    node.latestStart = latestFinish - node.duration;
+    node.slack = node.latestStart - node.earliestStart;
+    node.critical = node.slack <= 1e-9;
+  });
+
+  const toDate = hours => dateAfterHours(hours, start, hoursPerDay);
+  const round = value => Math.round(value * 100) / 100;
+
+  const results = order.map(id => {
+    const node = nodes.get(id);
+    return {
+      taskId: id,
+      title: node.task.title,
+      status: node.task.status,
+      dependencies: node.dependencies,
+      duration: node.duration,
+      earliestStart: round(node.earliestStart),
+      earliestFinish: round(node.earliestFinish),
+      latestStart: round(node.latestStart),
+      latestFinish: round(node.latestFinish),
+      slack: round(node.slack),
+      critical: node.critical,
+      earliestStartDate: toDate(node.earliestStart),
+      earliestFinishDate: toDate(node.earliestFinish),
+      latestStartDate: toDate(node.latestStart),
+      latestFinishDate: toDate(node.latestFinish),
+      deadline: node.task.deadline || null
+    };
+  });
+
+  const criticalPath = results
+    .filter(result => result.critical)
+    .sort((a, b) => a.earliestStart - b.earliestStart || a.earliestFinish - b.earliestFinish)
+    .map(result => result.taskId);
+
+  return {
+    startDate: new Date(start),
+    hoursPerDay,
+    projectDuration: round(projectDuration),
+    projectFinishDate: toDate(projectDuration),
+    criticalPath,
+    tasks: results
+  };
+}
+
+module.exports = {
+  DONE_STATUSES,
+  GUARDED_STATUSES,
+  findPath,
+  detectCycle,
+  loadDependencyGraph,
+  validateDependencies,
+  getBlockingDependencies,
+  checkDependencyGate,
+  applyDependencyBlock,
+  syncDependents,
+  hoursUntil,
+  dateAfterHours,
+  computeCriticalPath
+};
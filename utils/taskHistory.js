@@ -0,0 +1,142 @@
+const TaskHistory = require('../models/TaskHistory');
+const Logger = require('./logger');
+
+const logger = new Logger('TASK_HISTORY');
+
+// Task fields whose changes are recorded in the audit trail
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'workflowState',
+  'priority',
+  'assignedTo',
+  'deadline',
+  'estimatedHours',
+  'actualHours',
+  'progress',
+  'tags',
+  'category',
+  'project',
+  'team',
+  'dependencies',
+  'complexity',
+  'risk'
+];
+
+// Single-field changes that map onto a more specific action
+const FIELD_ACTIONS = {
+  status: 'status_changed',
+  priority: 'priority_changed',
+  deadline: 'deadline_changed',
+  progress: 'progress_updated'
+};
+
+/**
+ * Normalize a field value so before/after values compare and serialize cleanly
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  return value;
+}
+
+/**
+ * Capture the tracked fields of a task before it is modified in place
+ */
+function snapshotTask(task, fields = TRACKED_FIELDS) {
+  const snapshot = {};
+  fields.forEach(field => {
+    snapshot[field] = normalizeValue(task[field]);
+  });
+  return snapshot;
+}
+
+/**
+ * Compute field-level before/after changes between two task states
+ */
+function diffTask(before, after, fields = TRACKED_FIELDS) {
+  const changes = [];
+  fields.forEach(field => {
+    const from = normalizeValue(before ? before[field] : undefined);
+    const to = normalizeValue(after ? after[field] : undefined);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Pick the most specific action describing a set of changes
+ */
+function resolveAction(changes) {
+  const fields = changes.map(change => change.field);
+  const statusChange = changes.find(change => change.field === 'status');
+
+  if (statusChange && statusChange.to === 'completed') return 'completed';
+
+  if (fields.includes('assignedTo')) {
+    const assignment = changes.find(change => change.field === 'assignedTo');
+    if (fields.length === 1 || fields.every(field => field === 'assignedTo' || field === 'status')) {
+      return assignment.from ? 'reassigned' : 'assigned';
+    }
+  }
+
+  if (fields.length === 1 && FIELD_ACTIONS[fields[0]]) return FIELD_ACTIONS[fields[0]];
+
+  // Moving between workflow states that share a status is still a status change
+  if (fields.length > 0 && fields.every(field => field === 'status' || field === 'workflowState')) return 'status_changed';
+
+  return 'updated';
+}
+
+/**
+ * Persist an audit entry for a task. Failures are logged rather than thrown
+ * so that auditing never breaks the operation being audited.
+ */
+async function recordTaskChange(taskId, { actor, source = 'rest', action, changes = [], note, metadata } = {}) {
+  if (!action && changes.length === 0) return null;
+
+  try {
+    return await TaskHistory.create({
+      task: taskId,
+      actor,
+      action: action || resolveAction(changes),
+      source,
+      changes,
+      note,
+      metadata
+    });
+  } catch (error) {
+    logger.error('Failed to record task history', { taskId: taskId && taskId.toString(), error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Diff two task states and persist the result when anything changed
+ */
+async function recordTaskDiff(before, after, options = {}) {
+  const changes = diffTask(before, after, options.fields);
+  if (changes.length === 0) return null;
+
+  return recordTaskChange(after._id || before._id, {
+    ...options,
+    changes,
+    action: options.action || resolveAction(changes)
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  normalizeValue,
+  snapshotTask,
+  diffTask,
+  resolveAction,
+  recordTaskChange,
+  recordTaskDiff
+};
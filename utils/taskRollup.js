@@ -0,0 +1,255 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Logger = require('./logger');
+const { snapshotTask, recordTaskDiff } = require('./taskHistory');
+const { checkDependencyGate, syncDependents } = require('./taskDependencies');
+const { evaluateTaskTransition } = require('./workflow');
+const { awardTaskCompletion } = require('./gamification');
+const { trackGoalsForTasks } = require('./goalTracking');
+const { emitTaskUpdate } = require('../socket');
+
+const logger = new Logger('TASK_ROLLUP');
+
+// Maximum number of ancestor levels updated by a single change
+const MAX_ROLLUP_DEPTH = 10;
+
+const toId = value => (value && value._id ? value._id : value).toString();
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Aggregate child tasks: estimate-weighted progress, summed actual hours and
+ * whether every non-cancelled child is completed. Children without an
+ * estimate weigh as much as the average estimated child. Returns null when
+ * there is nothing to roll up.
+ */
+function computeRollup(children) {
+  const active = children.filter(child => child.status !== 'cancelled');
+  if (active.length === 0) return null;
+
+  const estimates = active.map(child => child.estimatedHours).filter(hours => hours > 0);
+  const defaultWeight = estimates.length > 0
+    ? estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length
+    : 1;
+
+  let totalWeight = 0;
+  let weightedProgress = 0;
+  active.forEach(child => {
+    const weight = child.estimatedHours > 0 ? child.estimatedHours : defaultWeight;
+    const progress = child.status === 'completed' ? 100 : (child.progress || 0);
+    totalWeight += weight;
+    weightedProgress += weight * progress;
+  });
+
+  return {
+    progress: Math.round(weightedProgress / totalWeight),
+    actualHours: round(children.reduce((sum, child) => sum + (child.actualHours || 0), 0)),
+    allDone: active.every(child => child.status === 'completed')
+  };
+}
+
+/**
+ * Children of a task, whether linked through parentTask or the subtasks array
+ */
+async function findChildren(parent) {
+  return Task.find({
+    $or: [
+      { parentTask: parent._id },
+      { _id: { $in: parent.subtasks || [] } }
+    ]
+  }).select('status progress estimatedHours actualHours');
+}
+
+/**
+ * Move a parent task to the status its children call for, through the same
+ * workflow transition and dependency checks as a manual change by the user
+ * whose change triggered the rollup. Returns false when they refuse it.
+ */
+async function transitionParent(parent, status, actor) {
+  const user = await User.findById(actor).select('role');
+  if (!user) return false;
+
+  const transition = await evaluateTaskTransition(parent, status, user);
+  const gate = transition.allowed ? await checkDependencyGate(parent, transition.status, { role: user.role }) : null;
+  if (!transition.allowed || !gate.allowed) {
+    logger.info('Rollup status change refused', {
+      taskId: toId(parent._id),
+      status,
+      reason: transition.allowed ? 'unfinished dependencies' : transition.code
+    });
+    return false;
+  }
+
+  parent.status = transition.status;
+  parent.workflowState = transition.workflowState;
+  return true;
+}
+
+/**
+ * Recompute one parent task from its children
+ */
+async function rollupTask(parent, actor) {
+  const children = await findChildren(parent);
+  const rollup = computeRollup(children);
+  if (!rollup) return false;
+
+  const before = snapshotTask(parent);
+  parent.progress = rollup.progress;
+  parent.actualHours = rollup.actualHours;
+
+  if (rollup.allDone && parent.status !== 'completed') {
+    parent.progress = 100;
+    if (await transitionParent(parent, 'completed', actor)) {
+      parent.completedAt = new Date();
+      parent.completedBy = actor;
+    }
+  } else if (!rollup.allDone && parent.status === 'completed') {
+    // A child was reopened
+    if (await transitionParent(parent, 'in_progress', actor)) {
+      parent.completedAt = undefined;
+      parent.completedBy = undefined;
+    }
+  }
+
+  if (!parent.isModified()) return false;
+
+  const statusChanged = before.status !== parent.status;
+  await parent.save();
+  await recordTaskDiff(before, parent, { actor, source: 'system', note: 'Subtask rollup' });
+  emitTaskUpdate(parent);
+
+  if (statusChanged) {
+    await syncDependents(parent, actor);
+    if (parent.status === 'completed') await awardTaskCompletion(parent);
+  }
+  return true;
+}
+
+/**
+ * Recompute a project's progress and actual hours from its top-level tasks
+ */
+async function rollupProject(projectId) {
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const tasks = await Task.find({
+    project: project._id,
+    $or: [{ parentTask: { $exists: false } }, { parentTask: null }]
+  }).select('status progress estimatedHours actualHours');
+
+  const rollup = computeRollup(tasks);
+  if (!rollup) return project;
+
+  project.progress = rollup.progress;
+  project.actualHours = rollup.actualHours;
+  if (project.isModified()) {
+    await project.save();
+  }
+  return project;
+}
+
+/**
+ * Propagate a change on a task up through its ancestors, then to its project
+ * and to the goals that track any of them
+ */
+async function rollupFromTask(task, actor) {
+  try {
+    const visited = new Set([toId(task._id)]);
+    let current = task;
+
+    for (let depth = 0; depth < MAX_ROLLUP_DEPTH && current.parentTask; depth++) {
+      const parentId = toId(current.parentTask);
+      if (visited.has(parentId)) {
+        logger.warn('Circular parent chain detected', { taskId: toId(task._id), parentId });
+        break;
+      }
+      visited.add(parentId);
+
+      const parent = await Task.findById(parentId);
+      if (!parent) break;
+
+      await rollupTask(parent, actor);
+      current = parent;
+    }
+
+    if (current.project) {
+      await rollupProject(toId(current.project));
+    }
+    await trackGoalsForTasks([...visited]);
+  } catch (error) {
+    logger.error('Rollup failed', { taskId: toId(task._id), error: error.message });
+  }
+}
+
+/**
+ * Whether `ancestorId` appears above `taskId` in the parent chain
+ */
+async function isAncestor(ancestorId, taskId) {
+  let currentId = toId(taskId);
+
+  for (let depth = 0; depth < MAX_ROLLUP_DEPTH; depth++) {
+    if (currentId === toId(ancestorId)) return true;
+    const current = await Task.findById(currentId).select('parentTask');
+    if (!current || !current.parentTask) return false;
+    currentId = toId(current.parentTask);
+  }
+  return true; // Chains deeper than the limit are rejected as well
+}
+
+/**
+ * Move a task under a new parent (or detach it when newParentId is null),
+ * keeping both parents' subtasks arrays in sync
+ */
+async function setParentTask(task, newParentId) {
+  const previousParentId = task.parentTask ? toId(task.parentTask) : null;
+
+  if (previousParentId) {
+    await Task.updateOne({ _id: previousParentId }, { $pull: { subtasks: task._id } });
+  }
+  if (newParentId) {
+    await Task.updateOne({ _id: newParentId }, { $addToSet: { subtasks: task._id } });
+  }
+
+  return previousParentId;
+}
+
+/**
+ * Clean up references to a deleted task. Subtasks are deleted with it when
+ * `cascade` is set, otherwise they are detached and become top-level tasks.
+ * Returns the ids of all deleted tasks.
+ */
+async function removeTaskReferences(task, { cascade = false } = {}, visited = new Set()) {
+  const deletedIds = [task._id];
+  visited.add(toId(task._id));
+
+  const children = await Task.find({ parentTask: task._id });
+  for (const child of children) {
+    if (visited.has(toId(child._id))) continue;
+
+    if (cascade) {
+      const childIds = await removeTaskReferences(child, { cascade }, visited);
+      await Task.deleteOne({ _id: child._id });
+      deletedIds.push(...childIds);
+    } else {
+      child.parentTask = undefined;
+      await child.save();
+    }
+  }
+
+  await Task.updateMany({ subtasks: task._id }, { $pull: { subtasks: task._id } });
+  await Task.updateMany({ dependencies: task._id }, { $pull: { dependencies: task._id } });
+  await Project.updateMany({ tasks: task._id }, { $pull: { tasks: task._id } });
+
+  return deletedIds;
+}
+
+module.exports = {
+  MAX_ROLLUP_DEPTH,
+  computeRollup,
+  rollupTask,
+  rollupProject,
+  rollupFromTask,
+  isAncestor,
+  setParentTask,
+  removeTaskReferences
+};
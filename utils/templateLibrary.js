@@ -0,0 +1,299 @@
+// Built-in template library inserted by seedTemplateLibrary (utils/templates.js).
+// Deadlines and milestones are offsets in days from the instantiation start date.
+
+const TASK_TEMPLATES = [
+  // Software development
+  {
+    key: 'software-feature',
+    name: 'Feature Development',
+    description: 'Design, build, test and ship a product feature',
+    industry: 'software',
+    placeholders: [
+      { name: 'feature', label: 'Feature name', required: true },
+      { name: 'component', label: 'Component or service', defaultValue: 'web app' }
+    ],
+    task: {
+      title: 'Implement {{feature}}',
+      description: 'Deliver {{feature}} in the {{component}} for {{projectName}}.',
+      priority: 'high',
+      complexity: 'complex',
+      estimatedHours: 24,
+      tags: ['feature', 'development'],
+      category: 'development',
+      deadlineOffsetDays: 10,
+      checklist: [
+        { title: 'Write technical design for {{feature}}', estimatedHours: 4, offsetDays: 2 },
+        { title: 'Implement {{feature}}', estimatedHours: 12, offsetDays: 7, dependsOn: [0] },
+        { title: 'Add automated tests for {{feature}}', estimatedHours: 5, offsetDays: 8, dependsOn: [1] },
+        { title: 'Code review and merge', estimatedHours: 3, offsetDays: 10, dependsOn: [2] }
+      ]
+    }
+  },
+  {
+    key: 'software-bug-fix',
+    name: 'Bug Fix',
+    description: 'Reproduce, fix and verify a reported defect',
+    industry: 'software',
+    placeholders: [{ name: 'issue', label: 'Issue summary', required: true }],
+    task: {
+      title: 'Fix: {{issue}}',
+      description: 'Reproduce and resolve "{{issue}}", then add a regression test.',
+      priority: 'high',
+      complexity: 'moderate',
+      estimatedHours: 6,
+      tags: ['bug'],
+      category: 'maintenance',
+      deadlineOffsetDays: 3,
+      checklist: [
+        { title: 'Reproduce {{issue}}', estimatedHours: 1, offsetDays: 1 },
+        { title: 'Implement fix and regression test', estimatedHours: 4, offsetDays: 2, dependsOn: [0] },
+        { title: 'Verify fix in staging', estimatedHours: 1, offsetDays: 3, dependsOn: [1] }
+      ]
+    }
+  },
+  {
+    key: 'software-release',
+    name: 'Release',
+    description: 'Prepare and publish a release',
+    industry: 'software',
+    placeholders: [{ name: 'version', label: 'Release version', required: true }],
+    task: {
+      title: 'Release {{version}}',
+      description: 'Cut, verify and publish release {{version}} of {{projectName}}.',
+      priority: 'urgent',
+      complexity: 'moderate',
+      estimatedHours: 8,
+      tags: ['release'],
+      category: 'operations',
+      checklist: [
+        { title: 'Freeze and tag {{version}}' },
+        { title: 'Run regression suite', dependsOn: [0] },
+        { title: 'Write release notes for {{version}}' },
+        { title: 'Deploy {{version}} to production', dependsOn: [1, 2] }
+      ]
+    }
+  },
+
+  // Marketing
+  {
+    key: 'marketing-campaign-brief',
+    name: 'Campaign Brief',
+    description: 'Define goals, audience and channels for a campaign',
+    industry: 'marketing',
+    placeholders: [{ name: 'campaign', label: 'Campaign name', required: true }],
+    task: {
+      title: 'Write brief for {{campaign}}',
+      description: 'Goals, target audience, key message, channels and budget for {{campaign}}.',
+      priority: 'high',
+      complexity: 'moderate',
+      estimatedHours: 6,
+      tags: ['campaign', 'planning'],
+      category: 'planning',
+      deadlineOffsetDays: 5
+    }
+  },
+  {
+    key: 'marketing-content-piece',
+    name: 'Content Piece',
+    description: 'Draft, review and publish one piece of content',
+    industry: 'marketing',
+    placeholders: [
+      { name: 'topic', label: 'Topic', required: true },
+      { name: 'format', label: 'Format', defaultValue: 'blog post' }
+    ],
+    task: {
+      title: 'Create {{format}}: {{topic}}',
+      priority: 'medium',
+      complexity: 'simple',
+      estimatedHours: 8,
+      tags: ['content'],
+      category: 'content',
+      deadlineOffsetDays: 7,
+      checklist: [
+        { title: 'Outline {{topic}}', estimatedHours: 1, offsetDays: 2 },
+        { title: 'Draft {{format}}', estimatedHours: 4, offsetDays: 4, dependsOn: [0] },
+        { title: 'Editorial review', estimatedHours: 1, offsetDays: 6, dependsOn: [1] },
+        { title: 'Publish and share', estimatedHours: 1, offsetDays: 7, dependsOn: [2] }
+      ]
+    }
+  },
+
+  // Construction
+  {
+    key: 'construction-site-inspection',
+    name: 'Site Inspection',
+    description: 'Scheduled safety and quality inspection',
+    industry: 'construction',
+    placeholders: [{ name: 'site', label: 'Site or area', required: true }],
+    task: {
+      title: 'Inspect {{site}}',
+      description: 'Safety and quality inspection of {{site}}; log findings and corrective actions.',
+      priority: 'high',
+      complexity: 'moderate',
+      estimatedHours: 4,
+      tags: ['inspection', 'safety'],
+      category: 'compliance',
+      deadlineOffsetDays: 1,
+      checklist: [
+        { title: 'Check PPE and signage' },
+        { title: 'Check scaffolding and fall protection' },
+        { title: 'Record findings and photos' }
+      ]
+    }
+  },
+  {
+    key: 'construction-permit',
+    name: 'Permit Application',
+    description: 'Prepare and submit a building permit application',
+    industry: 'construction',
+    placeholders: [{ name: 'permit', label: 'Permit type', required: true }],
+    task: {
+      title: 'Obtain {{permit}} permit',
+      priority: 'urgent',
+      complexity: 'complex',
+      estimatedHours: 16,
+      tags: ['permit', 'compliance'],
+      category: 'compliance',
+      deadlineOffsetDays: 21,
+      checklist: [
+        { title: 'Collect drawings and documents', offsetDays: 5 },
+        { title: 'Submit {{permit}} application', offsetDays: 7, dependsOn: [0] },
+        { title: 'Respond to authority comments', offsetDays: 18, dependsOn: [1] }
+      ]
+    }
+  },
+
+  // Human resources
+  {
+    key: 'hr-onboarding',
+    name: 'Employee Onboarding',
+    description: 'Get a new hire set up in their first week',
+    industry: 'hr',
+    placeholders: [
+      { name: 'employee', label: 'New hire name', required: true },
+      { name: 'role', label: 'Role', defaultValue: 'team member' }
+    ],
+    task: {
+      title: 'Onboard {{employee}}',
+      description: 'Onboarding for {{employee}} joining as {{role}} on {{startDate}}.',
+      priority: 'high',
+      complexity: 'simple',
+      estimatedHours: 6,
+      tags: ['onboarding'],
+      category: 'people',
+      deadlineOffsetDays: 5,
+      checklist: [
+        { title: 'Prepare laptop and accounts for {{employee}}', offsetDays: -2 },
+        { title: 'Welcome meeting and team introductions', offsetDays: 0 },
+        { title: 'Assign onboarding buddy', offsetDays: 0 },
+        { title: 'First week check-in with {{employee}}', offsetDays: 5, dependsOn: [1] }
+      ]
+    }
+  }
+];
+
+const PROJECT_TEMPLATES = [
+  {
+    key: 'software-product-launch',
+    name: 'Software Product Launch',
+    description: 'From requirements to a public release',
+    industry: 'software',
+    placeholders: [{ name: 'product', label: 'Product name', required: true }],
+    project: {
+      name: '{{product}} Launch',
+      description: 'Launch plan for {{product}}',
+      category: 'software',
+      priority: 'high',
+      tags: ['launch'],
+      durationDays: 60
+    },
+    tasks: [
+      { ref: 'requirements', task: { title: 'Gather requirements for {{product}}', estimatedHours: 16, priority: 'high', tags: ['planning'] }, deadlineOffsetDays: 7 },
+      { ref: 'core', templateKey: 'software-feature', task: { title: 'Build {{product}} core features' }, deadlineOffsetDays: 35, dependsOn: ['requirements'] },
+      { ref: 'qa', task: { title: 'QA and bug bash for {{product}}', estimatedHours: 24, tags: ['qa'] }, deadlineOffsetDays: 48, dependsOn: ['core'] },
+      { ref: 'release', templateKey: 'software-release', task: { title: 'Release {{product}} 1.0' }, deadlineOffsetDays: 60, dependsOn: ['qa'] }
+    ],
+    milestones: [
+      { title: 'Requirements signed off', offsetDays: 7 },
+      { title: 'Feature complete', offsetDays: 35 },
+      { title: 'General availability', offsetDays: 60 }
+    ]
+  },
+  {
+    key: 'marketing-campaign',
+    name: 'Marketing Campaign',
+    description: 'Plan, produce and run a multi-channel campaign',
+    industry: 'marketing',
+    placeholders: [{ name: 'campaign', label: 'Campaign name', required: true }],
+    project: {
+      name: '{{campaign}} Campaign',
+      category: 'marketing',
+      priority: 'medium',
+      tags: ['campaign'],
+      durationDays: 30
+    },
+    tasks: [
+      { ref: 'brief', templateKey: 'marketing-campaign-brief', deadlineOffsetDays: 5 },
+      { ref: 'content', templateKey: 'marketing-content-piece', task: { title: 'Produce {{campaign}} content' }, deadlineOffsetDays: 15, dependsOn: ['brief'] },
+      { ref: 'launch', task: { title: 'Launch {{campaign}} across channels', estimatedHours: 6, priority: 'high' }, deadlineOffsetDays: 18, dependsOn: ['content'] },
+      { ref: 'report', task: { title: 'Report {{campaign}} results', estimatedHours: 4 }, deadlineOffsetDays: 30, dependsOn: ['launch'] }
+    ],
+    milestones: [
+      { title: 'Brief approved', offsetDays: 5 },
+      { title: 'Campaign live', offsetDays: 18 },
+      { title: 'Results reviewed', offsetDays: 30 }
+    ]
+  },
+  {
+    key: 'construction-renovation',
+    name: 'Renovation Project',
+    description: 'Permits, works and handover for a renovation',
+    industry: 'construction',
+    placeholders: [{ name: 'site', label: 'Site address', required: true }],
+    project: {
+      name: 'Renovation at {{site}}',
+      category: 'construction',
+      priority: 'high',
+      durationDays: 90
+    },
+    tasks: [
+      { ref: 'permit', templateKey: 'construction-permit', task: { title: 'Obtain building permit for {{site}}' }, deadlineOffsetDays: 21 },
+      { ref: 'demolition', task: { title: 'Demolition and site preparation', estimatedHours: 40, complexity: 'moderate' }, deadlineOffsetDays: 35, dependsOn: ['permit'] },
+      { ref: 'works', task: { title: 'Structural and finishing works', estimatedHours: 240, complexity: 'complex', priority: 'high' }, deadlineOffsetDays: 80, dependsOn: ['demolition'] },
+      { ref: 'inspection', templateKey: 'construction-site-inspection', deadlineOffsetDays: 85, dependsOn: ['works'] },
+      { ref: 'handover', task: { title: 'Client handover for {{site}}', estimatedHours: 4 }, deadlineOffsetDays: 90, dependsOn: ['inspection'] }
+    ],
+    milestones: [
+      { title: 'Permit granted', offsetDays: 21 },
+      { title: 'Works complete', offsetDays: 80 },
+      { title: 'Handover', offsetDays: 90 }
+    ]
+  },
+  {
+    key: 'hr-new-team-onboarding',
+    name: 'New Hire Onboarding Program',
+    description: 'First month plan for a new hire',
+    industry: 'hr',
+    placeholders: [{ name: 'employee', label: 'New hire name', required: true }],
+    project: {
+      name: 'Onboarding: {{employee}}',
+      category: 'people',
+      priority: 'medium',
+      durationDays: 30
+    },
+    tasks: [
+      { ref: 'week1', templateKey: 'hr-onboarding', deadlineOffsetDays: 5 },
+      { ref: 'training', task: { title: 'Complete role training for {{employee}}', estimatedHours: 16 }, deadlineOffsetDays: 14, dependsOn: ['week1'] },
+      { ref: 'review', task: { title: '30-day review with {{employee}}', estimatedHours: 1, priority: 'high' }, deadlineOffsetDays: 30, dependsOn: ['training'] }
+    ],
+    milestones: [
+      { title: 'First week complete', offsetDays: 5 },
+      { title: '30-day review', offsetDays: 30 }
+    ]
+  }
+];
+
+module.exports = {
+  TASK_TEMPLATES,
+  PROJECT_TEMPLATES
+};
@@ -0,0 +1,409 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { TaskTemplate, ProjectTemplate } = require('../models/Template');
+const Logger = require('./logger');
+const { DAY_MS, dateKey } = require('./recurrence');
+const { findPath } = require('./taskDependencies');
+const { recordTaskChange } = require('./taskHistory');
+const { rollupProject } = require('./taskRollup');
+const { getProjectWorkflow, getInitialState } = require('./workflow');
+const { TASK_TEMPLATES, PROJECT_TEMPLATES } = require('./templateLibrary');
+
+const logger = new Logger('TEMPLATES');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+const KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Replace {{name}} placeholders; unknown placeholders are left as they are
+ */
+function renderText(text, values = {}) {
+  if (!text) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match);
+}
+
+/**
+ * Merge submitted values with placeholder defaults and built-in values,
+ * reporting required placeholders that are still missing
+ */
+function resolveValues(placeholders = [], provided = {}, builtins = {}) {
+  const values = { ...builtins };
+  const missing = [];
+
+  placeholders.forEach(placeholder => {
+    const value = provided[placeholder.name] !== undefined && provided[placeholder.name] !== ''
+      ? provided[placeholder.name]
+      : placeholder.defaultValue;
+
+    if (value !== undefined && value !== null && value !== '') {
+      values[placeholder.name] = value;
+    } else if (placeholder.required) {
+      missing.push(placeholder.name);
+    }
+  });
+
+  return { values: { ...provided, ...values }, missing };
+}
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const offsetDate = (startDate, days) => (typeof days === 'number' ? addDays(startDate, days) : undefined);
+
+/**
+ * Check a task definition (the `task` part of a template)
+ */
+function validateTaskDefinition(definition, label = 'Task') {
+  const errors = [];
+  if (!definition || !definition.title) {
+    return [`${label} needs a title`];
+  }
+
+  if (definition.estimatedHours !== undefined && !(definition.estimatedHours >= 0)) {
+    errors.push(`${label} estimatedHours must be a positive number`);
+  }
+
+  (definition.checklist || []).forEach((item, index) => {
+    if (!item.title) errors.push(`${label} checklist item ${index + 1} needs a title`);
+    (item.dependsOn || []).forEach(dependency => {
+      if (!Number.isInteger(dependency) || dependency < 0 || dependency >= index) {
+        errors.push(`${label} checklist item ${index + 1} can only depend on earlier items`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check a project template's task list: unique refs, known dependencies,
+ * no dependency cycles and a definition or task template for every entry
+ */
+function validateProjectTemplate({ tasks = [], milestones = [] } = {}) {
+  const errors = [];
+  const refs = new Set();
+
+  tasks.forEach((entry, index) => {
+    if (!entry.ref) {
+      errors.push(`Task ${index + 1} needs a ref`);
+    } else if (refs.has(entry.ref)) {
+      errors.push(`Duplicate task ref: ${entry.ref}`);
+    } else {
+      refs.add(entry.ref);
+    }
+    if (!entry.templateKey && !entry.task) {
+      errors.push(`Task ${entry.ref || index + 1} needs a templateKey or a task definition`);
+    }
+    if (entry.task && !entry.templateKey) {
+      errors.push(...validateTaskDefinition(entry.task, `Task ${entry.ref || index + 1}`));
+    }
+  });
+
+  const graph = new Map(tasks.map(entry => [entry.ref, entry.dependsOn || []]));
+  tasks.forEach(entry => {
+    (entry.dependsOn || []).forEach(dependency => {
+      if (!refs.has(dependency)) {
+        errors.push(`Task ${entry.ref} depends on unknown ref: ${dependency}`);
+      } else if (findPath(graph, dependency, entry.ref)) {
+        errors.push(`Task ${entry.ref} has a circular dependency on ${dependency}`);
+      }
+    });
+  });
+
+  milestones.forEach((milestone, index) => {
+    if (!milestone.title || typeof milestone.offsetDays !== 'number') {
+      errors.push(`Milestone ${index + 1} needs a title and offsetDays`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Turn a task definition into task and subtask fields for a start date
+ */
+function buildTaskPlan(definition, { startDate, values = {}, deadlineOffsetDays } = {}) {
+  const offset = typeof deadlineOffsetDays === 'number' ? deadlineOffsetDays : definition.deadlineOffsetDays;
+
+  return {
+    task: {
+      title: renderText(definition.title, values),
+      description: renderText(definition.description, values),
+      priority: definition.priority,
+      complexity: definition.complexity,
+      estimatedHours: definition.estimatedHours,
+      tags: definition.tags,
+      category: definition.category,
+      deadline: offsetDate(startDate, offset)
+    },
+    subtasks: (definition.checklist || []).map(item => ({
+      title: renderText(item.title, values),
+      description: renderText(item.description, values),
+      estimatedHours: item.estimatedHours,
+      deadline: offsetDate(startDate, item.offsetDays),
+      dependsOn: item.dependsOn || []
+    }))
+  };
+}
+
+/**
+ * Definition used by one project template entry: the referenced task
+ * template's definition with the entry's own fields on top
+ */
+function resolveEntryDefinition(entry, taskTemplates) {
+  const base = entry.templateKey && taskTemplates.get(entry.templateKey);
+  if (entry.templateKey && !base) return null;
+
+  const definition = base ? { ...(base.task.toObject ? base.task.toObject() : base.task) } : {};
+  if (entry.task) {
+    Object.entries(entry.task.toObject ? entry.task.toObject() : entry.task).forEach(([field, value]) => {
+      if (value !== undefined && !(Array.isArray(value) && value.length === 0 && definition[field])) {
+        definition[field] = value;
+      }
+    });
+  }
+  return definition;
+}
+
+/**
+ * Create the next version of a template (or the first one). The previous
+ * latest version stays available for instantiation by version number.
+ */
+async function createTemplateVersion(Model, key, data, actor) {
+  const latest = await Model.findOne({ key }).sort({ version: -1 });
+  const base = latest ? latest.toObject() : {};
+  delete base._id;
+  delete base.createdAt;
+  delete base.updatedAt;
+
+  const template = new Model({
+    ...base,
+    ...data,
+    key,
+    version: latest ? latest.version + 1 : 1,
+    isLatest: true,
+    isSystem: false,
+    createdBy: actor
+  });
+  await template.save();
+
+  await Model.updateMany({ key, _id: { $ne: template._id } }, { isLatest: false });
+  return template;
+}
+
+/**
+ * Find a template by key, either a specific version or the latest one
+ */
+async function findTemplate(Model, key, version) {
+  const query = version ? { key, version: parseInt(version) } : { key, isLatest: true };
+  return Model.findOne(query);
+}
+
+/**
+ * Create the tasks (and checklist subtasks) of a plan inside a project
+ */
+async function createPlannedTask(plan, { project, initialState, actor, assignedTo, templateKey, note }) {
+  const common = {
+    project: project._id,
+    team: project.team,
+    department: project.department,
+    assignedTo,
+    assignedBy: actor,
+    industryTemplate: templateKey,
+    status: initialState.category,
+    workflowState: initialState.key
+  };
+
+  const task = await Task.create({ ...common, ...plan.task });
+  await recordTaskChange(task._id, {
+    actor,
+    action: 'created',
+    changes: [{ field: 'title', from: null, to: task.title }],
+    note
+  });
+
+  const subtasks = [];
+  for (const item of plan.subtasks) {
+    const subtask = await Task.create({
+      ...common,
+      title: item.title,
+      description: item.description,
+      estimatedHours: item.estimatedHours,
+      deadline: item.deadline,
+      parentTask: task._id,
+      dependencies: item.dependsOn.map(index => subtasks[index]._id)
+    });
+    subtasks.push(subtask);
+  }
+
+  if (subtasks.length > 0) {
+    task.subtasks = subtasks.map(subtask => subtask._id);
+    await task.save();
+  }
+
+  return { task, subtasks };
+}
+
+/**
+ * Instantiate a task template into a project
+ */
+async function instantiateTaskTemplate(template, { project, startDate, values: provided, assignedTo, actor }) {
+  const { values, missing } = resolveValues(template.placeholders, provided, {
+    projectName: project.name,
+    startDate: dateKey(new Date(startDate))
+  });
+  if (missing.length > 0) {
+    const error = new Error(`Missing template values: ${missing.join(', ')}`);
+    error.code = 'MISSING_VALUES';
+    error.missing = missing;
+    throw error;
+  }
+
+  const initialState = getInitialState(await getProjectWorkflow(project._id));
+  const plan = buildTaskPlan(template.task, { startDate, values });
+  const { task, subtasks } = await createPlannedTask(plan, {
+    project,
+    initialState,
+    actor,
+    assignedTo,
+    templateKey: template.key,
+    note: `Created from template ${template.key} v${template.version}`
+  });
+
+  await Project.updateOne(
+    { _id: project._id },
+    { $addToSet: { tasks: { $each: [task._id, ...subtasks.map(subtask => subtask._id)] } } }
+  );
+  await rollupProject(project._id);
+
+  return { task, subtasks };
+}
+
+/**
+ * Instantiate a project template. Tasks and milestones are added to
+ * `project` when given, otherwise a new project is created from the
+ * template's project defaults.
+ */
+async function instantiateProjectTemplate(template, { project, projectData = {}, startDate, values: provided, actor }) {
+  const start = new Date(startDate);
+  const { values, missing } = resolveValues(template.placeholders, provided, {
+    projectName: project ? project.name : projectData.name,
+    startDate: dateKey(start)
+  });
+  if (missing.length > 0) {
+    const error = new Error(`Missing template values: ${missing.join(', ')}`);
+    error.code = 'MISSING_VALUES';
+    error.missing = missing;
+    throw error;
+  }
+
+  const templateKeys = [...new Set(template.tasks.map(entry => entry.templateKey).filter(Boolean))];
+  const taskTemplates = new Map(
+    (await TaskTemplate.find({ key: { $in: templateKeys }, isLatest: true })).map(taskTemplate => [taskTemplate.key, taskTemplate])
+  );
+  const unknown = templateKeys.filter(key => !taskTemplates.has(key));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown task templates: ${unknown.join(', ')}`);
+    error.code = 'UNKNOWN_TEMPLATES';
+    error.missing = unknown;
+    throw error;
+  }
+
+  const defaults = template.project || {};
+  const milestones = (template.milestones || []).map(milestone => ({
+    title: renderText(milestone.title, values),
+    description: renderText(milestone.description, values),
+    targetDate: addDays(start, milestone.offsetDays)
+  }));
+
+  if (!project) {
+    project = await Project.create({
+      name: renderText(defaults.name, values) || template.name,
+      description: renderText(defaults.description, values),
+      category: defaults.category,
+      priority: defaults.priority,
+      tags: defaults.tags,
+      manager: actor,
+      ...projectData,
+      members: [{ user: actor, role: 'owner', addedBy: actor }],
+      startDate: start,
+      endDate: typeof defaults.durationDays === 'number' ? addDays(start, defaults.durationDays) : projectData.endDate,
+      milestones
+    });
+  } else if (milestones.length > 0) {
+    await Project.updateOne({ _id: project._id }, { $push: { milestones: { $each: milestones } } });
+  }
+
+  const initialState = getInitialState(await getProjectWorkflow(project._id));
+  const created = new Map();
+  const createdIds = [];
+
+  for (const entry of template.tasks) {
+    const definition = resolveEntryDefinition(entry, taskTemplates);
+    const plan = buildTaskPlan(definition, { startDate: start, values, deadlineOffsetDays: entry.deadlineOffsetDays });
+    const { task, subtasks } = await createPlannedTask(plan, {
+      project,
+      initialState,
+      actor,
+      templateKey: entry.templateKey || template.key,
+      note: `Created from project template ${template.key} v${template.version}`
+    });
+
+    created.set(entry.ref, task);
+    createdIds.push(task._id, ...subtasks.map(subtask => subtask._id));
+  }
+
+  // Dependencies are linked once every task exists, whatever the order
+  for (const entry of template.tasks) {
+    if (!entry.dependsOn || entry.dependsOn.length === 0) continue;
+    const task = created.get(entry.ref);
+    task.dependencies = entry.dependsOn.map(ref => created.get(ref)._id);
+    await task.save();
+  }
+
+  await Project.updateOne({ _id: project._id }, { $addToSet: { tasks: { $each: createdIds } } });
+  await rollupProject(project._id);
+
+  logger.info('Project template instantiated', {
+    template: template.key,
+    version: template.version,
+    projectId: project._id.toString(),
+    tasks: createdIds.length
+  });
+
+  return { project: await Project.findById(project._id), tasks: [...created.values()] };
+}
+
+/**
+ * Insert library templates that do not exist yet. Existing keys are left
+ * untouched so that edits made through the API survive re-seeding.
+ */
+async function seedTemplateLibrary() {
+  let created = 0;
+
+  for (const [Model, templates] of [[TaskTemplate, TASK_TEMPLATES], [ProjectTemplate, PROJECT_TEMPLATES]]) {
+    for (const template of templates) {
+      const exists = await Model.exists({ key: template.key });
+      if (exists) continue;
+
+      await Model.create({ ...template, version: 1, isLatest: true, isSystem: true });
+      created++;
+    }
+  }
+
+  return { created };
+}
+
+module.exports = {
+  KEY_PATTERN,
+  renderText,
+  resolveValues,
+  validateTaskDefinition,
+  validateProjectTemplate,
+  buildTaskPlan,
+  createTemplateVersion,
+  findTemplate,
+  instantiateTaskTemplate,
+  instantiateProjectTemplate,
+  seedTemplateLibrary
+};
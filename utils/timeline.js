@@ -0,0 +1,197 @@
+const Task = require('../models/Task');
+const { snapshotTask, recordTaskDiff } = require('./taskHistory');
+const { DAY_MS } = require('./recurrence');
+const { computeCriticalPath } = require('./taskDependencies');
+const { emitTaskUpdate } = require('../socket');
+
+const DEFAULT_HOURS_PER_DAY = 8;
+
+const TIMELINE_TASK_FIELDS = 'title status priority assignedTo deadline estimatedHours dependencies parentTask progress completedAt createdAt';
+
+const toId = value => (value && value._id ? value._id : value).toString();
+
+/**
+ * Start and end dates for every task. A task lasts estimatedHours of
+ * `hoursPerDay`-hour days. Tasks with a deadline end on it unless their
+ * dependencies finish too late, in which case they start when the last
+ * dependency ends and are flagged `late`. Tasks without a deadline start as
+ * soon as their dependencies allow (or at `startDate`). Completed tasks end
+ * when they were completed. Critical path flags come from
+ * computeCriticalPath, which also rejects dependency cycles.
+ */
+function computeTimeline(tasks, { startDate = new Date(), hoursPerDay = DEFAULT_HOURS_PER_DAY } = {}) {
+  const analysis = computeCriticalPath(tasks, { startDate, hoursPerDay });
+  const byId = new Map(tasks.map(task => [toId(task), task]));
+  const schedule = new Map();
+  const projectStart = new Date(startDate).getTime();
+
+  // analysis.tasks is in topological order
+  analysis.tasks.forEach(entry => {
+    const task = byId.get(entry.taskId);
+    const duration = (entry.duration / hoursPerDay) * DAY_MS;
+    const dependenciesEnd = Math.max(projectStart, ...entry.dependencies.map(dep => schedule.get(dep).end));
+
+    let start;
+    let end;
+    let late = false;
+    if (task.status === 'completed' && task.completedAt) {
+      end = new Date(task.completedAt).getTime();
+      start = end - duration;
+    } else if (task.deadline) {
+      end = new Date(task.deadline).getTime();
+      start = end - duration;
+      if (start < dependenciesEnd) {
+        start = dependenciesEnd;
+        end = start + duration;
+        late = true;
+      }
+    } else {
+      start = dependenciesEnd;
+      end = start + duration;
+    }
+
+    schedule.set(entry.taskId, {
+      taskId: entry.taskId,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assignedTo: task.assignedTo || null,
+      parentTask: task.parentTask || null,
+      progress: task.progress || 0,
+      dependencies: entry.dependencies,
+      estimatedHours: entry.duration,
+      estimated: entry.duration > 0,
+      deadline: task.deadline || null,
+      start,
+      end,
+      late,
+      critical: entry.critical,
+      slack: entry.slack
+    });
+  });
+
+  const items = [...schedule.values()].map(item => ({
+    ...item,
+    start: new Date(item.start),
+    end: new Date(item.end)
+  }));
+
+  return {
+    startDate: new Date(projectStart),
+    endDate: items.length > 0 ? new Date(Math.max(...items.map(item => item.end.getTime()))) : null,
+    hoursPerDay,
+    criticalPath: analysis.criticalPath,
+    tasks: items
+  };
+}
+
+/**
+ * Ids of every task that depends, directly or not, on `taskId`
+ */
+function findDependents(tasks, taskId) {
+  const successors = new Map();
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dep => {
+      const key = toId(dep);
+      if (!successors.has(key)) successors.set(key, []);
+      successors.get(key).push(toId(task));
+    });
+  });
+
+  const found = new Set();
+  const stack = [toId(taskId)];
+  while (stack.length > 0) {
+    (successors.get(stack.pop()) || []).forEach(id => {
+      if (!found.has(id)) {
+        found.add(id);
+        stack.push(id);
+      }
+    });
+  }
+  return found;
+}
+
+/**
+ * Plan moving a task's deadline and pushing back the deadlines of dependent
+ * tasks that could no longer finish on time. Dependents are only pushed
+ * later, never pulled earlier. Returns the deadline changes and the
+ * timeline after them; nothing is saved.
+ */
+function planReschedule(tasks, taskId, newDeadline, options = {}) {
+  const id = toId(taskId);
+  const target = tasks.find(task => toId(task) === id);
+  const dependents = findDependents(tasks, id);
+  const deadlines = new Map([[id, new Date(newDeadline)]]);
+
+  const withDeadlines = () => tasks.map(task => {
+    const key = toId(task);
+    return deadlines.has(key)
+      ? { ...(task.toObject ? task.toObject() : task), _id: task._id, deadline: deadlines.get(key) }
+      : task;
+  });
+
+  // Each pass fixes the dependents that are late given the previous pass;
+  // a pass per dependency level is enough
+  let timeline = computeTimeline(withDeadlines(), options);
+  for (let pass = 0; pass <= dependents.size; pass++) {
+    const late = timeline.tasks.filter(item =>
+      dependents.has(item.taskId) && item.late && item.deadline && item.status !== 'completed');
+    if (late.length === 0) break;
+
+    late.forEach(item => deadlines.set(item.taskId, item.end));
+    timeline = computeTimeline(withDeadlines(), options);
+  }
+
+  const changes = [...deadlines.entries()]
+    .map(([key, deadline]) => {
+      const task = key === id ? target : tasks.find(item => toId(item) === key);
+      const previous = task.deadline ? new Date(task.deadline) : null;
+      return {
+        taskId: key,
+        title: task.title,
+        previousDeadline: previous,
+        newDeadline: deadline,
+        shiftDays: previous ? Math.round(((deadline - previous) / DAY_MS) * 100) / 100 : null,
+        cascaded: key !== id
+      };
+    })
+    .filter(change => !change.previousDeadline || change.previousDeadline.getTime() !== change.newDeadline.getTime());
+
+  const conflicts = timeline.tasks
+    .filter(item => item.late && (item.taskId === id || dependents.has(item.taskId)))
+    .map(item => ({ taskId: item.taskId, title: item.title, scheduledEnd: item.end, deadline: item.deadline }));
+
+  return { changes, conflicts, timeline };
+}
+
+/**
+ * Save the deadline changes of a reschedule plan with task history entries
+ */
+async function applyReschedule(changes, actor, note) {
+  const updated = [];
+  for (const change of changes) {
+    const task = await Task.findById(change.taskId);
+    if (!task) continue;
+
+    const before = snapshotTask(task);
+    task.deadline = change.newDeadline;
+    await task.save();
+    await recordTaskDiff(before, task, {
+      actor,
+      note: note || (change.cascaded ? 'Deadline pushed back by a rescheduled dependency' : undefined),
+      metadata: { reschedule: true, cascaded: change.cascaded }
+    });
+    emitTaskUpdate(task);
+    updated.push(task._id);
+  }
+  return updated;
+}
+
+module.exports = {
+  DEFAULT_HOURS_PER_DAY,
+  TIMELINE_TASK_FIELDS,
+  computeTimeline,
+  findDependents,
+  planReschedule,
+  applyReschedule
+};
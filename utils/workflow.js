@@ -0,0 +1,332 @@
+const Workflow = require('../models/Workflow');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+// Built-in task statuses; every workflow state maps onto one of them
+const STATUS_CATEGORIES = ['pending', 'in_progress', 'completed', 'overdue', 'blocked', 'cancelled'];
+
+// Roles usable on transitions besides the user roles themselves
+const USER_ROLES = ['admin', 'manager', 'employee', 'viewer'];
+const RELATIONAL_ROLES = ['assignee', 'project_manager'];
+
+const STATE_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Workflow used by projects that have not defined their own. It mirrors the
+ * built-in statuses and allows every transition, like the routes did before
+ * workflows existed.
+ */
+const DEFAULT_WORKFLOW = {
+  name: 'Default',
+  version: 0,
+  isDefault: true,
+  states: [
+    { key: 'pending', name: 'Pending', category: 'pending', isInitial: true, requiredFields: [] },
+    { key: 'in_progress', name: 'In Progress', category: 'in_progress', requiredFields: [] },
+    { key: 'blocked', name: 'Blocked', category: 'blocked', requiredFields: [] },
+    { key: 'overdue', name: 'Overdue', category: 'overdue', requiredFields: [] },
+    { key: 'completed', name: 'Completed', category: 'completed', requiredFields: [] },
+    { key: 'cancelled', name: 'Cancelled', category: 'cancelled', requiredFields: [] }
+  ],
+  transitions: STATUS_CATEGORIES.map(status => ({ from: '*', to: status, roles: [], requiredFields: [] }))
+};
+
+/**
+ * Validate a workflow definition, returning a list of error messages
+ */
+function validateWorkflowDefinition({ states, transitions } = {}) {
+  const errors = [];
+
+  if (!Array.isArray(states) || states.length === 0) {
+    return ['A workflow needs at least one state'];
+  }
+
+  const keys = new Set();
+  states.forEach((state, index) => {
+    if (!state.key || !STATE_KEY_PATTERN.test(state.key)) {
+      errors.push(`State ${index + 1} needs a lowercase key (letters, digits, underscores)`);
+    } else if (keys.has(state.key)) {
+      errors.push(`Duplicate state key: ${state.key}`);
+    } else {
+      keys.add(state.key);
+    }
+    if (!state.name) errors.push(`State ${state.key || index + 1} needs a name`);
+    if (!STATUS_CATEGORIES.includes(state.category)) {
+      errors.push(`State ${state.key || index + 1} must map to one of: ${STATUS_CATEGORIES.join(', ')}`);
+    }
+  });
+
+  if (states.filter(state => state.isInitial).length > 1) {
+    errors.push('Only one state can be the initial state');
+  }
+
+  if (transitions !== undefined && !Array.isArray(transitions)) {
+    errors.push('Transitions must be an array');
+    return errors;
+  }
+
+  const allowedRoles = [...USER_ROLES, ...RELATIONAL_ROLES];
+  (transitions || []).forEach((transition, index) => {
+    const label = `Transition ${index + 1}`;
+    if (transition.from !== '*' && !keys.has(transition.from)) {
+      errors.push(`${label} starts from unknown state: ${transition.from}`);
+    }
+    if (!keys.has(transition.to)) {
+      errors.push(`${label} leads to unknown state: ${transition.to}`);
+    }
+    const unknownRoles = (transition.roles || []).filter(role => !allowedRoles.includes(role));
+    if (unknownRoles.length > 0) {
+      errors.push(`${label} has unknown roles: ${unknownRoles.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find a state by key
+ */
+function getState(workflow, key) {
+  return workflow.states.find(state => state.key === key) || null;
+}
+
+/**
+ * State new tasks start in
+ */
+function getInitialState(workflow) {
+  return workflow.states.find(state => state.isInitial) || workflow.states[0];
+}
+
+/**
+ * Current workflow state of a task. Tasks without a (valid) workflowState,
+ * or whose status was changed outside the workflow, map onto the first state
+ * with the task's status as its category.
+ */
+function resolveCurrentState(workflow, task) {
+  const stored = task.workflowState && getState(workflow, task.workflowState);
+  if (stored && stored.category === task.status) return stored;
+
+  // The overdue scheduler changes only the status; workflows without an
+  // overdue state keep the task in the state it was in
+  if (stored && task.status === 'overdue' && !workflow.states.some(state => state.category === 'overdue')) {
+    return stored;
+  }
+
+  return getState(workflow, task.status) ||
+    workflow.states.find(state => state.category === task.status) ||
+    getInitialState(workflow);
+}
+
+/**
+ * Resolve a requested target: a state key, or a built-in status for clients
+ * that are not workflow-aware (mapped to the first state in that category)
+ */
+function resolveTargetState(workflow, requested) {
+  if (!requested) return null;
+  return getState(workflow, requested) ||
+    workflow.states.find(state => state.category === requested) ||
+    null;
+}
+
+/**
+ * Transition between two states, preferring an explicit `from` over '*'
+ */
+function findTransition(workflow, fromKey, toKey) {
+  const candidates = workflow.transitions.filter(transition => transition.to === toKey);
+  return candidates.find(transition => transition.from === fromKey) ||
+    candidates.find(transition => transition.from === '*') ||
+    null;
+}
+
+const isMissing = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check whether a task may move to a target state.
+ *
+ * `roles` are the caller's effective roles (see getActorRoles) and `values`
+ * are the task's field values including the ones being submitted, used to
+ * check required fields. Returns `{ allowed, code, message, from, to,
+ * transition, missingFields }`; `code` is set when the move is rejected.
+ */
+function checkTransition(workflow, task, requested, { roles = [], values = {} } = {}) {
+  const from = resolveCurrentState(workflow, task);
+  const to = resolveTargetState(workflow, requested);
+  const result = { allowed: false, from, to, transition: null, missingFields: [] };
+
+  if (!to) {
+    return { ...result, code: 'UNKNOWN_STATE', message: `Unknown workflow state: ${requested}` };
+  }
+  if (from.key === to.key) {
+    return { ...result, allowed: true };
+  }
+
+  const transition = findTransition(workflow, from.key, to.key);
+  if (!transition) {
+    return { ...result, code: 'TRANSITION_NOT_ALLOWED', message: `Cannot move from ${from.name} to ${to.name}` };
+  }
+
+  const transitionRoles = transition.roles || [];
+  if (transitionRoles.length > 0 && !transitionRoles.some(role => roles.includes(role))) {
+    return {
+      ...result,
+      transition,
+      code: 'ROLE_NOT_ALLOWED',
+      message: `Moving to ${to.name} requires one of: ${transitionRoles.join(', ')}`
+    };
+  }
+
+  const required = [...new Set([...(to.requiredFields || []), ...(transition.requiredFields || [])])];
+  const missingFields = required.filter(field => isMissing(values[field]));
+  if (missingFields.length > 0) {
+    return {
+      ...result,
+      transition,
+      missingFields,
+      code: 'MISSING_FIELDS',
+      message: `Moving to ${to.name} requires: ${missingFields.join(', ')}`
+    };
+  }
+
+  return { ...result, allowed: true, transition };
+}
+
+/**
+ * Transitions the caller can take from the task's current state
+ */
+function getAvailableTransitions(workflow, task, roles = []) {
+  const from = resolveCurrentState(workflow, task);
+
+  return workflow.states
+    .filter(state => state.key !== from.key)
+    .map(state => ({ state, transition: findTransition(workflow, from.key, state.key) }))
+    .filter(({ transition }) => transition &&
+      (!(transition.roles || []).length || transition.roles.some(role => roles.includes(role))))
+    .map(({ state, transition }) => ({
+      to: state.key,
+      name: transition.name || state.name,
+      category: state.category,
+      requiredFields: [...new Set([...(state.requiredFields || []), ...(transition.requiredFields || [])])]
+    }));
+}
+
+/**
+ * Roles a user holds for a task: their user role plus 'assignee' and
+ * 'project_manager' where they apply
+ */
+function getActorRoles(user, task, project) {
+  const userId = user._id.toString();
+  const roles = [user.role];
+
+  const assignee = task.assignedTo && (task.assignedTo._id || task.assignedTo);
+  if (assignee && assignee.toString() === userId) roles.push('assignee');
+  if (project && project.manager && project.manager.toString() === userId) roles.push('project_manager');
+
+  return roles;
+}
+
+/**
+ * Active workflow of a project, or the default workflow
+ */
+async function getProjectWorkflow(projectId) {
+  if (!projectId) return DEFAULT_WORKFLOW;
+
+  const workflow = await Workflow.findOne({ project: projectId._id || projectId, isActive: true });
+  return workflow || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Load the task's workflow and check a move for the given user. `submitted`
+ * holds the fields sent with the request. On success `status` is the
+ * built-in status to store alongside the new workflowState.
+ */
+async function evaluateTaskTransition(task, requested, user, submitted = {}) {
+  const projectId = task.project && (task.project._id || task.project);
+  const [workflow, project] = await Promise.all([
+    getProjectWorkflow(projectId),
+    projectId ? Project.findById(projectId).select('manager') : null
+  ]);
+
+  const values = { ...(task.toObject ? task.toObject() : task), ...submitted };
+  const result = checkTransition(workflow, task, requested, {
+    roles: getActorRoles(user, task, project),
+    values
+  });
+
+  return {
+    ...result,
+    workflow,
+    status: result.to ? result.to.category : null,
+    workflowState: result.to ? result.to.key : null
+  };
+}
+
+/**
+ * Move a project's tasks onto a newly activated workflow. Tasks in states
+ * that no longer exist move to `stateMapping[oldKey]` when given, otherwise
+ * they fall back to the state matching their status.
+ */
+async function migrateTaskStates(projectId, workflow, stateMapping = {}) {
+  const keys = workflow.states.map(state => state.key);
+  let mapped = 0;
+
+  for (const [fromKey, toKey] of Object.entries(stateMapping)) {
+    const target = getState(workflow, toKey);
+    if (!target || keys.includes(fromKey)) continue;
+
+    const result = await Task.updateMany(
+      { project: projectId, workflowState: fromKey },
+      { $set: { workflowState: target.key, status: target.category } }
+    );
+    mapped += result.modifiedCount;
+  }
+
+  const reset = await Task.updateMany(
+    { project: projectId, workflowState: { $exists: true, $nin: keys } },
+    { $unset: { workflowState: '' } }
+  );
+
+  return { mapped, reset: reset.modifiedCount };
+}
+
+// HTTP status for each rejection code
+const TRANSITION_ERROR_STATUS = {
+  UNKNOWN_STATE: 400,
+  MISSING_FIELDS: 400,
+  ROLE_NOT_ALLOWED: 403,
+  TRANSITION_NOT_ALLOWED: 409
+};
+
+/**
+ * Response body and HTTP status for a rejected transition
+ */
+function transitionError(result) {
+  return {
+    httpStatus: TRANSITION_ERROR_STATUS[result.code] || 400,
+    body: {
+      message: result.message,
+      code: result.code,
+      from: result.from ? result.from.key : null,
+      to: result.to ? result.to.key : null,
+      missingFields: result.missingFields.length > 0 ? result.missingFields : undefined
+    }
+  };
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  validateWorkflowDefinition,
+  getState,
+  getInitialState,
+  resolveCurrentState,
+  resolveTargetState,
+  findTransition,
+  checkTransition,
+  getAvailableTransitions,
+  getActorRoles,
+  getProjectWorkflow,
+  evaluateTaskTransition,
+  migrateTaskStates,
+  transitionError
+};